@@ -263,7 +263,7 @@ if ('undefined' === typeof Ember.warn) { Ember.warn = Ember.K; }
 if ('undefined' === typeof Ember.debug) { Ember.debug = Ember.K; }
 if ('undefined' === typeof Ember.deprecate) { Ember.deprecate = Ember.K; }
 if ('undefined' === typeof Ember.deprecateFunc) {
-  Ember.deprecateFunc = function(_, func) { return func; };
+  Ember.deprecateFunc = function() { return arguments[arguments.length - 1]; };
 }
 
 /**
@@ -321,7 +321,7 @@ Ember.merge = function(original, updates) {
 Ember.isNone = function(obj) {
   return obj === null || obj === undefined;
 };
-Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isNone instead.", Ember.isNone);
+Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isNone instead.", { id: 'ember-metal.none', until: '2.0.0' }, Ember.isNone);
 
 /**
   Verifies that a value is `null` or an empty string, empty array,
@@ -348,7 +348,7 @@ Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isN
 Ember.isEmpty = function(obj) {
   return Ember.isNone(obj) || (obj.length === 0 && typeof obj !== 'function') || (typeof obj === 'object' && Ember.get(obj, 'length') === 0);
 };
-Ember.empty = Ember.deprecateFunc("Ember.empty is deprecated. Please use Ember.isEmpty instead.", Ember.isEmpty) ;
+Ember.empty = Ember.deprecateFunc("Ember.empty is deprecated. Please use Ember.isEmpty instead.", { id: 'ember-metal.empty', until: '2.0.0' }, Ember.isEmpty) ;
 
 
 })();
@@ -1552,6 +1552,12 @@ Ember.Instrumentation.instrument = function(name, payload, callback, binding) {
   return Ember.tryCatchFinally(tryable, catchable, finalizer);
 };
 
+// Returns whether anything subscribes to the event with the given name.
+Ember.Instrumentation._hasListeners = function(name) {
+  var listeners = cache[name] || populateListeners(name);
+  return listeners.length > 0;
+};
+
 /**
   Subscribes to a particular event or instrumented block of code.
 
@@ -2417,6 +2423,8 @@ function propertyDidChange(obj, keyName) {
   if (desc && desc.didChange) { desc.didChange(obj, keyName); }
   if (!watching && keyName !== 'length') { return; }
 
+  if (Ember._loopRecorder) { Ember._loopRecorder.propertyDidChange(obj, keyName); }
+
   dependentKeysDidChange(obj, keyName, m);
   chainsDidChange(obj, keyName, m, false);
   notifyObservers(obj, keyName);
@@ -5376,8 +5384,10 @@ Ember.computed.readOnly = function(dependentKey) {
   @param {String} defaultPath
   @return {Ember.ComputedProperty} computed property which acts like
   a standard getter and setter, but defaults to the value from `defaultPath`.
+  @deprecated Use `Ember.computed.oneWay` instead
 */
 Ember.computed.defaultTo = function(defaultPath) {
+  
   return Ember.computed(function(key, newValue, cachedValue) {
     if (arguments.length === 1) {
       return cachedValue != null ? cachedValue : get(this, defaultPath);
@@ -5543,38 +5553,67 @@ define("backburner/queue",
       },
 
       // TODO: remove me, only being used for Ember.run.sync
-      flush: function() {
+      flush: function(flushCount) {
         var queue = this._queue,
             options = this.options,
+            instrument = this.daq.options.instrument,
             before = options && options.before,
             after = options && options.after,
-            target, method, args, stack, i, l = queue.length;
-
-        if (l && before) { before(); }
-        for (i = 0; i < l; i += 4) {
-          target = queue[i];
-          method = queue[i+1];
-          args   = queue[i+2];
-          stack  = queue[i+3]; // Debugging assistance
-
-          // TODO: error handling
-          if (args && args.length > 0) {
-            method.apply(target, args);
-          } else {
-            method.call(target);
+            self = this,
+            l = queue.length;
+
+        flushCount = flushCount || 1;
+
+        function flushItems() {
+          var target, method, args, stack, i;
+
+          if (l && before) { before(); }
+          for (i = 0; i < l; i += 4) {
+            target = queue[i];
+            method = queue[i+1];
+            args   = queue[i+2];
+            stack  = queue[i+3]; // Debugging assistance
+
+            // TODO: error handling
+            self.invoke(target, method, args, flushCount);
           }
+          if (l && after) { after(); }
+        }
+
+        if (l && instrument) {
+          instrument('runloop.queue', { queue: this.name, flushCount: flushCount, size: l / 4 }, flushItems);
+        } else {
+          flushItems();
         }
-        if (l && after) { after(); }
 
         // check if new items have been added
         if (queue.length > l) {
           this._queue = queue.slice(l);
-          this.flush();
+          this.flush(flushCount + 1);
         } else {
           this._queue.length = 0;
         }
       },
 
+      // Invokes a scheduled method, reporting it to the `instrument` option
+      // (if any) as a `runloop.callback` event.
+      invoke: function(target, method, args, flushCount) {
+        var instrument = this.daq.options.instrument;
+
+        if (instrument) {
+          instrument('runloop.callback', {
+            queue: this.name,
+            target: target,
+            method: method,
+            flushCount: flushCount
+          }, function() {
+            invoke(target, method, args);
+          });
+        } else {
+          invoke(target, method, args);
+        }
+      },
+
       cancel: function(actionToCancel) {
         var queue = this._queue, currentTarget, currentMethod, i, l;
 
@@ -5609,6 +5648,15 @@ define("backburner/queue",
     };
 
 
+    function invoke(target, method, args) {
+      if (args && args.length > 0) {
+        method.apply(target, args);
+      } else {
+        method.call(target);
+      }
+    }
+
+
     __exports__.Queue = Queue;
   });
 
@@ -5621,6 +5669,7 @@ define("backburner/deferred_action_queues",
     function DeferredActionQueues(queueNames, options) {
       var queues = this.queues = {};
       this.queueNames = queueNames = queueNames || [];
+      this.options = options;
 
       var queueName;
       for (var i = 0, l = queueNames.length; i < l; i++) {
@@ -5647,57 +5696,96 @@ define("backburner/deferred_action_queues",
       },
 
       flush: function() {
-        var queues = this.queues,
-            queueNames = this.queueNames,
-            queueName, queue, queueItems, priorQueueNameIndex,
-            queueNameIndex = 0, numberOfQueues = queueNames.length;
-
-        outerloop:
-        while (queueNameIndex < numberOfQueues) {
-          queueName = queueNames[queueNameIndex];
-          queue = queues[queueName];
-          queueItems = queue._queueBeingFlushed = queue._queue.slice();
-          queue._queue = [];
-
-          var options = queue.options,
-              before = options && options.before,
-              after = options && options.after,
-              target, method, args, stack,
-              queueIndex = 0, numberOfQueueItems = queueItems.length;
-
-          if (numberOfQueueItems && before) { before(); }
-          while (queueIndex < numberOfQueueItems) {
-            target = queueItems[queueIndex];
-            method = queueItems[queueIndex+1];
-            args   = queueItems[queueIndex+2];
-            stack  = queueItems[queueIndex+3]; // Debugging assistance
-
-            if (typeof method === 'string') { method = target[method]; }
-
-            // method could have been nullified / canceled during flush
-            if (method) {
-              // TODO: error handling
-              if (args && args.length > 0) {
-                method.apply(target, args);
-              } else {
-                method.call(target);
-              }
-            }
+        var instrument = this.options.instrument;
 
-            queueIndex += 4;
-          }
-          queue._queueBeingFlushed = null;
-          if (numberOfQueueItems && after) { after(); }
+        if (instrument) {
+          instrument('runloop.flush', { queueNames: this.queueNames }, flushQueues, this);
+        } else {
+          flushQueues.call(this);
+        }
+      }
+    };
 
-          if ((priorQueueNameIndex = indexOfPriorQueueWithActions(this, queueNameIndex)) !== -1) {
-            queueNameIndex = priorQueueNameIndex;
-            continue outerloop;
+    function flushQueues() {
+      var queues = this.queues,
+          queueNames = this.queueNames,
+          options = this.options,
+          instrument = options.instrument,
+          flushLimit = options.flushLimit,
+          flushCounts = {},
+          queueName, queue, queueItems, priorQueueNameIndex, flushCount,
+          queueNameIndex = 0, numberOfQueues = queueNames.length;
+
+      while (queueNameIndex < numberOfQueues) {
+        queueName = queueNames[queueNameIndex];
+        queue = queues[queueName];
+
+        // The number of times this queue has been flushed in this run loop;
+        // anything above 1 means actions were rescheduled into it.
+        flushCount = flushCounts[queueName] = (flushCounts[queueName] || 0) + 1;
+
+        // A queue that keeps being refilled by the queues after it will never
+        // drain, so give up rather than hang.
+        if (flushLimit && flushCount > flushLimit) {
+          if (options.onFlushLimitExceeded) {
+            options.onFlushLimitExceeded(queueName, flushCount, flushLimit);
+          } else {
+            throw new Error("The " + queueName + " queue was flushed more than " + flushLimit + " times in a single run loop");
           }
+        }
 
-          queueNameIndex++;
+        queueItems = queue._queueBeingFlushed = queue._queue.slice();
+        queue._queue = [];
+
+        if (instrument && queueItems.length) {
+          instrument('runloop.queue', {
+            queue: queueName,
+            flushCount: flushCount,
+            size: queueItems.length / 4
+          }, flushQueueItems(queue, queueItems, flushCount));
+        } else {
+          flushQueueItems(queue, queueItems, flushCount)();
         }
+
+        queue._queueBeingFlushed = null;
+
+        if ((priorQueueNameIndex = indexOfPriorQueueWithActions(this, queueNameIndex)) !== -1) {
+          queueNameIndex = priorQueueNameIndex;
+          continue;
+        }
+
+        queueNameIndex++;
       }
-    };
+    }
+
+    function flushQueueItems(queue, queueItems, flushCount) {
+      return function() {
+        var options = queue.options,
+            before = options && options.before,
+            after = options && options.after,
+            target, method, args, stack,
+            queueIndex = 0, numberOfQueueItems = queueItems.length;
+
+        if (numberOfQueueItems && before) { before(); }
+        while (queueIndex < numberOfQueueItems) {
+          target = queueItems[queueIndex];
+          method = queueItems[queueIndex+1];
+          args   = queueItems[queueIndex+2];
+          stack  = queueItems[queueIndex+3]; // Debugging assistance
+
+          if (typeof method === 'string') { method = target[method]; }
+
+          // method could have been nullified / canceled during flush
+          if (method) {
+            // TODO: error handling
+            queue.invoke(target, method, args, flushCount);
+          }
+
+          queueIndex += 4;
+        }
+        if (numberOfQueueItems && after) { after(); }
+      };
+    }
 
     function indexOfPriorQueueWithActions(daq, currentQueueIndex) {
       var queueName, queue;
@@ -5730,6 +5818,22 @@ define("backburner",
         global = this,
         NUMBER = /\d+/;
 
+    // The clock used for timers unless `options.clock` provides another
+    // one, e.g. a fake clock in tests.
+    var defaultClock = {
+      now: function() {
+        return +new Date();
+      },
+
+      setTimeout: function(fn, wait) {
+        return global.setTimeout(fn, wait);
+      },
+
+      clearTimeout: function(timer) {
+        clearTimeout(timer);
+      }
+    };
+
     function isCoercableNumber(number) {
       return typeof number === 'number' || NUMBER.test(number);
     }
@@ -5741,6 +5845,7 @@ define("backburner",
         this.options.defaultQueue = queueNames[0];
       }
       this.instanceStack = [];
+      this.clock = this.options.clock || defaultClock;
     }
 
     Backburner.prototype = {
@@ -5748,6 +5853,7 @@ define("backburner",
       options: null,
       currentInstance: null,
       instanceStack: null,
+      clock: null,
 
       begin: function() {
         var onBegin = this.options && this.options.onBegin,
@@ -5893,7 +5999,7 @@ define("backburner",
           }
         }
 
-        var executeAt = (+new Date()) + parseInt(wait, 10);
+        var executeAt = self.clock.now() + parseInt(wait, 10);
 
         if (typeof method === 'string') {
           method = target[method];
@@ -5903,6 +6009,9 @@ define("backburner",
           method.apply(target, args);
         }
 
+        fn.target = target;
+        fn.method = method;
+
         // find position to insert - TODO: binary search
         var i, l;
         for (i = 0, l = timers.length; i < l; i += 2) {
@@ -5927,14 +6036,14 @@ define("backburner",
         index = findThrottler(target, method);
         if (index > -1) { return throttlers[index]; } // throttled
 
-        timer = global.setTimeout(function() {
+        timer = self.clock.setTimeout(function() {
           self.run.apply(self, args);
 
           var index = findThrottler(target, method);
           if (index > -1) { throttlers.splice(index, 1); }
         }, wait);
 
-        throttler = [target, method, timer];
+        throttler = [target, method, timer, self.clock.now() + wait];
 
         throttlers.push(throttler);
 
@@ -5964,10 +6073,10 @@ define("backburner",
         if (index > -1) {
           debouncee = debouncees[index];
           debouncees.splice(index, 1);
-          clearTimeout(debouncee[2]);
+          self.clock.clearTimeout(debouncee[2]);
         }
 
-        timer = global.setTimeout(function() {
+        timer = self.clock.setTimeout(function() {
           if (!immediate) {
             self.run.apply(self, args);
           }
@@ -5981,7 +6090,7 @@ define("backburner",
           self.run.apply(self, args);
         }
 
-        debouncee = [target, method, timer];
+        debouncee = [target, method, timer, self.clock.now() + wait];
 
         debouncees.push(debouncee);
 
@@ -5992,31 +6101,55 @@ define("backburner",
         var i, len;
 
         for (i = 0, len = throttlers.length; i < len; i++) {
-          clearTimeout(throttlers[i][2]);
+          this.clock.clearTimeout(throttlers[i][2]);
         }
         throttlers = [];
 
         for (i = 0, len = debouncees.length; i < len; i++) {
-          clearTimeout(debouncees[i][2]);
+          this.clock.clearTimeout(debouncees[i][2]);
         }
         debouncees = [];
 
         if (laterTimer) {
-          clearTimeout(laterTimer);
+          this.clock.clearTimeout(laterTimer);
           laterTimer = null;
         }
         timers = [];
 
         if (autorun) {
-          clearTimeout(autorun);
+          this.clock.clearTimeout(autorun);
           autorun = null;
         }
       },
 
       hasTimers: function() {
+        // A clock that controls time itself knows best which timers are
+        // still going to fire without being advanced.
+        if (this.clock.hasDueTimers) {
+          return this.clock.hasDueTimers();
+        }
+
         return !!timers.length || autorun;
       },
 
+      pendingTimers: function() {
+        var pending = [], i, l;
+
+        for (i = 0, l = timers.length; i < l; i += 2) {
+          pending.push({ type: 'later', target: timers[i + 1].target, method: timers[i + 1].method, executeAt: timers[i] });
+        }
+
+        for (i = 0, l = throttlers.length; i < l; i++) {
+          pending.push({ type: 'throttle', target: throttlers[i][0], method: throttlers[i][1], executeAt: throttlers[i][3] });
+        }
+
+        for (i = 0, l = debouncees.length; i < l; i++) {
+          pending.push({ type: 'debounce', target: debouncees[i][0], method: debouncees[i][1], executeAt: debouncees[i][3] });
+        }
+
+        return pending.sort(function(a, b) { return a.executeAt - b.executeAt; });
+      },
+
       cancel: function(timer) {
         var timerType = typeof timer;
 
@@ -6051,7 +6184,7 @@ define("backburner",
 
           if(item[2] === timer[2]){
             array.splice(index, 1);
-            clearTimeout(timer[2]);
+            this.clock.clearTimeout(timer[2]);
             return true;
           }
         }
@@ -6067,7 +6200,7 @@ define("backburner",
 
     function createAutorun(backburner) {
       backburner.begin();
-      autorun = global.setTimeout(function() {
+      autorun = backburner.clock.setTimeout(function() {
         autorun = null;
         backburner.end();
       });
@@ -6076,9 +6209,9 @@ define("backburner",
     function updateLaterTimer(self, executeAt, wait) {
       if (!laterTimer || executeAt < laterTimerExpiresAt) {
         if (laterTimer) {
-          clearTimeout(laterTimer);
+          self.clock.clearTimeout(laterTimer);
         }
-        laterTimer = global.setTimeout(function() {
+        laterTimer = self.clock.setTimeout(function() {
           laterTimer = null;
           laterTimerExpiresAt = null;
           executeTimers(self);
@@ -6088,7 +6221,7 @@ define("backburner",
     }
 
     function executeTimers(self) {
-      var now = +new Date(),
+      var now = self.clock.now(),
           time, fns, i, l;
 
       self.run(function() {
@@ -6148,12 +6281,194 @@ define("backburner",
 
 
 (function() {
+var guidFor = Ember.guidFor;
+
+// The number of extra queue flushes spent recording what a runaway run loop
+// is doing before giving up on it.
+var DIAGNOSTIC_FLUSHES = 10;
+
+/*
+  A run loop whose queues keep refilling each other, typically an observer
+  setting a property that rerenders a view whose rendering sets the property
+  again, would flush forever. Once a queue has been flushed more than
+  `Ember.ENV.RUN_LOOP_FLUSH_LIMIT` times (1000 by default, `0` turns the check
+  off) in a single run loop, Ember records the property changes and view
+  rerenders for a few more flushes and then throws an `Ember.Error` describing
+  them. The same report is available as the error's `loopReport`.
+
+  While recording, `Ember._loopRecorder` is set and is told about every
+  `Ember.propertyDidChange` on a watched key and every view `rerender`.
+*/
+Ember._loopRecorder = null;
+
+function LoopRecorder(runLoop, queueName, flushLimit) {
+  this.runLoop = runLoop;
+  this.queueName = queueName;
+  this.flushLimit = flushLimit;
+  this.changes = [];
+  this.rerenders = [];
+  this.seen = {};
+}
+
+LoopRecorder.prototype = {
+  propertyDidChange: function(obj, keyName) {
+    var key = guidFor(obj) + ':' + keyName,
+        change = this.seen[key];
+
+    if (!change) {
+      change = this.seen[key] = {
+        object: obj,
+        key: keyName,
+        count: 0,
+        observers: observerLabels(obj, keyName)
+      };
+      this.changes.push(change);
+    }
+
+    change.count++;
+  },
+
+  viewDidRerender: function(view) {
+    var key = guidFor(view),
+        rerender = this.seen[key];
+
+    if (!rerender) {
+      rerender = this.seen[key] = { view: view, count: 0 };
+      this.rerenders.push(rerender);
+    }
+
+    rerender.count++;
+  },
+
+  report: function() {
+    return {
+      queue: this.queueName,
+      flushLimit: this.flushLimit,
+      changes: this.changes,
+      rerenders: this.rerenders
+    };
+  },
+
+  toString: function() {
+    var message = "Infinite rendering loop detected: the " + this.queueName + " queue was flushed more than " + this.flushLimit + " times in a single run loop.",
+        changes = this.changes, rerenders = this.rerenders, i, l;
+
+    if (changes.length) {
+      message += "\n\nProperties changed while looping:";
+      for (i = 0, l = changes.length; i < l; i++) {
+        message += "\n  " + changes[i].object + "." + changes[i].key + " (" + changes[i].count + " times)";
+        if (changes[i].observers.length) {
+          message += ", observed by " + changes[i].observers.join(', ');
+        }
+      }
+    }
+
+    if (rerenders.length) {
+      message += "\n\nViews rerendered while looping:";
+      for (i = 0, l = rerenders.length; i < l; i++) {
+        message += "\n  " + rerenders[i].view + " (" + rerenders[i].count + " times)";
+      }
+    }
+
+    return message;
+  }
+};
+
+function observerLabels(obj, keyName) {
+  var observers = Ember.observersFor(obj, keyName),
+      labels = [], target, method;
+
+  for (var i = 0, l = observers.length; i < l; i++) {
+    target = observers[i][0] || obj;
+    method = observers[i][1];
+    if (typeof method === 'function') {
+      method = method.displayName || method.name || '(anonymous function)';
+    }
+    labels.push(target + '#' + method);
+  }
+
+  return labels;
+}
+
+function onFlushLimitExceeded(queueName, flushCount, flushLimit) {
+  var recorder = Ember._loopRecorder;
+
+  if (!recorder || recorder.runLoop !== Ember.run.currentRunLoop) {
+    Ember._loopRecorder = new LoopRecorder(Ember.run.currentRunLoop, queueName, flushLimit);
+    return;
+  }
+
+  if (flushCount <= flushLimit + DIAGNOSTIC_FLUSHES) { return; }
+
+  Ember._loopRecorder = null;
+
+  var error = new Ember.Error(recorder.toString());
+  error.loopReport = recorder.report();
+  throw error;
+}
+
+var RUN_LOOP_EVENTS = ['runloop.flush', 'runloop.queue', 'runloop.callback'];
+
+function labelFor(target, method) {
+  var name = method && (method.displayName || method.name) || '(anonymous function)';
+  return target ? target.toString() + '#' + name : name;
+}
+
+// Passes the run loop's work to `Ember.instrument` (see
+// `Ember.RunLoopProfiler`), naming it in the payload's `object`. Scheduled
+// callbacks are only instrumented for subscribers, not for
+// `Ember.STRUCTURED_PROFILE`. Unlike `Ember.instrument`, this lets the
+// exceptions of scheduled actions propagate.
+function instrumentRunLoop(name, payload, callback, binding) {
+  var error, failed = false, ret;
+
+  if (name === 'runloop.callback') {
+    if (!Ember.Instrumentation._hasListeners(name)) { return callback.call(binding); }
+    payload.object = labelFor(payload.target, payload.method);
+  } else {
+    payload.object = payload.queue || 'run loop';
+  }
+
+  ret = Ember.instrument(name, payload, function() {
+    try {
+      return callback.call(binding);
+    } catch (e) {
+      failed = true;
+      error = e;
+      throw e;
+    }
+  });
+
+  if (failed) { throw error; }
+
+  return ret;
+}
+
+// Instrumenting every queue and callback is costly, so the run loop is only
+// instrumented while `Ember.STRUCTURED_PROFILE` is on or something
+// subscribes to its events.
+function isRunLoopInstrumented() {
+  if (Ember.STRUCTURED_PROFILE) { return true; }
+
+  for (var i = 0, l = RUN_LOOP_EVENTS.length; i < l; i++) {
+    if (Ember.Instrumentation._hasListeners(RUN_LOOP_EVENTS[i])) { return true; }
+  }
+
+  return false;
+}
+
 var onBegin = function(current) {
   Ember.run.currentRunLoop = current;
+  backburner.options.instrument = isRunLoopInstrumented() ? instrumentRunLoop : null;
 };
 
 var onEnd = function(current, next) {
   Ember.run.currentRunLoop = next;
+
+  // The loop settled on its own while it was being recorded.
+  if (Ember._loopRecorder && Ember._loopRecorder.runLoop === current) {
+    Ember._loopRecorder = null;
+  }
 };
 
 var Backburner = requireModule('backburner').Backburner,
@@ -6164,7 +6479,9 @@ var Backburner = requireModule('backburner').Backburner,
       },
       defaultQueue: 'actions',
       onBegin: onBegin,
-      onEnd: onEnd
+      onEnd: onEnd,
+      flushLimit: Ember.ENV.RUN_LOOP_FLUSH_LIMIT === undefined ? 1000 : Ember.ENV.RUN_LOOP_FLUSH_LIMIT,
+      onFlushLimitExceeded: onFlushLimitExceeded
     }),
     slice = [].slice,
     concat = [].concat;
@@ -6419,6 +6736,11 @@ Ember.run.cancelTimers = function () {
   backburner.cancelTimers();
 };
 
+// Used by ember-testing to describe the timers a test is waiting on
+Ember.run.pendingTimers = function() {
+  return backburner.pendingTimers();
+};
+
 /**
   Immediately flushes any events scheduled in the 'sync' queue. Bindings
   use this queue so this method is a useful way to immediately force all
@@ -6648,7 +6970,9 @@ Ember.run.next = function() {
   @return {Boolean} true if cancelled or false/undefined if it wasn't found
 */
 Ember.run.cancel = function(timer) {
-  return backburner.cancel(timer);
+  return Ember.instrument('runloop.cancel', { timer: timer }, function() {
+    return backburner.cancel(timer);
+  });
 };
 
 /**
@@ -6766,6 +7090,175 @@ function checkAutoRun() {
 
 
 
+(function() {
+/**
+@module ember-metal
+*/
+
+/*
+  The run loop reports its work through `Ember.Instrumentation`:
+
+  * `runloop.flush`: a run loop flushing its queues. The payload contains
+    the `queueNames`.
+  * `runloop.queue`: one pass over a queue. The payload contains the
+    `queue` name, the number of scheduled actions (`size`) and the
+    `flushCount`; a `flushCount` above 1 means the queue was flushed again
+    because actions were rescheduled into it.
+  * `runloop.callback`: a scheduled action being invoked. The payload
+    contains the `queue`, `target`, `method` and `flushCount`.
+
+  Each payload's `object` names the queue or the scheduled action. These
+  events are only sent while something subscribes to them.
+  * `runloop.cancel`: `Ember.run.cancel` being called. The payload contains
+    the `timer`.
+*/
+
+/**
+  `Ember.RunLoopProfiler` subscribes to the run loop's instrumentation events
+  and records a timeline of every run loop, along with the time spent in each
+  queue and scheduled callback.
+
+  ```javascript
+  var profiler = new Ember.RunLoopProfiler();
+  profiler.start();
+
+  // ... interact with the application ...
+
+  profiler.stop();
+  profiler.slowest(5).forEach(function(callback) {
+    Ember.Logger.log(callback.label, callback.queue, callback.duration);
+  });
+  ```
+
+  Each run loop in the `timeline` has a `duration`, whether it was `nested`
+  inside another run loop's callback and the `queues` it flushed, in order. Each queue entry has its `queue` name, `flushCount`,
+  `duration` and the `callbacks` it invoked, each with its `queue`,
+  `target`, `method`, `label`, `flushCount` and `duration`. Durations are in
+  milliseconds.
+
+  @class RunLoopProfiler
+  @namespace Ember
+  @constructor
+*/
+var RunLoopProfiler = Ember.RunLoopProfiler = function() {
+  this.reset();
+};
+
+RunLoopProfiler.prototype = {
+  /**
+    Starts recording run loops.
+
+    @method start
+  */
+  start: function() {
+    if (this._subscriber) { return; }
+
+    var profiler = this;
+
+    this._subscriber = Ember.Instrumentation.subscribe('runloop', {
+      before: function(name, timestamp, payload) {
+        return profiler._before(name, timestamp, payload);
+      },
+
+      after: function(name, timestamp, payload, record) {
+        profiler._after(record, timestamp);
+      }
+    });
+  },
+
+  /**
+    Stops recording run loops. The recorded timeline is kept.
+
+    @method stop
+  */
+  stop: function() {
+    if (!this._subscriber) { return; }
+
+    Ember.Instrumentation.unsubscribe(this._subscriber);
+    this._subscriber = null;
+    this._stack = [];
+  },
+
+  /**
+    Discards the recorded timeline.
+
+    @method reset
+  */
+  reset: function() {
+    this.timeline = [];
+    this.callbacks = [];
+    this._stack = [];
+  },
+
+  /**
+    Returns the `count` slowest callbacks recorded, slowest first.
+
+    @method slowest
+    @param {Number} count the number of callbacks to return, defaults to 10
+    @return {Array} the callbacks
+  */
+  slowest: function(count) {
+    var callbacks = this.callbacks.slice();
+
+    callbacks.sort(function(a, b) { return b.duration - a.duration; });
+
+    return callbacks.slice(0, count || 10);
+  },
+
+  _before: function(name, timestamp, payload) {
+    var stack = this._stack,
+        parent = stack[stack.length - 1],
+        record;
+
+    if (name === 'runloop.flush') {
+      record = { start: timestamp, duration: null, nested: !!parent, queues: [] };
+      this.timeline.push(record);
+    } else if (name === 'runloop.queue') {
+      record = {
+        queue: payload.queue,
+        flushCount: payload.flushCount,
+        start: timestamp,
+        duration: null,
+        callbacks: []
+      };
+      if (parent && parent.queues) { parent.queues.push(record); }
+    } else if (name === 'runloop.callback') {
+      record = {
+        queue: payload.queue,
+        target: payload.target,
+        method: payload.method,
+        label: payload.object,
+        flushCount: payload.flushCount,
+        start: timestamp,
+        duration: null
+      };
+      if (parent && parent.callbacks) { parent.callbacks.push(record); }
+      this.callbacks.push(record);
+    } else {
+      // e.g. `runloop.cancel`
+      return null;
+    }
+
+    stack.push(record);
+
+    return record;
+  },
+
+  _after: function(record, timestamp) {
+    var stack = this._stack;
+
+    if (!record) { return; }
+
+    if (stack[stack.length - 1] === record) { stack.pop(); }
+
+    record.duration = timestamp - record.start;
+  }
+};
+
+})();
+
+
+
 (function() {
 // Ember.Logger
 // get
@@ -10423,6 +10916,19 @@ define("container",
       */
       injections: null,
 
+      /**
+        When set on a child container, it only creates the objects it
+        resolves itself, i.e. the ones registered on it or found by its own
+        `resolver`, and leaves every other lookup to its parent. The objects
+        the parent creates, like its singletons, are then shared instead of
+        being created once more for the child.
+
+        @property delegatesToParent
+        @type Boolean
+        @default false
+      */
+      delegatesToParent: false,
+
       /**
         @private
 
@@ -10593,6 +11099,21 @@ define("container",
         return fullName;
       },
 
+      /**
+        A hook the resolver can provide to list the fullNames of a type that
+        it would resolve without them being registered, as the keys of the
+        returned object. Used by `registrations` and `injectionGraph`. A child
+        container that shares its parent's resolver asks the parent.
+
+        @method knownForType
+        @param {String} type
+        @return {Object} fullNames as keys
+      */
+      knownForType: function(type) {
+        var parent = this.parent;
+        return parent && parent.resolver === this.resolver ? parent.knownForType(type) : {};
+      },
+
       /**
         A hook to enable custom fullName normalization behaviour
 
@@ -10930,6 +11451,187 @@ define("container",
         addInjection(this.factoryInjections, normalizedName, property, normalizedInjectionName);
       },
 
+      /**
+        Lists everything this container can look up: the registered factories,
+        including the ones inherited from parent containers, and the ones the
+        resolver reports through `knownForType`.
+
+        ```javascript
+        container.registrations('controller');
+        // => [{ fullName: 'controller:basic', source: 'registry', ... },
+        //     { fullName: 'controller:post', source: 'resolver', ... }]
+        ```
+
+        Each entry has the `fullName`, its `source` (`'registry'` or
+        `'resolver'`), the `factory`, the effective `options` and whether an
+        instance of it is cached (`isCached`).
+
+        Without a type, the resolver is asked about every type the container
+        has registrations, options or injection rules for.
+
+        @method registrations
+        @param {String} type (optional)
+        @return {Array}
+      */
+      registrations: function(type) {
+        var container = this,
+            registrations = [],
+            seen = {},
+            types = type ? [type] : knownTypes(this);
+
+        function add(fullName, factory, source) {
+          seen[fullName] = true;
+          registrations.push({
+            fullName: fullName,
+            source: source,
+            factory: factory,
+            options: optionsFor(container, fullName),
+            isCached: container.cache.has(fullName)
+          });
+        }
+
+        eachInherited(this.registry, function(fullName, factory) {
+          if (!type || typeOf(fullName) === type) {
+            add(fullName, factory, 'registry');
+          }
+        });
+
+        for (var i = 0, l = types.length; i < l; i++) {
+          var known = this.knownForType(types[i]) || {};
+
+          for (var fullName in known) {
+            var normalizedName = this.normalize(fullName);
+
+            if (known.hasOwnProperty(fullName) && !seen[normalizedName]) {
+              add(normalizedName, this.resolve(normalizedName), 'resolver');
+            }
+          }
+        }
+
+        return registrations.sort(function(a, b) {
+          return a.fullName < b.fullName ? -1 : (a.fullName > b.fullName ? 1 : 0);
+        });
+      },
+
+      /**
+        Lists the injection rules of this container as objects with the `kind`
+        of rule (`'typeInjection'`, `'injection'`, `'factoryTypeInjection'` or
+        `'factoryInjection'`), the `target` type or fullName, the injected
+        `property` and the `fullName` that is injected.
+
+        ```javascript
+        container.injection('controller', 'router', 'router:main');
+
+        container.injectionRules();
+        // => [{ kind: 'typeInjection', target: 'controller', property: 'router', fullName: 'router:main' }]
+        ```
+
+        @method injectionRules
+        @return {Array}
+      */
+      injectionRules: function() {
+        var rules = [];
+
+        function add(kind) {
+          return function(target, injections) {
+            for (var i = 0, l = injections.length; i < l; i++) {
+              rules.push({ kind: kind, target: target, property: injections[i].property, fullName: injections[i].fullName });
+            }
+          };
+        }
+
+        eachInherited(this.typeInjections, add('typeInjection'));
+        eachOwn(this.injections, add('injection'));
+        eachInherited(this.factoryTypeInjections, add('factoryTypeInjection'));
+        eachOwn(this.factoryInjections, add('factoryInjection'));
+
+        return rules;
+      },
+
+      /**
+        Lists the instances this container has cached, as objects with a
+        `fullName` and the `instance`.
+
+        @method singletons
+        @return {Array}
+      */
+      singletons: function() {
+        var singletons = [];
+
+        eachInherited(this.cache, function(fullName, instance) {
+          singletons.push({ fullName: fullName, instance: instance });
+        });
+
+        return singletons;
+      },
+
+      /**
+        Describes which factories get which objects injected. Type injection
+        rules are expanded to every fullName of that type `registrations`
+        knows about.
+
+        By default the graph is returned as an object with `nodes`, each with
+        an `id` (the fullName) and its `source`, and `edges`, each with the
+        injected fullName as `from`, the fullName it is injected into as `to`,
+        the `property` and the `kind` of rule. Passing `'dot'` returns the
+        same graph as Graphviz source instead, drawing factory injections as
+        dashed edges and the factories only the resolver knows about as dotted
+        nodes:
+
+        ```javascript
+        console.log(container.injectionGraph('dot'));
+        // digraph container {
+        //   "router:main" -> "controller:post" [label="target"];
+        //   ...
+        // }
+        ```
+
+        @method injectionGraph
+        @param {String} format `'json'` (default) or `'dot'`
+        @return {Object|String}
+      */
+      injectionGraph: function(format) {
+        var registrations = this.registrations(),
+            rules = this.injectionRules(),
+            nodes = [],
+            edges = [],
+            nodeIndex = {},
+            i, l;
+
+        function addNode(fullName, source) {
+          if (!nodeIndex.hasOwnProperty(fullName)) {
+            nodeIndex[fullName] = nodes.length;
+            nodes.push({ id: fullName, source: source });
+          }
+        }
+
+        for (i = 0, l = registrations.length; i < l; i++) {
+          addNode(registrations[i].fullName, registrations[i].source);
+        }
+
+        for (i = 0, l = rules.length; i < l; i++) {
+          var rule = rules[i];
+
+          addNode(rule.fullName, 'unknown');
+
+          if (rule.target.indexOf(':') !== -1) {
+            addNode(rule.target, 'unknown');
+            edges.push({ from: rule.fullName, to: rule.target, property: rule.property, kind: rule.kind });
+            continue;
+          }
+
+          for (var j = 0, k = registrations.length; j < k; j++) {
+            if (typeOf(registrations[j].fullName) === rule.target) {
+              edges.push({ from: rule.fullName, to: registrations[j].fullName, property: rule.property, kind: rule.kind });
+            }
+          }
+        }
+
+        var graph = { nodes: nodes, edges: edges };
+
+        return format === 'dot' ? graphToDOT(graph) : graph;
+      },
+
       /**
         A depth first traversal, destroying the container, its descendant containers and all
         their managed objects.
@@ -10937,16 +11639,29 @@ define("container",
         @method destroy
       */
       destroy: function() {
-        for (var i=0, l=this.children.length; i<l; i++) {
-          this.children[i].destroy();
-        }
+        var children = this.children, i, l;
 
         this.children = [];
 
+        for (i=0, l=children.length; i<l; i++) {
+          children[i].destroy();
+        }
+
         eachDestroyable(this, function(item) {
           item.destroy();
         });
 
+        if (this.parent) {
+          var siblings = this.parent.children;
+
+          for (i=0, l=siblings.length; i<l; i++) {
+            if (siblings[i] === this) {
+              siblings.splice(i, 1);
+              break;
+            }
+          }
+        }
+
         this.parent = undefined;
         this.isDestroyed = true;
       },
@@ -10963,6 +11678,10 @@ define("container",
     };
 
     function has(container, fullName){
+      if (isDelegated(container, fullName)) {
+        return has(container.parent, container.parent.normalize(fullName));
+      }
+
       if (container.cache.has(fullName)) {
         return true;
       }
@@ -10973,6 +11692,10 @@ define("container",
     function lookup(container, fullName, options) {
       options = options || {};
 
+      if (isDelegated(container, fullName)) {
+        return lookup(container.parent, container.parent.normalize(fullName), options);
+      }
+
       if (container.cache.has(fullName) && options.singleton !== false) {
         return container.cache.get(fullName);
       }
@@ -10988,6 +11711,15 @@ define("container",
       return value;
     }
 
+    // Whether a child container with `delegatesToParent` leaves fullName to
+    // its parent.
+    function isDelegated(container, fullName) {
+      return container.delegatesToParent && !!container.parent &&
+             !container.registry.dict.hasOwnProperty(fullName) &&
+             !container.cache.dict.hasOwnProperty(fullName) &&
+             !container.resolver(fullName);
+    }
+
     function illegalChildOperation(operation) {
       throw new Error(operation + " is not currently supported on child containers");
     }
@@ -10998,7 +11730,7 @@ define("container",
       return singleton !== false;
     }
 
-    function buildInjections(container, injections) {
+    function buildInjections(container, injections, fullName) {
       var hash = {};
 
       if (!injections) { return hash; }
@@ -11012,7 +11744,8 @@ define("container",
         if (injectable !== undefined) {
           hash[injection.property] = injectable;
         } else {
-          throw new Error('Attempting to inject an unknown injection: `' + injection.fullName + '`');
+          throw new Error('Attempting to inject an unknown injection: `' + injection.fullName + '` into `' +
+                          fullName + '` as `' + injection.property + '`');
         }
       }
 
@@ -11035,6 +11768,10 @@ define("container",
     }
 
     function factoryFor(container, fullName) {
+      if (isDelegated(container, fullName)) {
+        return factoryFor(container.parent, container.parent.normalize(fullName));
+      }
+
       var name = fullName;
       var factory = container.resolve(name);
       var injectedFactory;
@@ -11075,7 +11812,7 @@ define("container",
       injections = injections.concat(container.typeInjections.get(type) || []);
       injections = injections.concat(container.injections[fullName] || []);
 
-      injections = buildInjections(container, injections);
+      injections = buildInjections(container, injections, fullName);
       injections._debugContainerKey = fullName;
       injections.container = container;
 
@@ -11090,7 +11827,7 @@ define("container",
       factoryInjections = factoryInjections.concat(container.factoryTypeInjections.get(type) || []);
       factoryInjections = factoryInjections.concat(container.factoryInjections[fullName] || []);
 
-      factoryInjections = buildInjections(container, factoryInjections);
+      factoryInjections = buildInjections(container, factoryInjections, fullName);
       factoryInjections._debugContainerKey = fullName;
 
       return factoryInjections;
@@ -11145,6 +11882,87 @@ define("container",
       });
     }
 
+    function typeOf(fullName) {
+      return fullName.split(':')[0];
+    }
+
+    function optionsFor(container, fullName) {
+      var typeOptions = container._typeOptions.get(typeOf(fullName)) || {},
+          ownOptions = container._options.get(fullName) || {},
+          options = {}, key;
+
+      for (key in typeOptions) { options[key] = typeOptions[key]; }
+      for (key in ownOptions) { options[key] = ownOptions[key]; }
+
+      return options;
+    }
+
+    // Calls back with every key of an InheritingDict, including the inherited
+    // ones that are not overridden.
+    function eachInherited(dict, callback) {
+      var seen = {};
+
+      for (var current = dict; current; current = current.parent) {
+        current.eachLocal(function(key, value) {
+          if (!seen.hasOwnProperty(key)) {
+            seen[key] = true;
+            callback(key, value);
+          }
+        });
+      }
+    }
+
+    function eachOwn(hash, callback) {
+      for (var key in hash) {
+        if (hash.hasOwnProperty(key)) { callback(key, hash[key]); }
+      }
+    }
+
+    function knownTypes(container) {
+      var types = [], seen = {};
+
+      function add(type) {
+        if (!seen[type]) {
+          seen[type] = true;
+          types.push(type);
+        }
+      }
+
+      function addFullName(fullName) { add(typeOf(fullName)); }
+
+      eachInherited(container.registry, addFullName);
+      eachInherited(container._typeOptions, add);
+      eachInherited(container.typeInjections, add);
+      eachInherited(container.factoryTypeInjections, add);
+      eachOwn(container.injections, addFullName);
+      eachOwn(container.factoryInjections, addFullName);
+
+      return types;
+    }
+
+    function graphToDOT(graph) {
+      var lines = ['digraph container {'], i, l;
+
+      function quote(id) {
+        return '"' + id.replace(/"/g, '\\"') + '"';
+      }
+
+      for (i = 0, l = graph.nodes.length; i < l; i++) {
+        lines.push('  ' + quote(graph.nodes[i].id) + (graph.nodes[i].source === 'resolver' ? ' [style=dotted];' : ';'));
+      }
+
+      for (i = 0, l = graph.edges.length; i < l; i++) {
+        var edge = graph.edges[i],
+            style = edge.kind.indexOf('factory') === 0 ? ', style=dashed' : '';
+
+        lines.push('  ' + quote(edge.from) + ' -> ' + quote(edge.to) + ' [label=' + quote(edge.property) + style + '];');
+      }
+
+      lines.push('}');
+
+      return lines.join('\n');
+    }
+
     var VALID_FULL_NAME_REGEXP = /^[^:]+.+:[^:]+$/;
     function validateFullName(fullName) {
       if (!VALID_FULL_NAME_REGEXP.test(fullName)) {
@@ -18895,6 +19713,178 @@ Ember.Container.set = Ember.set;
 
 
 
+(function() {
+/**
+@module ember
+@submodule ember-runtime
+*/
+
+var get = Ember.get,
+    o_create = Ember.create,
+    ComputedProperty = Ember.ComputedProperty;
+
+/**
+  A computed property that looks its value up from the object's container
+  the first time it is read. See `Ember.inject`.
+
+  @class InjectedProperty
+  @namespace Ember
+  @extends Ember.ComputedProperty
+  @constructor
+  @param {String} fullName the `type:name` to look up, or only the type to
+    use the property's name as the name
+*/
+function InjectedProperty(fullName) {
+  var property = this;
+
+  this.fullName = fullName;
+
+  ComputedProperty.call(this, function(keyName) {
+    return property.lookup(this, keyName);
+  });
+}
+
+Ember.InjectedProperty = InjectedProperty;
+InjectedProperty.prototype = o_create(ComputedProperty.prototype);
+
+/**
+  The `type:name` this property looks up when read as `keyName`.
+
+  @method fullNameFor
+  @param {String} keyName
+  @return {String}
+*/
+InjectedProperty.prototype.fullNameFor = function(keyName) {
+  return this.fullName.indexOf(':') === -1 ? this.fullName + ':' + keyName : this.fullName;
+};
+
+/**
+  Looks the injected object up from `obj`'s container.
+
+  @method lookup
+  @param {Object} obj
+  @param {String} keyName
+  @return {Object}
+*/
+InjectedProperty.prototype.lookup = function(obj, keyName) {
+  var fullName = this.fullNameFor(keyName),
+      container = get(obj, 'container'),
+      injection;
+
+  
+  injection = container.lookup(fullName);
+
+  
+  return injection;
+};
+
+/**
+  Defines a property that is looked up from the object's container the
+  first time it is read, then cached. Unlike injections set up with
+  `Container#injection` in an initializer, the dependency is declared where
+  it is used, and only looked up by the objects that need it. It works for
+  every object created by the container, like routes, controllers, views
+  and components.
+
+  ```javascript
+  App.PostController = Ember.ObjectController.extend({
+    session: Ember.inject('session:main'),
+
+    // with only a type, the property's name is the name: `service:analytics`
+    analytics: Ember.inject('service'),
+
+    actions: {
+      publish: function() {
+        this.get('analytics').track('publish', this.get('session.user'));
+      }
+    }
+  });
+  ```
+
+  The injected object can be replaced by setting the property, which is
+  handy in unit tests:
+
+  ```javascript
+  var controller = App.PostController.create({
+    session: Ember.Object.create({ user: 'tomster' })
+  });
+  ```
+
+  @method inject
+  @for Ember
+  @param {String} fullName the `type:name` to look up, or only the type to
+    use the property's name as the name
+  @return {Ember.InjectedProperty}
+*/
+Ember.inject = function(fullName) {
+  
+  return new InjectedProperty(fullName);
+};
+
+})();
+
+
+
+(function() {
+/**
+@module ember
+@submodule ember-runtime
+*/
+
+/**
+  A service is an object that lives as long as the application and is shared
+  by everything that uses it, like the current session, an analytics client
+  or a websocket connection.
+
+  Services are registered with the `service` type, and the default resolver
+  finds `service:session` as `App.SessionService`. Each is created the first
+  time it is looked up and destroyed when the application is destroyed or
+  reset:
+
+  ```javascript
+  App.SessionService = Ember.Service.extend({
+    user: null,
+
+    willDestroy: function() {
+      this.get('socket').close();
+    }
+  });
+
+  App.PostController = Ember.ObjectController.extend({
+    session: Ember.inject.service()
+  });
+  ```
+
+  @class Service
+  @namespace Ember
+  @extends Ember.Object
+*/
+Ember.Service = Ember.Object.extend();
+
+/**
+  Defines a property that looks up `service:name` the first time it is read,
+  see `Ember.inject`. Without a name, the property's name is used.
+
+  ```javascript
+  App.PostRoute = Ember.Route.extend({
+    session: Ember.inject.service(),
+    tracker: Ember.inject.service('analytics')
+  });
+  ```
+
+  @method service
+  @for Ember.inject
+  @param {String} name (optional)
+  @return {Ember.InjectedProperty}
+*/
+Ember.inject.service = function(name) {
+  return Ember.inject(name ? 'service:' + name : 'service');
+};
+
+})();
+
+
+
 (function() {
 Ember.Application = Ember.Namespace.extend();
 
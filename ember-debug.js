@@ -52,6 +52,115 @@ if (!('MANDATORY_SETTER' in Ember.ENV)) {
   Ember.ENV.MANDATORY_SETTER = true; // default to true for debug dist
 }
 
+/**
+  Debugging hooks used by `Ember.assert`, `Ember.warn` and
+  `Ember.deprecate`. Like them, these are only available in debug builds.
+
+  @class Debug
+  @namespace Ember
+*/
+Ember.Debug = {};
+
+var DEFAULT_HANDLERS = {
+  assert: function(message) {
+    throw new Ember.Error("Assertion Failed: " + message);
+  },
+
+  warn: function(message) {
+    Ember.Logger.warn("WARNING: "+message);
+    if ('trace' in Ember.Logger) Ember.Logger.trace();
+  },
+
+  deprecate: function(message) {
+    if (Ember.ENV.RAISE_ON_DEPRECATION) {
+      throw new Ember.Error(message);
+    }
+
+    logDeprecation(message);
+  }
+};
+
+var debugHandlers = {
+  assert: [],
+  warn: [],
+  deprecate: []
+};
+
+function invokeHandlers(type, message, options) {
+  var handlers = debugHandlers[type];
+
+  function invoke(index, message, options) {
+    if (index < 0) { return DEFAULT_HANDLERS[type](message, options); }
+
+    return handlers[index](message, options, function(nextMessage, nextOptions) {
+      return invoke(index - 1,
+                    arguments.length > 0 ? nextMessage : message,
+                    arguments.length > 1 ? nextOptions : options);
+    });
+  }
+
+  return invoke(handlers.length - 1, message, options);
+}
+
+/**
+  Registers a handler for failed assertions (`'assert'`), warnings
+  (`'warn'`) or deprecations (`'deprecate'`). Handlers are called with the
+  message, the options passed to `Ember.warn` or `Ember.deprecate` (an
+  empty object for assertions) and a `next` function.
+
+  The most recently registered handler is called first. Calling `next`
+  defers to the previously registered handler and eventually to the
+  default behavior: throwing an `Ember.Error` for assertions, logging
+  with `Ember.Logger.warn` for warnings, and logging deprecations, or
+  throwing if `Ember.ENV.RAISE_ON_DEPRECATION` is set. A handler that does
+  not call `next` swallows the assertion, warning or deprecation.
+
+  ```javascript
+  // Report assertions before they are thrown
+  Ember.Debug.registerHandler('assert', function(message, options, next) {
+    Telemetry.report(message);
+    next();
+  });
+
+  // Silence a noisy warning
+  Ember.Debug.registerHandler('warn', function(message, options, next) {
+    if (options.id !== 'ember-views.some-warning') { next(); }
+  });
+
+  // Silence a known deprecation and raise on another one
+  Ember.Debug.registerHandler('deprecate', function(message, options, next) {
+    if (options.id === 'ember-handlebars.bind-attr') { return; }
+    if (options.id === 'ember-routing.link-to') { throw new Ember.Error(message); }
+    next();
+  });
+  ```
+
+  `next` may be called with a different message and options.
+
+  @method registerHandler
+  @param {String} type `'assert'`, `'warn'` or `'deprecate'`
+  @param {Function} handler
+*/
+Ember.Debug.registerHandler = function(type, handler) {
+  Ember.assert("Unknown debug handler type '" + type + "'. Use 'assert', 'warn' or 'deprecate'", debugHandlers[type]);
+  debugHandlers[type].push(handler);
+};
+
+/**
+  Removes a handler registered with `Ember.Debug.registerHandler`.
+
+  @method unregisterHandler
+  @param {String} type `'assert'`, `'warn'` or `'deprecate'`
+  @param {Function} handler
+*/
+Ember.Debug.unregisterHandler = function(type, handler) {
+  var handlers = debugHandlers[type] || [];
+
+  for (var i = handlers.length - 1; i >= 0; i--) {
+    if (handlers[i] === handler) { handlers.splice(i, 1); }
+  }
+};
+
 /**
   Define an assertion that will throw an exception if the condition is not
   met. Ember build tools will remove any calls to `Ember.assert()` when
@@ -64,6 +173,8 @@ if (!('MANDATORY_SETTER' in Ember.ENV)) {
   Ember.assert('This code path should never be run')
   ```
 
+  Failed assertions can be intercepted with `Ember.Debug.registerHandler`.
+
   @method assert
   @param {String} desc A description of the assertion. This will become
     the text of the Error thrown if the assertion fails.
@@ -72,7 +183,7 @@ if (!('MANDATORY_SETTER' in Ember.ENV)) {
 */
 Ember.assert = function(desc, test) {
   if (!test) {
-    throw new Ember.Error("Assertion Failed: " + desc);
+    invokeHandlers('assert', desc, {});
   }
 };
 
@@ -81,15 +192,18 @@ Ember.assert = function(desc, test) {
   Display a warning with the provided message. Ember build tools will
   remove any calls to `Ember.warn()` when doing a production build.
 
+  Warnings can be intercepted with `Ember.Debug.registerHandler`.
+
   @method warn
   @param {String} message A warning to display.
   @param {Boolean} test An optional boolean. If falsy, the warning
     will be displayed.
+  @param {Object} options An optional object with the `id` of the warning,
+    passed on to the registered handlers.
 */
-Ember.warn = function(message, test) {
+Ember.warn = function(message, test, options) {
   if (!test) {
-    Ember.Logger.warn("WARNING: "+message);
-    if ('trace' in Ember.Logger) Ember.Logger.trace();
+    invokeHandlers('warn', message, options || {});
   }
 };
 
@@ -108,48 +222,140 @@ Ember.debug = function(message) {
   Ember.Logger.debug("DEBUG: "+message);
 };
 
+var deprecationReport = {},
+    deprecationError;
+
+// Returns the frames of the stack trace of `error`, which was thrown in
+// `Ember.deprecate`, from the caller of `Ember.deprecate` on.
+function deprecationStack(error) {
+  var stack;
+
+  if (error['arguments'] || /^\s+at\s+/m.test(error.stack)) {
+    // Chrome
+    stack = error.stack.replace(/^\s+at\s+/gm, '').
+                        replace(/^([^\(]+?)([\n$])/gm, '{anonymous}($1)$2').
+                        replace(/^Object.<anonymous>\s*\(([^\)]+)\)/gm, '{anonymous}($1)').split('\n');
+    stack.shift();
+  } else {
+    // Firefox
+    stack = error.stack.replace(/(?:\n@:0)?\s+$/m, '').
+                        replace(/^\(/gm, '{anonymous}(').split('\n');
+  }
+
+  // The first frame is `Ember.deprecate` itself.
+  return stack.slice(1);
+}
+
+function logDeprecation(message) {
+  if (Ember.LOG_STACKTRACE_ON_DEPRECATION && deprecationError && deprecationError.stack) {
+    message = message + "\n    " + deprecationStack(deprecationError).join("\n    ");
+  }
+
+  Ember.Logger.warn("DEPRECATION: "+message);
+}
+
+function recordDeprecation(message, options) {
+  var key = options.id || message,
+      entry = deprecationReport[key];
+
+  if (!entry) {
+    entry = deprecationReport[key] = {
+      id: options.id || null,
+      until: options.until || null,
+      count: 0,
+      messages: []
+    };
+  }
+
+  entry.count++;
+
+  for (var i = 0, l = entry.messages.length; i < l; i++) {
+    if (entry.messages[i] === message) { return; }
+  }
+  entry.messages.push(message);
+}
+
+/**
+  Returns every deprecation that was triggered since the report was last
+  cleared, regardless of how it was handled. Each entry has the
+  deprecation's `id` and `until` version, the number of times it was
+  triggered and its distinct messages. Deprecations without an id are
+  keyed by their message.
+
+  The report can be serialized with `JSON.stringify`, for example at the
+  end of a test run:
+
+  ```javascript
+  QUnit.done(function() {
+    console.log(JSON.stringify(Ember.Debug.deprecationReport()));
+  });
+  ```
+
+  @method deprecationReport
+  @return {Array} the report entries
+*/
+Ember.Debug.deprecationReport = function() {
+  var report = [], key;
+
+  for (key in deprecationReport) {
+    if (deprecationReport.hasOwnProperty(key)) { report.push(deprecationReport[key]); }
+  }
+
+  return report;
+};
+
+/**
+  Clears the entries collected for `Ember.Debug.deprecationReport`.
+
+  @method clearDeprecationReport
+*/
+Ember.Debug.clearDeprecationReport = function() {
+  deprecationReport = {};
+};
+
 /**
   Display a deprecation warning with the provided message and a stack trace
   (Chrome and Firefox only). Ember build tools will remove any calls to
   `Ember.deprecate()` when doing a production build.
 
+  Deprecations should carry a stable `id`, which handlers registered with
+  `Ember.Debug.registerHandler` can use to silence or raise on specific
+  deprecations, and the version in which the deprecated behavior will be
+  removed (`until`):
+
+  ```javascript
+  Ember.deprecate('Ember.Foo is deprecated, please use Ember.Bar', false, {
+    id: 'ember-runtime.foo',
+    until: '2.0.0'
+  });
+  ```
+
   @method deprecate
   @param {String} message A description of the deprecation.
   @param {Boolean} test An optional boolean. If falsy, the deprecation
     will be displayed.
+  @param {Object} options An optional object with the `id` and `until`
+    of the deprecation.
 */
-Ember.deprecate = function(message, test) {
+Ember.deprecate = function(message, test, options) {
   if (Ember.TESTING_DEPRECATION) { return; }
 
   if (arguments.length === 1) { test = false; }
   if (test) { return; }
 
-  if (Ember.ENV.RAISE_ON_DEPRECATION) { throw new Ember.Error(message); }
+  options = options || {};
+  recordDeprecation(message, options);
 
-  var error;
+  var previousError = deprecationError;
 
   // When using new Error, we can't do the arguments check for Chrome. Alternatives are welcome
-  try { __fail__.fail(); } catch (e) { error = e; }
-
-  if (Ember.LOG_STACKTRACE_ON_DEPRECATION && error.stack) {
-    var stack, stackStr = '';
-    if (error['arguments']) {
-      // Chrome
-      stack = error.stack.replace(/^\s+at\s+/gm, '').
-                          replace(/^([^\(]+?)([\n$])/gm, '{anonymous}($1)$2').
-                          replace(/^Object.<anonymous>\s*\(([^\)]+)\)/gm, '{anonymous}($1)').split('\n');
-      stack.shift();
-    } else {
-      // Firefox
-      stack = error.stack.replace(/(?:\n@:0)?\s+$/m, '').
-                          replace(/^\(/gm, '{anonymous}(').split('\n');
-    }
+  try { __fail__.fail(); } catch (e) { deprecationError = e; }
 
-    stackStr = "\n    " + stack.slice(2).join("\n    ");
-    message = message + stackStr;
+  try {
+    invokeHandlers('deprecate', message, options);
+  } finally {
+    deprecationError = previousError;
   }
-
-  Ember.Logger.warn("DEPRECATION: "+message);
 };
 
 
@@ -164,17 +370,24 @@ Ember.deprecate = function(message, test) {
   no warnings will be shown in production.
 
   ```javascript
-  Ember.oldMethod = Ember.deprecateFunc("Please use the new, updated method", Ember.newMethod);
+  Ember.oldMethod = Ember.deprecateFunc("Please use the new, updated method", { id: 'old-method', until: '2.0.0' }, Ember.newMethod);
   ```
 
   @method deprecateFunc
   @param {String} message A description of the deprecation.
+  @param {Object} options An optional object with the `id` and `until`
+    of the deprecation (see `Ember.deprecate`).
   @param {Function} func The new function called to replace its deprecated counterpart.
   @return {Function} a new function that wrapped the original function with a deprecation warning
 */
-Ember.deprecateFunc = function(message, func) {
+Ember.deprecateFunc = function(message, options, func) {
+  if (typeof options === 'function') {
+    func = options;
+    options = undefined;
+  }
+
   return function() {
-    Ember.deprecate(message);
+    Ember.deprecate(message, false, options);
     return func.apply(this, arguments);
   };
 };
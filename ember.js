@@ -50,6 +50,115 @@ if (!('MANDATORY_SETTER' in Ember.ENV)) {
   Ember.ENV.MANDATORY_SETTER = true; // default to true for debug dist
 }
 
+/**
+  Debugging hooks used by `Ember.assert`, `Ember.warn` and
+  `Ember.deprecate`. Like them, these are only available in debug builds.
+
+  @class Debug
+  @namespace Ember
+*/
+Ember.Debug = {};
+
+var DEFAULT_HANDLERS = {
+  assert: function(message) {
+    throw new Ember.Error("Assertion Failed: " + message);
+  },
+
+  warn: function(message) {
+    Ember.Logger.warn("WARNING: "+message);
+    if ('trace' in Ember.Logger) Ember.Logger.trace();
+  },
+
+  deprecate: function(message) {
+    if (Ember.ENV.RAISE_ON_DEPRECATION) {
+      throw new Ember.Error(message);
+    }
+
+    logDeprecation(message);
+  }
+};
+
+var debugHandlers = {
+  assert: [],
+  warn: [],
+  deprecate: []
+};
+
+function invokeHandlers(type, message, options) {
+  var handlers = debugHandlers[type];
+
+  function invoke(index, message, options) {
+    if (index < 0) { return DEFAULT_HANDLERS[type](message, options); }
+
+    return handlers[index](message, options, function(nextMessage, nextOptions) {
+      return invoke(index - 1,
+                    arguments.length > 0 ? nextMessage : message,
+                    arguments.length > 1 ? nextOptions : options);
+    });
+  }
+
+  return invoke(handlers.length - 1, message, options);
+}
+
+/**
+  Registers a handler for failed assertions (`'assert'`), warnings
+  (`'warn'`) or deprecations (`'deprecate'`). Handlers are called with the
+  message, the options passed to `Ember.warn` or `Ember.deprecate` (an
+  empty object for assertions) and a `next` function.
+
+  The most recently registered handler is called first. Calling `next`
+  defers to the previously registered handler and eventually to the
+  default behavior: throwing an `Ember.Error` for assertions, logging
+  with `Ember.Logger.warn` for warnings, and logging deprecations, or
+  throwing if `Ember.ENV.RAISE_ON_DEPRECATION` is set. A handler that does
+  not call `next` swallows the assertion, warning or deprecation.
+
+  ```javascript
+  // Report assertions before they are thrown
+  Ember.Debug.registerHandler('assert', function(message, options, next) {
+    Telemetry.report(message);
+    next();
+  });
+
+  // Silence a noisy warning
+  Ember.Debug.registerHandler('warn', function(message, options, next) {
+    if (options.id !== 'ember-views.some-warning') { next(); }
+  });
+
+  // Silence a known deprecation and raise on another one
+  Ember.Debug.registerHandler('deprecate', function(message, options, next) {
+    if (options.id === 'ember-handlebars.bind-attr') { return; }
+    if (options.id === 'ember-routing.link-to') { throw new Ember.Error(message); }
+    next();
+  });
+  ```
+
+  `next` may be called with a different message and options.
+
+  @method registerHandler
+  @param {String} type `'assert'`, `'warn'` or `'deprecate'`
+  @param {Function} handler
+*/
+Ember.Debug.registerHandler = function(type, handler) {
+  Ember.assert("Unknown debug handler type '" + type + "'. Use 'assert', 'warn' or 'deprecate'", debugHandlers[type]);
+  debugHandlers[type].push(handler);
+};
+
+/**
+  Removes a handler registered with `Ember.Debug.registerHandler`.
+
+  @method unregisterHandler
+  @param {String} type `'assert'`, `'warn'` or `'deprecate'`
+  @param {Function} handler
+*/
+Ember.Debug.unregisterHandler = function(type, handler) {
+  var handlers = debugHandlers[type] || [];
+
+  for (var i = handlers.length - 1; i >= 0; i--) {
+    if (handlers[i] === handler) { handlers.splice(i, 1); }
+  }
+};
+
 /**
   Define an assertion that will throw an exception if the condition is not
   met. Ember build tools will remove any calls to `Ember.assert()` when
@@ -62,6 +171,8 @@ if (!('MANDATORY_SETTER' in Ember.ENV)) {
   Ember.assert('This code path should never be run')
   ```
 
+  Failed assertions can be intercepted with `Ember.Debug.registerHandler`.
+
   @method assert
   @param {String} desc A description of the assertion. This will become
     the text of the Error thrown if the assertion fails.
@@ -70,7 +181,7 @@ if (!('MANDATORY_SETTER' in Ember.ENV)) {
 */
 Ember.assert = function(desc, test) {
   if (!test) {
-    throw new Ember.Error("Assertion Failed: " + desc);
+    invokeHandlers('assert', desc, {});
   }
 };
 
@@ -79,15 +190,18 @@ Ember.assert = function(desc, test) {
   Display a warning with the provided message. Ember build tools will
   remove any calls to `Ember.warn()` when doing a production build.
 
+  Warnings can be intercepted with `Ember.Debug.registerHandler`.
+
   @method warn
   @param {String} message A warning to display.
   @param {Boolean} test An optional boolean. If falsy, the warning
     will be displayed.
+  @param {Object} options An optional object with the `id` of the warning,
+    passed on to the registered handlers.
 */
-Ember.warn = function(message, test) {
+Ember.warn = function(message, test, options) {
   if (!test) {
-    Ember.Logger.warn("WARNING: "+message);
-    if ('trace' in Ember.Logger) Ember.Logger.trace();
+    invokeHandlers('warn', message, options || {});
   }
 };
 
@@ -106,48 +220,140 @@ Ember.debug = function(message) {
   Ember.Logger.debug("DEBUG: "+message);
 };
 
+var deprecationReport = {},
+    deprecationError;
+
+// Returns the frames of the stack trace of `error`, which was thrown in
+// `Ember.deprecate`, from the caller of `Ember.deprecate` on.
+function deprecationStack(error) {
+  var stack;
+
+  if (error['arguments'] || /^\s+at\s+/m.test(error.stack)) {
+    // Chrome
+    stack = error.stack.replace(/^\s+at\s+/gm, '').
+                        replace(/^([^\(]+?)([\n$])/gm, '{anonymous}($1)$2').
+                        replace(/^Object.<anonymous>\s*\(([^\)]+)\)/gm, '{anonymous}($1)').split('\n');
+    stack.shift();
+  } else {
+    // Firefox
+    stack = error.stack.replace(/(?:\n@:0)?\s+$/m, '').
+                        replace(/^\(/gm, '{anonymous}(').split('\n');
+  }
+
+  // The first frame is `Ember.deprecate` itself.
+  return stack.slice(1);
+}
+
+function logDeprecation(message) {
+  if (Ember.LOG_STACKTRACE_ON_DEPRECATION && deprecationError && deprecationError.stack) {
+    message = message + "\n    " + deprecationStack(deprecationError).join("\n    ");
+  }
+
+  Ember.Logger.warn("DEPRECATION: "+message);
+}
+
+function recordDeprecation(message, options) {
+  var key = options.id || message,
+      entry = deprecationReport[key];
+
+  if (!entry) {
+    entry = deprecationReport[key] = {
+      id: options.id || null,
+      until: options.until || null,
+      count: 0,
+      messages: []
+    };
+  }
+
+  entry.count++;
+
+  for (var i = 0, l = entry.messages.length; i < l; i++) {
+    if (entry.messages[i] === message) { return; }
+  }
+  entry.messages.push(message);
+}
+
+/**
+  Returns every deprecation that was triggered since the report was last
+  cleared, regardless of how it was handled. Each entry has the
+  deprecation's `id` and `until` version, the number of times it was
+  triggered and its distinct messages. Deprecations without an id are
+  keyed by their message.
+
+  The report can be serialized with `JSON.stringify`, for example at the
+  end of a test run:
+
+  ```javascript
+  QUnit.done(function() {
+    console.log(JSON.stringify(Ember.Debug.deprecationReport()));
+  });
+  ```
+
+  @method deprecationReport
+  @return {Array} the report entries
+*/
+Ember.Debug.deprecationReport = function() {
+  var report = [], key;
+
+  for (key in deprecationReport) {
+    if (deprecationReport.hasOwnProperty(key)) { report.push(deprecationReport[key]); }
+  }
+
+  return report;
+};
+
+/**
+  Clears the entries collected for `Ember.Debug.deprecationReport`.
+
+  @method clearDeprecationReport
+*/
+Ember.Debug.clearDeprecationReport = function() {
+  deprecationReport = {};
+};
+
 /**
   Display a deprecation warning with the provided message and a stack trace
   (Chrome and Firefox only). Ember build tools will remove any calls to
   `Ember.deprecate()` when doing a production build.
 
+  Deprecations should carry a stable `id`, which handlers registered with
+  `Ember.Debug.registerHandler` can use to silence or raise on specific
+  deprecations, and the version in which the deprecated behavior will be
+  removed (`until`):
+
+  ```javascript
+  Ember.deprecate('Ember.Foo is deprecated, please use Ember.Bar', false, {
+    id: 'ember-runtime.foo',
+    until: '2.0.0'
+  });
+  ```
+
   @method deprecate
   @param {String} message A description of the deprecation.
   @param {Boolean} test An optional boolean. If falsy, the deprecation
     will be displayed.
+  @param {Object} options An optional object with the `id` and `until`
+    of the deprecation.
 */
-Ember.deprecate = function(message, test) {
+Ember.deprecate = function(message, test, options) {
   if (Ember.TESTING_DEPRECATION) { return; }
 
   if (arguments.length === 1) { test = false; }
   if (test) { return; }
 
-  if (Ember.ENV.RAISE_ON_DEPRECATION) { throw new Ember.Error(message); }
+  options = options || {};
+  recordDeprecation(message, options);
 
-  var error;
+  var previousError = deprecationError;
 
   // When using new Error, we can't do the arguments check for Chrome. Alternatives are welcome
-  try { __fail__.fail(); } catch (e) { error = e; }
-
-  if (Ember.LOG_STACKTRACE_ON_DEPRECATION && error.stack) {
-    var stack, stackStr = '';
-    if (error['arguments']) {
-      // Chrome
-      stack = error.stack.replace(/^\s+at\s+/gm, '').
-                          replace(/^([^\(]+?)([\n$])/gm, '{anonymous}($1)$2').
-                          replace(/^Object.<anonymous>\s*\(([^\)]+)\)/gm, '{anonymous}($1)').split('\n');
-      stack.shift();
-    } else {
-      // Firefox
-      stack = error.stack.replace(/(?:\n@:0)?\s+$/m, '').
-                          replace(/^\(/gm, '{anonymous}(').split('\n');
-    }
+  try { __fail__.fail(); } catch (e) { deprecationError = e; }
 
-    stackStr = "\n    " + stack.slice(2).join("\n    ");
-    message = message + stackStr;
+  try {
+    invokeHandlers('deprecate', message, options);
+  } finally {
+    deprecationError = previousError;
   }
-
-  Ember.Logger.warn("DEPRECATION: "+message);
 };
 
 
@@ -162,17 +368,24 @@ Ember.deprecate = function(message, test) {
   no warnings will be shown in production.
 
   ```javascript
-  Ember.oldMethod = Ember.deprecateFunc("Please use the new, updated method", Ember.newMethod);
+  Ember.oldMethod = Ember.deprecateFunc("Please use the new, updated method", { id: 'old-method', until: '2.0.0' }, Ember.newMethod);
   ```
 
   @method deprecateFunc
   @param {String} message A description of the deprecation.
+  @param {Object} options An optional object with the `id` and `until`
+    of the deprecation (see `Ember.deprecate`).
   @param {Function} func The new function called to replace its deprecated counterpart.
   @return {Function} a new function that wrapped the original function with a deprecation warning
 */
-Ember.deprecateFunc = function(message, func) {
+Ember.deprecateFunc = function(message, options, func) {
+  if (typeof options === 'function') {
+    func = options;
+    options = undefined;
+  }
+
   return function() {
-    Ember.deprecate(message);
+    Ember.deprecate(message, false, options);
     return func.apply(this, arguments);
   };
 };
@@ -456,7 +669,7 @@ if ('undefined' === typeof Ember.warn) { Ember.warn = Ember.K; }
 if ('undefined' === typeof Ember.debug) { Ember.debug = Ember.K; }
 if ('undefined' === typeof Ember.deprecate) { Ember.deprecate = Ember.K; }
 if ('undefined' === typeof Ember.deprecateFunc) {
-  Ember.deprecateFunc = function(_, func) { return func; };
+  Ember.deprecateFunc = function() { return arguments[arguments.length - 1]; };
 }
 
 /**
@@ -514,7 +727,7 @@ Ember.merge = function(original, updates) {
 Ember.isNone = function(obj) {
   return obj === null || obj === undefined;
 };
-Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isNone instead.", Ember.isNone);
+Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isNone instead.", { id: 'ember-metal.none', until: '2.0.0' }, Ember.isNone);
 
 /**
   Verifies that a value is `null` or an empty string, empty array,
@@ -541,7 +754,7 @@ Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isN
 Ember.isEmpty = function(obj) {
   return Ember.isNone(obj) || (obj.length === 0 && typeof obj !== 'function') || (typeof obj === 'object' && Ember.get(obj, 'length') === 0);
 };
-Ember.empty = Ember.deprecateFunc("Ember.empty is deprecated. Please use Ember.isEmpty instead.", Ember.isEmpty) ;
+Ember.empty = Ember.deprecateFunc("Ember.empty is deprecated. Please use Ember.isEmpty instead.", { id: 'ember-metal.empty', until: '2.0.0' }, Ember.isEmpty) ;
 
 
 })();
@@ -1185,7 +1398,7 @@ Ember.setMeta = function setMeta(obj, property, value) {
     shared with its constructor
 */
 Ember.metaPath = function metaPath(obj, path, writable) {
-  Ember.deprecate("Ember.metaPath is deprecated and will be removed from future releases.");
+  Ember.deprecate("Ember.metaPath is deprecated and will be removed from future releases.", false, { id: 'ember-metal.meta-path', until: '2.0.0' });
   var meta = Ember.meta(obj, writable), keyName, value;
 
   for (var i=0, l=path.length; i<l; i++) {
@@ -1746,6 +1959,12 @@ Ember.Instrumentation.instrument = function(name, payload, callback, binding) {
   return Ember.tryCatchFinally(tryable, catchable, finalizer);
 };
 
+// Returns whether anything subscribes to the event with the given name.
+Ember.Instrumentation._hasListeners = function(name) {
+  var listeners = cache[name] || populateListeners(name);
+  return listeners.length > 0;
+};
+
 /**
   Subscribes to a particular event or instrumented block of code.
 
@@ -2615,6 +2834,8 @@ function propertyDidChange(obj, keyName) {
   if (desc && desc.didChange) { desc.didChange(obj, keyName); }
   if (!watching && keyName !== 'length') { return; }
 
+  if (Ember._loopRecorder) { Ember._loopRecorder.propertyDidChange(obj, keyName); }
+
   dependentKeysDidChange(obj, keyName, m);
   chainsDidChange(obj, keyName, m, false);
   notifyObservers(obj, keyName);
@@ -5581,8 +5802,11 @@ Ember.computed.readOnly = function(dependentKey) {
   @param {String} defaultPath
   @return {Ember.ComputedProperty} computed property which acts like
   a standard getter and setter, but defaults to the value from `defaultPath`.
+  @deprecated Use `Ember.computed.oneWay` instead
 */
 Ember.computed.defaultTo = function(defaultPath) {
+  Ember.deprecate("Ember.computed.defaultTo is deprecated. Please use Ember.computed.oneWay instead.", false, { id: 'ember-metal.computed-default-to', until: '2.0.0' });
+
   return Ember.computed(function(key, newValue, cachedValue) {
     if (arguments.length === 1) {
       return cachedValue != null ? cachedValue : get(this, defaultPath);
@@ -5748,38 +5972,67 @@ define("backburner/queue",
       },
 
       // TODO: remove me, only being used for Ember.run.sync
-      flush: function() {
+      flush: function(flushCount) {
         var queue = this._queue,
             options = this.options,
+            instrument = this.daq.options.instrument,
             before = options && options.before,
             after = options && options.after,
-            target, method, args, stack, i, l = queue.length;
-
-        if (l && before) { before(); }
-        for (i = 0; i < l; i += 4) {
-          target = queue[i];
-          method = queue[i+1];
-          args   = queue[i+2];
-          stack  = queue[i+3]; // Debugging assistance
-
-          // TODO: error handling
-          if (args && args.length > 0) {
-            method.apply(target, args);
-          } else {
-            method.call(target);
+            self = this,
+            l = queue.length;
+
+        flushCount = flushCount || 1;
+
+        function flushItems() {
+          var target, method, args, stack, i;
+
+          if (l && before) { before(); }
+          for (i = 0; i < l; i += 4) {
+            target = queue[i];
+            method = queue[i+1];
+            args   = queue[i+2];
+            stack  = queue[i+3]; // Debugging assistance
+
+            // TODO: error handling
+            self.invoke(target, method, args, flushCount);
           }
+          if (l && after) { after(); }
+        }
+
+        if (l && instrument) {
+          instrument('runloop.queue', { queue: this.name, flushCount: flushCount, size: l / 4 }, flushItems);
+        } else {
+          flushItems();
         }
-        if (l && after) { after(); }
 
         // check if new items have been added
         if (queue.length > l) {
           this._queue = queue.slice(l);
-          this.flush();
+          this.flush(flushCount + 1);
         } else {
           this._queue.length = 0;
         }
       },
 
+      // Invokes a scheduled method, reporting it to the `instrument` option
+      // (if any) as a `runloop.callback` event.
+      invoke: function(target, method, args, flushCount) {
+        var instrument = this.daq.options.instrument;
+
+        if (instrument) {
+          instrument('runloop.callback', {
+            queue: this.name,
+            target: target,
+            method: method,
+            flushCount: flushCount
+          }, function() {
+            invoke(target, method, args);
+          });
+        } else {
+          invoke(target, method, args);
+        }
+      },
+
       cancel: function(actionToCancel) {
         var queue = this._queue, currentTarget, currentMethod, i, l;
 
@@ -5814,6 +6067,15 @@ define("backburner/queue",
     };
 
 
+    function invoke(target, method, args) {
+      if (args && args.length > 0) {
+        method.apply(target, args);
+      } else {
+        method.call(target);
+      }
+    }
+
+
     __exports__.Queue = Queue;
   });
 
@@ -5826,6 +6088,7 @@ define("backburner/deferred_action_queues",
     function DeferredActionQueues(queueNames, options) {
       var queues = this.queues = {};
       this.queueNames = queueNames = queueNames || [];
+      this.options = options;
 
       var queueName;
       for (var i = 0, l = queueNames.length; i < l; i++) {
@@ -5852,57 +6115,96 @@ define("backburner/deferred_action_queues",
       },
 
       flush: function() {
-        var queues = this.queues,
-            queueNames = this.queueNames,
-            queueName, queue, queueItems, priorQueueNameIndex,
-            queueNameIndex = 0, numberOfQueues = queueNames.length;
-
-        outerloop:
-        while (queueNameIndex < numberOfQueues) {
-          queueName = queueNames[queueNameIndex];
-          queue = queues[queueName];
-          queueItems = queue._queueBeingFlushed = queue._queue.slice();
-          queue._queue = [];
-
-          var options = queue.options,
-              before = options && options.before,
-              after = options && options.after,
-              target, method, args, stack,
-              queueIndex = 0, numberOfQueueItems = queueItems.length;
-
-          if (numberOfQueueItems && before) { before(); }
-          while (queueIndex < numberOfQueueItems) {
-            target = queueItems[queueIndex];
-            method = queueItems[queueIndex+1];
-            args   = queueItems[queueIndex+2];
-            stack  = queueItems[queueIndex+3]; // Debugging assistance
-
-            if (typeof method === 'string') { method = target[method]; }
-
-            // method could have been nullified / canceled during flush
-            if (method) {
-              // TODO: error handling
-              if (args && args.length > 0) {
-                method.apply(target, args);
-              } else {
-                method.call(target);
-              }
-            }
+        var instrument = this.options.instrument;
 
-            queueIndex += 4;
-          }
-          queue._queueBeingFlushed = null;
-          if (numberOfQueueItems && after) { after(); }
+        if (instrument) {
+          instrument('runloop.flush', { queueNames: this.queueNames }, flushQueues, this);
+        } else {
+          flushQueues.call(this);
+        }
+      }
+    };
 
-          if ((priorQueueNameIndex = indexOfPriorQueueWithActions(this, queueNameIndex)) !== -1) {
-            queueNameIndex = priorQueueNameIndex;
-            continue outerloop;
+    function flushQueues() {
+      var queues = this.queues,
+          queueNames = this.queueNames,
+          options = this.options,
+          instrument = options.instrument,
+          flushLimit = options.flushLimit,
+          flushCounts = {},
+          queueName, queue, queueItems, priorQueueNameIndex, flushCount,
+          queueNameIndex = 0, numberOfQueues = queueNames.length;
+
+      while (queueNameIndex < numberOfQueues) {
+        queueName = queueNames[queueNameIndex];
+        queue = queues[queueName];
+
+        // The number of times this queue has been flushed in this run loop;
+        // anything above 1 means actions were rescheduled into it.
+        flushCount = flushCounts[queueName] = (flushCounts[queueName] || 0) + 1;
+
+        // A queue that keeps being refilled by the queues after it will never
+        // drain, so give up rather than hang.
+        if (flushLimit && flushCount > flushLimit) {
+          if (options.onFlushLimitExceeded) {
+            options.onFlushLimitExceeded(queueName, flushCount, flushLimit);
+          } else {
+            throw new Error("The " + queueName + " queue was flushed more than " + flushLimit + " times in a single run loop");
           }
+        }
+
+        queueItems = queue._queueBeingFlushed = queue._queue.slice();
+        queue._queue = [];
+
+        if (instrument && queueItems.length) {
+          instrument('runloop.queue', {
+            queue: queueName,
+            flushCount: flushCount,
+            size: queueItems.length / 4
+          }, flushQueueItems(queue, queueItems, flushCount));
+        } else {
+          flushQueueItems(queue, queueItems, flushCount)();
+        }
 
-          queueNameIndex++;
+        queue._queueBeingFlushed = null;
+
+        if ((priorQueueNameIndex = indexOfPriorQueueWithActions(this, queueNameIndex)) !== -1) {
+          queueNameIndex = priorQueueNameIndex;
+          continue;
         }
+
+        queueNameIndex++;
       }
-    };
+    }
+
+    function flushQueueItems(queue, queueItems, flushCount) {
+      return function() {
+        var options = queue.options,
+            before = options && options.before,
+            after = options && options.after,
+            target, method, args, stack,
+            queueIndex = 0, numberOfQueueItems = queueItems.length;
+
+        if (numberOfQueueItems && before) { before(); }
+        while (queueIndex < numberOfQueueItems) {
+          target = queueItems[queueIndex];
+          method = queueItems[queueIndex+1];
+          args   = queueItems[queueIndex+2];
+          stack  = queueItems[queueIndex+3]; // Debugging assistance
+
+          if (typeof method === 'string') { method = target[method]; }
+
+          // method could have been nullified / canceled during flush
+          if (method) {
+            // TODO: error handling
+            queue.invoke(target, method, args, flushCount);
+          }
+
+          queueIndex += 4;
+        }
+        if (numberOfQueueItems && after) { after(); }
+      };
+    }
 
     function indexOfPriorQueueWithActions(daq, currentQueueIndex) {
       var queueName, queue;
@@ -5935,6 +6237,22 @@ define("backburner",
         global = this,
         NUMBER = /\d+/;
 
+    // The clock used for timers unless `options.clock` provides another
+    // one, e.g. a fake clock in tests.
+    var defaultClock = {
+      now: function() {
+        return +new Date();
+      },
+
+      setTimeout: function(fn, wait) {
+        return global.setTimeout(fn, wait);
+      },
+
+      clearTimeout: function(timer) {
+        clearTimeout(timer);
+      }
+    };
+
     function isCoercableNumber(number) {
       return typeof number === 'number' || NUMBER.test(number);
     }
@@ -5946,6 +6264,7 @@ define("backburner",
         this.options.defaultQueue = queueNames[0];
       }
       this.instanceStack = [];
+      this.clock = this.options.clock || defaultClock;
     }
 
     Backburner.prototype = {
@@ -5953,6 +6272,7 @@ define("backburner",
       options: null,
       currentInstance: null,
       instanceStack: null,
+      clock: null,
 
       begin: function() {
         var onBegin = this.options && this.options.onBegin,
@@ -6098,7 +6418,7 @@ define("backburner",
           }
         }
 
-        var executeAt = (+new Date()) + parseInt(wait, 10);
+        var executeAt = self.clock.now() + parseInt(wait, 10);
 
         if (typeof method === 'string') {
           method = target[method];
@@ -6108,6 +6428,9 @@ define("backburner",
           method.apply(target, args);
         }
 
+        fn.target = target;
+        fn.method = method;
+
         // find position to insert - TODO: binary search
         var i, l;
         for (i = 0, l = timers.length; i < l; i += 2) {
@@ -6132,14 +6455,14 @@ define("backburner",
         index = findThrottler(target, method);
         if (index > -1) { return throttlers[index]; } // throttled
 
-        timer = global.setTimeout(function() {
+        timer = self.clock.setTimeout(function() {
           self.run.apply(self, args);
 
           var index = findThrottler(target, method);
           if (index > -1) { throttlers.splice(index, 1); }
         }, wait);
 
-        throttler = [target, method, timer];
+        throttler = [target, method, timer, self.clock.now() + wait];
 
         throttlers.push(throttler);
 
@@ -6169,10 +6492,10 @@ define("backburner",
         if (index > -1) {
           debouncee = debouncees[index];
           debouncees.splice(index, 1);
-          clearTimeout(debouncee[2]);
+          self.clock.clearTimeout(debouncee[2]);
         }
 
-        timer = global.setTimeout(function() {
+        timer = self.clock.setTimeout(function() {
           if (!immediate) {
             self.run.apply(self, args);
           }
@@ -6186,7 +6509,7 @@ define("backburner",
           self.run.apply(self, args);
         }
 
-        debouncee = [target, method, timer];
+        debouncee = [target, method, timer, self.clock.now() + wait];
 
         debouncees.push(debouncee);
 
@@ -6197,31 +6520,55 @@ define("backburner",
         var i, len;
 
         for (i = 0, len = throttlers.length; i < len; i++) {
-          clearTimeout(throttlers[i][2]);
+          this.clock.clearTimeout(throttlers[i][2]);
         }
         throttlers = [];
 
         for (i = 0, len = debouncees.length; i < len; i++) {
-          clearTimeout(debouncees[i][2]);
+          this.clock.clearTimeout(debouncees[i][2]);
         }
         debouncees = [];
 
         if (laterTimer) {
-          clearTimeout(laterTimer);
+          this.clock.clearTimeout(laterTimer);
           laterTimer = null;
         }
         timers = [];
 
         if (autorun) {
-          clearTimeout(autorun);
+          this.clock.clearTimeout(autorun);
           autorun = null;
         }
       },
 
       hasTimers: function() {
+        // A clock that controls time itself knows best which timers are
+        // still going to fire without being advanced.
+        if (this.clock.hasDueTimers) {
+          return this.clock.hasDueTimers();
+        }
+
         return !!timers.length || autorun;
       },
 
+      pendingTimers: function() {
+        var pending = [], i, l;
+
+        for (i = 0, l = timers.length; i < l; i += 2) {
+          pending.push({ type: 'later', target: timers[i + 1].target, method: timers[i + 1].method, executeAt: timers[i] });
+        }
+
+        for (i = 0, l = throttlers.length; i < l; i++) {
+          pending.push({ type: 'throttle', target: throttlers[i][0], method: throttlers[i][1], executeAt: throttlers[i][3] });
+        }
+
+        for (i = 0, l = debouncees.length; i < l; i++) {
+          pending.push({ type: 'debounce', target: debouncees[i][0], method: debouncees[i][1], executeAt: debouncees[i][3] });
+        }
+
+        return pending.sort(function(a, b) { return a.executeAt - b.executeAt; });
+      },
+
       cancel: function(timer) {
         var timerType = typeof timer;
 
@@ -6256,7 +6603,7 @@ define("backburner",
 
           if(item[2] === timer[2]){
             array.splice(index, 1);
-            clearTimeout(timer[2]);
+            this.clock.clearTimeout(timer[2]);
             return true;
           }
         }
@@ -6272,7 +6619,7 @@ define("backburner",
 
     function createAutorun(backburner) {
       backburner.begin();
-      autorun = global.setTimeout(function() {
+      autorun = backburner.clock.setTimeout(function() {
         autorun = null;
         backburner.end();
       });
@@ -6281,9 +6628,9 @@ define("backburner",
     function updateLaterTimer(self, executeAt, wait) {
       if (!laterTimer || executeAt < laterTimerExpiresAt) {
         if (laterTimer) {
-          clearTimeout(laterTimer);
+          self.clock.clearTimeout(laterTimer);
         }
-        laterTimer = global.setTimeout(function() {
+        laterTimer = self.clock.setTimeout(function() {
           laterTimer = null;
           laterTimerExpiresAt = null;
           executeTimers(self);
@@ -6293,7 +6640,7 @@ define("backburner",
     }
 
     function executeTimers(self) {
-      var now = +new Date(),
+      var now = self.clock.now(),
           time, fns, i, l;
 
       self.run(function() {
@@ -6353,12 +6700,194 @@ define("backburner",
 
 
 (function() {
+var guidFor = Ember.guidFor;
+
+// The number of extra queue flushes spent recording what a runaway run loop
+// is doing before giving up on it.
+var DIAGNOSTIC_FLUSHES = 10;
+
+/*
+  A run loop whose queues keep refilling each other, typically an observer
+  setting a property that rerenders a view whose rendering sets the property
+  again, would flush forever. Once a queue has been flushed more than
+  `Ember.ENV.RUN_LOOP_FLUSH_LIMIT` times (1000 by default, `0` turns the check
+  off) in a single run loop, Ember records the property changes and view
+  rerenders for a few more flushes and then throws an `Ember.Error` describing
+  them. The same report is available as the error's `loopReport`.
+
+  While recording, `Ember._loopRecorder` is set and is told about every
+  `Ember.propertyDidChange` on a watched key and every view `rerender`.
+*/
+Ember._loopRecorder = null;
+
+function LoopRecorder(runLoop, queueName, flushLimit) {
+  this.runLoop = runLoop;
+  this.queueName = queueName;
+  this.flushLimit = flushLimit;
+  this.changes = [];
+  this.rerenders = [];
+  this.seen = {};
+}
+
+LoopRecorder.prototype = {
+  propertyDidChange: function(obj, keyName) {
+    var key = guidFor(obj) + ':' + keyName,
+        change = this.seen[key];
+
+    if (!change) {
+      change = this.seen[key] = {
+        object: obj,
+        key: keyName,
+        count: 0,
+        observers: observerLabels(obj, keyName)
+      };
+      this.changes.push(change);
+    }
+
+    change.count++;
+  },
+
+  viewDidRerender: function(view) {
+    var key = guidFor(view),
+        rerender = this.seen[key];
+
+    if (!rerender) {
+      rerender = this.seen[key] = { view: view, count: 0 };
+      this.rerenders.push(rerender);
+    }
+
+    rerender.count++;
+  },
+
+  report: function() {
+    return {
+      queue: this.queueName,
+      flushLimit: this.flushLimit,
+      changes: this.changes,
+      rerenders: this.rerenders
+    };
+  },
+
+  toString: function() {
+    var message = "Infinite rendering loop detected: the " + this.queueName + " queue was flushed more than " + this.flushLimit + " times in a single run loop.",
+        changes = this.changes, rerenders = this.rerenders, i, l;
+
+    if (changes.length) {
+      message += "\n\nProperties changed while looping:";
+      for (i = 0, l = changes.length; i < l; i++) {
+        message += "\n  " + changes[i].object + "." + changes[i].key + " (" + changes[i].count + " times)";
+        if (changes[i].observers.length) {
+          message += ", observed by " + changes[i].observers.join(', ');
+        }
+      }
+    }
+
+    if (rerenders.length) {
+      message += "\n\nViews rerendered while looping:";
+      for (i = 0, l = rerenders.length; i < l; i++) {
+        message += "\n  " + rerenders[i].view + " (" + rerenders[i].count + " times)";
+      }
+    }
+
+    return message;
+  }
+};
+
+function observerLabels(obj, keyName) {
+  var observers = Ember.observersFor(obj, keyName),
+      labels = [], target, method;
+
+  for (var i = 0, l = observers.length; i < l; i++) {
+    target = observers[i][0] || obj;
+    method = observers[i][1];
+    if (typeof method === 'function') {
+      method = method.displayName || method.name || '(anonymous function)';
+    }
+    labels.push(target + '#' + method);
+  }
+
+  return labels;
+}
+
+function onFlushLimitExceeded(queueName, flushCount, flushLimit) {
+  var recorder = Ember._loopRecorder;
+
+  if (!recorder || recorder.runLoop !== Ember.run.currentRunLoop) {
+    Ember._loopRecorder = new LoopRecorder(Ember.run.currentRunLoop, queueName, flushLimit);
+    return;
+  }
+
+  if (flushCount <= flushLimit + DIAGNOSTIC_FLUSHES) { return; }
+
+  Ember._loopRecorder = null;
+
+  var error = new Ember.Error(recorder.toString());
+  error.loopReport = recorder.report();
+  throw error;
+}
+
+var RUN_LOOP_EVENTS = ['runloop.flush', 'runloop.queue', 'runloop.callback'];
+
+function labelFor(target, method) {
+  var name = method && (method.displayName || method.name) || '(anonymous function)';
+  return target ? target.toString() + '#' + name : name;
+}
+
+// Passes the run loop's work to `Ember.instrument` (see
+// `Ember.RunLoopProfiler`), naming it in the payload's `object`. Scheduled
+// callbacks are only instrumented for subscribers, not for
+// `Ember.STRUCTURED_PROFILE`. Unlike `Ember.instrument`, this lets the
+// exceptions of scheduled actions propagate.
+function instrumentRunLoop(name, payload, callback, binding) {
+  var error, failed = false, ret;
+
+  if (name === 'runloop.callback') {
+    if (!Ember.Instrumentation._hasListeners(name)) { return callback.call(binding); }
+    payload.object = labelFor(payload.target, payload.method);
+  } else {
+    payload.object = payload.queue || 'run loop';
+  }
+
+  ret = Ember.instrument(name, payload, function() {
+    try {
+      return callback.call(binding);
+    } catch (e) {
+      failed = true;
+      error = e;
+      throw e;
+    }
+  });
+
+  if (failed) { throw error; }
+
+  return ret;
+}
+
+// Instrumenting every queue and callback is costly, so the run loop is only
+// instrumented while `Ember.STRUCTURED_PROFILE` is on or something
+// subscribes to its events.
+function isRunLoopInstrumented() {
+  if (Ember.STRUCTURED_PROFILE) { return true; }
+
+  for (var i = 0, l = RUN_LOOP_EVENTS.length; i < l; i++) {
+    if (Ember.Instrumentation._hasListeners(RUN_LOOP_EVENTS[i])) { return true; }
+  }
+
+  return false;
+}
+
 var onBegin = function(current) {
   Ember.run.currentRunLoop = current;
+  backburner.options.instrument = isRunLoopInstrumented() ? instrumentRunLoop : null;
 };
 
 var onEnd = function(current, next) {
   Ember.run.currentRunLoop = next;
+
+  // The loop settled on its own while it was being recorded.
+  if (Ember._loopRecorder && Ember._loopRecorder.runLoop === current) {
+    Ember._loopRecorder = null;
+  }
 };
 
 var Backburner = requireModule('backburner').Backburner,
@@ -6369,7 +6898,9 @@ var Backburner = requireModule('backburner').Backburner,
       },
       defaultQueue: 'actions',
       onBegin: onBegin,
-      onEnd: onEnd
+      onEnd: onEnd,
+      flushLimit: Ember.ENV.RUN_LOOP_FLUSH_LIMIT === undefined ? 1000 : Ember.ENV.RUN_LOOP_FLUSH_LIMIT,
+      onFlushLimitExceeded: onFlushLimitExceeded
     }),
     slice = [].slice,
     concat = [].concat;
@@ -6624,6 +7155,11 @@ Ember.run.cancelTimers = function () {
   backburner.cancelTimers();
 };
 
+// Used by ember-testing to describe the timers a test is waiting on
+Ember.run.pendingTimers = function() {
+  return backburner.pendingTimers();
+};
+
 /**
   Immediately flushes any events scheduled in the 'sync' queue. Bindings
   use this queue so this method is a useful way to immediately force all
@@ -6853,7 +7389,9 @@ Ember.run.next = function() {
   @return {Boolean} true if cancelled or false/undefined if it wasn't found
 */
 Ember.run.cancel = function(timer) {
-  return backburner.cancel(timer);
+  return Ember.instrument('runloop.cancel', { timer: timer }, function() {
+    return backburner.cancel(timer);
+  });
 };
 
 /**
@@ -6972,6 +7510,175 @@ function checkAutoRun() {
 
 
 
+(function() {
+/**
+@module ember-metal
+*/
+
+/*
+  The run loop reports its work through `Ember.Instrumentation`:
+
+  * `runloop.flush`: a run loop flushing its queues. The payload contains
+    the `queueNames`.
+  * `runloop.queue`: one pass over a queue. The payload contains the
+    `queue` name, the number of scheduled actions (`size`) and the
+    `flushCount`; a `flushCount` above 1 means the queue was flushed again
+    because actions were rescheduled into it.
+  * `runloop.callback`: a scheduled action being invoked. The payload
+    contains the `queue`, `target`, `method` and `flushCount`.
+
+  Each payload's `object` names the queue or the scheduled action. These
+  events are only sent while something subscribes to them.
+  * `runloop.cancel`: `Ember.run.cancel` being called. The payload contains
+    the `timer`.
+*/
+
+/**
+  `Ember.RunLoopProfiler` subscribes to the run loop's instrumentation events
+  and records a timeline of every run loop, along with the time spent in each
+  queue and scheduled callback.
+
+  ```javascript
+  var profiler = new Ember.RunLoopProfiler();
+  profiler.start();
+
+  // ... interact with the application ...
+
+  profiler.stop();
+  profiler.slowest(5).forEach(function(callback) {
+    Ember.Logger.log(callback.label, callback.queue, callback.duration);
+  });
+  ```
+
+  Each run loop in the `timeline` has a `duration`, whether it was `nested`
+  inside another run loop's callback and the `queues` it flushed, in order. Each queue entry has its `queue` name, `flushCount`,
+  `duration` and the `callbacks` it invoked, each with its `queue`,
+  `target`, `method`, `label`, `flushCount` and `duration`. Durations are in
+  milliseconds.
+
+  @class RunLoopProfiler
+  @namespace Ember
+  @constructor
+*/
+var RunLoopProfiler = Ember.RunLoopProfiler = function() {
+  this.reset();
+};
+
+RunLoopProfiler.prototype = {
+  /**
+    Starts recording run loops.
+
+    @method start
+  */
+  start: function() {
+    if (this._subscriber) { return; }
+
+    var profiler = this;
+
+    this._subscriber = Ember.Instrumentation.subscribe('runloop', {
+      before: function(name, timestamp, payload) {
+        return profiler._before(name, timestamp, payload);
+      },
+
+      after: function(name, timestamp, payload, record) {
+        profiler._after(record, timestamp);
+      }
+    });
+  },
+
+  /**
+    Stops recording run loops. The recorded timeline is kept.
+
+    @method stop
+  */
+  stop: function() {
+    if (!this._subscriber) { return; }
+
+    Ember.Instrumentation.unsubscribe(this._subscriber);
+    this._subscriber = null;
+    this._stack = [];
+  },
+
+  /**
+    Discards the recorded timeline.
+
+    @method reset
+  */
+  reset: function() {
+    this.timeline = [];
+    this.callbacks = [];
+    this._stack = [];
+  },
+
+  /**
+    Returns the `count` slowest callbacks recorded, slowest first.
+
+    @method slowest
+    @param {Number} count the number of callbacks to return, defaults to 10
+    @return {Array} the callbacks
+  */
+  slowest: function(count) {
+    var callbacks = this.callbacks.slice();
+
+    callbacks.sort(function(a, b) { return b.duration - a.duration; });
+
+    return callbacks.slice(0, count || 10);
+  },
+
+  _before: function(name, timestamp, payload) {
+    var stack = this._stack,
+        parent = stack[stack.length - 1],
+        record;
+
+    if (name === 'runloop.flush') {
+      record = { start: timestamp, duration: null, nested: !!parent, queues: [] };
+      this.timeline.push(record);
+    } else if (name === 'runloop.queue') {
+      record = {
+        queue: payload.queue,
+        flushCount: payload.flushCount,
+        start: timestamp,
+        duration: null,
+        callbacks: []
+      };
+      if (parent && parent.queues) { parent.queues.push(record); }
+    } else if (name === 'runloop.callback') {
+      record = {
+        queue: payload.queue,
+        target: payload.target,
+        method: payload.method,
+        label: payload.object,
+        flushCount: payload.flushCount,
+        start: timestamp,
+        duration: null
+      };
+      if (parent && parent.callbacks) { parent.callbacks.push(record); }
+      this.callbacks.push(record);
+    } else {
+      // e.g. `runloop.cancel`
+      return null;
+    }
+
+    stack.push(record);
+
+    return record;
+  },
+
+  _after: function(record, timestamp) {
+    var stack = this._stack;
+
+    if (!record) { return; }
+
+    if (stack[stack.length - 1] === record) { stack.pop(); }
+
+    record.duration = timestamp - record.start;
+  }
+};
+
+})();
+
+
+
 (function() {
 // Ember.Logger
 // get
@@ -10636,6 +11343,19 @@ define("container",
       */
       injections: null,
 
+      /**
+        When set on a child container, it only creates the objects it
+        resolves itself, i.e. the ones registered on it or found by its own
+        `resolver`, and leaves every other lookup to its parent. The objects
+        the parent creates, like its singletons, are then shared instead of
+        being created once more for the child.
+
+        @property delegatesToParent
+        @type Boolean
+        @default false
+      */
+      delegatesToParent: false,
+
       /**
         @private
 
@@ -10806,6 +11526,21 @@ define("container",
         return fullName;
       },
 
+      /**
+        A hook the resolver can provide to list the fullNames of a type that
+        it would resolve without them being registered, as the keys of the
+        returned object. Used by `registrations` and `injectionGraph`. A child
+        container that shares its parent's resolver asks the parent.
+
+        @method knownForType
+        @param {String} type
+        @return {Object} fullNames as keys
+      */
+      knownForType: function(type) {
+        var parent = this.parent;
+        return parent && parent.resolver === this.resolver ? parent.knownForType(type) : {};
+      },
+
       /**
         A hook to enable custom fullName normalization behaviour
 
@@ -11143,6 +11878,187 @@ define("container",
         addInjection(this.factoryInjections, normalizedName, property, normalizedInjectionName);
       },
 
+      /**
+        Lists everything this container can look up: the registered factories,
+        including the ones inherited from parent containers, and the ones the
+        resolver reports through `knownForType`.
+
+        ```javascript
+        container.registrations('controller');
+        // => [{ fullName: 'controller:basic', source: 'registry', ... },
+        //     { fullName: 'controller:post', source: 'resolver', ... }]
+        ```
+
+        Each entry has the `fullName`, its `source` (`'registry'` or
+        `'resolver'`), the `factory`, the effective `options` and whether an
+        instance of it is cached (`isCached`).
+
+        Without a type, the resolver is asked about every type the container
+        has registrations, options or injection rules for.
+
+        @method registrations
+        @param {String} type (optional)
+        @return {Array}
+      */
+      registrations: function(type) {
+        var container = this,
+            registrations = [],
+            seen = {},
+            types = type ? [type] : knownTypes(this);
+
+        function add(fullName, factory, source) {
+          seen[fullName] = true;
+          registrations.push({
+            fullName: fullName,
+            source: source,
+            factory: factory,
+            options: optionsFor(container, fullName),
+            isCached: container.cache.has(fullName)
+          });
+        }
+
+        eachInherited(this.registry, function(fullName, factory) {
+          if (!type || typeOf(fullName) === type) {
+            add(fullName, factory, 'registry');
+          }
+        });
+
+        for (var i = 0, l = types.length; i < l; i++) {
+          var known = this.knownForType(types[i]) || {};
+
+          for (var fullName in known) {
+            var normalizedName = this.normalize(fullName);
+
+            if (known.hasOwnProperty(fullName) && !seen[normalizedName]) {
+              add(normalizedName, this.resolve(normalizedName), 'resolver');
+            }
+          }
+        }
+
+        return registrations.sort(function(a, b) {
+          return a.fullName < b.fullName ? -1 : (a.fullName > b.fullName ? 1 : 0);
+        });
+      },
+
+      /**
+        Lists the injection rules of this container as objects with the `kind`
+        of rule (`'typeInjection'`, `'injection'`, `'factoryTypeInjection'` or
+        `'factoryInjection'`), the `target` type or fullName, the injected
+        `property` and the `fullName` that is injected.
+
+        ```javascript
+        container.injection('controller', 'router', 'router:main');
+
+        container.injectionRules();
+        // => [{ kind: 'typeInjection', target: 'controller', property: 'router', fullName: 'router:main' }]
+        ```
+
+        @method injectionRules
+        @return {Array}
+      */
+      injectionRules: function() {
+        var rules = [];
+
+        function add(kind) {
+          return function(target, injections) {
+            for (var i = 0, l = injections.length; i < l; i++) {
+              rules.push({ kind: kind, target: target, property: injections[i].property, fullName: injections[i].fullName });
+            }
+          };
+        }
+
+        eachInherited(this.typeInjections, add('typeInjection'));
+        eachOwn(this.injections, add('injection'));
+        eachInherited(this.factoryTypeInjections, add('factoryTypeInjection'));
+        eachOwn(this.factoryInjections, add('factoryInjection'));
+
+        return rules;
+      },
+
+      /**
+        Lists the instances this container has cached, as objects with a
+        `fullName` and the `instance`.
+
+        @method singletons
+        @return {Array}
+      */
+      singletons: function() {
+        var singletons = [];
+
+        eachInherited(this.cache, function(fullName, instance) {
+          singletons.push({ fullName: fullName, instance: instance });
+        });
+
+        return singletons;
+      },
+
+      /**
+        Describes which factories get which objects injected. Type injection
+        rules are expanded to every fullName of that type `registrations`
+        knows about.
+
+        By default the graph is returned as an object with `nodes`, each with
+        an `id` (the fullName) and its `source`, and `edges`, each with the
+        injected fullName as `from`, the fullName it is injected into as `to`,
+        the `property` and the `kind` of rule. Passing `'dot'` returns the
+        same graph as Graphviz source instead, drawing factory injections as
+        dashed edges and the factories only the resolver knows about as dotted
+        nodes:
+
+        ```javascript
+        console.log(container.injectionGraph('dot'));
+        // digraph container {
+        //   "router:main" -> "controller:post" [label="target"];
+        //   ...
+        // }
+        ```
+
+        @method injectionGraph
+        @param {String} format `'json'` (default) or `'dot'`
+        @return {Object|String}
+      */
+      injectionGraph: function(format) {
+        var registrations = this.registrations(),
+            rules = this.injectionRules(),
+            nodes = [],
+            edges = [],
+            nodeIndex = {},
+            i, l;
+
+        function addNode(fullName, source) {
+          if (!nodeIndex.hasOwnProperty(fullName)) {
+            nodeIndex[fullName] = nodes.length;
+            nodes.push({ id: fullName, source: source });
+          }
+        }
+
+        for (i = 0, l = registrations.length; i < l; i++) {
+          addNode(registrations[i].fullName, registrations[i].source);
+        }
+
+        for (i = 0, l = rules.length; i < l; i++) {
+          var rule = rules[i];
+
+          addNode(rule.fullName, 'unknown');
+
+          if (rule.target.indexOf(':') !== -1) {
+            addNode(rule.target, 'unknown');
+            edges.push({ from: rule.fullName, to: rule.target, property: rule.property, kind: rule.kind });
+            continue;
+          }
+
+          for (var j = 0, k = registrations.length; j < k; j++) {
+            if (typeOf(registrations[j].fullName) === rule.target) {
+              edges.push({ from: rule.fullName, to: registrations[j].fullName, property: rule.property, kind: rule.kind });
+            }
+          }
+        }
+
+        var graph = { nodes: nodes, edges: edges };
+
+        return format === 'dot' ? graphToDOT(graph) : graph;
+      },
+
       /**
         A depth first traversal, destroying the container, its descendant containers and all
         their managed objects.
@@ -11150,16 +12066,29 @@ define("container",
         @method destroy
       */
       destroy: function() {
-        for (var i=0, l=this.children.length; i<l; i++) {
-          this.children[i].destroy();
-        }
+        var children = this.children, i, l;
 
         this.children = [];
 
+        for (i=0, l=children.length; i<l; i++) {
+          children[i].destroy();
+        }
+
         eachDestroyable(this, function(item) {
           item.destroy();
         });
 
+        if (this.parent) {
+          var siblings = this.parent.children;
+
+          for (i=0, l=siblings.length; i<l; i++) {
+            if (siblings[i] === this) {
+              siblings.splice(i, 1);
+              break;
+            }
+          }
+        }
+
         this.parent = undefined;
         this.isDestroyed = true;
       },
@@ -11176,6 +12105,10 @@ define("container",
     };
 
     function has(container, fullName){
+      if (isDelegated(container, fullName)) {
+        return has(container.parent, container.parent.normalize(fullName));
+      }
+
       if (container.cache.has(fullName)) {
         return true;
       }
@@ -11186,6 +12119,10 @@ define("container",
     function lookup(container, fullName, options) {
       options = options || {};
 
+      if (isDelegated(container, fullName)) {
+        return lookup(container.parent, container.parent.normalize(fullName), options);
+      }
+
       if (container.cache.has(fullName) && options.singleton !== false) {
         return container.cache.get(fullName);
       }
@@ -11201,6 +12138,15 @@ define("container",
       return value;
     }
 
+    // Whether a child container with `delegatesToParent` leaves fullName to
+    // its parent.
+    function isDelegated(container, fullName) {
+      return container.delegatesToParent && !!container.parent &&
+             !container.registry.dict.hasOwnProperty(fullName) &&
+             !container.cache.dict.hasOwnProperty(fullName) &&
+             !container.resolver(fullName);
+    }
+
     function illegalChildOperation(operation) {
       throw new Error(operation + " is not currently supported on child containers");
     }
@@ -11211,7 +12157,7 @@ define("container",
       return singleton !== false;
     }
 
-    function buildInjections(container, injections) {
+    function buildInjections(container, injections, fullName) {
       var hash = {};
 
       if (!injections) { return hash; }
@@ -11225,7 +12171,8 @@ define("container",
         if (injectable !== undefined) {
           hash[injection.property] = injectable;
         } else {
-          throw new Error('Attempting to inject an unknown injection: `' + injection.fullName + '`');
+          throw new Error('Attempting to inject an unknown injection: `' + injection.fullName + '` into `' +
+                          fullName + '` as `' + injection.property + '`');
         }
       }
 
@@ -11248,6 +12195,10 @@ define("container",
     }
 
     function factoryFor(container, fullName) {
+      if (isDelegated(container, fullName)) {
+        return factoryFor(container.parent, container.parent.normalize(fullName));
+      }
+
       var name = fullName;
       var factory = container.resolve(name);
       var injectedFactory;
@@ -11288,7 +12239,7 @@ define("container",
       injections = injections.concat(container.typeInjections.get(type) || []);
       injections = injections.concat(container.injections[fullName] || []);
 
-      injections = buildInjections(container, injections);
+      injections = buildInjections(container, injections, fullName);
       injections._debugContainerKey = fullName;
       injections.container = container;
 
@@ -11303,7 +12254,7 @@ define("container",
       factoryInjections = factoryInjections.concat(container.factoryTypeInjections.get(type) || []);
       factoryInjections = factoryInjections.concat(container.factoryInjections[fullName] || []);
 
-      factoryInjections = buildInjections(container, factoryInjections);
+      factoryInjections = buildInjections(container, factoryInjections, fullName);
       factoryInjections._debugContainerKey = fullName;
 
       return factoryInjections;
@@ -11358,6 +12309,87 @@ define("container",
       });
     }
 
+    function typeOf(fullName) {
+      return fullName.split(':')[0];
+    }
+
+    function optionsFor(container, fullName) {
+      var typeOptions = container._typeOptions.get(typeOf(fullName)) || {},
+          ownOptions = container._options.get(fullName) || {},
+          options = {}, key;
+
+      for (key in typeOptions) { options[key] = typeOptions[key]; }
+      for (key in ownOptions) { options[key] = ownOptions[key]; }
+
+      return options;
+    }
+
+    // Calls back with every key of an InheritingDict, including the inherited
+    // ones that are not overridden.
+    function eachInherited(dict, callback) {
+      var seen = {};
+
+      for (var current = dict; current; current = current.parent) {
+        current.eachLocal(function(key, value) {
+          if (!seen.hasOwnProperty(key)) {
+            seen[key] = true;
+            callback(key, value);
+          }
+        });
+      }
+    }
+
+    function eachOwn(hash, callback) {
+      for (var key in hash) {
+        if (hash.hasOwnProperty(key)) { callback(key, hash[key]); }
+      }
+    }
+
+    function knownTypes(container) {
+      var types = [], seen = {};
+
+      function add(type) {
+        if (!seen[type]) {
+          seen[type] = true;
+          types.push(type);
+        }
+      }
+
+      function addFullName(fullName) { add(typeOf(fullName)); }
+
+      eachInherited(container.registry, addFullName);
+      eachInherited(container._typeOptions, add);
+      eachInherited(container.typeInjections, add);
+      eachInherited(container.factoryTypeInjections, add);
+      eachOwn(container.injections, addFullName);
+      eachOwn(container.factoryInjections, addFullName);
+
+      return types;
+    }
+
+    function graphToDOT(graph) {
+      var lines = ['digraph container {'], i, l;
+
+      function quote(id) {
+        return '"' + id.replace(/"/g, '\\"') + '"';
+      }
+
+      for (i = 0, l = graph.nodes.length; i < l; i++) {
+        lines.push('  ' + quote(graph.nodes[i].id) + (graph.nodes[i].source === 'resolver' ? ' [style=dotted];' : ';'));
+      }
+
+      for (i = 0, l = graph.edges.length; i < l; i++) {
+        var edge = graph.edges[i],
+            style = edge.kind.indexOf('factory') === 0 ? ', style=dashed' : '';
+
+        lines.push('  ' + quote(edge.from) + ' -> ' + quote(edge.to) + ' [label=' + quote(edge.property) + style + '];');
+      }
+
+      lines.push('}');
+
+      return lines.join('\n');
+    }
+
     var VALID_FULL_NAME_REGEXP = /^[^:]+.+:[^:]+$/;
     function validateFullName(fullName) {
       if (!VALID_FULL_NAME_REGEXP.test(fullName)) {
@@ -13516,7 +14548,7 @@ function findNamespaces() {
     }
 
     if (isNamespace) {
-      Ember.deprecate("Namespaces should not begin with lowercase.", /^[A-Z]/.test(prop));
+      Ember.deprecate("Namespaces should not begin with lowercase.", /^[A-Z]/.test(prop), { id: 'ember-runtime.lowercase-namespace', until: '2.0.0' });
       obj[NAME_KEY] = prop;
     }
   }
@@ -17189,6 +18221,146 @@ if (Ember.EXTEND_PROTOTYPES === true || Ember.EXTEND_PROTOTYPES.Function) {
 
 
 
+(function() {
+/**
+@module ember
+@submodule ember-application
+*/
+
+var get = Ember.get;
+
+/**
+  An engine is a self-contained part of an application, with its own routes,
+  controllers, views, templates and services, that is mounted under a route
+  of the application with `mount` in its router map:
+
+  ```javascript
+  Blog = Ember.Engine.create();
+
+  Blog.map(function() {
+    this.route('post', { path: '/:post_id' });
+  });
+
+  Blog.PostRoute = Ember.Route.extend({
+    session: Ember.inject.service()
+  });
+
+  Blog.TEMPLATES.post = Ember.Handlebars.compile('<h1>{{title}}</h1>');
+
+  App.Router.map(function() {
+    this.mount('blog', { engine: Blog, path: '/news' });
+  });
+  ```
+
+  The routes of the engine are named after the mount point, `blog.post`
+  above, and are looked up from a child of the application's container:
+
+  * `route:blog.post`, `controller:blog.post` and `view:blog.post` are
+    `Blog.PostRoute`, `Blog.PostController` and `Blog.PostView`, and
+    `template:blog/post` is `Blog.TEMPLATES.post`.
+  * other names, e.g. `service:analytics`, are resolved on the engine first
+    (`Blog.AnalyticsService`).
+  * anything the engine does not define is looked up from the application's
+    container, so the engine shares the application's services and
+    `Ember.TEMPLATES['blog/post']` still works.
+
+  The child container is created when the engine's routes are first looked
+  up, and destroyed with everything it created when the route the engine is
+  mounted at is exited.
+
+  @class Engine
+  @namespace Ember
+  @extends Ember.Namespace
+*/
+Ember.Engine = Ember.Namespace.extend({
+  /**
+    The resolver class used to find the engine's objects on the engine.
+
+    @property Resolver
+    @default Ember.DefaultResolver
+  */
+  Resolver: null,
+
+  /**
+    The engine's templates, by name without the mount point.
+
+    @property TEMPLATES
+    @type Object
+  */
+  TEMPLATES: null,
+
+  /**
+    The engine's router map, set with `map`.
+
+    @property routerMap
+    @type Function
+  */
+  routerMap: null,
+
+  init: function() {
+    this._super();
+
+    if (!this.TEMPLATES) { this.TEMPLATES = {}; }
+  },
+
+  /**
+    Defines the routes of the engine. The callback is called with the same
+    DSL as `Ember.Router.map`, inside the resource the engine is mounted
+    as.
+
+    @method map
+    @param {Function} callback
+  */
+  map: function(callback) {
+    this.routerMap = callback;
+  },
+
+  /**
+    Creates the child of `parent` the engine's objects are looked up from
+    when it is mounted at `mountName`.
+
+    @method buildContainer
+    @param {Container} parent the application's container, or the container
+      of the engine it is mounted in
+    @param {String} mountName
+    @return {Container}
+  */
+  buildContainer: function(parent, mountName) {
+    var container = parent.child(),
+        ResolverClass = get(this, 'Resolver') || Ember.DefaultResolver,
+        resolver = ResolverClass.create({ namespace: this }),
+        templates = this.TEMPLATES;
+
+    container.delegatesToParent = true;
+    container.describe = parent.describe;
+    container.makeToString = parent.makeToString;
+
+    container.resolver = function(fullName) {
+      var split = fullName.split(':'),
+          type = split[0],
+          name = split[1];
+
+      if (name === mountName) { return; }
+
+      if (name.indexOf(mountName + '.') === 0 || name.indexOf(mountName + '/') === 0) {
+        name = name.slice(mountName.length + 1);
+      }
+
+      if (type === 'template') {
+        return templates[name.replace(/\./g, '/')];
+      }
+
+      return resolver.resolve(type + ':' + name);
+    };
+
+    return container;
+  }
+});
+
+})();
+
+
+
 (function() {
 
 })();
@@ -18123,7 +19295,7 @@ RSVP.configure('async', function(callback, promise) {
 });
 
 RSVP.Promise.prototype.fail = function(callback, label){
-  Ember.deprecate('RSVP.Promise.fail has been renamed as RSVP.Promise.catch');
+  Ember.deprecate('RSVP.Promise.fail has been renamed as RSVP.Promise.catch', false, { id: 'ember-runtime.promise-fail', until: '2.0.0' });
   return this['catch'](callback, label);
 };
 
@@ -18360,7 +19532,7 @@ Ember.ActionHandler = Ember.Mixin.create({
       if (typeOf(props.actions) === 'object') {
         hashName = 'actions';
       } else if (typeOf(props.events) === 'object') {
-        Ember.deprecate('Action handlers contained in an `events` object are deprecated in favor of putting them in an `actions` object', false);
+        Ember.deprecate('Action handlers contained in an `events` object are deprecated in favor of putting them in an `actions` object', false, { id: 'ember-runtime.events-action-handlers', until: '2.0.0' });
         hashName = 'events';
       }
 
@@ -19134,6 +20306,185 @@ Ember.Container.set = Ember.set;
 
 
 
+(function() {
+/**
+@module ember
+@submodule ember-runtime
+*/
+
+var get = Ember.get,
+    o_create = Ember.create,
+    ComputedProperty = Ember.ComputedProperty;
+
+/**
+  A computed property that looks its value up from the object's container
+  the first time it is read. See `Ember.inject`.
+
+  @class InjectedProperty
+  @namespace Ember
+  @extends Ember.ComputedProperty
+  @constructor
+  @param {String} fullName the `type:name` to look up, or only the type to
+    use the property's name as the name
+*/
+function InjectedProperty(fullName) {
+  var property = this;
+
+  this.fullName = fullName;
+
+  ComputedProperty.call(this, function(keyName) {
+    return property.lookup(this, keyName);
+  });
+}
+
+Ember.InjectedProperty = InjectedProperty;
+InjectedProperty.prototype = o_create(ComputedProperty.prototype);
+
+/**
+  The `type:name` this property looks up when read as `keyName`.
+
+  @method fullNameFor
+  @param {String} keyName
+  @return {String}
+*/
+InjectedProperty.prototype.fullNameFor = function(keyName) {
+  return this.fullName.indexOf(':') === -1 ? this.fullName + ':' + keyName : this.fullName;
+};
+
+/**
+  Looks the injected object up from `obj`'s container.
+
+  @method lookup
+  @param {Object} obj
+  @param {String} keyName
+  @return {Object}
+*/
+InjectedProperty.prototype.lookup = function(obj, keyName) {
+  var fullName = this.fullNameFor(keyName),
+      container = get(obj, 'container'),
+      injection;
+
+  Ember.assert("Attempting to inject `" + fullName + "` as `" + keyName + "` on " + obj + ", but it " +
+               "has no container. Objects only get one when they are looked up from the container or " +
+               "created by an object that was, otherwise pass it as `container` to `create`.", container);
+
+  injection = container.lookup(fullName);
+
+  Ember.assert("Attempting to inject `" + fullName + "` as `" + keyName + "` on " + obj + ", but " +
+               container.describe(fullName) + " could not be found.", injection !== undefined);
+
+  return injection;
+};
+
+/**
+  Defines a property that is looked up from the object's container the
+  first time it is read, then cached. Unlike injections set up with
+  `Container#injection` in an initializer, the dependency is declared where
+  it is used, and only looked up by the objects that need it. It works for
+  every object created by the container, like routes, controllers, views
+  and components.
+
+  ```javascript
+  App.PostController = Ember.ObjectController.extend({
+    session: Ember.inject('session:main'),
+
+    // with only a type, the property's name is the name: `service:analytics`
+    analytics: Ember.inject('service'),
+
+    actions: {
+      publish: function() {
+        this.get('analytics').track('publish', this.get('session.user'));
+      }
+    }
+  });
+  ```
+
+  The injected object can be replaced by setting the property, which is
+  handy in unit tests:
+
+  ```javascript
+  var controller = App.PostController.create({
+    session: Ember.Object.create({ user: 'tomster' })
+  });
+  ```
+
+  @method inject
+  @for Ember
+  @param {String} fullName the `type:name` to look up, or only the type to
+    use the property's name as the name
+  @return {Ember.InjectedProperty}
+*/
+Ember.inject = function(fullName) {
+  Ember.assert("Ember.inject expects a `type:name` or a type, but got " + fullName,
+               typeof fullName === 'string' && fullName.length > 0);
+
+  return new InjectedProperty(fullName);
+};
+
+})();
+
+
+
+(function() {
+/**
+@module ember
+@submodule ember-runtime
+*/
+
+/**
+  A service is an object that lives as long as the application and is shared
+  by everything that uses it, like the current session, an analytics client
+  or a websocket connection.
+
+  Services are registered with the `service` type, and the default resolver
+  finds `service:session` as `App.SessionService`. Each is created the first
+  time it is looked up and destroyed when the application is destroyed or
+  reset:
+
+  ```javascript
+  App.SessionService = Ember.Service.extend({
+    user: null,
+
+    willDestroy: function() {
+      this.get('socket').close();
+    }
+  });
+
+  App.PostController = Ember.ObjectController.extend({
+    session: Ember.inject.service()
+  });
+  ```
+
+  @class Service
+  @namespace Ember
+  @extends Ember.Object
+*/
+Ember.Service = Ember.Object.extend();
+
+/**
+  Defines a property that looks up `service:name` the first time it is read,
+  see `Ember.inject`. Without a name, the property's name is used.
+
+  ```javascript
+  App.PostRoute = Ember.Route.extend({
+    session: Ember.inject.service(),
+    tracker: Ember.inject.service('analytics')
+  });
+  ```
+
+  @method service
+  @for Ember.inject
+  @param {String} name (optional)
+  @return {Ember.InjectedProperty}
+*/
+Ember.inject.service = function(name) {
+  return Ember.inject(name ? 'service:' + name : 'service');
+};
+
+})();
+
+
+
 (function() {
 Ember.Application = Ember.Namespace.extend();
 
@@ -20461,7 +21812,7 @@ Ember.ControllerMixin = Ember.Mixin.create(Ember.ActionHandler, {
   deprecatedSend: function(actionName) {
     var args = [].slice.call(arguments, 1);
     Ember.assert('' + this + " has the action " + actionName + " but it is not a function", typeof this[actionName] === 'function');
-    Ember.deprecate('Action handlers implemented directly on controllers are deprecated in favor of action handlers on an `actions` object (' + actionName + ' on ' + this + ')', false);
+    Ember.deprecate('Action handlers implemented directly on controllers are deprecated in favor of action handlers on an `actions` object (' + actionName + ' on ' + this + ')', false, { id: 'ember-runtime.controller-action-handlers', until: '2.0.0' });
     this[actionName].apply(this, args);
     return;
   }
@@ -21290,7 +22641,7 @@ function escapeAttribute(value) {
 // IE 6/7 have bugs arond setting names on inputs during creation.
 // From http://msdn.microsoft.com/en-us/library/ie/ms536389(v=vs.85).aspx:
 // "To include the NAME attribute at run time on objects created with the createElement method, use the eTag."
-var canSetNameOnInputs = (function() {
+var canSetNameOnInputs = typeof document === 'undefined' || (function() {
   var div = document.createElement('div'),
       el = document.createElement('input');
 
@@ -22082,7 +23433,7 @@ var childViewsProperty = Ember.computed(function() {
 
   ret.replace = function (idx, removedCount, addedViews) {
     if (view instanceof Ember.ContainerView) {
-      Ember.deprecate("Manipulating an Ember.ContainerView through its childViews property is deprecated. Please use the ContainerView instance itself as an Ember.MutableArray.");
+      Ember.deprecate("Manipulating an Ember.ContainerView through its childViews property is deprecated. Please use the ContainerView instance itself as an Ember.MutableArray.", false, { id: 'ember-views.container-child-views', until: '2.0.0' });
       return view.replace(idx, removedCount, addedViews);
     }
     throw new Ember.Error("childViews is immutable");
@@ -22240,7 +23591,7 @@ Ember.CoreView = Ember.Object.extend(Ember.Evented, Ember.ActionHandler, {
   deprecatedSend: function(actionName) {
     var args = [].slice.call(arguments, 1);
     Ember.assert('' + this + " has the action " + actionName + " but it is not a function", typeof this[actionName] === 'function');
-    Ember.deprecate('Action handlers implemented directly on views are deprecated in favor of action handlers on an `actions` object (' + actionName + ' on ' + this + ')', false);
+    Ember.deprecate('Action handlers implemented directly on views are deprecated in favor of action handlers on an `actions` object (' + actionName + ' on ' + this + ')', false, { id: 'ember-views.view-action-handlers', until: '2.0.0' });
     this[actionName].apply(this, args);
     return;
   },
@@ -22337,6 +23688,44 @@ ViewCollection.prototype = {
 
 var EMPTY_ARRAY = [];
 
+// Collects the views shown by containers in `view`'s subtree through
+// `currentView` and detaches them from their containers.
+function detachCurrentViews(view, detached) {
+  var currentView = get(view, 'currentView');
+
+  if (currentView && !currentView.isDestroyed && currentView._parentView === view) {
+    Ember.EnumerableUtils.removeObject(view._childViews, currentView);
+    set(currentView, '_parentView', null);
+    detached.push(currentView);
+  }
+
+  var childViews = view._childViews || EMPTY_ARRAY;
+  for (var i = 0, l = childViews.length; i < l; i++) {
+    detachCurrentViews(childViews[i], detached);
+  }
+}
+
+// Like `clearRenderedChildren`, destroys the child views created while
+// rendering `view` and its descendants, but keeps the views that containers
+// show through `currentView`, such as the views the router connects to
+// outlets. They are not owned by the template that created the container,
+// and are shown again by the containers created by the next render.
+function releaseRenderedChildren(view) {
+  var childViews = view._childViews || EMPTY_ARRAY, detached = [], i, l;
+
+  for (i = view.lengthAfterRender - 1; i >= view.lengthBeforeRender; i--) {
+    if (childViews[i]) {
+      detachCurrentViews(childViews[i], detached);
+      childViews[i].destroy();
+    }
+  }
+
+  childViews = childViews.concat(detached);
+  for (i = 0, l = childViews.length; i < l; i++) {
+    releaseRenderedChildren(childViews[i]);
+  }
+}
+
 /**
   `Ember.View` is the class in Ember responsible for encapsulating templates of
   HTML content, combining templates with data to render as sections of a page's
@@ -23131,7 +24520,7 @@ Ember.View = Ember.CoreView.extend({
     @deprecated
   */
   nearestInstanceOf: function(klass) {
-    Ember.deprecate("nearestInstanceOf is deprecated and will be removed from future releases. Use nearestOfType.");
+    Ember.deprecate("nearestInstanceOf is deprecated and will be removed from future releases. Use nearestOfType.", false, { id: 'ember-views.nearest-instance-of', until: '2.0.0' });
     var view = get(this, 'parentView');
 
     while (view) {
@@ -23294,6 +24683,7 @@ Ember.View = Ember.CoreView.extend({
     @method rerender
   */
   rerender: function() {
+    if (Ember._loopRecorder) { Ember._loopRecorder.viewDidRerender(this); }
     return this.currentState.rerender(this);
   },
 
@@ -23567,6 +24957,44 @@ Ember.View = Ember.CoreView.extend({
     return this;
   },
 
+  /**
+    Adopts markup that was already rendered for this view, for example by
+    `renderToString` on a server, instead of creating new elements.
+
+    The view hierarchy is rendered as usual, but rather than inserting the
+    result, each view's element and each Metamorph region (the
+    `metamorph-N-start` and `metamorph-N-end` script tags) is matched by its
+    id with the existing markup inside `target`, so the markup has to be
+    rendered from the same view hierarchy with the same ids. Observers and
+    `Ember.EventDispatcher` use the matched nodes as they are, so the page
+    does not flash.
+
+    A view without a matching element or Metamorph region is rendered again
+    in its place, and the elements of views that do not exist on the client
+    are removed; the markup of the other views is kept.
+
+    Note that this method just schedules the view to be rehydrated; this
+    happens once all bindings have finished synchronizing.
+
+    @method rehydrateIn
+    @param {String|DOMElement|jQuery} target A selector, element, or jQuery
+      object containing the rendered markup
+    @return {Ember.View} receiver
+  */
+  rehydrateIn: function(target) {
+    Ember.assert("You tried to rehydrate in (" + target + ") but that isn't in the DOM", Ember.$(target).length > 0);
+    Ember.assert("You can only rehydrate a view that has an element", !this.isVirtual && this.tagName !== '');
+
+    this._scheduledInsert = Ember.run.scheduleOnce('render', this, '_rehydrate', target);
+
+    return this;
+  },
+
+  _rehydrate: function(target) {
+    this._scheduledInsert = null;
+    this.currentState.rehydrate(this, target);
+  },
+
   /**
     Schedules a DOM operation to occur during the next render phase. This
     ensures that all bindings have finished synchronizing before the view is
@@ -23673,6 +25101,46 @@ Ember.View = Ember.CoreView.extend({
     return this;
   },
 
+  /**
+    Renders the view and all of its child views to an HTML string without
+    creating any DOM elements. This is the render path used when the
+    application is rendered on a server (see `Ember.Application#renderMode`).
+
+    The view must be in the `preRender` state. Once the HTML has been
+    generated, the view hierarchy is returned to the `preRender` state so
+    that it can be rendered again after the application's state changes.
+
+    ```javascript
+    var view = Ember.View.create({
+      template: Ember.Handlebars.compile('<h1>{{view.title}}</h1>'),
+      title: 'Hello'
+    });
+
+    view.renderToString(); // => '<div id="ember1" class="ember-view"><h1>...'
+    ```
+
+    @method renderToString
+    @return {String} The HTML representation of the view hierarchy
+  */
+  renderToString: function() {
+    Ember.assert("You can only render a view to a string while it is in the preRender state", this.currentState === this.states.preRender);
+
+    var buffer = Ember.RenderBuffer();
+    buffer._hasElement = false;
+
+    this.renderToBuffer(buffer);
+    var html = buffer.string();
+
+    // Tear down the observers set up while rendering and release the child
+    // views created by `render()`, so that the next render creates them anew.
+    this.triggerRecursively('willClearRender');
+    this.clearBuffer();
+    this.transitionTo('preRender');
+    releaseRenderedChildren(this);
+
+    return html;
+  },
+
   /**
     Called when a view is going to insert an element into the DOM.
 
@@ -24331,6 +25799,12 @@ Ember.View = Ember.CoreView.extend({
   * destroyed: once a view has been destroyed (using the destroy
     method), it is in this state. No further actions can be invoked
     on a destroyed view.
+
+  When rendering without a DOM (for example on a server, using
+  `renderToString`), only the preRender, inBuffer and destroyed states
+  are valid. A view only passes through inBuffer while its HTML is being
+  generated and is returned to preRender afterwards; hasElement and inDOM
+  require a live document.
 */
 
   // in the destroyed state, everything is illegal
@@ -24608,6 +26082,161 @@ Ember.View.states._default = {
 @submodule ember-views
 */
 
+var get = Ember.get, set = Ember.set;
+
+var METAMORPH_ID_REGEXP = /^(metamorph-\d+)-(start|end)$/;
+
+// Returns the node below `root` with the given id.
+function nodeById(id, root) {
+  return Ember.$('[id="' + id + '"]', root)[0] || null;
+}
+
+// Finds the node in the existing markup below `root` that corresponds to
+// `freshNode` in the client's rendering below `freshRoot`: by id, or else
+// by position below the corresponding parent.
+function findExistingNode(freshNode, freshRoot, root) {
+  if (freshNode === freshRoot) { return root; }
+
+  var id = freshNode.getAttribute('id');
+  if (id) { return nodeById(id, root); }
+
+  var parent = findExistingNode(freshNode.parentNode, freshRoot, root),
+      index = 0, node;
+
+  if (!parent) { return null; }
+
+  for (node = freshNode.previousSibling; node; node = node.previousSibling) {
+    if (node.nodeType === 1) { index++; }
+  }
+
+  for (node = parent.firstChild; node; node = node.nextSibling) {
+    if (node.nodeType === 1 && index-- === 0) {
+      return node.nodeName === freshNode.nodeName ? node : null;
+    }
+  }
+
+  return null;
+}
+
+// Puts copies of `freshNodes`, a run of siblings from the client's
+// rendering, into the existing markup: in place of `existingNodes` if
+// given, otherwise after the nearest preceding sibling that has a
+// counterpart (and the text that follows it). If the parent has no
+// counterpart either, the parent is put in place instead.
+function placeFreshNodes(freshNodes, existingNodes, freshRoot, root) {
+  var freshParent = freshNodes[0].parentNode,
+      parent = findExistingNode(freshParent, freshRoot, root),
+      before, node, text = 0, i, l;
+
+  if (!parent) {
+    placeFreshNodes([freshParent], null, freshRoot, root);
+    return;
+  }
+
+  if (existingNodes) {
+    before = existingNodes[existingNodes.length - 1].nextSibling;
+    for (i = 0, l = existingNodes.length; i < l; i++) {
+      parent.removeChild(existingNodes[i]);
+    }
+  } else {
+    for (node = freshNodes[0].previousSibling; node && node.nodeType !== 1; node = node.previousSibling) {
+      text++;
+    }
+
+    if (node) {
+      before = findExistingNode(node, freshRoot, root);
+      if (!before || before.parentNode !== parent) {
+        before = null;
+        text = 0;
+        for (node = node.previousSibling; node && !before; node = node.previousSibling) {
+          if (node.nodeType === 1) { before = findExistingNode(node, freshRoot, root); }
+        }
+        if (before && before.parentNode !== parent) { before = null; }
+      }
+    }
+
+    before = before ? before.nextSibling : parent.firstChild;
+    while (text-- > 0 && before && before.nodeType !== 1) { before = before.nextSibling; }
+  }
+
+  for (i = 0, l = freshNodes.length; i < l; i++) {
+    parent.insertBefore(freshNodes[i].cloneNode(true), before);
+  }
+}
+
+// Returns the siblings from `start` to `end`, inclusive.
+function nodesBetween(start, end) {
+  var nodes = [start], node = start;
+  while (node !== end) {
+    node = node.nextSibling;
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+// Matches `view` and its child views with the existing markup below `root`
+// by the ids of their elements and Metamorph markers. A view that has no
+// matching counterpart is put in place from the client's rendering below
+// `freshRoot`, together with its child views; the markup of the views that
+// match is kept.
+function adoptRenderedNodes(view, freshRoot, root) {
+  var fresh, existing, start, end, i, l;
+
+  if (view.morph) {
+    start = nodeById(view.morph.start, root);
+    end = nodeById(view.morph.end, root);
+
+    if (!start || !end || start.parentNode !== end.parentNode) {
+      Ember.$(Ember.A([start, end]).compact()).remove();
+      fresh = nodesBetween(nodeById(view.morph.start, freshRoot), nodeById(view.morph.end, freshRoot));
+      placeFreshNodes(fresh, null, freshRoot, root);
+      return;
+    }
+  } else if (!view.isVirtual && view.tagName !== '') {
+    existing = nodeById(get(view, 'elementId'), root);
+    fresh = nodeById(get(view, 'elementId'), freshRoot);
+
+    if (!existing || existing.nodeName !== fresh.nodeName) {
+      placeFreshNodes([fresh], existing && [existing], freshRoot, root);
+      return;
+    }
+  }
+
+  var childViews = view._childViews;
+  if (childViews) {
+    for (i = 0, l = childViews.length; i < l; i++) {
+      adoptRenderedNodes(childViews[i], freshRoot, root);
+    }
+  }
+}
+
+// Removes the elements of views and the Metamorph regions below `root`
+// whose ids are not in the client's rendering below `freshRoot`, unless
+// they contain nodes that are.
+function removeUnclaimedNodes(freshRoot, root) {
+  var ids = {};
+
+  function isClaimed() { return this.nodeType === 1 && ids[this.getAttribute('id')]; }
+
+  Ember.$('[id]', freshRoot).each(function() { ids[this.getAttribute('id')] = true; });
+
+  Ember.$('.ember-view, script[id^="metamorph-"]', root).each(function() {
+    var id = this.getAttribute('id'), match = id && METAMORPH_ID_REGEXP.exec(id),
+        nodes = [this], end;
+
+    if (!id || ids[id] || !Ember.$.contains(root, this)) { return; }
+
+    if (match) {
+      end = match[2] === 'start' && nodeById(match[1] + '-end', root);
+      if (!end || end.parentNode !== this.parentNode) { return; }
+      nodes = nodesBetween(this, end);
+    }
+
+    nodes = Ember.$(nodes);
+    if (!nodes.find('[id]').add(nodes).filter(isClaimed).length) { nodes.remove(); }
+  });
+}
+
 var preRender = Ember.View.states.preRender = Ember.create(Ember.View.states._default);
 
 Ember.merge(preRender, {
@@ -24632,6 +26261,29 @@ Ember.merge(preRender, {
 
   },
 
+  // a view can adopt existing markup instead of creating its element
+  // (rehydrateIn).
+  rehydrate: function(view, target) {
+    var element = Ember.$(target)[0],
+        buffer = Ember.RenderBuffer();
+
+    buffer._hasElement = false;
+    view.renderToBuffer(buffer);
+
+    var fresh = Ember.$('<div></div>').html(buffer.string())[0];
+
+    removeUnclaimedNodes(fresh, element);
+    adoptRenderedNodes(view, fresh, element);
+
+    var viewCollection = view.viewHierarchyCollection();
+
+    set(view, 'element', Ember.$('#' + get(view, 'elementId'), element)[0]);
+    viewCollection.trigger('willInsertElement');
+
+    viewCollection.transitionTo('inDOM', false);
+    viewCollection.trigger('didInsertElement');
+  },
+
   renderToBufferIfNeeded: function(view, buffer) {
     view.renderToBuffer(buffer);
     return true;
@@ -24722,6 +26374,10 @@ Ember.merge(inBuffer, {
     throw "You can't insert an element that has already been rendered";
   },
 
+  rehydrate: function() {
+    throw "You can't rehydrate a view that has already been rendered";
+  },
+
   setElement: function(view, value) {
     if (value === null) {
       view.transitionTo('preRender');
@@ -24776,6 +26432,10 @@ Ember.merge(hasElement, {
     return value;
   },
 
+  rehydrate: function() {
+    throw "You can't rehydrate a view that already has an element";
+  },
+
   // once the view has been inserted into the DOM, rerendering is
   // deferred to allow bindings to synchronize.
   rerender: function(view) {
@@ -24902,7 +26562,8 @@ Ember.merge(destroying, {
 
   // Since element insertion is scheduled, don't do anything if
   // the view has been destroyed between scheduling and execution
-  insertElement: Ember.K
+  insertElement: Ember.K,
+  rehydrate: Ember.K
 });
 
 
@@ -25813,7 +27474,7 @@ Ember.ComponentTemplateDeprecation = Ember.Mixin.create({
     }
 
     if (deprecatedProperty) {
-      Ember.deprecate('Do not specify ' + deprecatedProperty + ' on a Component, use ' + replacementProperty + ' instead.', false);
+      Ember.deprecate('Do not specify ' + deprecatedProperty + ' on a Component, use ' + replacementProperty + ' instead.', false, { id: 'ember-views.component-deprecated-property', until: '2.0.0' });
     }
   }
 });
@@ -26242,7 +27903,7 @@ define("metamorph",
         // IE 8 (and likely earlier) likes to move whitespace preceeding
         // a script tag to appear after it. This means that we can
         // accidentally remove whitespace when updating a morph.
-        movesWhitespace = document && (function() {
+        movesWhitespace = typeof document !== 'undefined' && (function() {
           var testEl = document.createElement('div');
           testEl.innerHTML = "Test: <script type='text/x-placeholder'></script>Value";
           return testEl.childNodes[0].nodeValue === 'Test:' &&
@@ -27658,7 +29319,7 @@ Ember._Metamorph = Ember.Mixin.create({
   init: function() {
     this._super();
     this.morph = Metamorph();
-    Ember.deprecate('Supplying a tagName to Metamorph views is unreliable and is deprecated. You may be setting the tagName on a Handlebars helper that creates a Metamorph.', !this.tagName);
+    Ember.deprecate('Supplying a tagName to Metamorph views is unreliable and is deprecated. You may be setting the tagName on a Handlebars helper that creates a Metamorph.', !this.tagName, { id: 'ember-handlebars.metamorph-tag-name', until: '2.0.0' });
   },
 
   beforeRender: function(buffer) {
@@ -27748,6 +29409,10 @@ SimpleHandlebarsView.prototype = {
 
   propertyDidChange: Ember.K,
 
+  toString: function() {
+    return '<Ember._SimpleHandlebarsView:{{' + this.path + '}}>';
+  },
+
   normalizedValue: function() {
     var path = this.path,
         pathRoot = this.pathRoot,
@@ -27794,6 +29459,8 @@ SimpleHandlebarsView.prototype = {
   },
 
   rerender: function() {
+    if (Ember._loopRecorder) { Ember._loopRecorder.viewDidRerender(this); }
+
     switch(this.state) {
       case 'preRender':
       case 'destroyed':
@@ -28713,7 +30380,7 @@ EmberHandlebars.registerHelper('bind-attr', function bindAttrHelper(options) {
   @return {String} HTML string
 */
 EmberHandlebars.registerHelper('bindAttr', function bindAttrHelper() {
-  Ember.warn("The 'bindAttr' view helper is deprecated in favor of 'bind-attr'");
+  Ember.deprecate("The 'bindAttr' view helper is deprecated in favor of 'bind-attr'", false, { id: 'ember-handlebars.bind-attr', until: '2.0.0' });
   return EmberHandlebars.helpers['bind-attr'].apply(this, arguments);
 });
 
@@ -29345,7 +31012,7 @@ var get = Ember.get, handlebarsGet = Ember.Handlebars.get, fmt = Ember.String.fm
   @deprecated Use `{{each}}` helper instead.
 */
 Ember.Handlebars.registerHelper('collection', function collectionHelper(path, options) {
-  Ember.deprecate("Using the {{collection}} helper without specifying a class has been deprecated as the {{each}} helper now supports the same functionality.", path !== 'collection');
+  Ember.deprecate("Using the {{collection}} helper without specifying a class has been deprecated as the {{each}} helper now supports the same functionality.", path !== 'collection', { id: 'ember-handlebars.collection-without-class', until: '2.0.0' });
 
   // If no path is provided, treat path param as options.
   if (path && path.data && path.data.isRenderData) {
@@ -30046,7 +31713,7 @@ Ember.Handlebars.registerHelper('each', function eachHelper(path, options) {
 */
 
 Ember.Handlebars.registerHelper('template', function(name, options) {
-  Ember.deprecate("The `template` helper has been deprecated in favor of the `partial` helper. Please use `partial` instead, which will work the same way.");
+  Ember.deprecate("The `template` helper has been deprecated in favor of the `partial` helper. Please use `partial` instead, which will work the same way.", false, { id: 'ember-handlebars.template-helper', until: '2.0.0' });
   return Ember.Handlebars.helpers.partial.apply(this, arguments);
 });
 
@@ -31771,7 +33438,11 @@ Ember.Handlebars.bootstrap = function(ctx) {
   });
 };
 
-function bootstrap() {
+function bootstrap(container, application) {
+  // Applications rendered to a string may not have a document to pick up
+  // inline templates from.
+  if (typeof document === 'undefined' || Ember.get(application, 'renderMode') === 'string') { return; }
+
   Ember.Handlebars.bootstrap( Ember.$(document) );
 }
 
@@ -31906,6 +33577,184 @@ define("route-recognizer",
       generate: function() { return ""; }
     };
 
+    // An OptionalSegment wraps the segments of a parenthesized group such
+    // as `(/:page)`. It is only used to generate URLs: when a route is added
+    // it is expanded into one path with and one without each group, so it
+    // never takes part in the NFA or the regex.
+    function OptionalSegment(segments, names) {
+      this.segments = segments;
+      this.names = names;
+    }
+    OptionalSegment.prototype = {
+      // The group is generated only if all of its own dynamic and star
+      // segments have a value.
+      generate: function(params) {
+        var names = this.names;
+
+        if (!names.length || !params) { return ""; }
+
+        for (var i=0, l=names.length; i<l; i++) {
+          if (params[names[i]] == null) { return ""; }
+        }
+
+        return generateSegments(this.segments, params);
+      }
+    };
+
+    function generateSegments(segments, params) {
+      var output = "";
+
+      for (var i=0, l=segments.length; i<l; i++) {
+        var segment = segments[i];
+
+        if (segment instanceof EpsilonSegment) { continue; }
+
+        if (segment instanceof OptionalSegment) {
+          output += segment.generate(params);
+          continue;
+        }
+
+        output += "/";
+        output += segment.generate(params);
+      }
+
+      return output;
+    }
+
+    // Splits a route description into its plain parts and its optional
+    // groups: "/posts(/:page)" becomes `["/posts", { optional: ["/:page"] }]`.
+    // Groups may nest, and must start at a segment boundary.
+    function tokenize(route) {
+      var tokens = [], stack = [tokens], chunk = "", ch;
+
+      function flush() {
+        if (chunk) { stack[stack.length - 1].push(chunk); }
+        chunk = "";
+      }
+
+      for (var i=0, l=route.length; i<l; i++) {
+        ch = route.charAt(i);
+
+        if (ch === "(") {
+          flush();
+
+          if (route.charAt(i + 1) !== "/") {
+            throw new Error("Optional segments must start with a `/` in " + route);
+          }
+
+          var group = [];
+          stack[stack.length - 1].push({ optional: group });
+          stack.push(group);
+        } else if (ch === ")") {
+          flush();
+
+          if (stack.length === 1) { throw new Error("Unbalanced parentheses in " + route); }
+          stack.pop();
+        } else {
+          chunk += ch;
+        }
+      }
+
+      flush();
+
+      if (stack.length !== 1) { throw new Error("Unbalanced parentheses in " + route); }
+
+      return tokens;
+    }
+
+    // Returns every path a list of tokens describes, e.g. "/posts" and
+    // "/posts/:page" for "/posts(/:page)".
+    function expand(tokens) {
+      var paths = [""];
+
+      for (var i=0, l=tokens.length; i<l; i++) {
+        var token = tokens[i], next = [], j, m;
+
+        if (typeof token === 'string') {
+          for (j=0, m=paths.length; j<m; j++) { next.push(paths[j] + token); }
+        } else {
+          var optionals = expand(token.optional);
+
+          for (j=0, m=paths.length; j<m; j++) {
+            next.push(paths[j]);
+
+            for (var k=0, n=optionals.length; k<n; k++) {
+              next.push(paths[j] + optionals[k]);
+            }
+          }
+        }
+
+        paths = next;
+      }
+
+      return paths;
+    }
+
+    // Builds the segments used to generate URLs for a list of tokens. The
+    // names of all dynamic and star segments, optional or not, are pushed
+    // onto `names`, and those of optional ones onto `optionalNames` as well.
+    function parseTokens(tokens, names, optionalNames) {
+      var results = [], types = { statics: 0, dynamics: 0, stars: 0 };
+
+      for (var i=0, l=tokens.length; i<l; i++) {
+        var token = tokens[i];
+
+        if (typeof token === 'string') {
+          results = results.concat(parse(token, names, types));
+        } else {
+          var groupNames = [];
+          var segments = parseTokens(token.optional, groupNames, []);
+
+          for (var j=0, m=groupNames.length; j<m; j++) {
+            names.push(groupNames[j]);
+            optionalNames.push(groupNames[j]);
+          }
+
+          results.push(new OptionalSegment(segments, directNames(segments)));
+        }
+      }
+
+      return results;
+    }
+
+    function directNames(segments) {
+      var names = [];
+
+      for (var i=0, l=segments.length; i<l; i++) {
+        if (segments[i] instanceof DynamicSegment || segments[i] instanceof StarSegment) {
+          names.push(segments[i].name);
+        }
+      }
+
+      return names;
+    }
+
+    // Constraints must match the whole value of a segment, so `/\d+/`
+    // rejects "12abc".
+    function anchorConstraints(constraints) {
+      var anchored = {};
+
+      for (var name in constraints) {
+        if (constraints.hasOwnProperty(name)) {
+          var constraint = constraints[name];
+          anchored[name] = new RegExp("^(?:" + constraint.source + ")$", constraint.ignoreCase ? "i" : "");
+        }
+      }
+
+      return anchored;
+    }
+
+    function satisfiesConstraints(constraints, params) {
+      for (var name in constraints) {
+        if (constraints.hasOwnProperty(name) && params[name] !== undefined &&
+            !constraints[name].test(params[name])) {
+          return false;
+        }
+      }
+
+      return true;
+    }
+
     function parse(route, names, types) {
       // normalize route as not starting with a "/". Recognition will
       // also normalize.
@@ -31938,13 +33787,15 @@ define("route-recognizer",
     // A State has a character specification and (`charSpec`) and a list of possible
     // subsequent states (`nextStates`).
     //
-    // If a State is an accepting state, it will also have several additional
-    // properties:
+    // If a State is an accepting state, it will also have a list of `routes`,
+    // one for each registered path that ends in it, in the order they were
+    // added. Each of them has:
     //
     // * `regex`: A regular expression that is used to extract parameters from paths
     //   that reached this accepting state.
     // * `handlers`: Information on how to convert the list of captures into calls
-    //   to registered handlers with the specified parameters
+    //   to registered handlers with the specified parameters, and the
+    //   `constraints` those parameters must satisfy
     // * `types`: How many static, dynamic or star segments in this route. Used to
     //   decide which route to use if multiple registered routes match a path.
     //
@@ -32051,13 +33902,15 @@ define("route-recognizer",
 
     // This is a somewhat naive strategy, but should work in a lot of cases
     // A better strategy would properly resolve /posts/:id/new and /posts/edit/:id
-    function sortSolutions(states) {
-      return states.sort(function(a, b) {
+    //
+    // Routes that tie are tried in the order they were added.
+    function sortSolutions(routes) {
+      return routes.sort(function(a, b) {
         if (a.types.stars !== b.types.stars) { return a.types.stars - b.types.stars; }
         if (a.types.dynamics !== b.types.dynamics) { return a.types.dynamics - b.types.dynamics; }
         if (a.types.statics !== b.types.statics) { return b.types.statics - a.types.statics; }
 
-        return 0;
+        return a.order - b.order;
       });
     }
 
@@ -32090,8 +33943,10 @@ define("route-recognizer",
       queryParams: null
     });
 
-    function findHandler(state, path, queryParams) {
-      var handlers = state.handlers, regex = state.regex;
+    // Returns nothing if a captured parameter does not satisfy the
+    // constraints of its handler.
+    function findHandler(route, path, queryParams) {
+      var handlers = route.handlers, regex = route.regex;
       var captures = path.match(regex), currentCapture = 1;
       var result = new RecognizeResults(queryParams);
 
@@ -32102,12 +33957,24 @@ define("route-recognizer",
           params[names[j]] = captures[currentCapture++];
         }
 
+        if (!satisfiesConstraints(handler.constraints, params)) { return; }
+
         result.push({ handler: handler.handler, params: params, isDynamic: !!names.length });
       }
 
       return result;
     }
 
+    function sameHandlers(a, b) {
+      if (a.length !== b.length) { return false; }
+
+      for (var i=0, l=a.length; i<l; i++) {
+        if (a[i].handler !== b[i].handler) { return false; }
+      }
+
+      return true;
+    }
+
     function addSegment(currentState, segment) {
       segment.eachChar(function(ch) {
         var state;
@@ -32123,14 +33990,55 @@ define("route-recognizer",
     var RouteRecognizer = function() {
       this.rootState = new State();
       this.names = {};
+      this.routeCount = 0;
     };
 
 
     RouteRecognizer.prototype = {
+      // Each route is a `{ path, handler, constraints }` object. A path may
+      // contain optional groups, e.g. "/posts(/:page)", and star segments
+      // anywhere, e.g. "/files/*path/edit". `constraints` maps the names of
+      // its dynamic and star segments to regular expressions the whole value
+      // must match; a path that breaks them is not recognized by this route,
+      // so that a route added later may match it instead.
       add: function(routes, options) {
+        var variants = [[]], allSegments = [], handlers = [], name, i, l;
+
+        for (i=0, l=routes.length; i<l; i++) {
+          var route = routes[i], names = [], optionalNames = [];
+          var tokens = tokenize(route.path);
+          var constraints = anchorConstraints(route.constraints);
+          var paths = expand(tokens), next = [];
+
+          for (var j=0, m=variants.length; j<m; j++) {
+            for (var k=0, n=paths.length; k<n; k++) {
+              next.push(variants[j].concat({ path: paths[k], handler: route.handler, constraints: constraints }));
+            }
+          }
+
+          variants = next;
+
+          allSegments = allSegments.concat(parseTokens(tokens, names, optionalNames));
+          handlers.push({ handler: route.handler, names: names, optionalNames: optionalNames });
+        }
+
+        for (i=0, l=variants.length; i<l; i++) {
+          this.addPath(variants[i]);
+        }
+
+        if (name = options && options.as) {
+          this.names[name] = {
+            segments: allSegments,
+            handlers: handlers
+          };
+        }
+      },
+
+      // Adds one path without optional groups to the NFA.
+      addPath: function(routes) {
         var currentState = this.rootState, regex = "^",
             types = { statics: 0, dynamics: 0, stars: 0 },
-            handlers = [], allSegments = [], name;
+            handlers = [];
 
         var isEmpty = true;
 
@@ -32139,8 +34047,6 @@ define("route-recognizer",
 
           var segments = parse(route.path, names, types);
 
-          allSegments = allSegments.concat(segments);
-
           for (var j=0, m=segments.length; j<m; j++) {
             var segment = segments[j];
 
@@ -32157,7 +34063,7 @@ define("route-recognizer",
             regex += segment.regex();
           }
 
-          var handler = { handler: route.handler, names: names };
+          var handler = { handler: route.handler, names: names, constraints: route.constraints };
           handlers.push(handler);
         }
 
@@ -32166,16 +34072,20 @@ define("route-recognizer",
           regex += "/";
         }
 
-        currentState.handlers = handlers;
-        currentState.regex = new RegExp(regex + "$");
-        currentState.types = types;
+        var accepted = currentState.routes || (currentState.routes = []);
+        var added = { handlers: handlers, regex: new RegExp(regex + "$"), types: types, order: this.routeCount++ };
 
-        if (name = options && options.as) {
-          this.names[name] = {
-            segments: allSegments,
-            handlers: handlers
-          };
+        // Adding the same handlers for the same path again, as happens when
+        // the router is mapped more than once, replaces the earlier route.
+        for (i=0, l=accepted.length; i<l; i++) {
+          if (accepted[i].regex.source === added.regex.source && sameHandlers(accepted[i].handlers, handlers)) {
+            added.order = accepted[i].order;
+            accepted[i] = added;
+            return;
+          }
         }
+
+        accepted.push(added);
       },
 
       handlersFor: function(name) {
@@ -32197,16 +34107,7 @@ define("route-recognizer",
         var route = this.names[name], output = "";
         if (!route) { throw new Error("There is no route named " + name); }
 
-        var segments = route.segments;
-
-        for (var i=0, l=segments.length; i<l; i++) {
-          var segment = segments[i];
-
-          if (segment instanceof EpsilonSegment) { continue; }
-
-          output += "/";
-          output += segment.generate(params);
-        }
+        output = generateSegments(route.segments, params);
 
         if (output.charAt(0) !== '/') { output = '/' + output; }
 
@@ -32306,15 +34207,14 @@ define("route-recognizer",
 
         var solutions = [];
         for (i=0, l=states.length; i<l; i++) {
-          if (states[i].handlers) { solutions.push(states[i]); }
+          if (states[i].routes) { solutions = solutions.concat(states[i].routes); }
         }
 
-        states = sortSolutions(solutions);
-
-        var state = solutions[0];
+        solutions = sortSolutions(solutions);
 
-        if (state && state.handlers) {
-          return findHandler(state, path, queryParams);
+        for (i=0, l=solutions.length; i<l; i++) {
+          var result = findHandler(solutions[i], path, queryParams);
+          if (result) { return result; }
         }
       }
     };
@@ -32342,12 +34242,20 @@ define("route-recognizer",
           this.matcher.addChild(this.path, target, callback, this.delegate);
         }
         return this;
+      },
+
+      // Restricts the values of the dynamic and star segments of this path,
+      // e.g. `match("/posts/:id").to("post").where({ id: /\d+/ })`.
+      where: function(constraints) {
+        this.matcher.constrain(this.path, constraints);
+        return this;
       }
     };
 
     function Matcher(target) {
       this.routes = {};
       this.children = {};
+      this.constraints = {};
       this.target = target;
     }
 
@@ -32356,6 +34264,10 @@ define("route-recognizer",
         this.routes[path] = handler;
       },
 
+      constrain: function(path, constraints) {
+        this.constraints[path] = constraints;
+      },
+
       addChild: function(path, target, callback, delegate) {
         var matcher = new Matcher(target);
         this.children[path] = matcher;
@@ -32382,14 +34294,14 @@ define("route-recognizer",
       };
     }
 
-    function addRoute(routeArray, path, handler) {
+    function addRoute(routeArray, path, handler, constraints) {
       var len = 0;
       for (var i=0, l=routeArray.length; i<l; i++) {
         len += routeArray[i].path.length;
       }
 
       path = path.substr(len);
-      var route = { path: path, handler: handler };
+      var route = { path: path, handler: handler, constraints: constraints };
       routeArray.push(route);
     }
 
@@ -32399,7 +34311,7 @@ define("route-recognizer",
       for (var path in routes) {
         if (routes.hasOwnProperty(path)) {
           var routeArray = baseRoute.slice();
-          addRoute(routeArray, path, routes[path]);
+          addRoute(routeArray, path, routes[path], matcher.constraints[path]);
 
           if (matcher.children[path]) {
             eachRoute(routeArray, matcher.children[path], callback, binding);
@@ -32767,7 +34679,15 @@ define("router/router",
           });
 
           if (!wasTransitioning) {
-            trigger(this, this.state.handlerInfos, true, ['willTransition', newTransition]);
+            // Give the router a chance to abort the transition
+            // before the handlers hear about it.
+            if (router.willTransition) {
+              router.willTransition(this.state.handlerInfos, newState.handlerInfos, newTransition);
+            }
+
+            if (!newTransition.isAborted) {
+              trigger(this, this.state.handlerInfos, true, ['willTransition', newTransition]);
+            }
           }
 
           return newTransition;
@@ -33431,9 +35351,9 @@ define("router/transition-intent/named-transition-intent",
 
         if (result.names.length > 0) {
           if (i >= invalidateIndex) {
-            newHandlerInfo = this.createParamHandlerInfo(name, handler, result.names, objects, oldHandlerInfo);
+            newHandlerInfo = this.createParamHandlerInfo(name, handler, result.names, objects, oldHandlerInfo, result.optionalNames);
           } else {
-            newHandlerInfo = this.getHandlerInfoForDynamicSegment(name, handler, result.names, objects, oldHandlerInfo, targetRouteName);
+            newHandlerInfo = this.getHandlerInfoForDynamicSegment(name, handler, result.names, objects, oldHandlerInfo, targetRouteName, result.optionalNames);
           }
         } else {
           // This route has no dynamic segment.
@@ -33499,7 +35419,7 @@ define("router/transition-intent/named-transition-intent",
       });
     };
 
-    NamedTransitionIntent.prototype.getHandlerInfoForDynamicSegment = function(name, handler, names, objects, oldHandlerInfo, targetRouteName) {
+    NamedTransitionIntent.prototype.getHandlerInfoForDynamicSegment = function(name, handler, names, objects, oldHandlerInfo, targetRouteName, optionalNames) {
 
       var numNames = names.length;
       var objectToUse;
@@ -33508,13 +35428,17 @@ define("router/transition-intent/named-transition-intent",
         // Use the objects provided for this transition.
         objectToUse = objects[objects.length - 1];
         if (isParam(objectToUse)) {
-          return this.createParamHandlerInfo(name, handler, names, objects, oldHandlerInfo);
+          return this.createParamHandlerInfo(name, handler, names, objects, oldHandlerInfo, optionalNames);
         } else {
           objects.pop();
         }
       } else if (oldHandlerInfo && oldHandlerInfo.name === name) {
         // Reuse the matching oldHandlerInfo
         return oldHandlerInfo;
+      } else if (optionalNames && optionalNames.length === numNames) {
+        // All of the dynamic segments are optional, so the
+        // route can be entered without a context.
+        return this.createParamHandlerInfo(name, handler, names, objects, oldHandlerInfo, optionalNames);
       } else {
         // Ideally we should throw this error to provide maximal
         // information to the user that not enough context objects
@@ -33534,7 +35458,7 @@ define("router/transition-intent/named-transition-intent",
       });
     };
 
-    NamedTransitionIntent.prototype.createParamHandlerInfo = function(name, handler, names, objects, oldHandlerInfo) {
+    NamedTransitionIntent.prototype.createParamHandlerInfo = function(name, handler, names, objects, oldHandlerInfo, optionalNames) {
       var params = {};
 
       // Soak up all the provided string/numbers
@@ -33554,7 +35478,7 @@ define("router/transition-intent/named-transition-intent",
           // value from a previous handler.
           if (oldParams.hasOwnProperty(paramName)) {
             params[paramName] = oldParams[paramName];
-          } else {
+          } else if (!isOptional(optionalNames, paramName)) {
             throw new Error("You didn't provide enough string/numeric parameters to satisfy all of the dynamic segments for route " + name);
           }
         }
@@ -33567,6 +35491,15 @@ define("router/transition-intent/named-transition-intent",
       });
     };
 
+    function isOptional(optionalNames, name) {
+      if (!optionalNames) { return false; }
+
+      for (var i = 0, l = optionalNames.length; i < l; i++) {
+        if (optionalNames[i] === name) { return true; }
+      }
+      return false;
+    }
+
     __exports__.NamedTransitionIntent = NamedTransitionIntent;
   });
 define("router/transition-intent/url-transition-intent", 
@@ -34210,9 +36143,63 @@ define("router",
 function DSL(name) {
   this.parent = name;
   this.matches = [];
+  this.mounts = {};
+  this.lazyResources = {};
 }
 
 DSL.prototype = {
+  /**
+    Adds a resource, optionally with nested routes and resources.
+
+    Besides static, `:dynamic` and `*star` segments, a `path` may contain
+    optional groups, which are left out of generated URLs when their
+    dynamic segments have no value, and star segments followed by more
+    segments:
+
+    ```javascript
+    App.Router.map(function() {
+      this.resource('posts', { path: '/posts(/:page)' });
+      this.resource('file', { path: '/files/*file_path/edit' });
+    });
+    ```
+
+    `constraints` maps dynamic and star segments to regular expressions
+    their whole value must match. A URL that does not satisfy them is not
+    recognized by this resource, and may be recognized by another one:
+
+    ```javascript
+    App.Router.map(function() {
+      this.resource('post', { path: '/posts/:post_id', constraints: { post_id: /\d+/ } });
+      this.resource('category', { path: '/posts/:category' });
+    });
+    ```
+
+    A resource can also be loaded the first time a transition enters it.
+    `load` returns a promise that resolves, once the routes, controllers
+    and templates of the resource are available, to the function that
+    defines its nested routes and resources. Meanwhile the `loading`
+    substate is entered, as with any other promise the router waits for:
+
+    ```javascript
+    App.Router.map(function() {
+      this.resource('admin', {
+        load: function() {
+          return Ember.$.getScript('/assets/admin.js').then(function() {
+            return App.AdminMap;
+          });
+        }
+      });
+    });
+    ```
+
+    Until the resource is loaded, links can only point to the resource
+    itself, not to the routes nested in it.
+
+    @method resource
+    @param {String} name
+    @param {Object} options `path`, `constraints` and `load`, all optional
+    @param {Function} callback defines the nested routes and resources
+  */
   resource: function(name, options, callback) {
     if (arguments.length === 2 && typeof options === 'function') {
       callback = options;
@@ -34227,14 +36214,37 @@ DSL.prototype = {
       options.path = "/" + name;
     }
 
+    // Resources of a mounted engine are namespaced by its mount point.
+    if (this.mountName) {
+      name = this.mountName + '.' + name;
+    }
+
+    var path = options.path;
+
+    if (options.load) {
+      var lazy = this.lazyResources[name] || (this.lazyResources[name] = { load: options.load });
+
+      if (lazy.map) {
+        callback = lazy.map;
+      } else {
+        // Until it is loaded, the resource is a single route that
+        // recognizes every URL under it.
+        path = path.replace(/\/$/, '') + '(/*lazy_path)';
+        callback = null;
+      }
+    }
+
     if (callback) {
       var dsl = new DSL(name);
+      dsl.mounts = this.mounts;
+      dsl.lazyResources = this.lazyResources;
+      dsl.mountName = this.mountName;
       route(dsl, 'loading');
       route(dsl, 'error', { path: "/_unused_dummy_error_path_route_" + name + "/:error" });
       callback.call(dsl);
-      this.push(options.path, name, dsl.generate(), options.queryParams);
+      this.push(path, name, dsl.generate(), options.queryParams, options.constraints);
     } else {
-      this.push(options.path, name, null, options.queryParams);
+      this.push(path, name, null, options.queryParams, options.constraints);
     }
 
 
@@ -34248,13 +36258,54 @@ DSL.prototype = {
     }
   },
 
-  push: function(url, name, callback, queryParams) {
+  /**
+    Mounts an `Ember.Engine` as a resource: the routes of the engine's map
+    become children of `name`, and are looked up, along with their
+    controllers, views and templates, from a container of their own.
+
+    ```javascript
+    App.Router.map(function() {
+      this.mount('blog', { engine: Blog, path: '/news' });
+    });
+    ```
+
+    @method mount
+    @param {String} name the name of the resource the engine is mounted at
+    @param {Object} options `engine` and, optionally, `path`
+  */
+  mount: function(name, options) {
+    var engine = options && options.engine;
+
+    Ember.assert("You must pass the engine to mount at '" + name + "' as the `engine` option",
+                 engine && typeof engine.buildContainer === 'function');
+
+    var mountName = this.mountName ? this.mountName + '.' + name : name;
+
+    this.resource(name, { path: options.path }, function() {
+      this.mountName = mountName;
+      this.mounts[mountName] = engine;
+
+      if (engine.routerMap) {
+        engine.routerMap.call(this);
+      }
+    });
+  },
+
+  push: function(url, name, callback, queryParams, constraints) {
     var parts = name.split('.');
     if (url === "" || url === "/" || parts[parts.length-1] === "index") { this.explicitIndex = true; }
 
-    this.matches.push([url, name, callback, queryParams]);
+    this.matches.push([url, name, callback, queryParams, constraints]);
   },
 
+  /**
+    Adds a route. It takes the same `path` and `constraints` options as
+    `resource`.
+
+    @method route
+    @param {String} name
+    @param {Object} options `path` and `constraints`, both optional
+  */
   route: function(name, options) {
     route(this, name, options);
     if (Ember.FEATURES.isEnabled("ember-routing-named-substates")) {
@@ -34274,6 +36325,8 @@ DSL.prototype = {
       for (var i=0, l=dslMatches.length; i<l; i++) {
         var dslMatch = dslMatches[i];
         var matchObj = match(dslMatch[0]).to(dslMatch[1], dslMatch[2]);
+
+        if (dslMatch[4]) { matchObj.where(dslMatch[4]); }
       }
     };
   }
@@ -34292,11 +36345,12 @@ function route(dsl, name, options) {
     name = dsl.parent + "." + name;
   }
 
-  dsl.push(options.path, name, null, options.queryParams);
+  dsl.push(options.path, name, null, options.queryParams, options.constraints);
 }
 
-DSL.map = function(callback) {
+DSL.map = function(callback, lazyResources) {
   var dsl = new DSL();
+  if (lazyResources) { dsl.lazyResources = lazyResources; }
   callback.call(dsl);
   return dsl;
 };
@@ -34406,6 +36460,7 @@ Ember.generateController = function(container, controllerName, context) {
 var routerJsModule = requireModule("router");
 var Router = routerJsModule.Router;
 var Transition = routerJsModule.Transition;
+var RouteRecognizer = requireModule("route-recognizer")["default"];
 var get = Ember.get, set = Ember.set, fmt = Ember.String.fmt;
 var defineProperty = Ember.defineProperty;
 var slice = Array.prototype.slice;
@@ -34429,6 +36484,7 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
 
     * `hash`
     * `history`
+    * `auto`: `history` where the browser supports it, `hash` otherwise
     * `none`
 
     @property location
@@ -34437,6 +36493,18 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
   */
   location: 'hash',
 
+  /**
+    Selectors of the scrollable elements whose scroll positions are
+    recorded with each history entry, along with the window's, and
+    restored when the user navigates back to it (see
+    `Ember.Route#scrollBehavior`).
+
+    @property scrollElements
+    @type Array
+    @default null
+  */
+  scrollElements: null,
+
   init: function() {
     this.router = this.constructor.router || this.constructor.map(Ember.K);
     this._activeViews = {};
@@ -34477,11 +36545,27 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     container.register('view:default', DefaultView);
     container.register('view:toplevel', Ember.View.extend());
 
+    // The location is reloading the page with a rewritten URL.
+    if (get(location, 'cancelRouterSetup')) { return; }
+
     location.onUpdateURL(function(url) {
+      // Before an exit guard that refuses puts the URL back in a new entry.
+      self._restoreScrollPositionLater();
       self.handleURL(url);
     });
 
+    if (typeof location.onBeforeUnload === 'function') {
+      location.onBeforeUnload(function() {
+        return self._exitMessage();
+      });
+    }
+
+    if (typeof location.saveScrollPosition === 'function') {
+      this._trackScrollPosition(location);
+    }
+
     this.handleURL(location.getURL());
+    this._restoreScrollPositionLater();
   },
 
   /**
@@ -34500,6 +36584,8 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
 
     this.notifyPropertyChange('url');
 
+    Ember.run.scheduleOnce('afterRender', this, this._updateScrollPosition, infos[infos.length - 1].handler);
+
     // Put this in the runloop so url will be accurate. Seems
     // less surprising than didTransition being out of sync.
     Ember.run.once(this, this.trigger, 'didTransition');
@@ -34509,6 +36595,26 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     }
   },
 
+  /**
+    Triggered whenever a transition is started through `handleURL`,
+    `transitionTo` or `replaceWith`, including the redirects started from
+    a route's `beforeModel`, `afterModel` or `redirect` hooks. Listeners
+    receive the transition and the name of the router method that
+    started it.
+
+    @event didStartTransition
+    @param {Transition} transition
+    @param {String} method
+  */
+
+  /**
+    Triggered after the router entered an intermediate substate, such as
+    a `loading` or `error` route, with the handler infos of that state.
+
+    @event didIntermediateTransition
+    @param {Array} infos
+  */
+
   handleURL: function(url) {
     return this._doTransition('handleURL', [url]);
   },
@@ -34523,6 +36629,8 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     updatePaths(this);
 
     var infos = this.router.currentHandlerInfos;
+    this.trigger('didIntermediateTransition', infos);
+
     if (get(this, 'namespace').LOG_TRANSITIONS) {
       Ember.Logger.log("Intermediate-transitioned into '" + Ember.Router._routePath(infos) + "'");
     }
@@ -34623,17 +36731,24 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
   },
 
   _getHandlerFunction: function() {
-    var seen = {}, container = this.container,
-        DefaultRoute = container.lookupFactory('route:basic'),
+    var seen = {},
+        DefaultRoute = this.container.lookupFactory('route:basic'),
         self = this;
 
     return function(name) {
+      var lazy = self.router.lazyResources[name];
+
+      if (lazy && !lazy.map) { return self._lazyRouteFor(name); }
+
       var routeName = 'route:' + name,
+          container = self._containerFor(name),
           handler = container.lookup(routeName);
 
-      if (seen[name]) { return handler; }
+      // A mounted engine's container is rebuilt when it is entered again,
+      // and its routes are set up again with it.
+      if (handler && seen[name] === container) { return handler; }
 
-      seen[name] = true;
+      seen[name] = container;
 
       if (!handler) {
         container.register(routeName, DefaultRoute.extend());
@@ -34649,12 +36764,130 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     };
   },
 
+  /**
+    Returns the container the route named `name` is looked up from: the
+    container of the engine it belongs to when it is part of a mounted
+    engine, the router's container otherwise. The container of an engine
+    mounted inside another engine is a child of the outer engine's.
+
+    @private
+    @method _containerFor
+    @param {String} name
+    @return {Container}
+  */
+  _containerFor: function(name) {
+    var mounts = this.router.mounts,
+        mountName, container, candidate;
+
+    for (candidate in mounts) {
+      if (mounts.hasOwnProperty(candidate) && name.indexOf(candidate + '.') === 0 &&
+          (!mountName || candidate.length > mountName.length)) {
+        mountName = candidate;
+      }
+    }
+
+    if (!mountName) { return this.container; }
+
+    this._mountContainers = this._mountContainers || {};
+    container = this._mountContainers[mountName];
+
+    if (!container || container.isDestroyed) {
+      container = this._mountContainers[mountName] = mounts[mountName].buildContainer(this._containerFor(mountName), mountName);
+    }
+
+    return container;
+  },
+
+  /**
+    Destroys the container of the engine mounted at `name`, along with the
+    routes, controllers and services it created. Called when the route the
+    engine is mounted at is exited.
+
+    @private
+    @method _unmount
+    @param {String} name
+  */
+  _unmount: function(name) {
+    var container = this._mountContainers && this._mountContainers[name];
+
+    if (container) {
+      delete this._mountContainers[name];
+      Ember.run.schedule('destroy', container, 'destroy');
+    }
+  },
+
+  /**
+    Returns the route that stands for the resource named `name` until it
+    is loaded. Its `beforeModel` hook loads the resource, then starts the
+    transition that entered it again, against the routes of the resource.
+    The promise of the first transition follows the retried one.
+
+    @private
+    @method _lazyRouteFor
+    @param {String} name
+    @return {Ember.Route}
+  */
+  _lazyRouteFor: function(name) {
+    var routes = this._lazyRoutes || (this._lazyRoutes = {}),
+        self = this;
+
+    if (routes[name]) { return routes[name]; }
+
+    return routes[name] = this.container.lookupFactory('route:basic').create({
+      routeName: name,
+
+      beforeModel: function(transition) {
+        return self._loadResource(name).then(function() {
+          // Another transition took over while the resource was loading.
+          if (transition.isAborted) { return; }
+
+          var lazyTransition = transition.data.lazyTransition || ['handleURL', [transition.intent.url]];
+
+          // Abort first, so that the new transition does not reuse this route.
+          transition.abort();
+          transition.data.retriedTransition = self._doTransition(lazyTransition[0], lazyTransition[1]).method(transition.urlMethod);
+        }, null, 'Ember: Retry transition into loaded resource');
+      }
+    });
+  },
+
+  /**
+    Loads the resource named `name` through its `load` hook, once, and
+    maps the routes it resolves to.
+
+    @private
+    @method _loadResource
+    @param {String} name
+    @return {Promise}
+  */
+  _loadResource: function(name) {
+    var router = this.router,
+        lazy = router.lazyResources[name];
+
+    if (!lazy.promise) {
+      lazy.promise = Ember.RSVP.resolve(lazy.load()).then(function(map) {
+        Ember.assert("The `load` hook of the resource '" + name + "' must resolve to the function that maps its routes", typeof map === 'function');
+
+        lazy.map = map;
+        mapRoutes(router);
+      }, function(error) {
+        // Let the next transition into the resource try again.
+        lazy.promise = null;
+        throw error;
+      }, 'Ember: Load resource ' + name);
+    }
+
+    return lazy.promise;
+  },
+
   _setupRouter: function(router, location) {
     var lastURL, emberRouter = this;
 
     router.getHandler = this._getHandlerFunction();
 
     var doUpdateURL = function() {
+      // The page being left has not been rerendered yet.
+      emberRouter._saveScrollPosition();
       location.setURL(lastURL);
     };
 
@@ -34677,6 +36910,122 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     router.didTransition = function(infos) {
       emberRouter.didTransition(infos);
     };
+
+    router.willTransition = function(oldInfos, newInfos, transition) {
+      emberRouter._consultExitGuards(oldInfos, newInfos, transition);
+    };
+  },
+
+  /**
+    Asks the routes a transition exits, leaf first, whether they can be
+    exited (see `Ember.Route#canExit`). The transition is aborted if one of
+    them refuses, or returns a promise, in which case it is retried once
+    every route has agreed.
+
+    @private
+    @method _consultExitGuards
+    @param {Array} oldInfos the handler infos of the current routes
+    @param {Array} newInfos the handler infos of the destination routes
+    @param {Transition} transition
+  */
+  _consultExitGuards: function(oldInfos, newInfos, transition) {
+    if (this._skipExitGuards) { return; }
+
+    // Any other transition drops the one a guard is holding.
+    this._guardedTransition = null;
+
+    var canExit = consultExitGuards(exitingRoutes(oldInfos, newInfos), transition),
+        self = this;
+
+    if (canExit === true) { return; }
+
+    transition.abort();
+
+    if (canExit === false) {
+      this._refuseExit(transition);
+      return;
+    }
+
+    this._guardedTransition = transition;
+
+    canExit.then(function(canExit) {
+      // Another transition has been attempted in the meantime.
+      if (self._guardedTransition !== transition) { return; }
+      self._guardedTransition = null;
+
+      if (canExit) {
+        self._retryGuardedTransition(transition);
+      } else {
+        self._refuseExit(transition);
+      }
+    }, function(error) {
+      if (self._guardedTransition === transition) {
+        self._guardedTransition = null;
+        self._refuseExit(transition);
+      }
+      throw error;
+    }, 'Ember: Consult exit guards');
+  },
+
+  _retryGuardedTransition: function(transition) {
+    var retried;
+
+    this._skipExitGuards = true;
+
+    try {
+      retried = transition.retry();
+    } finally {
+      this._skipExitGuards = false;
+    }
+
+    retried.method(transition.urlMethod);
+    this.trigger('didStartTransition', retried, 'retry');
+  },
+
+  /**
+    Puts the URL of the current routes back when a transition the user
+    started by changing the URL, e.g. with the back button, is refused.
+
+    @private
+    @method _refuseExit
+    @param {Transition} transition
+  */
+  _refuseExit: function(transition) {
+    this._scrollPositionToRestore = null;
+
+    if (!transition.intent || !transition.intent.url) { return; }
+
+    var state = this.router.state,
+        infos = state.handlerInfos,
+        url = this.router.generate(infos[infos.length - 1].name, { queryParams: state.queryParams });
+
+    get(this, 'location').setURL(url);
+
+    // The page stays where it is, in the entry put back for it.
+    this._saveScrollPosition();
+  },
+
+  /**
+    Returns the message the browser shows before the page is unloaded when
+    one of the current routes refuses to be exited. Since unloading cannot
+    wait, a route whose `canExit` hook returns a promise refuses as well.
+
+    @private
+    @method _exitMessage
+    @return {String}
+  */
+  _exitMessage: function() {
+    var infos = this.router.state.handlerInfos || [],
+        route, canExit;
+
+    for (var i = infos.length - 1; i >= 0; i--) {
+      route = infos[i].handler;
+      canExit = route.canExit();
+
+      if (canExit === false || (canExit && typeof canExit.then === 'function')) {
+        return get(route, 'exitMessage');
+      }
+    }
   },
 
   _doTransition: function(method, args) {
@@ -34684,6 +37033,10 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     args = slice.call(args);
     args[0] = args[0] || '/';
 
+    // Only the URLs handled from the location bring back the scroll
+    // position recorded with them.
+    if (method !== 'handleURL') { this._scrollPositionToRestore = null; }
+
     var passedName = args[0], name, self = this,
       isQueryParamsOnly = false, queryParams;
 
@@ -34697,6 +37050,18 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     }
 
     if (!isQueryParamsOnly && passedName.charAt(0) !== '/') {
+      var unloaded = unloadedResourceFor(this.router, passedName);
+
+      if (unloaded) {
+        // Enter the route standing for the resource, which carries on
+        // with this transition once the resource is loaded.
+        var lazyTransition = this.router.transitionTo(unloaded);
+        lazyTransition.data.lazyTransition = [method, args];
+        followRetriedTransition(lazyTransition);
+        this.trigger('didStartTransition', lazyTransition, method);
+        return lazyTransition;
+      }
+
       if (!this.router.hasRoute(passedName)) {
         name = args[0] = passedName + '.index';
       } else {
@@ -34732,6 +37097,12 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
 
     var transitionPromise = this.router[method].apply(this.router, args);
 
+    if (entersUnloadedResource(this.router, transitionPromise)) {
+      followRetriedTransition(transitionPromise);
+    }
+
+    this.trigger('didStartTransition', transitionPromise, method);
+
     transitionPromise.then(null, function(error) {
       if (error.name === "UnrecognizedURLError") {
         Ember.assert("The URL '" + error.message + "' did not match any routes in your application");
@@ -34744,6 +37115,113 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     return transitionPromise;
   },
 
+  /**
+    Records the scroll position of the page with the current history
+    entry of the location a little after the user stopped scrolling.
+
+    @private
+    @method _trackScrollPosition
+    @param {Object} location
+  */
+  _trackScrollPosition: function(location) {
+    var self = this;
+
+    this._scrollListener = function() {
+      clearTimeout(self._scrollTimer);
+      self._scrollTimer = setTimeout(function() {
+        self._saveScrollPosition();
+      }, 100);
+    };
+
+    // Listen while capturing to hear about scrollable elements too.
+    window.addEventListener('scroll', this._scrollListener, true);
+  },
+
+  _saveScrollPosition: function(previousEntry) {
+    var location = get(this, 'location');
+
+    clearTimeout(this._scrollTimer);
+    this._scrollTimer = null;
+
+    if (typeof location.saveScrollPosition !== 'function') { return; }
+
+    location.saveScrollPosition(this._scrollPosition(), previousEntry);
+  },
+
+  /**
+    Remembers the scroll position recorded with the history entry the
+    location just moved to, so that `_updateScrollPosition` restores it
+    once the transition to its URL is rendered.
+
+    @private
+    @method _restoreScrollPositionLater
+  */
+  _restoreScrollPositionLater: function() {
+    var location = get(this, 'location');
+
+    if (typeof location.getSavedScrollPosition !== 'function') { return; }
+
+    // The page being left was scrolled a moment ago: record that with
+    // the entry it was shown for, not with the new one.
+    if (this._scrollTimer) { this._saveScrollPosition(true); }
+
+    this._scrollPositionToRestore = location.getSavedScrollPosition();
+  },
+
+  _updateScrollPosition: function(route) {
+    var behavior = get(route, 'scrollBehavior'),
+        position = this._scrollPositionToRestore;
+
+    this._scrollPositionToRestore = null;
+
+    // Only the locations kept in the address bar of a browser scroll it.
+    if (typeof window === 'undefined' || get(this, 'location.implementation') === 'none') { return; }
+
+    if (behavior === 'preserve') { return; }
+
+    if (position) {
+      this._scrollTo(position);
+    } else if (behavior === 'top') {
+      this._scrollTo({ x: 0, y: 0 });
+    }
+  },
+
+  _scrollPosition: function() {
+    var $ = Ember.$,
+        position = { x: $(window).scrollLeft(), y: $(window).scrollTop(), elements: {} };
+
+    forEach(get(this, 'scrollElements') || [], function(selector) {
+      var element = $(selector);
+
+      if (element.length) {
+        position.elements[selector] = { x: element.scrollLeft(), y: element.scrollTop() };
+      }
+    });
+
+    return position;
+  },
+
+  // Elements without a recorded position are scrolled to the top.
+  _scrollTo: function(position) {
+    var $ = Ember.$, elements = position.elements || {};
+
+    window.scrollTo(position.x, position.y);
+
+    forEach(get(this, 'scrollElements') || [], function(selector) {
+      var elementPosition = elements[selector] || { x: 0, y: 0 };
+      $(selector).scrollLeft(elementPosition.x).scrollTop(elementPosition.y);
+    });
+  },
+
+  willDestroy: function() {
+    if (this._scrollListener) {
+      window.removeEventListener('scroll', this._scrollListener, true);
+      clearTimeout(this._scrollTimer);
+    }
+
+    this._super();
+  },
+
   _scheduleLoadingEvent: function(transition, originRoute) {
     this._cancelLoadingEvent();
     this._loadingStateTimer = Ember.run.scheduleOnce('routerTransitions', this, '_fireLoadingEvent', transition, originRoute);
@@ -35005,6 +37483,87 @@ function triggerEvent(handlerInfos, ignoreFailure, args) {
   }
 }
 
+function mapRoutes(router) {
+  var dsl = Ember.RouterDSL.map(function() {
+    this.resource('application', { path: "/" }, function() {
+      for (var i=0; i < router.callbacks.length; i++) {
+        router.callbacks[i].call(this);
+      }
+    });
+  }, router.lazyResources);
+
+  // Start over, so that the routes standing for resources that have
+  // since been loaded are gone.
+  router.recognizer = new RouteRecognizer();
+  router.map(dsl.generate());
+  router.mounts = dsl.mounts;
+}
+
+// The routes a transition from `oldInfos` to `newInfos` exits, leaf first.
+function exitingRoutes(oldInfos, newInfos) {
+  var routes = [], i = 0, j;
+
+  while (i < oldInfos.length && newInfos[i] && oldInfos[i].name === newInfos[i].name) { i++; }
+
+  for (j = oldInfos.length - 1; j >= i; j--) {
+    routes.push(oldInfos[j].handler);
+  }
+
+  return routes;
+}
+
+// Returns `true` or `false` when all of the routes answered right away,
+// or a promise for the answer when one of them returned a promise. The
+// routes after it are asked once it resolves.
+function consultExitGuards(routes, transition) {
+  for (var i = 0, l = routes.length; i < l; i++) {
+    var canExit = routes[i].canExit(transition);
+
+    if (canExit === false) { return false; }
+
+    if (canExit && typeof canExit.then === 'function') {
+      return Ember.RSVP.resolve(canExit).then(function(canExit) {
+        return canExit !== false && consultExitGuards(routes.slice(i + 1), transition);
+      });
+    }
+  }
+
+  return true;
+}
+
+function entersUnloadedResource(router, transition) {
+  var handlerInfos = transition.state ? transition.state.handlerInfos : [],
+      lazyResources = router.lazyResources;
+
+  for (var i=0, l=handlerInfos.length; i<l; i++) {
+    var lazy = lazyResources[handlerInfos[i].name];
+    if (lazy && !lazy.map) { return true; }
+  }
+
+  return false;
+}
+
+// The transition is aborted once the resource it enters is loaded, and
+// started again; callers get the outcome of the retried transition.
+function followRetriedTransition(transition) {
+  transition.promise = transition.promise['catch'](function(reason) {
+    var retried = transition.data.retriedTransition;
+    if (retried) { return retried; }
+    throw reason;
+  }, 'Ember: Follow transition retried in loaded resource');
+}
+
+function unloadedResourceFor(router, name) {
+  var lazyResources = router.lazyResources;
+
+  for (var lazyName in lazyResources) {
+    if (lazyResources.hasOwnProperty(lazyName) && !lazyResources[lazyName].map &&
+        (name === lazyName || name.indexOf(lazyName + '.') === 0)) {
+      return lazyName;
+    }
+  }
+}
+
 function updatePaths(router) {
   var appController = router.container.lookup('controller:application');
 
@@ -35038,21 +37597,13 @@ Ember.Router.reopenClass({
     if (!router) {
       router = new Router();
       router.callbacks = [];
+      router.lazyResources = {};
       router.triggerEvent = triggerEvent;
       this.reopenClass({ router: router });
     }
 
-    var dsl = Ember.RouterDSL.map(function() {
-      this.resource('application', { path: "/" }, function() {
-        for (var i=0; i < router.callbacks.length; i++) {
-          router.callbacks[i].call(this);
-        }
-        callback.call(this);
-      });
-    });
-
     router.callbacks.push(callback);
-    router.map(dsl.generate());
+    mapRoutes(router);
     return router;
   },
 
@@ -35146,6 +37697,11 @@ Ember.Route = Ember.Object.extend(Ember.ActionHandler, {
     }
     this.deactivate();
     this.teardownViews();
+
+    var router = get(this, 'router');
+    if (router && router._unmount) {
+      router._unmount(this.routeName);
+    }
   },
 
   /**
@@ -35447,6 +38003,75 @@ Ember.Route = Ember.Object.extend(Ember.ActionHandler, {
   */
   activate: Ember.K,
 
+  /**
+    This hook is executed before the router exits the route, to guard it
+    against losing unsaved changes. Returning `false` aborts the
+    transition. Returning a promise aborts it too, and retries it when the
+    promise resolves to anything but `false`, so the user can be asked
+    first:
+
+    ```js
+    App.PostEditRoute = Ember.Route.extend({
+      canExit: function(transition) {
+        if (!this.controller.get('isDirty')) { return true; }
+
+        return window.confirm('Discard your changes?');
+      }
+    });
+    ```
+
+    When the transition was started by changing the URL, e.g. with the
+    back button, a refusal puts the URL of the current route back.
+
+    The hook is also executed, without a transition, when the page is about
+    to be unloaded. As there is no waiting then, returning either `false`
+    or a promise makes the browser ask the user whether to leave, with
+    `exitMessage`.
+
+    @method canExit
+    @param {Transition} transition the transition exiting the route, if any
+    @return {Boolean|Promise}
+  */
+  canExit: function(transition) {
+    return true;
+  },
+
+  /**
+    The message the browser shows when the page is about to be unloaded
+    and `canExit` refuses. Most browsers show a message of their own instead.
+
+    @property exitMessage
+    @type String
+  */
+  exitMessage: 'Changes you made may not be saved.',
+
+  /**
+    How the router scrolls the page once it has rendered a transition into
+    this route:
+
+    * `'restore'`: when the user comes back to a page with the back or
+      forward button, or reloads it, to the position it had when they left.
+      Otherwise the page is not scrolled.
+    * `'top'`: like `'restore'`, but to the top of the page after any other
+      transition.
+    * `'preserve'`: never.
+
+    ```js
+    App.SearchResultsRoute = Ember.Route.extend({
+      scrollBehavior: 'top'
+    });
+    ```
+
+    Scroll positions are recorded with the history entries of
+    `Ember.HistoryLocation`, for the window and for the elements listed in
+    the router's `scrollElements`.
+
+    @property scrollBehavior
+    @type String
+    @default 'restore'
+  */
+  scrollBehavior: 'restore',
+
   /**
     Transition into another route. Optionally supply model(s) for the
     route in question. If multiple models are supplied they will be applied
@@ -35669,7 +38294,7 @@ Ember.Route = Ember.Object.extend(Ember.ActionHandler, {
     }
 
     if (this.setupControllers) {
-      Ember.deprecate("Ember.Route.setupControllers is deprecated. Please use Ember.Route.setupController(controller, model) instead.");
+      Ember.deprecate("Ember.Route.setupControllers is deprecated. Please use Ember.Route.setupController(controller, model) instead.", false, { id: 'ember-routing.setup-controllers', until: '2.0.0' });
       this.setupControllers(controller, context);
     } else {
 
@@ -35688,7 +38313,7 @@ Ember.Route = Ember.Object.extend(Ember.ActionHandler, {
     }
 
     if (this.renderTemplates) {
-      Ember.deprecate("Ember.Route.renderTemplates is deprecated. Please use Ember.Route.renderTemplate(controller, model) instead.");
+      Ember.deprecate("Ember.Route.renderTemplates is deprecated. Please use Ember.Route.renderTemplate(controller, model) instead.", false, { id: 'ember-routing.render-templates', until: '2.0.0' });
       this.renderTemplates(context);
     } else {
       this.renderTemplate(controller, context);
@@ -36524,7 +39149,20 @@ function appendView(route, view, options) {
     }
     route.router._connectActiveView(options.name, view);
     route.teardownTopLevelView = generateTopLevelTeardown(view);
-    view.appendTo(rootElement);
+
+    var renderMode = get(route, 'router.namespace.renderMode');
+
+    // When rendering to a string there is no element to append to; the
+    // application serializes the top-level view on demand instead.
+    if (renderMode === 'string') {
+      route.router._toplevelView = view;
+    } else if (renderMode === 'rehydrate' && !route.router._didRehydrate) {
+      // Only the first top-level view can adopt the server's markup.
+      route.router._didRehydrate = true;
+      view.rehydrateIn(rootElement);
+    } else {
+      view.appendTo(rootElement);
+    }
   }
 }
 
@@ -37423,7 +40061,7 @@ Ember.onLoad('Ember.Handlebars', function(Handlebars) {
     @return {String} HTML string
   */
   Ember.Handlebars.registerHelper('linkTo', function linkToHelper() {
-    Ember.warn("The 'linkTo' view helper is deprecated in favor of 'link-to'");
+    Ember.deprecate("The 'linkTo' view helper is deprecated in favor of 'link-to'", false, { id: 'ember-routing.link-to', until: '2.0.0' });
     return Ember.Handlebars.helpers['link-to'].apply(this, arguments);
   });
 });
@@ -37654,7 +40292,7 @@ Ember.onLoad('Ember.Handlebars', function(Handlebars) {
       throw Ember.Error("You must pass a templateName to render");
     }
 
-    Ember.deprecate("Using a quoteless parameter with {{render}} is deprecated. Please update to quoted usage '{{render \"" + name + "\"}}.", options.types[0] !== 'ID');
+    Ember.deprecate("Using a quoteless parameter with {{render}} is deprecated. Please update to quoted usage '{{render \"" + name + "\"}}.", options.types[0] !== 'ID', { id: 'ember-routing.render-quoteless', until: '2.0.0' });
 
     // # legacy namespace
     name = name.replace(/\//g, '.');
@@ -38101,7 +40739,7 @@ Ember.ControllerMixin.reopen({
     @method transitionTo
   */
   transitionTo: function() {
-    Ember.deprecate("transitionTo is deprecated. Please use transitionToRoute.");
+    Ember.deprecate("transitionTo is deprecated. Please use transitionToRoute.", false, { id: 'ember-routing.controller-transition-to', until: '2.0.0' });
     return this.transitionToRoute.apply(this, arguments);
   },
 
@@ -38153,7 +40791,7 @@ Ember.ControllerMixin.reopen({
     @method replaceWith
   */
   replaceWith: function() {
-    Ember.deprecate("replaceWith is deprecated. Please use replaceRoute.");
+    Ember.deprecate("replaceWith is deprecated. Please use replaceRoute.", false, { id: 'ember-routing.controller-replace-with', until: '2.0.0' });
     return this.replaceRoute.apply(this, arguments);
   }
 });
@@ -38482,6 +41120,21 @@ var get = Ember.get, set = Ember.set;
 
   This will result in a posts.new url of `/posts/new`.
 
+  ### AutoLocation
+
+  Using `AutoLocation` picks `HistoryLocation` when the browser supports the
+  `history` API and `HashLocation` otherwise, rewriting URLs of the other
+  form when the application boots.
+
+  ```javascript
+  App.Router.reopen({
+    location: 'auto'
+  });
+  ```
+
+  This will result in a posts.new url of `/posts/new` in modern browsers, and
+  `/#/posts/new` in browsers without `history.pushState`.
+
   ### NoneLocation
 
   Using `NoneLocation` causes Ember to not store the applications URL state
@@ -38497,7 +41150,15 @@ var get = Ember.get, set = Ember.set;
   * setURL(path): sets the current URL.
   * replaceURL(path): replace the current URL (optional).
   * onUpdateURL(callback): triggers the callback when the URL changes.
+  * onBeforeUnload(callback): triggers the callback before the page is
+    unloaded, and asks the user whether to leave when it returns a message
+    (optional).
   * formatURL(url): formats `url` to be placed into `href` attribute.
+  * saveScrollPosition(position, previousEntry): records the scroll position
+    of the page with the current history entry, or with the one the user
+    just left through the history (optional).
+  * getSavedScrollPosition: returns the scroll position recorded with the
+    current history entry (optional).
 
   Calling setURL or replaceURL will not trigger onUpdateURL callbacks.
 
@@ -38559,7 +41220,7 @@ Ember.Location = {
    container directly.
   */
   registerImplementation: function(name, implementation) {
-    Ember.deprecate('Using the Ember.Location.registerImplementation is no longer supported. Register your custom location implementation with the container instead.', false);
+    Ember.deprecate('Using the Ember.Location.registerImplementation is no longer supported. Register your custom location implementation with the container instead.', false, { id: 'ember-routing.location-register-implementation', until: '2.0.0' });
 
     this.implementations[name] = implementation;
   },
@@ -38567,6 +41228,47 @@ Ember.Location = {
   implementations: {}
 };
 
+/**
+  `Ember.BeforeUnloadSupport` implements `onBeforeUnload` for the locations
+  that run in a browser, and removes the listener when the location is
+  destroyed.
+
+  @private
+  @class BeforeUnloadSupport
+  @namespace Ember
+*/
+Ember.BeforeUnloadSupport = Ember.Mixin.create({
+  /**
+    Register a callback to be invoked before the page is unloaded, such
+    as when the tab is closed. If it returns a message, the browser asks
+    the user to confirm leaving the page.
+
+    @private
+    @method onBeforeUnload
+    @param callback {Function}
+  */
+  onBeforeUnload: function(callback) {
+    var guid = Ember.guidFor(this);
+
+    Ember.$(window).on('beforeunload.ember-location-'+guid, function(e) {
+      var message = Ember.run(callback);
+
+      if (message) {
+        if (e.originalEvent) { e.originalEvent.returnValue = message; }
+        return message;
+      }
+    });
+  },
+
+  willDestroy: function() {
+    var guid = Ember.guidFor(this);
+
+    Ember.$(window).off('beforeunload.ember-location-'+guid);
+
+    this._super();
+  }
+});
+
 })();
 
 
@@ -38681,8 +41383,9 @@ var get = Ember.get, set = Ember.set;
   @class HashLocation
   @namespace Ember
   @extends Ember.Object
+  @uses Ember.BeforeUnloadSupport
 */
-Ember.HashLocation = Ember.Object.extend({
+Ember.HashLocation = Ember.Object.extend(Ember.BeforeUnloadSupport, {
   implementation: 'hash',
 
   init: function() {
@@ -38789,6 +41492,8 @@ Ember.HashLocation = Ember.Object.extend({
     var guid = Ember.guidFor(this);
 
     Ember.$(window).off('hashchange.ember-location-'+guid);
+
+    this._super();
   }
 });
 
@@ -38804,7 +41509,13 @@ Ember.HashLocation = Ember.Object.extend({
 
 var get = Ember.get, set = Ember.set;
 var popstateFired = false;
-var supportsHistoryState = window.history && 'state' in window.history;
+var supportsHistoryState = typeof window !== 'undefined' && window.history && 'state' in window.history;
+var stateIds = 0;
+
+// Identifies a history entry, including those from before a page reload.
+function nextStateId() {
+  return new Date().getTime() + '-' + (++stateIds);
+}
 
 /**
   Ember.HistoryLocation implements the location API using the browser's
@@ -38813,13 +41524,15 @@ var supportsHistoryState = window.history && 'state' in window.history;
   @class HistoryLocation
   @namespace Ember
   @extends Ember.Object
+  @uses Ember.BeforeUnloadSupport
 */
-Ember.HistoryLocation = Ember.Object.extend({
+Ember.HistoryLocation = Ember.Object.extend(Ember.BeforeUnloadSupport, {
   implementation: 'history',
 
   init: function() {
     set(this, 'location', get(this, 'location') || window.location);
     set(this, 'baseURL', Ember.$('base').attr('href') || '');
+    this._scrollPositions = {};
   },
 
   /**
@@ -38829,7 +41542,13 @@ Ember.HistoryLocation = Ember.Object.extend({
     @method initState
   */
   initState: function() {
-    set(this, 'history', get(this, 'history') || window.history);
+    var history = get(this, 'history') || window.history;
+
+    set(this, 'history', history);
+
+    // The router restores scroll positions itself.
+    if ('scrollRestoration' in history) { history.scrollRestoration = 'manual'; }
+
     this.replaceState(this.formatURL(this.getURL()));
   },
 
@@ -38909,7 +41628,64 @@ Ember.HistoryLocation = Ember.Object.extend({
    @return state {Object}
   */
   getState: function() {
-    return supportsHistoryState ? get(this, 'history').state : this._historyState;
+    if (!supportsHistoryState) { return this._historyState; }
+
+    // `history` is set by `initState`.
+    var history = get(this, 'history');
+    return history && history.state;
+  },
+
+  /**
+   Records a scroll position with the current state, so that it can be
+   restored when the user navigates back to it.
+
+   With `previousEntry`, the position is recorded with the entry the user
+   just left through the history instead. As only the current entry can be
+   changed, it is kept until the user comes back to that entry.
+
+   @private
+   @method saveScrollPosition
+   @param position {Object}
+   @param previousEntry {Boolean}
+  */
+  saveScrollPosition: function(position, previousEntry) {
+    var state = this.getState();
+
+    if (previousEntry) {
+      if (this._previousStateId) { this._scrollPositions[this._previousStateId] = position; }
+      return;
+    }
+
+    if (!state) { return; }
+
+    state = { path: state.path, id: state.id, scroll: position };
+
+    get(this, 'history').replaceState(state, null);
+
+    // store state if browser doesn't support `history.state`
+    if (!supportsHistoryState) {
+      this._historyState = state;
+    }
+  },
+
+  /**
+   Returns the scroll position recorded with the current state, if any.
+
+   @private
+   @method getSavedScrollPosition
+   @return position {Object}
+  */
+  getSavedScrollPosition: function() {
+    var state = this.getState(),
+        position = state && this._scrollPositions[state.id];
+
+    if (position) {
+      delete this._scrollPositions[state.id];
+      this.saveScrollPosition(position);
+      return position;
+    }
+
+    return state && state.scroll;
   },
 
   /**
@@ -38920,7 +41696,7 @@ Ember.HistoryLocation = Ember.Object.extend({
    @param path {String}
   */
   pushState: function(path) {
-    var state = { path: path };
+    var state = { path: path, id: nextStateId() };
 
     get(this, 'history').pushState(state, null, path);
 
@@ -38929,6 +41705,8 @@ Ember.HistoryLocation = Ember.Object.extend({
       this._historyState = state;
     }
 
+    this._stateId = state.id;
+
     // used for webkit workaround
     this._previousURL = this.getURL();
   },
@@ -38941,7 +41719,11 @@ Ember.HistoryLocation = Ember.Object.extend({
    @param path {String}
   */
   replaceState: function(path) {
-    var state = { path: path };
+    var current = this.getState(),
+        state = { path: path, id: current && current.id || nextStateId() };
+
+    // It is still the same entry, scrolled the same way.
+    if (current && current.scroll) { state.scroll = current.scroll; }
 
     get(this, 'history').replaceState(state, null, path);
 
@@ -38950,6 +41732,8 @@ Ember.HistoryLocation = Ember.Object.extend({
       this._historyState = state;
     }
 
+    this._stateId = state.id;
+
     // used for webkit workaround
     this._previousURL = this.getURL();
   },
@@ -38972,6 +41756,11 @@ Ember.HistoryLocation = Ember.Object.extend({
         popstateFired = true;
         if (self.getURL() === self._previousURL) { return; }
       }
+
+      var state = self.getState();
+      self._previousStateId = self._stateId;
+      self._stateId = state && state.id;
+
       callback(self.getURL());
     });
   },
@@ -39008,6 +41797,190 @@ Ember.HistoryLocation = Ember.Object.extend({
     var guid = Ember.guidFor(this);
 
     Ember.$(window).off('popstate.ember-location-'+guid);
+
+    this._super();
+  }
+});
+
+})();
+
+
+
+(function() {
+/**
+@module ember
+@submodule ember-routing
+*/
+
+var get = Ember.get, set = Ember.set;
+
+/**
+  `Ember.AutoLocation` uses `Ember.HistoryLocation` when the browser supports
+  `history.pushState`, and `Ember.HashLocation` otherwise, so the same
+  application works in old browsers and embedded webviews.
+
+  A URL in the other form is rewritten when the application boots, taking
+  `rootURL` into account: with history support `/app/#/posts/1` becomes
+  `/app/posts/1` without reloading the page. Without it `/app/posts/1` is
+  replaced by `/app/#/posts/1`, which reloads the page, so the router does
+  not handle the URL it booted with (see `cancelRouterSetup`).
+
+  ```javascript
+  App.Router.reopen({
+    location: 'auto',
+    rootURL: '/app/'
+  });
+  ```
+
+  The implementation is looked up from the container as `location:history`
+  or `location:hash` once the router has set `rootURL`, and the location
+  API is forwarded to it.
+
+  @class AutoLocation
+  @namespace Ember
+  @extends Ember.Object
+  @uses Ember.BeforeUnloadSupport
+*/
+Ember.AutoLocation = Ember.Object.extend(Ember.BeforeUnloadSupport, {
+  implementation: 'auto',
+
+  /**
+    Will be pre-pended to path upon state change.
+
+    @property rootURL
+    @default '/'
+  */
+  rootURL: '/',
+
+  /**
+    The location implementation that was chosen, created by `initState`.
+
+    @property concreteImplementation
+    @type Object
+  */
+  concreteImplementation: null,
+
+  /**
+    Set when the URL had to be rewritten with a page reload, in which case
+    the router does not start routing.
+
+    @property cancelRouterSetup
+    @type Boolean
+    @default false
+  */
+  cancelRouterSetup: false,
+
+  init: function() {
+    set(this, 'location', get(this, 'location') || window.location);
+    set(this, 'history', get(this, 'history') || window.history);
+  },
+
+  /**
+    Whether the browser supports `history.pushState`.
+
+    @property supportsHistory
+    @type Boolean
+  */
+  supportsHistory: Ember.computed(function() {
+    var history = get(this, 'history');
+    return !!(history && typeof history.pushState === 'function');
+  }),
+
+  /**
+    Chooses the location implementation and moves the current URL over to
+    its form if needed. Called by the router once `rootURL` is set.
+
+    @private
+    @method initState
+  */
+  initState: function() {
+    var useHistory = get(this, 'supportsHistory'),
+        rootURL = get(this, 'rootURL'),
+        location = get(this, 'location'),
+        root = rootURL.replace(/\/$/, ''),
+        atRoot = location.pathname.replace(/\/$/, '') === root,
+        hashPath = location.hash.substr(1),
+        routePath, concrete;
+
+    if (useHistory && atRoot && hashPath.charAt(0) === '/') {
+      get(this, 'history').replaceState(null, null, root + hashPath + location.search);
+    } else if (!useHistory && !atRoot && location.pathname.indexOf(root + '/') === 0) {
+      routePath = location.pathname.substr(root.length) + location.search;
+      set(this, 'cancelRouterSetup', true);
+      location.replace(rootURL + '#' + routePath);
+    }
+
+    concrete = this.createImplementation(useHistory ? 'history' : 'hash', {
+      rootURL: rootURL,
+      location: location,
+      history: get(this, 'history')
+    });
+
+    set(this, 'concreteImplementation', concrete);
+
+    if (typeof concrete.initState === 'function') { concrete.initState(); }
+  },
+
+  /**
+    Creates the location implementation registered as `location:name`.
+
+    @private
+    @method createImplementation
+    @param {String} name
+    @param {Object} options
+    @return {Object}
+  */
+  createImplementation: function(name, options) {
+    var Implementation = this.container && this.container.lookupFactory('location:' + name);
+
+    if (!Implementation) {
+      Implementation = name === 'history' ? Ember.HistoryLocation : Ember.HashLocation;
+    }
+
+    return Implementation.create(options);
+  },
+
+  getURL: function() {
+    return get(this, 'concreteImplementation').getURL();
+  },
+
+  setURL: function(path) {
+    return get(this, 'concreteImplementation').setURL(path);
+  },
+
+  replaceURL: function(path) {
+    return get(this, 'concreteImplementation').replaceURL(path);
+  },
+
+  onUpdateURL: function(callback) {
+    return get(this, 'concreteImplementation').onUpdateURL(callback);
+  },
+
+  saveScrollPosition: function(position, previousEntry) {
+    var concrete = get(this, 'concreteImplementation');
+    if (concrete.saveScrollPosition) { concrete.saveScrollPosition(position, previousEntry); }
+  },
+
+  getSavedScrollPosition: function() {
+    var concrete = get(this, 'concreteImplementation');
+    return concrete.getSavedScrollPosition && concrete.getSavedScrollPosition();
+  },
+
+  formatURL: function(url) {
+    return get(this, 'concreteImplementation').formatURL(url);
+  },
+
+  /**
+    Destroys the chosen location implementation.
+
+    @private
+    @method willDestroy
+  */
+  willDestroy: function() {
+    var concrete = get(this, 'concreteImplementation');
+    if (concrete) { concrete.destroy(); }
+
+    this._super();
   }
 });
 
@@ -39214,6 +42187,7 @@ var get = Ember.get,
   'view:posts.index' //=> App.PostsIndexView
   'view:blog/post' //=> Blog.PostView
   'view:basic' //=> Ember.View
+  'service:session' //=> App.SessionService
   'foo:post' //=> App.PostFoo
   'model:post' //=> App.Post
   ```
@@ -39446,6 +42420,45 @@ Ember.DefaultResolver = Ember.Object.extend({
 
   makeToString: function(factory, fullName) {
     return factory.toString();
+  },
+
+  /**
+    Lists the fullNames of a type this resolver can resolve, for debugging
+    the container: the templates on `Ember.TEMPLATES`, or the classes on the
+    application namespace whose name ends with the classified type, e.g.
+    `App.PostsIndexController` for `controller:postsIndex`. Models have no
+    suffix to recognize them by and are not listed.
+
+    @method knownForType
+    @param {String} type
+    @return {Object} the fullNames as keys
+  */
+  knownForType: function(type) {
+    var known = {},
+        namespace = get(this, 'namespace'),
+        suffix = classify(type),
+        key, name;
+
+    if (type === 'template') {
+      for (key in Ember.TEMPLATES) {
+        if (Ember.TEMPLATES.hasOwnProperty(key)) { known['template:' + key] = true; }
+      }
+      return known;
+    }
+
+    if (type === 'model') { return known; }
+
+    for (key in namespace) {
+      if (!namespace.hasOwnProperty(key) || key.length <= suffix.length ||
+          key.slice(-suffix.length) !== suffix || !/^[A-Z]/.test(key)) {
+        continue;
+      }
+
+      name = key.slice(0, -suffix.length);
+      known[type + ':' + name.charAt(0).toLowerCase() + name.slice(1)] = true;
+    }
+
+    return known;
   }
 });
 
@@ -39469,7 +42482,7 @@ DeprecatedContainer.deprecate = function(method) {
   return function() {
     var container = this._container;
 
-    Ember.deprecate('Using the defaultContainer is no longer supported. [defaultContainer#' + method + '] see: http://git.io/EKPpnA', false);
+    Ember.deprecate('Using the defaultContainer is no longer supported. [defaultContainer#' + method + '] see: http://git.io/EKPpnA', false, { id: 'ember-application.default-container', until: '2.0.0' });
     return container[method].apply(container, arguments);
   };
 };
@@ -39678,6 +42691,38 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
   */
   customEvents: null,
 
+  /**
+    How the application's views are rendered.
+
+    * `dom`: views are inserted into the application's `rootElement`
+      (the default).
+    * `string`: views are never inserted into a document. The event
+      dispatcher is not set up and the application's view hierarchy can be
+      serialized with `renderToString`. Use this, together with the `none`
+      location, to render pages on a server:
+
+    ```javascript
+    App = Ember.Application.create({ renderMode: 'string' });
+    App.Router.reopen({ location: 'none' });
+
+    App.then(function() {
+      return App.handleURL('/posts/1');
+    }).then(function() {
+      var html = App.renderToString();
+    });
+    ```
+
+    * `rehydrate`: the first top-level view adopts the markup already
+      present in the `rootElement` (typically produced by `renderToString`
+      on a server) instead of rendering it again. See
+      `Ember.View#rehydrateIn`.
+
+    @property renderMode
+    @type String
+    @default 'dom'
+  */
+  renderMode: 'dom',
+
   // Start off the number of deferrals at 1. This will be
   // decremented by the Application's own `initialize` method.
   _readinessDeferrals: 1,
@@ -39775,7 +42820,7 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
   scheduleInitialize: function() {
     var self = this;
 
-    if (!this.$ || this.$.isReady) {
+    if (!this.$ || this.$.isReady || get(this, 'renderMode') === 'string') {
       Ember.run.schedule('actions', self, '_initialize');
     } else {
       this.$().ready(function runInitialize() {
@@ -39896,7 +42941,7 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
     @method initialize
    **/
   initialize: function() {
-    Ember.deprecate('Calling initialize manually is not supported. Please see Ember.Application#advanceReadiness and Ember.Application#deferReadiness');
+    Ember.deprecate('Calling initialize manually is not supported. Please see Ember.Application#advanceReadiness and Ember.Application#deferReadiness', false, { id: 'ember-application.initialize', until: '2.0.0' });
   },
   /**
     Initialize the application. This happens automatically.
@@ -40045,7 +43090,9 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
     @method didBecomeReady
   */
   didBecomeReady: function() {
-    this.setupEventDispatcher();
+    if (get(this, 'renderMode') !== 'string') {
+      this.setupEventDispatcher();
+    }
     this.ready(); // user hook
     this.startRouting();
 
@@ -40090,10 +43137,38 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
     router.startRouting();
   },
 
+  /**
+    Transition the application to the given URL.
+
+    @method handleURL
+    @param {String} url
+    @return {Transition} the transition, which resolves once the
+      destination's models have been resolved
+  */
   handleURL: function(url) {
     var router = this.__container__.lookup('router:main');
 
-    router.handleURL(url);
+    return router.handleURL(url);
+  },
+
+  /**
+    Serialize the application's current view hierarchy (including the
+    contents of its `{{outlet}}`s) to an HTML string. Only available when
+    the application's `renderMode` is `string`.
+
+    @method renderToString
+    @return {String} the HTML of the top-level view, or an empty string if
+      nothing has been rendered yet
+  */
+  renderToString: function() {
+    Ember.assert("You can only call renderToString on an application whose renderMode is 'string'", get(this, 'renderMode') === 'string');
+
+    var router = this.__container__.lookup('router:main'),
+        view = router && router._toplevelView;
+
+    if (!view || view.isDestroyed) { return ''; }
+
+    return Ember.run(view, 'renderToString');
   },
 
   /**
@@ -40160,6 +43235,8 @@ Ember.Application.reopenClass({
       not singletons)
     * registered templates are not factories; the registered value is
       returned directly.
+    * services are singletons, destroyed with the container when the
+      application is destroyed or reset
     * the router receives the application as its `namespace` property
     * all controllers receive the router as their `target` and `controllers`
       properties
@@ -40186,11 +43263,13 @@ Ember.Application.reopenClass({
     container.normalize = container.resolver.normalize;
     container.describe  = container.resolver.describe;
     container.makeToString = container.resolver.makeToString;
+    container.knownForType = container.resolver.knownForType;
 
     container.optionsForType('component', { singleton: false });
     container.optionsForType('view', { singleton: false });
     container.optionsForType('template', { instantiate: false });
     container.optionsForType('helper', { instantiate: false });
+    container.optionsForType('service', { singleton: true });
 
     container.register('application:main', namespace, { instantiate: false });
 
@@ -40206,6 +43285,7 @@ Ember.Application.reopenClass({
     container.register('location:hash', Ember.HashLocation);
     container.register('location:history', Ember.HistoryLocation);
     container.register('location:none', Ember.NoneLocation);
+    container.register('location:auto', Ember.AutoLocation);
 
     container.injection('controller', 'target', 'router:main');
     container.injection('controller', 'namespace', 'application:main');
@@ -40234,7 +43314,7 @@ Ember.Application.reopenClass({
 */
 function resolverFor(namespace) {
   if (namespace.get('resolver')) {
-    Ember.deprecate('Application.resolver is deprecated in favor of Application.Resolver', false);
+    Ember.deprecate('Application.resolver is deprecated in favor of Application.Resolver', false, { id: 'ember-application.resolver', until: '2.0.0' });
   }
 
   var ResolverClass = namespace.get('resolver') || namespace.get('Resolver') || Ember.DefaultResolver;
@@ -40254,11 +43334,15 @@ function resolverFor(namespace) {
     return resolver.makeToString(factory, fullName);
   };
 
+  resolve.knownForType = function(type) {
+    return resolver.knownForType ? resolver.knownForType(type) : {};
+  };
+
   resolve.normalize = function(fullName) {
     if (resolver.normalize) {
       return resolver.normalize(fullName);
     } else {
-      Ember.deprecate('The Resolver should now provide a \'normalize\' function', false);
+      Ember.deprecate('The Resolver should now provide a \'normalize\' function', false, { id: 'ember-application.resolver-normalize', until: '2.0.0' });
       return fullName;
     }
   };
@@ -40416,7 +43500,7 @@ Ember.ControllerMixin.reopen({
     @deprecated Use `needs` instead
   */
   controllerFor: function(controllerName) {
-    Ember.deprecate("Controller#controllerFor is deprecated, please use Controller#needs instead");
+    Ember.deprecate("Controller#controllerFor is deprecated, please use Controller#needs instead", false, { id: 'ember-application.controller-for', until: '2.0.0' });
     return Ember.controllerFor(get(this, 'container'), controllerName);
   },
 
@@ -40667,6 +43751,33 @@ Ember.DataAdapter = Ember.Object.extend({
     });
   },
 
+  /**
+    Lists the application's services: the ones registered as `service:name`
+    and the ones the resolver finds, like `App.SessionService`.
+
+    @public
+    @method getServices
+    @return {Array} Objects with the service's `name`, `fullName`,
+      `className`, whether it `isInstantiated` and, if so, the `object`.
+  */
+  getServices: function() {
+    var container = this.get('container');
+
+    if (!container) { return Ember.A(); }
+
+    return Ember.A(container.registrations('service')).map(function(registration) {
+      var fullName = registration.fullName;
+
+      return {
+        name: fullName.split(':')[1],
+        fullName: fullName,
+        className: registration.factory ? container.makeToString(registration.factory, fullName) : container.describe(fullName),
+        isInstantiated: registration.isCached,
+        object: registration.isCached ? container.lookup(fullName) : null
+      };
+    });
+  },
+
   /**
     Detect whether a class is a model.
 
@@ -41119,6 +44230,12 @@ Ember.Test = {
      ```javascript
      Ember.Test.registerWaiter(MyDB, MyDB.hasPendingTransactions);
      ```
+
+     Waiters are asked again whenever a run loop finishes, a timer is
+     cancelled or a request completes, and every 100ms otherwise. A waiter
+     that becomes ready outside of a run loop can call
+     `Ember.Test.checkSettled` to be noticed right away.
+
      @public
      @method registerWaiter
      @param {Object} context (optional)
@@ -41133,6 +44250,7 @@ Ember.Test = {
       this.waiters = Ember.A();
     }
     this.waiters.push([context, callback]);
+    Ember.Test.checkSettled();
   },
   /**
      `unregisterWaiter` is used to unregister a callback that was
@@ -41154,6 +44272,7 @@ Ember.Test = {
     this.waiters = Ember.A(this.waiters.filter(function(elt) {
       return Ember.compare(elt, pair)!==0;
     }));
+    Ember.Test.checkSettled();
   }
 };
 
@@ -41280,7 +44399,7 @@ Ember.Application.reopen({
    @type {Object} The object to be used for test helpers.
    @default window
   */
-  helperContainer: window,
+  helperContainer: typeof window !== 'undefined' ? window : null,
 
   /**
     This injects the test helpers into the `helperContainer` object. If an object is provided
@@ -41493,6 +44612,245 @@ $(function() {
 
 
 
+(function() {
+/**
+ @module ember
+ @submodule ember-testing
+*/
+
+var Test = Ember.Test,
+    backburner = Ember.run.backburner,
+    realClock = null;
+
+Test.clock = null;
+
+/**
+  A virtual clock for the timers scheduled through `Ember.run.later`,
+  `Ember.run.next`, `Ember.run.debounce` and `Ember.run.throttle`. Once
+  installed, time only moves forward when the test advances it:
+
+  ```javascript
+  var clock = Ember.Test.FakeClock.create();
+  clock.install();
+
+  Ember.run.later(MyApp.flash, 'hide', 3000);
+
+  clock.advance(2999);
+  ok(MyApp.flash.get('isVisible'));
+
+  clock.advance(1);
+  ok(!MyApp.flash.get('isVisible'));
+
+  clock.uninstall();
+  ```
+
+  Timers that are due without advancing the clock, like those scheduled by
+  `Ember.run.later` without a wait, still run asynchronously.
+  `Ember.run.next` waits a millisecond, so it needs `advance(1)`.
+  `Ember.run.hasScheduledTimers()`, and so `wait` and the async helpers,
+  only consider the timers that are due: a test is not held up by a timer
+  until it advances the clock past it.
+
+  @class FakeClock
+  @namespace Ember.Test
+*/
+Test.FakeClock = Ember.Object.extend({
+  /**
+    The current virtual time in milliseconds. It starts at the real time the
+    clock was created.
+
+    @property currentTime
+    @type Number
+  */
+  currentTime: null,
+
+  /**
+    The number of timers `runAll` runs before giving up, which catches
+    timers that keep scheduling new ones.
+
+    @property loopLimit
+    @type Number
+    @default 1000
+  */
+  loopLimit: 1000,
+
+  init: function() {
+    this._super();
+    this.currentTime = +new Date();
+    this._timers = [];
+    this._nextId = 1;
+    this._dueTimeout = null;
+  },
+
+  /**
+    Makes Backburner schedule its timers on this clock, and sets
+    `Ember.Test.clock`. The clock can only be swapped while no timer is
+    pending.
+
+    @method install
+  */
+  install: function() {
+    Ember.assert("Another fake clock is already installed", !Test.clock || Test.clock === this);
+    Ember.assert("A fake clock can only be installed while no timers are pending",
+                 !Ember.run.hasScheduledTimers() && !Ember.run.pendingTimers().length);
+
+    if (!realClock) { realClock = backburner.clock; }
+    backburner.clock = this;
+    Test.clock = this;
+  },
+
+  /**
+    Gives Backburner its real clock back. Timers still pending on this clock
+    would never run and are cancelled.
+
+    @method uninstall
+  */
+  uninstall: function() {
+    if (Test.clock !== this) { return; }
+
+    Ember.run.cancelTimers();
+    this._timers = [];
+    if (this._dueTimeout) {
+      realClock.clearTimeout(this._dueTimeout);
+      this._dueTimeout = null;
+    }
+
+    backburner.clock = realClock;
+    Test.clock = null;
+  },
+
+  /**
+    Moves time forward, running every timer that becomes due on the way in
+    order.
+
+    @method advance
+    @param {Number} ms
+  */
+  advance: function(ms) {
+    var until = this.currentTime + ms,
+        timer;
+
+    while ((timer = this._timers[0]) && timer.at <= until) {
+      this._timers.shift();
+      this.currentTime = Math.max(this.currentTime, timer.at);
+      timer.fn();
+    }
+
+    this.currentTime = until;
+  },
+
+  /**
+    Advances the clock until no timer is pending, including the timers
+    scheduled by the ones that ran.
+
+    @method runAll
+  */
+  runAll: function() {
+    var count = 0;
+
+    while (this._timers.length) {
+      if (++count > this.loopLimit) {
+        throw new Ember.Error("Timers were still pending after running " + this.loopLimit +
+                              " of them, they probably keep scheduling each other");
+      }
+
+      this.advance(this._timers[0].at - this.currentTime);
+    }
+  },
+
+  /**
+    Describes the pending `later`, `debounce` and `throttle` timers in the
+    order they will run, with their `target`, `method`, `executeAt` time and
+    the `wait` in milliseconds until they are due.
+
+    @method pendingTimers
+    @return {Array}
+  */
+  pendingTimers: function() {
+    var now = this.currentTime;
+
+    return Ember.run.pendingTimers().map(function(timer) {
+      timer.wait = Math.max(timer.executeAt - now, 0);
+      return timer;
+    });
+  },
+
+  /**
+    Part of the clock interface Backburner uses.
+
+    @method now
+    @return {Number}
+  */
+  now: function() {
+    return this.currentTime;
+  },
+
+  /**
+    Part of the clock interface Backburner uses.
+
+    @method setTimeout
+    @param {Function} fn
+    @param {Number} wait
+    @return {Number} an id for `clearTimeout`
+  */
+  setTimeout: function(fn, wait) {
+    var timer = { id: this._nextId++, at: this.currentTime + (wait || 0), fn: fn },
+        timers = this._timers, i, l;
+
+    for (i = 0, l = timers.length; i < l; i++) {
+      if (timer.at < timers[i].at) { break; }
+    }
+    timers.splice(i, 0, timer);
+
+    if (!(wait > 0)) { this._scheduleDueTimers(); }
+
+    return timer.id;
+  },
+
+  /**
+    Part of the clock interface Backburner uses.
+
+    @method clearTimeout
+    @param {Number} id
+  */
+  clearTimeout: function(id) {
+    var timers = this._timers;
+
+    for (var i = 0, l = timers.length; i < l; i++) {
+      if (timers[i].id === id) {
+        timers.splice(i, 1);
+        return;
+      }
+    }
+  },
+
+  /**
+    Whether a timer is due without advancing the clock. Backburner reports
+    this from `hasTimers`.
+
+    @method hasDueTimers
+    @return {Boolean}
+  */
+  hasDueTimers: function() {
+    var timer = this._timers[0];
+    return !!timer && timer.at <= this.currentTime;
+  },
+
+  _scheduleDueTimers: function() {
+    var clock = this;
+    if (this._dueTimeout) { return; }
+
+    this._dueTimeout = realClock.setTimeout(function() {
+      clock._dueTimeout = null;
+      clock.advance(0);
+    }, 0);
+  }
+});
+
+})();
+
+
+
 (function() {
 /**
  @module ember
@@ -41570,399 +44928,2688 @@ Test.QUnitAdapter = Test.Adapter.extend({
   }
 });
 
-})();
-
-
-
-(function() {
-/**
-* @module ember
-* @submodule ember-testing
+/*
+  Test frameworks whose asynchronous tests finish by calling a `done`
+  callback or by settling a returned promise need to know when the last
+  async helper has finished. `asyncEnd` fires whenever no helper is waiting,
+  which also happens for a moment between two chained helpers, so the test
+  only ends if nothing started waiting again by the next tick.
 */
+var AsyncTestAdapter = Test.Adapter.extend({
+  currentTest: null,
+  isWaiting: false,
 
-var get = Ember.get,
-    Test = Ember.Test,
-    helper = Test.registerHelper,
-    asyncHelper = Test.registerAsyncHelper,
-    countAsync = 0;
-
-Test.pendingAjaxRequests = 0;
-
-Test.onInjectHelpers(function() {
-  Ember.$(document).ajaxStart(function() {
-    Test.pendingAjaxRequests++;
-  });
+  asyncStart: function() {
+    this.isWaiting = true;
+  },
 
-  Ember.$(document).ajaxStop(function() {
-    Ember.assert("An ajaxStop event which would cause the number of pending AJAX " +
-                 "requests to be negative has been triggered. This is most likely " +
-                 "caused by AJAX events that were started before calling " +
-                 "`injectTestHelpers()`.", Test.pendingAjaxRequests !== 0);
-    Test.pendingAjaxRequests--;
-  });
-});
+  asyncEnd: function() {
+    this.isWaiting = false;
+    this.scheduleTestEnd();
+  },
 
-function currentRouteName(app){
-  var appController = app.__container__.lookup('controller:application');
+  exception: function(error) {
+    var test = this.currentTest;
 
-  return get(appController, 'currentRouteName');
-}
+    if (!test) { throw error; }
 
-function currentPath(app){
-  var appController = app.__container__.lookup('controller:application');
+    // The rest of the helper chain was skipped; don't let the next test
+    // wait on it.
+    Test.lastPromise = null;
+    this.currentTest = null;
+    test.reject(error);
+  },
 
-  return get(appController, 'currentPath');
-}
+  /**
+    Wraps a test function for frameworks that pass a `done` callback. The
+    test ends once the last async helper it started has finished, or fails
+    with the first exception thrown by the test or its `andThen` callbacks.
 
-function currentURL(app){
-  var router = app.__container__.lookup('router:main');
+    @method async
+    @param {Function} fn The test function
+    @return {Function} A test function that accepts `done`
+  */
+  async: function(fn) {
+    var adapter = this;
 
-  return get(router, 'location').getURL();
-}
+    return function(done) {
+      adapter.runTest(fn, this, function() {
+        done();
+      }, function(error) {
+        adapter.failTest(done, error);
+      });
+    };
+  },
 
-function visit(app, url) {
-  Ember.run(app, 'advanceReadiness');
+  /**
+    Wraps a test function for frameworks that wait on a returned promise.
+    The promise resolves once the last async helper the test started has
+    finished, or rejects with the first exception thrown by the test or its
+    `andThen` callbacks.
 
-  app.__container__.lookup('router:main').location.setURL(url);
-  Ember.run(app, app.handleURL, url);
-  return wait(app);
-}
+    @method promise
+    @param {Function} fn The test function
+    @return {Function} A test function that returns a promise
+  */
+  promise: function(fn) {
+    var adapter = this;
 
-function click(app, selector, context) {
-  var $el = findWithAssert(app, selector, context);
-  Ember.run($el, 'mousedown');
+    return function() {
+      var context = this;
 
-  if ($el.is(':input')) {
-    var type = $el.prop('type');
-    if (type !== 'checkbox' && type !== 'radio' && type !== 'hidden') {
-      Ember.run($el, function(){
-        // Firefox does not trigger the `focusin` event if the window
-        // does not have focus. If the document doesn't have focus just
-        // use trigger('focusin') instead.
-        if (!document.hasFocus || document.hasFocus()) {
-          this.focus();
-        } else {
-          this.trigger('focusin');
-        }
+      return new Ember.RSVP.Promise(function(resolve, reject) {
+        adapter.runTest(fn, context, function() {
+          Ember.run(null, resolve);
+        }, function(error) {
+          Ember.run(null, reject, error);
+        });
       });
-    }
-  }
-
-  Ember.run($el, 'mouseup');
-  Ember.run($el, 'click');
+    };
+  },
 
-  return wait(app);
-}
+  runTest: function(fn, context, resolve, reject) {
+    this.currentTest = { resolve: resolve, reject: reject };
+    Test.lastPromise = null;
 
-function triggerEvent(app, selector, context, event){
-  if (typeof method === 'undefined') {
-    event = context;
-    context = null;
-  }
+    try {
+      fn.call(context);
+    } catch (error) {
+      this.currentTest = null;
+      setTimeout(function() { reject(error); }, 0);
+      return;
+    }
 
-  var $el = findWithAssert(app, selector, context);
+    this.scheduleTestEnd();
+  },
 
-  Ember.run($el, 'trigger', event);
+  scheduleTestEnd: function() {
+    var adapter = this,
+        test = this.currentTest;
 
-  return wait(app);
-}
+    if (!test) { return; }
 
-function keyEvent(app, selector, context, type, keyCode) {
-  var $el;
-  if (typeof keyCode === 'undefined') {
-    keyCode = type;
-    type = context;
-    context = null;
-  }
-  $el = findWithAssert(app, selector, context);
-  var event = Ember.$.Event(type, { keyCode: keyCode });
-  Ember.run($el, 'trigger', event);
-  return wait(app);
-}
+    setTimeout(function() {
+      if (adapter.currentTest !== test || adapter.isWaiting) { return; }
 
-function fillIn(app, selector, context, text) {
-  var $el;
-  if (typeof text === 'undefined') {
-    text = context;
-    context = null;
-  }
-  $el = findWithAssert(app, selector, context);
-  Ember.run(function() {
-    $el.val(text).change();
-  });
-  return wait(app);
-}
+      adapter.currentTest = null;
+      test.resolve();
+    }, 0);
+  },
 
-function findWithAssert(app, selector, context) {
-  var $el = find(app, selector, context);
-  if ($el.length === 0) {
-    throw new Ember.Error("Element " + selector + " not found.");
+  failTest: function(done, error) {
+    done(error);
   }
-  return $el;
-}
-
-function find(app, selector, context) {
-  var $el;
-  context = context || get(app, 'rootElement');
-  $el = app.$(selector, context);
+});
 
-  return $el;
-}
+/**
+  This class implements the methods defined by Ember.Test.Adapter for the
+  Mocha testing framework. Wrap each test with `async` to use Mocha's `done`
+  callback, or with `promise` to return a promise to Mocha.
 
-function andThen(app, callback) {
-  return wait(app, callback(app));
-}
+  ```javascript
+  var adapter = Ember.Test.adapter = Ember.Test.MochaAdapter.create();
 
-function wait(app, value) {
-  return Test.promise(function(resolve) {
-    // If this is the first async promise, kick off the async test
-    if (++countAsync === 1) {
-      Test.adapter.asyncStart();
-    }
+  it('shows the post', adapter.async(function() {
+    visit('/posts/1');
+    andThen(function() {
+      expect(find('h1').text()).to.equal('Hello');
+    });
+  }));
 
-    // Every 10ms, poll for the async thing to have finished
-    var watcher = setInterval(function() {
-      // 1. If the router is loading, keep polling
-      var routerIsLoading = app.__container__.lookup('router:main').router.isLoading;
-      if (routerIsLoading) { return; }
+  it('deletes the post', adapter.promise(function() {
+    visit('/posts/1');
+    click('.delete');
+  }));
+  ```
 
-      // 2. If there are pending Ajax requests, keep polling
-      if (Test.pendingAjaxRequests) { return; }
+  An exception thrown by the test or inside an `andThen` callback fails the
+  test that is running.
 
-      // 3. If there are scheduled timers or we are inside of a run loop, keep polling
-      if (Ember.run.hasScheduledTimers() || Ember.run.currentRunLoop) { return; }
-      if (Test.waiters && Test.waiters.any(function(waiter) {
-        var context = waiter[0];
-        var callback = waiter[1];
-        return !callback.call(context);
-      })) { return; }
-      // Stop polling
-      clearInterval(watcher);
+  @class MochaAdapter
+  @namespace Ember.Test
+  @extends Ember.Test.Adapter
+*/
+Test.MochaAdapter = AsyncTestAdapter.extend();
 
-      // If this is the last async promise, end the async test
-      if (--countAsync === 0) {
-        Test.adapter.asyncEnd();
-      }
+/**
+  This class implements the methods defined by Ember.Test.Adapter for the
+  Jasmine testing framework. Wrap each test with `async` to use Jasmine's
+  `done` callback, or with `promise` on versions of Jasmine that wait on
+  returned promises.
 
-      // Synchronously resolve the promise
-      Ember.run(null, resolve, value);
-    }, 10);
-  });
+  ```javascript
+  var adapter = Ember.Test.adapter = Ember.Test.JasmineAdapter.create();
 
-}
+  it('shows the post', adapter.async(function() {
+    visit('/posts/1');
+    andThen(function() {
+      expect(find('h1').text()).toEqual('Hello');
+    });
+  }));
+  ```
 
+  An exception thrown by the test or inside an `andThen` callback fails the
+  test that is running, through `done.fail` or, on versions of Jasmine
+  without it, a failed expectation.
 
-/**
-* Loads a route, sets up any controllers, and renders any templates associated
-* with the route as though a real user had triggered the route change while
-* using your app.
-*
-* Example:
-*
-* ```javascript
-* visit('posts/index').then(function() {
-*   // assert something
-* });
-* ```
-*
-* @method visit
-* @param {String} url the name of the route
-* @return {RSVP.Promise}
+  @class JasmineAdapter
+  @namespace Ember.Test
+  @extends Ember.Test.Adapter
 */
-asyncHelper('visit', visit);
+Test.JasmineAdapter = AsyncTestAdapter.extend({
+  failTest: function(done, error) {
+    if (done.fail) {
+      done.fail(error);
+    } else {
+      // Jasmine 2.0's `done` can't fail the spec, so fail an expectation.
+      expect(function() { throw error; }).not.toThrow();
+      done();
+    }
+  }
+});
 
-/**
-* Clicks an element and triggers any actions triggered by the element's `click`
-* event.
-*
-* Example:
-*
-* ```javascript
-* click('.some-jQuery-selector').then(function() {
-*  // assert something
-* });
-* ```
-*
-* @method click
-* @param {String} selector jQuery selector for finding element on the DOM
-* @return {RSVP.Promise}
-*/
-asyncHelper('click', click);
+})();
 
-/**
-* Simulates a key event, e.g. `keypress`, `keydown`, `keyup` with the desired keyCode
-*
-* Example:
-*
-* ```javascript
-* keyEvent('.some-jQuery-selector', 'keypress', 13).then(function() {
-*  // assert something
-* });
-* ```
-*
-* @method keyEvent
-* @param {String} selector jQuery selector for finding element on the DOM
-* @param {String} the type of key event, e.g. `keypress`, `keydown`, `keyup`
-* @param {Number} the keyCode of the simulated key event
-* @return {RSVP.Promise}
-*/
-asyncHelper('keyEvent', keyEvent);
 
-/**
-* Fills in an input element with some text.
-*
-* Example:
-*
-* ```javascript
-* fillIn('#email', 'you@example.com').then(function() {
-*   // assert something
-* });
-* ```
-*
-* @method fillIn
-* @param {String} selector jQuery selector finding an input element on the DOM
-* to fill text with
-* @param {String} text text to place inside the input element
-* @return {RSVP.Promise}
-*/
-asyncHelper('fillIn', fillIn);
 
+(function() {
 /**
-* Finds an element in the context of the app's container element. A simple alias
-* for `app.$(selector)`.
-*
-* Example:
-*
-* ```javascript
-* var $el = find('.my-selector);
-* ```
-*
-* @method find
-* @param {String} selector jQuery string selector for element lookup
-* @return {Object} jQuery object representing the results of the query
+ @module ember
+ @submodule ember-testing
 */
-helper('find', find);
 
-/**
-* Like `find`, but throws an error if the element selector returns no results.
-*
-* Example:
-*
-* ```javascript
-* var $el = findWithAssert('.doesnt-exist'); // throws error
-* ```
-*
-* @method findWithAssert
-* @param {String} selector jQuery selector string for finding an element within
-* the DOM
-* @return {Object} jQuery object representing the results of the query
-* @throws {Error} throws error if jQuery object returned has a length of 0
-*/
-helper('findWithAssert', findWithAssert);
+var Test = Ember.Test,
+    trackers = [];
 
 /**
-  Causes the run loop to process any pending events. This is used to ensure that
-  any async operations from other helpers (or your assertions) have been processed.
-
-  This is most often used as the return value for the helper functions (see 'click',
-  'fillIn','visit',etc).
+  A request tracker reports the network requests an application makes so
+  that `wait` and the async helpers don't resume the test while a request is
+  still in flight.
 
-  Example:
+  ember-testing ships trackers for jQuery AJAX (`Ember.Test.JQueryRequestTracker`,
+  registered by `injectTestHelpers`), raw `XMLHttpRequest`
+  (`Ember.Test.XHRRequestTracker`) and `fetch` (`Ember.Test.FetchRequestTracker`).
+  A custom tracker implements `install` and `uninstall` and calls
+  `requestDidStart` and `requestDidEnd` around every request:
 
   ```javascript
-  Ember.Test.registerAsyncHelper('loginUser', function(app, username, password) {
-    visit('secured/path/here')
-    .fillIn('#username', username)
-    .fillIn('#password', username)
-    .click('.submit')
+  var SocketTracker = Ember.Test.RequestTracker.extend({
+    name: 'socket',
 
-    return wait();
+    install: function() {
+      var tracker = this;
+      MySocket.on('send', function(message) {
+        tracker.requestDidStart('SEND', message.channel, message);
+      });
+      MySocket.on('reply', function(message) {
+        tracker.requestDidEnd(message.request);
+      });
+    }
   });
 
-  @method wait
-  @param {Object} value The value to be returned.
-  @return {RSVP.Promise}
-*/
-asyncHelper('wait', wait);
-asyncHelper('andThen', andThen);
+  Ember.Test.registerRequestTracker(SocketTracker.create());
+  ```
 
+  Pending requests count towards `Ember.Test.pendingAjaxRequests`.
 
-if (Ember.FEATURES.isEnabled('ember-testing-routing-helpers')){
+  @class RequestTracker
+  @namespace Ember.Test
+*/
+Test.RequestTracker = Ember.Object.extend({
   /**
-    Returns the currently active route name.
+    The name reported with each of this tracker's pending requests.
 
-    Example:
+    @property name
+    @type String
+  */
+  name: null,
 
-    ```
-    function validateRouteName(){
-      equal(currentRouteName(), 'some.path', "correct route was transitioned into.");
-    }
+  /**
+    The requests this tracker has seen start but not end, as objects with
+    a `method`, `url` and the `handle` passed to `requestDidStart`.
 
-    visit('/some/path').then(validateRouteName)
+    @property pending
+    @type Array
+  */
+  pending: null,
 
-    ```
+  init: function() {
+    this._super();
+    this.pending = [];
+  },
 
-    @method currentRouteName
-    @return {Object} The name of the currently active route.
+  /**
+    Called by `Ember.Test.registerRequestTracker`. Override this to start
+    listening for requests.
+
+    @method install
   */
-  helper('currentRouteName', currentRouteName);
+  install: Ember.K,
 
   /**
-    Returns the current path.
+    Called by `Ember.Test.unregisterRequestTracker`. Override this to stop
+    listening for requests.
 
-    Example:
+    @method uninstall
+  */
+  uninstall: Ember.K,
 
-    ```
-    function validateURL(){
-      equal(currentPath(), 'some.path.index', "correct path was transitioned into.");
-    }
+  /**
+    Records the start of a request.
 
-    click('#some-link-id').then(validateURL);
+    @method requestDidStart
+    @param {String} method The HTTP method
+    @param {String} url
+    @param {Object} handle An object identifying the request, passed to
+      `requestDidEnd` when it completes
+  */
+  requestDidStart: function(method, url, handle) {
+    this._addPending(method, url, handle);
+    Test.pendingAjaxRequests++;
+  },
 
-    ```
+  /**
+    Records the end of a request, whether it succeeded, failed or was
+    aborted. Requests that were not seen starting are ignored.
 
-    @method currentPath
-    @return {Object} The currently active path.
+    @method requestDidEnd
+    @param {Object} handle The object passed to `requestDidStart`
   */
-  helper('currentPath', currentPath);
+  requestDidEnd: function(handle) {
+    if (this._removePending(handle)) {
+      Test.pendingAjaxRequests--;
+      Test.checkSettled();
+    }
+  },
 
   /**
-    Returns the current URL.
+    Forgets every pending request, as when the tracker is unregistered.
 
-    Example:
+    @method reset
+  */
+  reset: function() {
+    Test.pendingAjaxRequests -= this.pending.length;
+    this.pending.length = 0;
+  },
 
-    ```
-    function validateURL(){
-      equal(currentURL(), '/some/path', "correct URL was transitioned into.");
+  _addPending: function(method, url, handle) {
+    this.pending.push({ method: method, url: url, handle: handle });
+  },
+
+  _removePending: function(handle) {
+    var pending = this.pending;
+
+    for (var i = 0, l = pending.length; i < l; i++) {
+      if (pending[i].handle === handle) {
+        pending.splice(i, 1);
+        return true;
+      }
     }
 
-    click('#some-link-id').then(validateURL);
+    return false;
+  }
+});
 
-    ```
+/**
+  Tracks requests made through jQuery's AJAX methods. jQuery's global
+  `ajaxStart` and `ajaxStop` events count towards
+  `Ember.Test.pendingAjaxRequests`, while `ajaxSend` and `ajaxComplete` keep
+  the list of pending requests.
 
-    @method currentURL
-    @return {Object} The currently active URL.
-  */
-  helper('currentURL', currentURL);
-}
+  Installing the tracker again rebinds its handlers, in case they were
+  removed from the document.
 
-if (Ember.FEATURES.isEnabled('ember-testing-triggerEvent-helper')) {
-  /**
-    Triggers the given event on the element identified by the provided selector.
+  @class JQueryRequestTracker
+  @namespace Ember.Test
+  @extends Ember.Test.RequestTracker
+*/
+Test.JQueryRequestTracker = Test.RequestTracker.extend({
+  name: 'jquery',
 
-    Example:
+  init: function() {
+    var tracker = this;
 
-    ```javascript
-    triggerEvent('#some-elem-id', 'blur');
-    ```
+    this._super();
+    this._batches = 0;
 
-   @method triggerEvent
-   @param {String} selector jQuery selector for finding element on the DOM
-   @param {String} event The event to be triggered.
-   @return {RSVP.Promise}
-  */
-  asyncHelper('triggerEvent', triggerEvent);
-}
+    this._start = function() {
+      tracker._batches++;
+      Test.pendingAjaxRequests++;
+    };
+
+    this._stop = function() {
+      Ember.assert("An ajaxStop event which would cause the number of pending AJAX " +
+                   "requests to be negative has been triggered. This is most likely " +
+                   "caused by AJAX events that were started before calling " +
+                   "`injectTestHelpers()`.", Test.pendingAjaxRequests !== 0);
+
+      if (tracker._batches > 0) { tracker._batches--; }
+      Test.pendingAjaxRequests--;
+      Test.checkSettled();
+    };
+
+    this._send = function(event, xhr, settings) {
+      tracker._addPending(settings.type, settings.url, xhr);
+    };
+
+    this._complete = function(event, xhr) {
+      tracker._removePending(xhr);
+    };
+  },
+
+  install: function() {
+    this.uninstall();
+
+    Ember.$(document).on('ajaxStart', this._start).on('ajaxStop', this._stop)
+                     .on('ajaxSend', this._send).on('ajaxComplete', this._complete);
+  },
+
+  uninstall: function() {
+    Ember.$(document).off('ajaxStart', this._start).off('ajaxStop', this._stop)
+                     .off('ajaxSend', this._send).off('ajaxComplete', this._complete);
+  },
+
+  reset: function() {
+    Test.pendingAjaxRequests -= this._batches;
+    this._batches = 0;
+    this.pending.length = 0;
+  }
+});
+
+function isTrackingJQuery() {
+  for (var i = 0, l = trackers.length; i < l; i++) {
+    if (trackers[i] instanceof Test.JQueryRequestTracker) { return true; }
+  }
+
+  return false;
+}
+
+/**
+  Tracks every `XMLHttpRequest` by wrapping its `open` and `send` methods.
+  Requests made through jQuery are skipped while a
+  `Ember.Test.JQueryRequestTracker` is registered, so that they are not
+  counted twice, unless they were made with `global: false`.
+
+  @class XHRRequestTracker
+  @namespace Ember.Test
+  @extends Ember.Test.RequestTracker
+*/
+Test.XHRRequestTracker = Test.RequestTracker.extend({
+  name: 'xhr',
+
+  install: function() {
+    var tracker = this,
+        proto = window.XMLHttpRequest.prototype,
+        open = this._open = proto.open,
+        send = this._send = proto.send,
+        createXHR = this._createXHR = Ember.$.ajaxSettings.xhr;
+
+    // Mark the requests jQuery reports through its global AJAX events.
+    Ember.$.ajaxSettings.xhr = function() {
+      var xhr = createXHR.apply(this, arguments);
+      if (xhr && this.global) { xhr._emberTestJQuery = true; }
+      return xhr;
+    };
+
+    proto.open = function(method, url) {
+      // Opening a request again aborts the one in flight without firing
+      // `readystatechange`.
+      tracker.requestDidEnd(this);
+      this._emberTestRequest = { method: method, url: url };
+      return open.apply(this, arguments);
+    };
+
+    proto.send = function() {
+      var xhr = this, request = xhr._emberTestRequest;
+
+      if (request && !(xhr._emberTestJQuery && isTrackingJQuery())) {
+        tracker.requestDidStart(request.method, request.url, xhr);
+
+        if (xhr._emberTestTracker !== tracker) {
+          xhr._emberTestTracker = tracker;
+          xhr.addEventListener('readystatechange', function() {
+            if (xhr.readyState === 4) { tracker.requestDidEnd(xhr); }
+          }, false);
+        }
+      }
+
+      try {
+        return send.apply(xhr, arguments);
+      } catch (e) {
+        tracker.requestDidEnd(xhr);
+        throw e;
+      }
+    };
+  },
+
+  uninstall: function() {
+    var proto = window.XMLHttpRequest.prototype;
+
+    proto.open = this._open;
+    proto.send = this._send;
+    Ember.$.ajaxSettings.xhr = this._createXHR;
+  }
+});
+
+/**
+  Tracks requests made with `window.fetch`, whether native or a polyfill,
+  by wrapping it.
+
+  @class FetchRequestTracker
+  @namespace Ember.Test
+  @extends Ember.Test.RequestTracker
+*/
+Test.FetchRequestTracker = Test.RequestTracker.extend({
+  name: 'fetch',
+
+  install: function() {
+    var tracker = this,
+        fetch = this._fetch = window.fetch;
+
+    Ember.assert("Ember.Test.FetchRequestTracker needs `window.fetch` or a polyfill to be loaded", typeof fetch === 'function');
+
+    window.fetch = function(input, options) {
+      var handle = {},
+          url = typeof input === 'string' ? input : input.url,
+          method = (options && options.method) || (typeof input === 'string' ? 'GET' : input.method),
+          promise;
+
+      tracker.requestDidStart(method, url, handle);
+
+      try {
+        promise = fetch.apply(this, arguments);
+      } catch (e) {
+        tracker.requestDidEnd(handle);
+        throw e;
+      }
+
+      promise.then(function() {
+        tracker.requestDidEnd(handle);
+      }, function() {
+        tracker.requestDidEnd(handle);
+      });
+
+      return promise;
+    };
+  },
+
+  uninstall: function() {
+    window.fetch = this._fetch;
+  }
+});
+
+/**
+  Installs a request tracker so that `wait` waits for the requests it
+  reports. Registering the same tracker twice has no effect.
+
+  ```javascript
+  Ember.Test.registerRequestTracker(Ember.Test.FetchRequestTracker.create());
+  ```
+
+  @public
+  @method registerRequestTracker
+  @for Ember.Test
+  @param {Ember.Test.RequestTracker} tracker
+*/
+Test.registerRequestTracker = function(tracker) {
+  if (Ember.EnumerableUtils.indexOf(trackers, tracker) !== -1) { return; }
+
+  trackers.push(tracker);
+  tracker.install();
+};
+
+/**
+  Uninstalls a request tracker registered with `registerRequestTracker`. Any
+  requests it still considers pending are forgotten.
+
+  @public
+  @method unregisterRequestTracker
+  @for Ember.Test
+  @param {Ember.Test.RequestTracker} tracker
+*/
+Test.unregisterRequestTracker = function(tracker) {
+  var index = Ember.EnumerableUtils.indexOf(trackers, tracker);
+  if (index === -1) { return; }
+
+  trackers.splice(index, 1);
+  tracker.uninstall();
+  tracker.reset();
+  Test.checkSettled();
+};
+
+/**
+  Lists the requests the registered trackers are waiting on, which helps
+  when a test hangs in `wait`.
+
+  ```javascript
+  Ember.Test.pendingRequests();
+  // => [{ method: 'GET', url: '/posts/1', tracker: 'jquery' }]
+  ```
+
+  @public
+  @method pendingRequests
+  @for Ember.Test
+  @return {Array} Objects with the `method`, `url` and `tracker` name of each
+    pending request
+*/
+Test.pendingRequests = function() {
+  var requests = [], pending;
+
+  for (var i = 0, l = trackers.length; i < l; i++) {
+    pending = trackers[i].pending;
+    for (var j = 0, k = pending.length; j < k; j++) {
+      requests.push({ method: pending[j].method, url: pending[j].url, tracker: trackers[i].name });
+    }
+  }
+
+  return requests;
+};
+
+})();
+
+
+
+(function() {
+/**
+ @module ember
+ @submodule ember-testing
+*/
+
+var Test = Ember.Test,
+    RouteRecognizer = requireModule('route-recognizer')['default'],
+    forEach = Ember.ArrayPolyfills.forEach;
+
+var STATUS_TEXTS = {
+  200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No Content',
+  301: 'Moved Permanently', 302: 'Found', 304: 'Not Modified',
+  400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found',
+  409: 'Conflict', 422: 'Unprocessable Entity', 500: 'Internal Server Error',
+  503: 'Service Unavailable'
+};
+
+/**
+  `Ember.Test.FakeServer` answers the application's AJAX requests from a route
+  table instead of a real backend, so acceptance tests can run against
+  predictable data.
+
+  ```javascript
+  var server = Ember.Test.FakeServer.create();
+
+  server.map(function() {
+    this.get('/posts/:post_id', function(request) {
+      return { body: { post: { id: request.params.post_id, title: 'Hello' } } };
+    });
+
+    this.post('/posts', { status: 201, body: { post: { id: 2 } }, delay: 50 });
+    this['delete']('/posts/:post_id', { status: 204 });
+  });
+
+  server.start();
+
+  visit('/posts/1');
+  click('.delete');
+  andThen(function() {
+    equal(server.handledRequests[1].method, 'DELETE');
+    server.stop();
+  });
+  ```
+
+  A response is an object with a `status` (200 by default), `headers`, a
+  `body` (anything but a string is sent as JSON) and a `delay` in
+  milliseconds, or a function that receives the request and returns one. The
+  request has the `method`, `url`, the dynamic segment `params`, the
+  `queryParams`, the `requestBody` and the `requestHeaders`.
+
+  While it is started the server replaces `window.XMLHttpRequest`, which also
+  covers requests made through jQuery. Requests count towards
+  `Ember.Test.pendingAjaxRequests` until their response is delivered, so
+  `wait` honors each route's `delay`. Responses are delivered inside a run
+  loop, so the application's callbacks may schedule work without wrapping
+  it in `Ember.run`. A request that matches no route is answered with a 404,
+  recorded in `unhandledRequests` and fails the test.
+
+  @class FakeServer
+  @namespace Ember.Test
+  @extends Ember.Test.RequestTracker
+*/
+Test.FakeServer = Test.RequestTracker.extend({
+  name: 'fake-server',
+
+  /**
+    The requests the server answered from its routes, in the order they were
+    made. Each has the `status` it was answered with.
+
+    @property handledRequests
+    @type Array
+  */
+  handledRequests: null,
+
+  /**
+    The requests that matched no route.
+
+    @property unhandledRequests
+    @type Array
+  */
+  unhandledRequests: null,
+
+  init: function() {
+    this._super();
+    this.recognizers = {};
+    this.handledRequests = [];
+    this.unhandledRequests = [];
+  },
+
+  /**
+    Defines routes. The callback is invoked with `get`, `post`, `put`,
+    `patch` and `delete` methods that take a URL pattern and a response.
+
+    @method map
+    @param {Function} callback
+  */
+  map: function(callback) {
+    callback.call(new FakeServerDSL(this));
+  },
+
+  /**
+    Answers requests made with `method` to URLs matching `path`, which may
+    contain `:dynamic` segments and a trailing `*splat`.
+
+    @method route
+    @param {String} method
+    @param {String} path
+    @param {Object|Function} response
+  */
+  route: function(method, path, response) {
+    method = method.toUpperCase();
+
+    var recognizer = this.recognizers[method];
+    if (!recognizer) { recognizer = this.recognizers[method] = new RouteRecognizer(); }
+
+    recognizer.add([{ path: path, handler: response }]);
+  },
+
+  /**
+    Starts answering requests.
+
+    @method start
+  */
+  start: function() {
+    Test.registerRequestTracker(this);
+  },
+
+  /**
+    Stops answering requests and restores `window.XMLHttpRequest`.
+
+    @method stop
+  */
+  stop: function() {
+    Test.unregisterRequestTracker(this);
+  },
+
+  install: function() {
+    var server = this;
+
+    this._XMLHttpRequest = window.XMLHttpRequest;
+    window.XMLHttpRequest = function() {
+      return new FakeXMLHttpRequest(server);
+    };
+  },
+
+  uninstall: function() {
+    window.XMLHttpRequest = this._XMLHttpRequest;
+  },
+
+  /**
+    Called with every request that matches no route, after it has been
+    recorded in `unhandledRequests`. Fails the test through the test adapter
+    by default.
+
+    @method unhandledRequest
+    @param {Object} request
+  */
+  unhandledRequest: function(request) {
+    var error = new Ember.Error("The fake server has no route for " + request.method + " " + request.url);
+
+    if (Test.adapter) {
+      Test.adapter.exception(error);
+    } else {
+      throw error;
+    }
+  },
+
+  handleRequest: function(xhr) {
+    var recognizer = this.recognizers[xhr.method],
+        results = recognizer && recognizer.recognize(pathFor(xhr.url)),
+        request, response, status, body, headers;
+
+    request = {
+      method: xhr.method,
+      url: xhr.url,
+      params: results ? results[0].params : {},
+      queryParams: results ? results.queryParams : {},
+      requestBody: xhr.requestBody,
+      requestHeaders: xhr.requestHeaders
+    };
+
+    if (results) {
+      response = results[0].handler;
+      if (typeof response === 'function') { response = response.call(this, request); }
+      response = response || {};
+
+      status = response.status || 200;
+      body = response.body;
+      headers = Ember.merge({}, response.headers || {});
+
+      if (body === undefined || body === null) {
+        body = '';
+      } else if (typeof body !== 'string') {
+        body = JSON.stringify(body);
+        if (!headers['Content-Type']) { headers['Content-Type'] = 'application/json'; }
+      }
+
+      request.status = status;
+      this.handledRequests.push(request);
+    } else {
+      status = 404;
+      body = '';
+      headers = {};
+
+      request.status = status;
+      this.unhandledRequests.push(request);
+    }
+
+    this.respond(xhr, status, headers, body, (response && response.delay) || 0);
+
+    if (!results) { this.unhandledRequest(request); }
+  },
+
+  respond: function(xhr, status, headers, body, delay) {
+    var server = this;
+
+    if (!xhr.async) {
+      xhr.respond(status, headers, body);
+      return;
+    }
+
+    this.requestDidStart(xhr.method, xhr.url, xhr);
+
+    setTimeout(function() {
+      Ember.run(xhr, 'respond', status, headers, body);
+      server.requestDidEnd(xhr);
+    }, delay);
+  }
+});
+
+function pathFor(url) {
+  return url.replace(/^[a-z][a-z0-9+.\-]*:\/\/[^\/]+/i, '');
+}
+
+function FakeServerDSL(server) {
+  this.server = server;
+}
+
+forEach.call(['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], function(method) {
+  FakeServerDSL.prototype[method.toLowerCase()] = function(path, response) {
+    this.server.route(method, path, response);
+  };
+});
+
+// Just enough of XMLHttpRequest for jQuery and hand-written AJAX code.
+function FakeXMLHttpRequest(server) {
+  this.server = server;
+  this.readyState = 0;
+  this.status = 0;
+  this.statusText = '';
+  this.responseText = '';
+  this.requestHeaders = {};
+  this.responseHeaders = {};
+  this.listeners = {};
+}
+
+FakeXMLHttpRequest.prototype = {
+  open: function(method, url, async) {
+    this.method = method.toUpperCase();
+    this.url = url;
+    this.async = async !== false;
+    this.aborted = false;
+    this.readyState = 1;
+    this.dispatch('readystatechange');
+  },
+
+  setRequestHeader: function(name, value) {
+    this.requestHeaders[name] = value;
+  },
+
+  send: function(body) {
+    Ember.assert("You must call `open` on an XMLHttpRequest before sending it", this.readyState === 1);
+
+    this.requestBody = body === undefined ? null : body;
+    this.server.handleRequest(this);
+  },
+
+  abort: function() {
+    if (this.readyState === 0 || this.readyState === 4) { return; }
+
+    this.aborted = true;
+    this.readyState = 4;
+    this.dispatch('readystatechange');
+    this.dispatch('abort');
+    this.dispatch('loadend');
+    this.readyState = 0;
+  },
+
+  respond: function(status, headers, body) {
+    if (this.aborted) { return; }
+
+    this.status = status;
+    this.statusText = STATUS_TEXTS[status] || '';
+    this.responseHeaders = headers;
+    this.responseText = body;
+    this.readyState = 4;
+    this.dispatch('readystatechange');
+    this.dispatch('load');
+    this.dispatch('loadend');
+  },
+
+  getResponseHeader: function(name) {
+    name = name.toLowerCase();
+
+    for (var header in this.responseHeaders) {
+      if (header.toLowerCase() === name) { return this.responseHeaders[header]; }
+    }
+
+    return null;
+  },
+
+  getAllResponseHeaders: function() {
+    var headers = '';
+
+    for (var header in this.responseHeaders) {
+      headers += header + ': ' + this.responseHeaders[header] + '\r\n';
+    }
+
+    return headers;
+  },
+
+  addEventListener: function(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  },
+
+  removeEventListener: function(type, listener) {
+    var listeners = this.listeners[type], index;
+    if (!listeners) { return; }
+
+    index = Ember.EnumerableUtils.indexOf(listeners, listener);
+    if (index !== -1) { listeners.splice(index, 1); }
+  },
+
+  dispatch: function(type) {
+    var event = { type: type, target: this },
+        listeners = (this.listeners[type] || []).slice();
+
+    if (this['on' + type]) { this['on' + type](event); }
+
+    for (var i = 0, l = listeners.length; i < l; i++) {
+      listeners[i].call(this, event);
+    }
+  }
+};
+
+})();
+
+
+
+(function() {
+/**
+ @module ember
+ @submodule ember-testing
+*/
+
+var Test = Ember.Test,
+    testResolver = null;
+
+/**
+  Sets the resolver used by `isolatedContainer` and the unit test modules to
+  find the classes under test, typically a `Ember.DefaultResolver` for the
+  application's namespace. The application itself is never booted.
+
+  ```javascript
+  Ember.Test.setResolver(Ember.DefaultResolver.create({ namespace: App }));
+  ```
+
+  @public
+  @method setResolver
+  @for Ember.Test
+  @param {Ember.DefaultResolver} resolver
+*/
+Test.setResolver = function(resolver) {
+  testResolver = resolver;
+};
+
+/**
+  Builds a container that only knows about the given `fullNames`, resolved
+  through the resolver given to `setResolver`, plus what is needed to render
+  views and components. Components also bring in their template, when they
+  have one. Anything else a test needs has to be listed or registered by
+  hand, which keeps unit tests honest about their dependencies.
+
+  ```javascript
+  var container = Ember.Test.isolatedContainer(['controller:post', 'controller:application']);
+  var controller = container.lookup('controller:post');
+  ```
+
+  @public
+  @method isolatedContainer
+  @for Ember.Test
+  @param {Array} fullNames
+  @return {Ember.Container}
+*/
+Test.isolatedContainer = function(fullNames) {
+  Ember.assert("You must call `Ember.Test.setResolver` before creating an isolated container", testResolver);
+
+  var container = new Ember.Container(),
+      fullName, factory;
+
+  container.set = Ember.set;
+  container.normalize = function(fullName) {
+    return testResolver.normalize ? testResolver.normalize(fullName) : fullName;
+  };
+
+  container.optionsForType('component', { singleton: false });
+  container.optionsForType('view', { singleton: false });
+  container.optionsForType('template', { instantiate: false });
+  container.optionsForType('helper', { instantiate: false });
+
+  container.register('component-lookup:main', Ember.ComponentLookup);
+  container.register('view:default', Ember._MetamorphView);
+  container.register('view:toplevel', Ember.View.extend());
+
+  for (var i = 0, l = fullNames.length; i < l; i++) {
+    fullName = container.normalize(fullNames[i]);
+    if (container.has(fullName)) { continue; }
+
+    factory = testResolver.resolve(fullName);
+
+    Ember.assert("Could not resolve `" + fullName + "` for the isolated container", factory);
+    container.register(fullName, factory);
+
+    if (fullName.split(':')[0] === 'component') {
+      registerLayout(container, fullName);
+    }
+  }
+
+  return container;
+};
+
+function registerLayout(container, fullName) {
+  var layoutName = 'template:components/' + fullName.split(':')[1],
+      layout;
+
+  if (!container.has(layoutName)) {
+    layout = testResolver.resolve(layoutName);
+    if (!layout) { return; }
+
+    container.register(layoutName, layout);
+  }
+
+  container.injection(fullName, 'layout', layoutName);
+}
+
+/**
+  `Ember.Test.TestModule` sets up and tears down a unit test for a single
+  controller, route, view or component, or an integration test rendering a
+  template, without booting an application or its router.
+
+  Call `setup` before each test and `teardown` after it, passing the object
+  the test runs against. `setup` adds the following to it:
+
+  * `container`: an isolated container holding the object under test and the
+    names listed in `needs`.
+  * `subject(options)`: creates the object under test the first time it is
+    called and returns it afterwards.
+  * `factory()`: the class of the object under test.
+  * `append()`: renders the view or component under test into a fixture
+    element and returns its jQuery element.
+  * `render(template)`: renders a template, given as a string or compiled,
+    against the test's own context object and the isolated container, and
+    returns its jQuery element. Rendering again replaces the previous
+    template.
+  * `set(key, value)`, `setProperties(hash)` and `get(key)`: read and
+    change the properties of the context the template is rendered against.
+    Changes are made in a run loop, so the DOM is up to date when they
+    return.
+  * `$(selector)`: queries the rendered template, or else the rendered view
+    or component under test.
+
+  ```javascript
+  var testModule = new Ember.Test.TestModule('controller:post', 'PostController', {
+    needs: ['controller:application']
+  });
+
+  beforeEach(function() { testModule.setup(this); });
+  afterEach(function() { testModule.teardown(); });
+
+  it('is published by default', function() {
+    expect(this.subject().get('isPublished')).to.be.ok;
+  });
+  ```
+
+  An integration test has no object under test and lists the components and
+  helpers its templates use in `needs`:
+
+  ```javascript
+  var testModule = new Ember.Test.TestModule(null, 'post list', {
+    needs: ['component:post-item', 'helper:format-date']
+  });
+
+  it('lists the posts', function() {
+    this.set('posts', [{ title: 'Hello' }]);
+    this.render('{{#each posts}}{{post-item post=this}}{{/each}}');
+    expect(this.$('.post-item').length).to.equal(1);
+
+    this.set('posts', []);
+    expect(this.$('.post-item').length).to.equal(0);
+  });
+  ```
+
+  The `callbacks` may contain `needs`, `setup` and `teardown` functions
+  invoked with the test's context, a `subject(options, factory, container)`
+  function to create the subject differently, and any other function, which
+  is added to the context.
+
+  With QUnit, use `Ember.Test.moduleFor` and `Ember.Test.moduleForComponent`.
+
+  @class TestModule
+  @namespace Ember.Test
+  @constructor
+  @param {String} fullName The object under test, e.g. `controller:post`, or
+    `null` for an integration test
+  @param {String} description (optional)
+  @param {Object} callbacks (optional)
+*/
+var TestModule = Test.TestModule = function(fullName, description, callbacks) {
+  if (typeof description !== 'string') {
+    callbacks = description;
+    description = fullName;
+  }
+
+  this.fullName = fullName;
+  this.description = description;
+  this.callbacks = callbacks || {};
+};
+
+TestModule.prototype = {
+  fullName: null,
+  description: null,
+  callbacks: null,
+  context: null,
+  subject: null,
+  view: null,
+  fixture: null,
+
+  /**
+    Builds the isolated container and adds the test helpers to `context`.
+
+    @method setup
+    @param {Object} context (optional) The object the test runs against
+    @return {Object} the context
+  */
+  setup: function(context) {
+    var testModule = this,
+        callbacks = this.callbacks,
+        fullName = this.fullName,
+        container = Test.isolatedContainer((fullName ? [fullName] : []).concat(callbacks.needs || [])),
+        renderContext = Ember.Object.create();
+
+    context = this.context = context || {};
+    context.container = container;
+
+    context.factory = function() {
+      return container.lookupFactory(fullName);
+    };
+
+    context.subject = function(options) {
+      Ember.assert("An integration test has no subject", fullName);
+
+      if (!testModule.subject) {
+        testModule.subject = callbacks.subject ?
+          callbacks.subject.call(context, options, context.factory(), container) :
+          context.factory().create(options);
+      }
+
+      return testModule.subject;
+    };
+
+    context.append = function() {
+      var subject = context.subject();
+
+      Ember.assert("You can only `append` a view or a component", subject instanceof Ember.View);
+
+      testModule.appendToFixture(subject);
+      return subject.$();
+    };
+
+    context.render = function(template) {
+      if (typeof template === 'string') { template = Ember.Handlebars.compile(template); }
+      if (testModule.view) { Ember.run(testModule.view, 'destroy'); }
+
+      testModule.view = Ember.View.create({
+        container: container,
+        context: renderContext,
+        template: template
+      });
+
+      testModule.appendToFixture(testModule.view);
+      return testModule.view.$();
+    };
+
+    context.get = function(key) {
+      return Ember.get(renderContext, key);
+    };
+
+    context.set = function(key, value) {
+      Ember.run(function() {
+        Ember.set(renderContext, key, value);
+      });
+    };
+
+    context.setProperties = function(hash) {
+      Ember.run(function() {
+        Ember.setProperties(renderContext, hash);
+      });
+    };
+
+    context.$ = function() {
+      var view = testModule.view || context.subject();
+      return view.$.apply(view, arguments);
+    };
+
+    for (var key in callbacks) {
+      if (typeof callbacks[key] === 'function' && key !== 'setup' && key !== 'teardown' && key !== 'subject') {
+        context[key] = callbacks[key];
+      }
+    }
+
+    if (callbacks.setup) { callbacks.setup.call(context, container); }
+
+    return context;
+  },
+
+  /**
+    Destroys the object under test and the isolated container and removes
+    any rendered fixture.
+
+    @method teardown
+  */
+  teardown: function() {
+    var context = this.context,
+        subject = this.subject,
+        view = this.view,
+        container = context && context.container;
+
+    if (this.callbacks.teardown) { this.callbacks.teardown.call(context, container); }
+
+    Ember.run(function() {
+      if (view) { view.destroy(); }
+      if (subject) { subject.destroy(); }
+      if (container) { container.destroy(); }
+    });
+
+    if (this.fixture) { this.fixture.remove(); }
+
+    this.subject = this.view = this.fixture = this.context = null;
+  },
+
+  appendToFixture: function(view) {
+    if (!this.fixture) {
+      this.fixture = Ember.$('<div class="ember-test-fixture"></div>').appendTo(document.body);
+    }
+
+    Ember.run(view, 'appendTo', this.fixture);
+  }
+};
+
+/**
+  Declares a QUnit module that unit tests the object named `fullName`. See
+  `Ember.Test.TestModule` for what is available inside the tests.
+
+  ```javascript
+  Ember.Test.moduleFor('route:post', 'PostRoute', {
+    needs: ['controller:post']
+  });
+
+  test('it has a default model', function() {
+    ok(this.subject().model({}));
+  });
+  ```
+
+  @public
+  @method moduleFor
+  @for Ember.Test
+  @param {String} fullName
+  @param {String} description (optional)
+  @param {Object} callbacks (optional)
+*/
+Test.moduleFor = function(fullName, description, callbacks) {
+  var testModule = new TestModule(fullName, description, callbacks);
+
+  module(testModule.description, {
+    setup: function() {
+      testModule.setup(this);
+    },
+
+    teardown: function() {
+      testModule.teardown();
+    }
+  });
+};
+
+/**
+  Declares a QUnit module that unit tests the component `name`, whose
+  template is registered as its layout when it exists.
+
+  ```javascript
+  Ember.Test.moduleForComponent('pretty-color');
+
+  test('it renders the color', function() {
+    this.subject({ name: 'red' });
+    equal(this.append().text(), 'Pretty red');
+  });
+  ```
+
+  @public
+  @method moduleForComponent
+  @for Ember.Test
+  @param {String} name
+  @param {String} description (optional)
+  @param {Object} callbacks (optional)
+*/
+Test.moduleForComponent = function(name, description, callbacks) {
+  Test.moduleFor('component:' + name, description, callbacks);
+};
+
+/**
+  Declares a QUnit module for integration tests that render templates using
+  the components and helpers listed in `needs`.
+
+  ```javascript
+  Ember.Test.moduleForIntegration('pretty-color', {
+    needs: ['component:pretty-color']
+  });
+
+  test('it updates the color', function() {
+    this.set('color', 'red');
+    this.render('{{pretty-color name=color}}');
+    equal(this.$().text(), 'Pretty red');
+
+    this.set('color', 'blue');
+    equal(this.$().text(), 'Pretty blue');
+  });
+  ```
+
+  @public
+  @method moduleForIntegration
+  @for Ember.Test
+  @param {String} description
+  @param {Object} callbacks (optional)
+*/
+Test.moduleForIntegration = function(description, callbacks) {
+  Test.moduleFor(null, description, callbacks);
+};
+
+})();
+
+
+
+(function() {
+/**
+* @module ember
+* @submodule ember-testing
+*/
+
+var get = Ember.get,
+    Test = Ember.Test,
+    helper = Test.registerHelper,
+    asyncHelper = Test.registerAsyncHelper,
+    countAsync = 0,
+    jQueryRequestTracker = null;
+
+Test.pendingAjaxRequests = 0;
+
+Test.onInjectHelpers(function() {
+  if (!jQueryRequestTracker) {
+    jQueryRequestTracker = Test.JQueryRequestTracker.create();
+  }
+
+  Test.registerRequestTracker(jQueryRequestTracker);
+  // Rebind its handlers in case they were removed from the document.
+  jQueryRequestTracker.install();
+});
+
+// Callbacks waiting for the application to settle, as `[app, callback]`
+// pairs, and the subscriptions to run loop flushes and timer cancellations
+// that re-check them. Waiters can't tell when they become ready, so they are
+// also asked every `WAITER_POLL_INTERVAL` ms while a callback is waiting.
+var settledCallbacks = [],
+    settledCheckScheduled = false,
+    runLoopSubscribers = null,
+    waiterPollTimer = null,
+    WAITER_POLL_INTERVAL = 100;
+
+/**
+  Describes the asynchronous work that keeps the test from settling. This is
+  what `wait` and the async helpers wait on, which makes it a good place to
+  start when a test hangs.
+
+  ```javascript
+  var state = Ember.Test.getSettledState(App);
+
+  state.isSettled;             // false
+  state.hasPendingTransitions; // true
+  state.pendingWaiters;        // ['<MyApp.DB:ember123>#hasPendingTransactions']
+  ```
+
+  The returned object has the following properties:
+
+  * `hasRunLoop`: a run loop is currently open.
+  * `hasPendingTimers`: `Ember.run.later`, `Ember.run.next` or an autorun is
+    scheduled. With an `Ember.Test.FakeClock` installed, only timers that
+    are due without advancing it count.
+  * `pendingTimers`: the pending `later`, `debounce` and `throttle` timers,
+    see `Ember.run.pendingTimers`.
+  * `hasPendingTransitions`: the application's router is in the middle of a
+    transition. Only checked when an application is passed.
+  * `pendingRequestCount`: the number of unfinished AJAX requests.
+  * `hasPendingRequests`: `pendingRequestCount` is not zero.
+  * `pendingRequests`: the requests reported by the registered request
+    trackers, see `Ember.Test.pendingRequests`.
+  * `pendingWaiters`: a description of each waiter registered with
+    `registerWaiter` that is not ready yet.
+  * `hasPendingWaiters`: `pendingWaiters` is not empty.
+  * `isSettled`: none of the above is pending.
+
+  It is also injected as the `getSettledState` helper.
+
+  @public
+  @method getSettledState
+  @for Ember.Test
+  @param {Ember.Application} app (optional)
+  @return {Object}
+*/
+Test.getSettledState = function(app) {
+  var router = app && app.__container__.lookup('router:main'),
+      pendingWaiters = [],
+      waiters = Test.waiters,
+      state;
+
+  if (waiters) {
+    for (var i = 0, l = waiters.length; i < l; i++) {
+      if (!waiters[i][1].call(waiters[i][0])) {
+        pendingWaiters.push(waiterLabel(waiters[i][0], waiters[i][1]));
+      }
+    }
+  }
+
+  state = {
+    hasRunLoop: !!Ember.run.currentRunLoop,
+    hasPendingTimers: !!Ember.run.hasScheduledTimers(),
+    pendingTimers: Ember.run.pendingTimers(),
+    hasPendingTransitions: !!(router && router.router.activeTransition),
+    pendingRequestCount: Test.pendingAjaxRequests,
+    hasPendingRequests: Test.pendingAjaxRequests !== 0,
+    pendingRequests: Test.pendingRequests(),
+    pendingWaiters: pendingWaiters,
+    hasPendingWaiters: pendingWaiters.length !== 0
+  };
+
+  state.isSettled = !(state.hasRunLoop || state.hasPendingTimers ||
+                      state.hasPendingTransitions || state.hasPendingRequests ||
+                      state.hasPendingWaiters);
+
+  return state;
+};
+
+/**
+  Returns a promise that resolves once the application has settled, as
+  described by `getSettledState`.
+
+  Run loops, timers, transitions and AJAX requests report when they finish,
+  so the promise resolves as soon as the last of them is done. Waiters
+  registered with `registerWaiter` are asked again at the same time, and
+  every 100ms in case they become ready outside of a run loop.
+
+  ```javascript
+  Ember.Test.settled(App).then(function() {
+    // every pending request, timer and transition has finished
+  });
+  ```
+
+  @public
+  @method settled
+  @for Ember.Test
+  @param {Ember.Application} app (optional)
+  @return {RSVP.Promise}
+*/
+Test.settled = function(app) {
+  return Test.promise(function(resolve) {
+    onSettled(app, function() {
+      Ember.run(null, resolve);
+    });
+  });
+};
+
+/**
+  Tells ember-testing that something `getSettledState` looks at may have
+  finished, so that anything waiting for the application to settle is
+  checked again.
+
+  ```javascript
+  Ember.Test.registerWaiter(MyDB, MyDB.hasPendingTransactions);
+
+  MyDB.on('transactionsComplete', function() {
+    Ember.Test.checkSettled();
+  });
+  ```
+
+  @public
+  @method checkSettled
+  @for Ember.Test
+*/
+Test.checkSettled = function() {
+  if (settledCallbacks.length) { scheduleSettledCheck(); }
+};
+
+function waiterLabel(context, callback) {
+  var name = callback.displayName || callback.name || '(anonymous function)';
+  return context ? context + '#' + name : name;
+}
+
+function onSettled(app, callback) {
+  settledCallbacks.push([app, callback]);
+
+  if (!runLoopSubscribers) {
+    runLoopSubscribers = [
+      Ember.subscribe('runloop.flush', { before: Ember.K, after: Test.checkSettled }),
+      Ember.subscribe('runloop.cancel', { before: Ember.K, after: Test.checkSettled })
+    ];
+  }
+
+  // Always settle asynchronously, even when nothing is pending.
+  scheduleSettledCheck();
+}
+
+function scheduleSettledCheck() {
+  if (settledCheckScheduled) { return; }
+  settledCheckScheduled = true;
+  setTimeout(runSettledCheck, 0);
+}
+
+function runSettledCheck() {
+  var callbacks = settledCallbacks;
+
+  settledCheckScheduled = false;
+  settledCallbacks = [];
+
+  for (var i = 0, l = callbacks.length; i < l; i++) {
+    if (Test.getSettledState(callbacks[i][0]).isSettled) {
+      callbacks[i][1]();
+    } else {
+      settledCallbacks.push(callbacks[i]);
+    }
+  }
+
+  if (!settledCallbacks.length && runLoopSubscribers) {
+    Ember.Instrumentation.unsubscribe(runLoopSubscribers[0]);
+    Ember.Instrumentation.unsubscribe(runLoopSubscribers[1]);
+    runLoopSubscribers = null;
+  }
+
+  if (settledCallbacks.length && Test.waiters && Test.waiters.length) {
+    scheduleWaiterPoll();
+  }
+}
+
+function scheduleWaiterPoll() {
+  if (waiterPollTimer) { return; }
+
+  waiterPollTimer = setTimeout(function() {
+    waiterPollTimer = null;
+    Test.checkSettled();
+  }, WAITER_POLL_INTERVAL);
+}
+
+/**
+  Returns every transition the application's router performed since the
+  application was booted or last reset, oldest first. Each entry describes
+  one transition:
+
+  * `from`: the route the application was in when the transition started,
+    or `null` for the initial transition.
+  * `to`: the target route.
+  * `url`: the URL that was handled, when the transition came from a URL.
+  * `method`: the router method that started it, i.e. `handleURL`,
+    `transitionTo`, `replaceWith` or `intermediateTransitionTo`.
+  * `params`: the dynamic segments of the target route and its parents,
+    keyed by route name.
+  * `queryParams`: the query params of the transition.
+  * `isIntermediate`: the application entered a `loading` or `error`
+    substate instead of running a full transition.
+  * `isCompleted`: the transition finished.
+  * `isAborted`: the transition was aborted, e.g. from `Route#beforeModel`,
+    or superseded by another transition.
+  * `redirectedTo` and `redirectedFrom`: the target routes of the
+    transitions that replaced, or were replaced by, this one.
+  * `error`: the error a model hook failed with, if any.
+
+  ```javascript
+  visit('/admin');
+
+  andThen(function() {
+    var history = Ember.Test.transitionHistory(App);
+
+    equal(history[1].to, 'admin.index');
+    ok(history[1].isAborted);
+    equal(history[1].redirectedTo, 'login');
+  });
+  ```
+
+  Transitions are recorded from the first `visit`; it is also injected as
+  the `transitionHistory` helper.
+
+  @public
+  @method transitionHistory
+  @for Ember.Test
+  @param {Ember.Application} app
+  @return {Array}
+*/
+Test.transitionHistory = function(app) {
+  var router = app.__container__.lookup('router:main');
+  return router._transitionHistory ? router._transitionHistory.slice() : [];
+};
+
+function recordTransitions(app) {
+  var router = app.__container__.lookup('router:main');
+  if (router._transitionHistory) { return; }
+
+  var history = router._transitionHistory = [],
+      pending = [],
+      currentName = leafRouteName(router.router.state);
+
+  function record(props) {
+    var entry = {
+      from: currentName,
+      to: null,
+      url: null,
+      method: null,
+      params: {},
+      queryParams: {},
+      isIntermediate: false,
+      isCompleted: false,
+      isAborted: false,
+      redirectedTo: null,
+      redirectedFrom: null,
+      error: null
+    };
+
+    history.push(Ember.merge(entry, props));
+    return entry;
+  }
+
+  router.on('didStartTransition', function(transition, method) {
+    var entry = record({
+      to: transition.targetName || currentName,
+      url: (transition.intent && transition.intent.url) || null,
+      method: method
+    });
+
+    // Starting a transition aborts the active one, which makes the new
+    // transition a redirect of anything still pending.
+    for (var i = pending.length - 1; i >= 0; i--) {
+      if (pending[i][1].isAborted) {
+        pending[i][0].isAborted = true;
+        pending[i][0].redirectedTo = entry.to;
+        entry.redirectedFrom = entry.redirectedFrom || pending[i][0].to;
+        pending.splice(i, 1);
+      }
+    }
+
+    pending.push([entry, transition]);
+
+    transition.promise.then(function() {
+      entry.isCompleted = true;
+      currentName = entry.to;
+    }, function(error) {
+      if (error && error.name === 'TransitionAborted') {
+        entry.isAborted = true;
+      } else {
+        entry.error = error;
+      }
+    })['finally'](function() {
+      entry.params = transition.params || entry.params;
+      entry.queryParams = transition.queryParams || entry.queryParams;
+
+      for (var i = 0, l = pending.length; i < l; i++) {
+        if (pending[i][0] === entry) {
+          pending.splice(i, 1);
+          break;
+        }
+      }
+    }, 'Ember.Test: record transition');
+  });
+
+  router.on('didIntermediateTransition', function(infos) {
+    var entry = record({
+      to: infos[infos.length - 1].name,
+      method: 'intermediateTransitionTo',
+      isIntermediate: true,
+      isCompleted: true
+    });
+
+    currentName = entry.to;
+  });
+}
+
+function leafRouteName(state) {
+  var infos = state && state.handlerInfos;
+  return infos && infos.length ? infos[infos.length - 1].name : null;
+}
+
+function advanceClock(app, ms) {
+  Ember.assert("advanceClock needs an installed Ember.Test.FakeClock", Test.clock);
+
+  Ember.run(Test.clock, 'advance', ms);
+  return wait(app);
+}
+
+function lastTransition(app) {
+  var history = Test.transitionHistory(app);
+  return history.length ? history[history.length - 1] : null;
+}
+
+function currentRouteName(app){
+  var appController = app.__container__.lookup('controller:application');
+
+  return get(appController, 'currentRouteName');
+}
+
+function currentPath(app){
+  var appController = app.__container__.lookup('controller:application');
+
+  return get(appController, 'currentPath');
+}
+
+function currentURL(app){
+  var router = app.__container__.lookup('router:main');
+
+  return get(router, 'location').getURL();
+}
+
+function visit(app, url) {
+  recordTransitions(app);
+  Ember.run(app, 'advanceReadiness');
+
+  app.__container__.lookup('router:main').location.setURL(url);
+  Ember.run(app, app.handleURL, url);
+  return wait(app);
+}
+
+function click(app, selector, context) {
+  var $el = findWithAssert(app, selector, context);
+  Ember.run($el, 'mousedown');
+
+  if ($el.is(':input')) {
+    var type = $el.prop('type');
+    if (type !== 'checkbox' && type !== 'radio' && type !== 'hidden') {
+      Ember.run($el, function(){
+        // Firefox does not trigger the `focusin` event if the window
+        // does not have focus. If the document doesn't have focus just
+        // use trigger('focusin') instead.
+        if (!document.hasFocus || document.hasFocus()) {
+          this.focus();
+        } else {
+          this.trigger('focusin');
+        }
+      });
+    }
+  }
+
+  Ember.run($el, 'mouseup');
+  Ember.run($el, 'click');
+
+  return wait(app);
+}
+
+function triggerEvent(app, selector, context, event){
+  if (typeof method === 'undefined') {
+    event = context;
+    context = null;
+  }
+
+  var $el = findWithAssert(app, selector, context);
+
+  Ember.run($el, 'trigger', event);
+
+  return wait(app);
+}
+
+function keyEvent(app, selector, context, type, keyCode) {
+  var $el;
+  if (typeof keyCode === 'undefined') {
+    keyCode = type;
+    type = context;
+    context = null;
+  }
+  $el = findWithAssert(app, selector, context);
+  var event = Ember.$.Event(type, { keyCode: keyCode });
+  Ember.run($el, 'trigger', event);
+  return wait(app);
+}
+
+function fillIn(app, selector, context, text) {
+  var $el;
+  if (typeof text === 'undefined') {
+    text = context;
+    context = null;
+  }
+  $el = findWithAssert(app, selector, context);
+  Ember.run(function() {
+    $el.val(text).change();
+  });
+  return wait(app);
+}
+
+function selectOption(app, selector, context, options) {
+  var $el, $options, isMultiple;
+
+  if (typeof options === 'undefined') {
+    options = context;
+    context = null;
+  }
+
+  $el = findWithAssert(app, selector, context);
+  options = Ember.isArray(options) ? options : [options];
+  isMultiple = $el.prop('multiple');
+
+  Ember.assert("You can only select several options of a `<select multiple>`, but " + selector + " is not one", isMultiple || options.length === 1);
+
+  $options = $el.find('option');
+
+  Ember.EnumerableUtils.forEach(options, function(valueOrLabel) {
+    Ember.assert("Option " + valueOrLabel + " not found in " + selector, $options.filter(function() {
+      return optionMatches(this, valueOrLabel);
+    }).length);
+  });
+
+  Ember.run(function() {
+    $options.each(function() {
+      var isMatch = false;
+
+      for (var i = 0, l = options.length; i < l; i++) {
+        if (optionMatches(this, options[i])) { isMatch = true; }
+      }
+
+      // Selecting an option of a single select deselects the others
+      if (isMatch || isMultiple) { this.selected = isMatch; }
+    });
+
+    $el.change();
+  });
+
+  return wait(app);
+}
+
+function optionMatches(option, valueOrLabel) {
+  valueOrLabel = String(valueOrLabel);
+  return option.value === valueOrLabel || Ember.$.trim(Ember.$(option).text()) === valueOrLabel;
+}
+
+function check(app, selector, context) {
+  return setChecked(app, selector, context, true);
+}
+
+function uncheck(app, selector, context) {
+  return setChecked(app, selector, context, false);
+}
+
+function setChecked(app, selector, context, checked) {
+  var $el = findWithAssert(app, selector, context);
+
+  Ember.assert(selector + " is not a checkbox or radio button", $el.is(':checkbox, :radio'));
+  Ember.assert("A radio button can't be unchecked", checked || !$el.is(':radio'));
+
+  if ($el.prop('checked') !== checked) {
+    Ember.run($el, 'click');
+
+    // Without the checkbox fix for older versions of jQuery a triggered
+    // click doesn't toggle the checkbox.
+    if ($el.prop('checked') !== checked) {
+      Ember.run(function() {
+        $el.prop('checked', checked).change();
+      });
+    }
+  }
+
+  return wait(app);
+}
+
+function focusIn(app, selector, context) {
+  var $el = findWithAssert(app, selector, context);
+
+  Ember.run($el, function() {
+    // As in `click`, fall back to `focusin` when the document doesn't have
+    // focus, since the browser won't fire focus events then.
+    if (!document.hasFocus || document.hasFocus()) {
+      this.focus();
+    } else {
+      this.trigger('focusin');
+    }
+  });
+
+  return wait(app);
+}
+
+function focusOut(app, selector, context) {
+  var $el = findWithAssert(app, selector, context);
+
+  Ember.run($el, function() {
+    if (!document.hasFocus || document.hasFocus()) {
+      this.blur();
+    } else {
+      this.trigger('focusout');
+    }
+  });
+
+  return wait(app);
+}
+
+function typeIn(app, selector, context, text) {
+  var $el;
+
+  if (typeof text === 'undefined') {
+    text = context;
+    context = null;
+  }
+
+  $el = findWithAssert(app, selector, context);
+
+  for (var i = 0, l = text.length; i < l; i++) {
+    typeCharacter($el, text.charAt(i));
+  }
+
+  return wait(app);
+}
+
+// Fires the events a browser fires for a single key stroke, honoring
+// `preventDefault` on `keydown` and `keypress` as a browser would.
+function typeCharacter($el, character) {
+  var charCode = character.charCodeAt(0),
+      keyCode = character.toUpperCase().charCodeAt(0),
+      keydown = Ember.$.Event('keydown', { keyCode: keyCode, which: keyCode }),
+      keypress = Ember.$.Event('keypress', { keyCode: charCode, which: charCode, charCode: charCode });
+
+  Ember.run($el, 'trigger', keydown);
+
+  if (!keydown.isDefaultPrevented()) {
+    Ember.run($el, 'trigger', keypress);
+
+    if (!keypress.isDefaultPrevented()) {
+      Ember.run(function() {
+        $el.val($el.val() + character).trigger('input');
+      });
+    }
+  }
+
+  Ember.run($el, 'trigger', Ember.$.Event('keyup', { keyCode: keyCode, which: keyCode }));
+}
+
+function dragAndDrop(app, sourceSelector, targetSelector, dataTransfer) {
+  var $source = findWithAssert(app, sourceSelector),
+      $target = findWithAssert(app, targetSelector);
+
+  dataTransfer = dataTransfer || new DataTransfer();
+
+  function trigger($el, type) {
+    Ember.run($el, 'trigger', Ember.$.Event(type, { dataTransfer: dataTransfer }));
+  }
+
+  trigger($source, 'dragstart');
+  trigger($source, 'drag');
+  trigger($target, 'dragenter');
+  trigger($target, 'dragover');
+  trigger($target, 'drop');
+  trigger($source, 'dragend');
+
+  return wait(app);
+}
+
+// A stand-in for the browser's `DataTransfer`, shared by all the events of
+// a `dragAndDrop`.
+function DataTransfer() {
+  this.data = {};
+  this.types = [];
+  this.dropEffect = 'none';
+  this.effectAllowed = 'all';
+}
+
+DataTransfer.prototype = {
+  setData: function(type, data) {
+    if (!this.data.hasOwnProperty(type)) { this.types.push(type); }
+    this.data[type] = data;
+  },
+
+  getData: function(type) {
+    return this.data.hasOwnProperty(type) ? this.data[type] : '';
+  },
+
+  clearData: function(type) {
+    var index;
+
+    if (type) {
+      delete this.data[type];
+      index = Ember.EnumerableUtils.indexOf(this.types, type);
+      if (index !== -1) { this.types.splice(index, 1); }
+    } else {
+      this.data = {};
+      this.types = [];
+    }
+  }
+};
+
+function findWithAssert(app, selector, context) {
+  var $el = find(app, selector, context);
+  if ($el.length === 0) {
+    throw new Ember.Error("Element " + selector + " not found.");
+  }
+  return $el;
+}
+
+function find(app, selector, context) {
+  var $el;
+  context = context || get(app, 'rootElement');
+  $el = app.$(selector, context);
+
+  return $el;
+}
+
+function andThen(app, callback) {
+  return wait(app, callback(app));
+}
+
+function wait(app, value) {
+  return Test.promise(function(resolve) {
+    // If this is the first async promise, kick off the async test
+    if (++countAsync === 1) {
+      Test.adapter.asyncStart();
+    }
+
+    onSettled(app, function() {
+      // If this is the last async promise, end the async test
+      if (--countAsync === 0) {
+        Test.adapter.asyncEnd();
+      }
+
+      // Synchronously resolve the promise
+      Ember.run(null, resolve, value);
+    });
+  });
+
+}
+
+
+/**
+* Loads a route, sets up any controllers, and renders any templates associated
+* with the route as though a real user had triggered the route change while
+* using your app.
+*
+* Example:
+*
+* ```javascript
+* visit('posts/index').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method visit
+* @param {String} url the name of the route
+* @return {RSVP.Promise}
+*/
+asyncHelper('visit', visit);
+
+/**
+* Clicks an element and triggers any actions triggered by the element's `click`
+* event.
+*
+* Example:
+*
+* ```javascript
+* click('.some-jQuery-selector').then(function() {
+*  // assert something
+* });
+* ```
+*
+* @method click
+* @param {String} selector jQuery selector for finding element on the DOM
+* @return {RSVP.Promise}
+*/
+asyncHelper('click', click);
+
+/**
+* Simulates a key event, e.g. `keypress`, `keydown`, `keyup` with the desired keyCode
+*
+* Example:
+*
+* ```javascript
+* keyEvent('.some-jQuery-selector', 'keypress', 13).then(function() {
+*  // assert something
+* });
+* ```
+*
+* @method keyEvent
+* @param {String} selector jQuery selector for finding element on the DOM
+* @param {String} the type of key event, e.g. `keypress`, `keydown`, `keyup`
+* @param {Number} the keyCode of the simulated key event
+* @return {RSVP.Promise}
+*/
+asyncHelper('keyEvent', keyEvent);
+
+/**
+* Fills in an input element with some text.
+*
+* Example:
+*
+* ```javascript
+* fillIn('#email', 'you@example.com').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method fillIn
+* @param {String} selector jQuery selector finding an input element on the DOM
+* to fill text with
+* @param {String} text text to place inside the input element
+* @return {RSVP.Promise}
+*/
+asyncHelper('fillIn', fillIn);
+
+/**
+* Selects options of a `<select>` by value or by label and triggers its
+* `change` event. Pass an array to select several options of a
+* `<select multiple>`; the options that are not listed are deselected.
+*
+* Example:
+*
+* ```javascript
+* selectOption('.country', 'Canada');
+* selectOption('.toppings', ['cheese', 'Olives']).then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method selectOption
+* @param {String} selector jQuery selector finding a select element on the DOM
+* @param {String|Array} options the value or label of the options to select
+* @return {RSVP.Promise}
+*/
+asyncHelper('selectOption', selectOption);
+
+/**
+* Checks a checkbox or radio button by clicking it, unless it is already
+* checked.
+*
+* Example:
+*
+* ```javascript
+* check('.remember-me').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method check
+* @param {String} selector jQuery selector finding a checkbox or radio button
+* @return {RSVP.Promise}
+*/
+asyncHelper('check', check);
+
+/**
+* Unchecks a checkbox by clicking it, unless it is already unchecked.
+*
+* Example:
+*
+* ```javascript
+* uncheck('.remember-me').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method uncheck
+* @param {String} selector jQuery selector finding a checkbox
+* @return {RSVP.Promise}
+*/
+asyncHelper('uncheck', uncheck);
+
+/**
+* Focuses an element, which triggers the `focusIn` event of its view.
+*
+* Example:
+*
+* ```javascript
+* focusIn('#email').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method focusIn
+* @param {String} selector jQuery selector for finding element on the DOM
+* @return {RSVP.Promise}
+*/
+asyncHelper('focusIn', focusIn);
+
+/**
+* Blurs an element, which triggers the `focusOut` event of its view.
+*
+* Example:
+*
+* ```javascript
+* focusOut('#email').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method focusOut
+* @param {String} selector jQuery selector for finding element on the DOM
+* @return {RSVP.Promise}
+*/
+asyncHelper('focusOut', focusOut);
+
+/**
+* Types text into an input element one character at a time, triggering
+* `keydown`, `keypress`, `input` and `keyup` for each character. A character
+* is not inserted when its `keydown` or `keypress` event is prevented. Unlike
+* `fillIn` it does not trigger `change`.
+*
+* Example:
+*
+* ```javascript
+* typeIn('#search', 'ember').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method typeIn
+* @param {String} selector jQuery selector finding an input element on the DOM
+* @param {String} text the text to type
+* @return {RSVP.Promise}
+*/
+asyncHelper('typeIn', typeIn);
+
+/**
+* Drags an element onto another, triggering `dragStart` and `drag` on the
+* source's view, `dragEnter`, `dragOver` and `drop` on the target's view and
+* finally `dragEnd` on the source's view. The events share a `dataTransfer`
+* object supporting `setData`, `getData` and `clearData`, or the one given.
+*
+* Example:
+*
+* ```javascript
+* dragAndDrop('.card:first', '.done-column').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method dragAndDrop
+* @param {String} sourceSelector jQuery selector for the element to drag
+* @param {String} targetSelector jQuery selector for the element to drop onto
+* @param {Object} dataTransfer (optional) the `dataTransfer` of the events
+* @return {RSVP.Promise}
+*/
+asyncHelper('dragAndDrop', dragAndDrop);
+
+/**
+* Moves the installed `Ember.Test.FakeClock` forward, running the
+* `Ember.run.later`, `debounce` and `throttle` timers that become due, and
+* waits for the application to settle.
+*
+* Example:
+*
+* ```javascript
+* click('.show-flash');
+* advanceClock(3000);
+* andThen(function() {
+*   equal(find('.flash').length, 0, 'the flash message is hidden after 3s');
+* });
+* ```
+*
+* @method advanceClock
+* @param {Number} ms The number of milliseconds to advance the clock by
+* @return {RSVP.Promise}
+*/
+asyncHelper('advanceClock', advanceClock);
+
+/**
+* Finds an element in the context of the app's container element. A simple alias
+* for `app.$(selector)`.
+*
+* Example:
+*
+* ```javascript
+* var $el = find('.my-selector);
+* ```
+*
+* @method find
+* @param {String} selector jQuery string selector for element lookup
+* @return {Object} jQuery object representing the results of the query
+*/
+helper('find', find);
+
+/**
+* Like `find`, but throws an error if the element selector returns no results.
+*
+* Example:
+*
+* ```javascript
+* var $el = findWithAssert('.doesnt-exist'); // throws error
+* ```
+*
+* @method findWithAssert
+* @param {String} selector jQuery selector string for finding an element within
+* the DOM
+* @return {Object} jQuery object representing the results of the query
+* @throws {Error} throws error if jQuery object returned has a length of 0
+*/
+helper('findWithAssert', findWithAssert);
+
+/**
+  Causes the run loop to process any pending events. This is used to ensure that
+  any async operations from other helpers (or your assertions) have been processed.
+
+  This is most often used as the return value for the helper functions (see 'click',
+  'fillIn','visit',etc).
+
+  Example:
+
+  ```javascript
+  Ember.Test.registerAsyncHelper('loginUser', function(app, username, password) {
+    visit('secured/path/here')
+    .fillIn('#username', username)
+    .fillIn('#password', username)
+    .click('.submit')
+
+    return wait();
+  });
+
+  @method wait
+  @param {Object} value The value to be returned.
+  @return {RSVP.Promise}
+*/
+asyncHelper('wait', wait);
+asyncHelper('andThen', andThen);
+
+/**
+  Describes what the application is still waiting on. See
+  `Ember.Test.getSettledState`.
+
+  Example:
+
+  ```javascript
+  click('.save');
+  andThen(function() {
+    ok(getSettledState().isSettled);
+  });
+  ```
+
+  @method getSettledState
+  @return {Object}
+*/
+helper('getSettledState', Test.getSettledState);
+
+/**
+  Returns the transitions the router performed so far, as described in
+  `Ember.Test.transitionHistory`.
+
+  Example:
+
+  ```javascript
+  visit('/admin');
+
+  andThen(function() {
+    var redirects = transitionHistory().filter(function(transition) {
+      return transition.redirectedTo;
+    });
+
+    equal(redirects.length, 1);
+  });
+  ```
+
+  @method transitionHistory
+  @return {Array}
+*/
+helper('transitionHistory', Test.transitionHistory);
+
+/**
+  Returns the most recent entry of `transitionHistory`, or `null` when the
+  router has not transitioned yet.
+
+  Example:
+
+  ```javascript
+  click('.delete');
+
+  andThen(function() {
+    equal(lastTransition().to, 'posts.index');
+    ok(lastTransition().isCompleted);
+  });
+  ```
+
+  @method lastTransition
+  @return {Object}
+*/
+helper('lastTransition', lastTransition);
+
+
+if (Ember.FEATURES.isEnabled('ember-testing-routing-helpers')){
+  /**
+    Returns the currently active route name.
+
+    Example:
+
+    ```
+    function validateRouteName(){
+      equal(currentRouteName(), 'some.path', "correct route was transitioned into.");
+    }
+
+    visit('/some/path').then(validateRouteName)
+
+    ```
+
+    @method currentRouteName
+    @return {Object} The name of the currently active route.
+  */
+  helper('currentRouteName', currentRouteName);
+
+  /**
+    Returns the current path.
+
+    Example:
+
+    ```
+    function validateURL(){
+      equal(currentPath(), 'some.path.index', "correct path was transitioned into.");
+    }
+
+    click('#some-link-id').then(validateURL);
+
+    ```
+
+    @method currentPath
+    @return {Object} The currently active path.
+  */
+  helper('currentPath', currentPath);
+
+  /**
+    Returns the current URL.
+
+    Example:
+
+    ```
+    function validateURL(){
+      equal(currentURL(), '/some/path', "correct URL was transitioned into.");
+    }
+
+    click('#some-link-id').then(validateURL);
+
+    ```
+
+    @method currentURL
+    @return {Object} The currently active URL.
+  */
+  helper('currentURL', currentURL);
+}
+
+if (Ember.FEATURES.isEnabled('ember-testing-triggerEvent-helper')) {
+  /**
+    Triggers the given event on the element identified by the provided selector.
+
+    Example:
+
+    ```javascript
+    triggerEvent('#some-elem-id', 'blur');
+    ```
+
+   @method triggerEvent
+   @param {String} selector jQuery selector for finding element on the DOM
+   @param {String} event The event to be triggered.
+   @return {RSVP.Promise}
+  */
+  asyncHelper('triggerEvent', triggerEvent);
+}
+
+})();
+
+
+
+(function() {
+/**
+ @module ember
+ @submodule ember-testing
+*/
+
+var Test = Ember.Test,
+    pageApp = null;
+
+Test.onInjectHelpers(function(app) {
+  pageApp = app;
+});
+
+/**
+  Declares a page object: a description of a page, or a part of one, in
+  terms of what a test does with it. Page objects keep selectors out of the
+  tests, and their failures name the property that failed instead of the
+  selector.
+
+  ```javascript
+  var page = Ember.Test.page;
+
+  var postPage = page({
+    scope: '.post',
+
+    title: page.text('h1'),
+    isPublished: page.visible('.published-badge'),
+    commentCount: page.count('.comment'),
+    fillComment: page.fillable('textarea.new-comment'),
+    submitComment: page.clickable('button.submit'),
+
+    comments: page.collection({
+      itemScope: '.comment',
+      item: {
+        author: page.text('.author'),
+        remove: page.clickable('.remove')
+      }
+    })
+  });
+
+  visit('/posts/1');
+  postPage.fillComment('Nice post');
+  postPage.submitComment();
+  postPage.comments(0).remove();
+
+  andThen(function() {
+    equal(postPage.title(), 'Hello');
+    equal(postPage.commentCount(), 1);
+    equal(postPage.comments(0).author(), 'tomster');
+  });
+  ```
+
+  `clickable` and `fillable` properties are async helpers built on `click`
+  and `fillIn`, so they chain with the other helpers and `andThen`. The other
+  properties read the page when called, typically inside `andThen`.
+
+  Selectors are scoped to the page's `scope`, if any. Page objects use the
+  application whose helpers were injected last.
+
+  @public
+  @method page
+  @for Ember.Test
+  @param {Object} definition
+  @return {Object} the page object
+*/
+var page = Test.page = function(definition) {
+  return buildPage(definition, definition.scope || '', 'page');
+};
+
+function buildPage(definition, scope, path) {
+  var result = {}, value;
+
+  for (var key in definition) {
+    value = definition[key];
+
+    if (key === 'scope') {
+      continue;
+    } else if (value && value.isPageProperty) {
+      result[key] = value.build(scope, path + '.' + key);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+function pageProperty(build) {
+  return { isPageProperty: true, build: build };
+}
+
+function scoped(scope, selector) {
+  return scope ? scope + ' ' + selector : selector;
+}
+
+function helpers() {
+  Ember.assert("Page objects can only be used once test helpers have been injected", pageApp);
+  return pageApp.testHelpers;
+}
+
+function findProperty(path, selector) {
+  var $el = helpers().find(selector);
+
+  if (!$el.length) {
+    throw new Ember.Error("Could not find " + path + " (" + selector + ")");
+  }
+
+  return $el;
+}
+
+/**
+  The trimmed text of the elements matching `selector`.
+
+  @method text
+  @for Ember.Test.page
+  @param {String} selector
+*/
+page.text = function(selector) {
+  return pageProperty(function(scope, path) {
+    return function() {
+      return Ember.$.trim(findProperty(path, scoped(scope, selector)).text());
+    };
+  });
+};
+
+/**
+  Whether an element matching `selector` is visible. Returns `false` when
+  there is no such element.
+
+  @method visible
+  @for Ember.Test.page
+  @param {String} selector
+*/
+page.visible = function(selector) {
+  return pageProperty(function(scope) {
+    return function() {
+      return helpers().find(scoped(scope, selector)).is(':visible');
+    };
+  });
+};
+
+/**
+  The number of elements matching `selector`.
+
+  @method count
+  @for Ember.Test.page
+  @param {String} selector
+*/
+page.count = function(selector) {
+  return pageProperty(function(scope) {
+    return function() {
+      return helpers().find(scoped(scope, selector)).length;
+    };
+  });
+};
+
+/**
+  An async helper that clicks the element matching `selector`.
+
+  @method clickable
+  @for Ember.Test.page
+  @param {String} selector
+*/
+page.clickable = function(selector) {
+  return pageProperty(function(scope, path) {
+    return function() {
+      var fullSelector = scoped(scope, selector);
+
+      return helpers().andThen(function() {
+        findProperty(path, fullSelector);
+        return helpers().click(fullSelector);
+      });
+    };
+  });
+};
+
+/**
+  An async helper that fills in the input element matching `selector` with
+  the text it is given.
+
+  @method fillable
+  @for Ember.Test.page
+  @param {String} selector
+*/
+page.fillable = function(selector) {
+  return pageProperty(function(scope, path) {
+    return function(text) {
+      var fullSelector = scoped(scope, selector);
+
+      return helpers().andThen(function() {
+        findProperty(path, fullSelector);
+        return helpers().fillIn(fullSelector, text);
+      });
+    };
+  });
+};
+
+/**
+  A list of repeated elements. `itemScope` selects the items and `item`
+  describes each of them like a page. The property is a function taking the
+  zero-based index of an item and returning it, with a `count` function
+  returning the number of items.
+
+  @method collection
+  @for Ember.Test.page
+  @param {Object} options `itemScope` and `item`
+*/
+page.collection = function(options) {
+  return pageProperty(function(scope, path) {
+    var itemScope = scoped(scope, options.itemScope),
+        collection;
+
+    collection = function(index) {
+      return buildPage(options.item || {}, itemScope + ':eq(' + index + ')', path + '[' + index + ']');
+    };
+
+    collection.count = function() {
+      return helpers().find(itemScope).length;
+    };
+
+    return collection;
+  });
+};
 
 })();
 
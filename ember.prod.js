@@ -263,7 +263,7 @@ if ('undefined' === typeof Ember.warn) { Ember.warn = Ember.K; }
 if ('undefined' === typeof Ember.debug) { Ember.debug = Ember.K; }
 if ('undefined' === typeof Ember.deprecate) { Ember.deprecate = Ember.K; }
 if ('undefined' === typeof Ember.deprecateFunc) {
-  Ember.deprecateFunc = function(_, func) { return func; };
+  Ember.deprecateFunc = function() { return arguments[arguments.length - 1]; };
 }
 
 /**
@@ -321,7 +321,7 @@ Ember.merge = function(original, updates) {
 Ember.isNone = function(obj) {
   return obj === null || obj === undefined;
 };
-Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isNone instead.", Ember.isNone);
+Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isNone instead.", { id: 'ember-metal.none', until: '2.0.0' }, Ember.isNone);
 
 /**
   Verifies that a value is `null` or an empty string, empty array,
@@ -348,7 +348,7 @@ Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isN
 Ember.isEmpty = function(obj) {
   return Ember.isNone(obj) || (obj.length === 0 && typeof obj !== 'function') || (typeof obj === 'object' && Ember.get(obj, 'length') === 0);
 };
-Ember.empty = Ember.deprecateFunc("Ember.empty is deprecated. Please use Ember.isEmpty instead.", Ember.isEmpty) ;
+Ember.empty = Ember.deprecateFunc("Ember.empty is deprecated. Please use Ember.isEmpty instead.", { id: 'ember-metal.empty', until: '2.0.0' }, Ember.isEmpty) ;
 
 
 })();
@@ -1552,6 +1552,12 @@ Ember.Instrumentation.instrument = function(name, payload, callback, binding) {
   return Ember.tryCatchFinally(tryable, catchable, finalizer);
 };
 
+// Returns whether anything subscribes to the event with the given name.
+Ember.Instrumentation._hasListeners = function(name) {
+  var listeners = cache[name] || populateListeners(name);
+  return listeners.length > 0;
+};
+
 /**
   Subscribes to a particular event or instrumented block of code.
 
@@ -2417,6 +2423,8 @@ function propertyDidChange(obj, keyName) {
   if (desc && desc.didChange) { desc.didChange(obj, keyName); }
   if (!watching && keyName !== 'length') { return; }
 
+  if (Ember._loopRecorder) { Ember._loopRecorder.propertyDidChange(obj, keyName); }
+
   dependentKeysDidChange(obj, keyName, m);
   chainsDidChange(obj, keyName, m, false);
   notifyObservers(obj, keyName);
@@ -5376,8 +5384,10 @@ Ember.computed.readOnly = function(dependentKey) {
   @param {String} defaultPath
   @return {Ember.ComputedProperty} computed property which acts like
   a standard getter and setter, but defaults to the value from `defaultPath`.
+  @deprecated Use `Ember.computed.oneWay` instead
 */
 Ember.computed.defaultTo = function(defaultPath) {
+  
   return Ember.computed(function(key, newValue, cachedValue) {
     if (arguments.length === 1) {
       return cachedValue != null ? cachedValue : get(this, defaultPath);
@@ -5543,38 +5553,67 @@ define("backburner/queue",
       },
 
       // TODO: remove me, only being used for Ember.run.sync
-      flush: function() {
+      flush: function(flushCount) {
         var queue = this._queue,
             options = this.options,
+            instrument = this.daq.options.instrument,
             before = options && options.before,
             after = options && options.after,
-            target, method, args, stack, i, l = queue.length;
-
-        if (l && before) { before(); }
-        for (i = 0; i < l; i += 4) {
-          target = queue[i];
-          method = queue[i+1];
-          args   = queue[i+2];
-          stack  = queue[i+3]; // Debugging assistance
-
-          // TODO: error handling
-          if (args && args.length > 0) {
-            method.apply(target, args);
-          } else {
-            method.call(target);
+            self = this,
+            l = queue.length;
+
+        flushCount = flushCount || 1;
+
+        function flushItems() {
+          var target, method, args, stack, i;
+
+          if (l && before) { before(); }
+          for (i = 0; i < l; i += 4) {
+            target = queue[i];
+            method = queue[i+1];
+            args   = queue[i+2];
+            stack  = queue[i+3]; // Debugging assistance
+
+            // TODO: error handling
+            self.invoke(target, method, args, flushCount);
           }
+          if (l && after) { after(); }
+        }
+
+        if (l && instrument) {
+          instrument('runloop.queue', { queue: this.name, flushCount: flushCount, size: l / 4 }, flushItems);
+        } else {
+          flushItems();
         }
-        if (l && after) { after(); }
 
         // check if new items have been added
         if (queue.length > l) {
           this._queue = queue.slice(l);
-          this.flush();
+          this.flush(flushCount + 1);
         } else {
           this._queue.length = 0;
         }
       },
 
+      // Invokes a scheduled method, reporting it to the `instrument` option
+      // (if any) as a `runloop.callback` event.
+      invoke: function(target, method, args, flushCount) {
+        var instrument = this.daq.options.instrument;
+
+        if (instrument) {
+          instrument('runloop.callback', {
+            queue: this.name,
+            target: target,
+            method: method,
+            flushCount: flushCount
+          }, function() {
+            invoke(target, method, args);
+          });
+        } else {
+          invoke(target, method, args);
+        }
+      },
+
       cancel: function(actionToCancel) {
         var queue = this._queue, currentTarget, currentMethod, i, l;
 
@@ -5609,6 +5648,15 @@ define("backburner/queue",
     };
 
 
+    function invoke(target, method, args) {
+      if (args && args.length > 0) {
+        method.apply(target, args);
+      } else {
+        method.call(target);
+      }
+    }
+
+
     __exports__.Queue = Queue;
   });
 
@@ -5621,6 +5669,7 @@ define("backburner/deferred_action_queues",
     function DeferredActionQueues(queueNames, options) {
       var queues = this.queues = {};
       this.queueNames = queueNames = queueNames || [];
+      this.options = options;
 
       var queueName;
       for (var i = 0, l = queueNames.length; i < l; i++) {
@@ -5647,57 +5696,96 @@ define("backburner/deferred_action_queues",
       },
 
       flush: function() {
-        var queues = this.queues,
-            queueNames = this.queueNames,
-            queueName, queue, queueItems, priorQueueNameIndex,
-            queueNameIndex = 0, numberOfQueues = queueNames.length;
-
-        outerloop:
-        while (queueNameIndex < numberOfQueues) {
-          queueName = queueNames[queueNameIndex];
-          queue = queues[queueName];
-          queueItems = queue._queueBeingFlushed = queue._queue.slice();
-          queue._queue = [];
-
-          var options = queue.options,
-              before = options && options.before,
-              after = options && options.after,
-              target, method, args, stack,
-              queueIndex = 0, numberOfQueueItems = queueItems.length;
-
-          if (numberOfQueueItems && before) { before(); }
-          while (queueIndex < numberOfQueueItems) {
-            target = queueItems[queueIndex];
-            method = queueItems[queueIndex+1];
-            args   = queueItems[queueIndex+2];
-            stack  = queueItems[queueIndex+3]; // Debugging assistance
-
-            if (typeof method === 'string') { method = target[method]; }
-
-            // method could have been nullified / canceled during flush
-            if (method) {
-              // TODO: error handling
-              if (args && args.length > 0) {
-                method.apply(target, args);
-              } else {
-                method.call(target);
-              }
-            }
+        var instrument = this.options.instrument;
 
-            queueIndex += 4;
-          }
-          queue._queueBeingFlushed = null;
-          if (numberOfQueueItems && after) { after(); }
+        if (instrument) {
+          instrument('runloop.flush', { queueNames: this.queueNames }, flushQueues, this);
+        } else {
+          flushQueues.call(this);
+        }
+      }
+    };
 
-          if ((priorQueueNameIndex = indexOfPriorQueueWithActions(this, queueNameIndex)) !== -1) {
-            queueNameIndex = priorQueueNameIndex;
-            continue outerloop;
+    function flushQueues() {
+      var queues = this.queues,
+          queueNames = this.queueNames,
+          options = this.options,
+          instrument = options.instrument,
+          flushLimit = options.flushLimit,
+          flushCounts = {},
+          queueName, queue, queueItems, priorQueueNameIndex, flushCount,
+          queueNameIndex = 0, numberOfQueues = queueNames.length;
+
+      while (queueNameIndex < numberOfQueues) {
+        queueName = queueNames[queueNameIndex];
+        queue = queues[queueName];
+
+        // The number of times this queue has been flushed in this run loop;
+        // anything above 1 means actions were rescheduled into it.
+        flushCount = flushCounts[queueName] = (flushCounts[queueName] || 0) + 1;
+
+        // A queue that keeps being refilled by the queues after it will never
+        // drain, so give up rather than hang.
+        if (flushLimit && flushCount > flushLimit) {
+          if (options.onFlushLimitExceeded) {
+            options.onFlushLimitExceeded(queueName, flushCount, flushLimit);
+          } else {
+            throw new Error("The " + queueName + " queue was flushed more than " + flushLimit + " times in a single run loop");
           }
+        }
+
+        queueItems = queue._queueBeingFlushed = queue._queue.slice();
+        queue._queue = [];
 
-          queueNameIndex++;
+        if (instrument && queueItems.length) {
+          instrument('runloop.queue', {
+            queue: queueName,
+            flushCount: flushCount,
+            size: queueItems.length / 4
+          }, flushQueueItems(queue, queueItems, flushCount));
+        } else {
+          flushQueueItems(queue, queueItems, flushCount)();
         }
+
+        queue._queueBeingFlushed = null;
+
+        if ((priorQueueNameIndex = indexOfPriorQueueWithActions(this, queueNameIndex)) !== -1) {
+          queueNameIndex = priorQueueNameIndex;
+          continue;
+        }
+
+        queueNameIndex++;
       }
-    };
+    }
+
+    function flushQueueItems(queue, queueItems, flushCount) {
+      return function() {
+        var options = queue.options,
+            before = options && options.before,
+            after = options && options.after,
+            target, method, args, stack,
+            queueIndex = 0, numberOfQueueItems = queueItems.length;
+
+        if (numberOfQueueItems && before) { before(); }
+        while (queueIndex < numberOfQueueItems) {
+          target = queueItems[queueIndex];
+          method = queueItems[queueIndex+1];
+          args   = queueItems[queueIndex+2];
+          stack  = queueItems[queueIndex+3]; // Debugging assistance
+
+          if (typeof method === 'string') { method = target[method]; }
+
+          // method could have been nullified / canceled during flush
+          if (method) {
+            // TODO: error handling
+            queue.invoke(target, method, args, flushCount);
+          }
+
+          queueIndex += 4;
+        }
+        if (numberOfQueueItems && after) { after(); }
+      };
+    }
 
     function indexOfPriorQueueWithActions(daq, currentQueueIndex) {
       var queueName, queue;
@@ -5730,6 +5818,22 @@ define("backburner",
         global = this,
         NUMBER = /\d+/;
 
+    // The clock used for timers unless `options.clock` provides another
+    // one, e.g. a fake clock in tests.
+    var defaultClock = {
+      now: function() {
+        return +new Date();
+      },
+
+      setTimeout: function(fn, wait) {
+        return global.setTimeout(fn, wait);
+      },
+
+      clearTimeout: function(timer) {
+        clearTimeout(timer);
+      }
+    };
+
     function isCoercableNumber(number) {
       return typeof number === 'number' || NUMBER.test(number);
     }
@@ -5741,6 +5845,7 @@ define("backburner",
         this.options.defaultQueue = queueNames[0];
       }
       this.instanceStack = [];
+      this.clock = this.options.clock || defaultClock;
     }
 
     Backburner.prototype = {
@@ -5748,6 +5853,7 @@ define("backburner",
       options: null,
       currentInstance: null,
       instanceStack: null,
+      clock: null,
 
       begin: function() {
         var onBegin = this.options && this.options.onBegin,
@@ -5893,7 +5999,7 @@ define("backburner",
           }
         }
 
-        var executeAt = (+new Date()) + parseInt(wait, 10);
+        var executeAt = self.clock.now() + parseInt(wait, 10);
 
         if (typeof method === 'string') {
           method = target[method];
@@ -5903,6 +6009,9 @@ define("backburner",
           method.apply(target, args);
         }
 
+        fn.target = target;
+        fn.method = method;
+
         // find position to insert - TODO: binary search
         var i, l;
         for (i = 0, l = timers.length; i < l; i += 2) {
@@ -5927,14 +6036,14 @@ define("backburner",
         index = findThrottler(target, method);
         if (index > -1) { return throttlers[index]; } // throttled
 
-        timer = global.setTimeout(function() {
+        timer = self.clock.setTimeout(function() {
           self.run.apply(self, args);
 
           var index = findThrottler(target, method);
           if (index > -1) { throttlers.splice(index, 1); }
         }, wait);
 
-        throttler = [target, method, timer];
+        throttler = [target, method, timer, self.clock.now() + wait];
 
         throttlers.push(throttler);
 
@@ -5964,10 +6073,10 @@ define("backburner",
         if (index > -1) {
           debouncee = debouncees[index];
           debouncees.splice(index, 1);
-          clearTimeout(debouncee[2]);
+          self.clock.clearTimeout(debouncee[2]);
         }
 
-        timer = global.setTimeout(function() {
+        timer = self.clock.setTimeout(function() {
           if (!immediate) {
             self.run.apply(self, args);
           }
@@ -5981,7 +6090,7 @@ define("backburner",
           self.run.apply(self, args);
         }
 
-        debouncee = [target, method, timer];
+        debouncee = [target, method, timer, self.clock.now() + wait];
 
         debouncees.push(debouncee);
 
@@ -5992,31 +6101,55 @@ define("backburner",
         var i, len;
 
         for (i = 0, len = throttlers.length; i < len; i++) {
-          clearTimeout(throttlers[i][2]);
+          this.clock.clearTimeout(throttlers[i][2]);
         }
         throttlers = [];
 
         for (i = 0, len = debouncees.length; i < len; i++) {
-          clearTimeout(debouncees[i][2]);
+          this.clock.clearTimeout(debouncees[i][2]);
         }
         debouncees = [];
 
         if (laterTimer) {
-          clearTimeout(laterTimer);
+          this.clock.clearTimeout(laterTimer);
           laterTimer = null;
         }
         timers = [];
 
         if (autorun) {
-          clearTimeout(autorun);
+          this.clock.clearTimeout(autorun);
           autorun = null;
         }
       },
 
       hasTimers: function() {
+        // A clock that controls time itself knows best which timers are
+        // still going to fire without being advanced.
+        if (this.clock.hasDueTimers) {
+          return this.clock.hasDueTimers();
+        }
+
         return !!timers.length || autorun;
       },
 
+      pendingTimers: function() {
+        var pending = [], i, l;
+
+        for (i = 0, l = timers.length; i < l; i += 2) {
+          pending.push({ type: 'later', target: timers[i + 1].target, method: timers[i + 1].method, executeAt: timers[i] });
+        }
+
+        for (i = 0, l = throttlers.length; i < l; i++) {
+          pending.push({ type: 'throttle', target: throttlers[i][0], method: throttlers[i][1], executeAt: throttlers[i][3] });
+        }
+
+        for (i = 0, l = debouncees.length; i < l; i++) {
+          pending.push({ type: 'debounce', target: debouncees[i][0], method: debouncees[i][1], executeAt: debouncees[i][3] });
+        }
+
+        return pending.sort(function(a, b) { return a.executeAt - b.executeAt; });
+      },
+
       cancel: function(timer) {
         var timerType = typeof timer;
 
@@ -6051,7 +6184,7 @@ define("backburner",
 
           if(item[2] === timer[2]){
             array.splice(index, 1);
-            clearTimeout(timer[2]);
+            this.clock.clearTimeout(timer[2]);
             return true;
           }
         }
@@ -6067,7 +6200,7 @@ define("backburner",
 
     function createAutorun(backburner) {
       backburner.begin();
-      autorun = global.setTimeout(function() {
+      autorun = backburner.clock.setTimeout(function() {
         autorun = null;
         backburner.end();
       });
@@ -6076,9 +6209,9 @@ define("backburner",
     function updateLaterTimer(self, executeAt, wait) {
       if (!laterTimer || executeAt < laterTimerExpiresAt) {
         if (laterTimer) {
-          clearTimeout(laterTimer);
+          self.clock.clearTimeout(laterTimer);
         }
-        laterTimer = global.setTimeout(function() {
+        laterTimer = self.clock.setTimeout(function() {
           laterTimer = null;
           laterTimerExpiresAt = null;
           executeTimers(self);
@@ -6088,7 +6221,7 @@ define("backburner",
     }
 
     function executeTimers(self) {
-      var now = +new Date(),
+      var now = self.clock.now(),
           time, fns, i, l;
 
       self.run(function() {
@@ -6148,12 +6281,194 @@ define("backburner",
 
 
 (function() {
+var guidFor = Ember.guidFor;
+
+// The number of extra queue flushes spent recording what a runaway run loop
+// is doing before giving up on it.
+var DIAGNOSTIC_FLUSHES = 10;
+
+/*
+  A run loop whose queues keep refilling each other, typically an observer
+  setting a property that rerenders a view whose rendering sets the property
+  again, would flush forever. Once a queue has been flushed more than
+  `Ember.ENV.RUN_LOOP_FLUSH_LIMIT` times (1000 by default, `0` turns the check
+  off) in a single run loop, Ember records the property changes and view
+  rerenders for a few more flushes and then throws an `Ember.Error` describing
+  them. The same report is available as the error's `loopReport`.
+
+  While recording, `Ember._loopRecorder` is set and is told about every
+  `Ember.propertyDidChange` on a watched key and every view `rerender`.
+*/
+Ember._loopRecorder = null;
+
+function LoopRecorder(runLoop, queueName, flushLimit) {
+  this.runLoop = runLoop;
+  this.queueName = queueName;
+  this.flushLimit = flushLimit;
+  this.changes = [];
+  this.rerenders = [];
+  this.seen = {};
+}
+
+LoopRecorder.prototype = {
+  propertyDidChange: function(obj, keyName) {
+    var key = guidFor(obj) + ':' + keyName,
+        change = this.seen[key];
+
+    if (!change) {
+      change = this.seen[key] = {
+        object: obj,
+        key: keyName,
+        count: 0,
+        observers: observerLabels(obj, keyName)
+      };
+      this.changes.push(change);
+    }
+
+    change.count++;
+  },
+
+  viewDidRerender: function(view) {
+    var key = guidFor(view),
+        rerender = this.seen[key];
+
+    if (!rerender) {
+      rerender = this.seen[key] = { view: view, count: 0 };
+      this.rerenders.push(rerender);
+    }
+
+    rerender.count++;
+  },
+
+  report: function() {
+    return {
+      queue: this.queueName,
+      flushLimit: this.flushLimit,
+      changes: this.changes,
+      rerenders: this.rerenders
+    };
+  },
+
+  toString: function() {
+    var message = "Infinite rendering loop detected: the " + this.queueName + " queue was flushed more than " + this.flushLimit + " times in a single run loop.",
+        changes = this.changes, rerenders = this.rerenders, i, l;
+
+    if (changes.length) {
+      message += "\n\nProperties changed while looping:";
+      for (i = 0, l = changes.length; i < l; i++) {
+        message += "\n  " + changes[i].object + "." + changes[i].key + " (" + changes[i].count + " times)";
+        if (changes[i].observers.length) {
+          message += ", observed by " + changes[i].observers.join(', ');
+        }
+      }
+    }
+
+    if (rerenders.length) {
+      message += "\n\nViews rerendered while looping:";
+      for (i = 0, l = rerenders.length; i < l; i++) {
+        message += "\n  " + rerenders[i].view + " (" + rerenders[i].count + " times)";
+      }
+    }
+
+    return message;
+  }
+};
+
+function observerLabels(obj, keyName) {
+  var observers = Ember.observersFor(obj, keyName),
+      labels = [], target, method;
+
+  for (var i = 0, l = observers.length; i < l; i++) {
+    target = observers[i][0] || obj;
+    method = observers[i][1];
+    if (typeof method === 'function') {
+      method = method.displayName || method.name || '(anonymous function)';
+    }
+    labels.push(target + '#' + method);
+  }
+
+  return labels;
+}
+
+function onFlushLimitExceeded(queueName, flushCount, flushLimit) {
+  var recorder = Ember._loopRecorder;
+
+  if (!recorder || recorder.runLoop !== Ember.run.currentRunLoop) {
+    Ember._loopRecorder = new LoopRecorder(Ember.run.currentRunLoop, queueName, flushLimit);
+    return;
+  }
+
+  if (flushCount <= flushLimit + DIAGNOSTIC_FLUSHES) { return; }
+
+  Ember._loopRecorder = null;
+
+  var error = new Ember.Error(recorder.toString());
+  error.loopReport = recorder.report();
+  throw error;
+}
+
+var RUN_LOOP_EVENTS = ['runloop.flush', 'runloop.queue', 'runloop.callback'];
+
+function labelFor(target, method) {
+  var name = method && (method.displayName || method.name) || '(anonymous function)';
+  return target ? target.toString() + '#' + name : name;
+}
+
+// Passes the run loop's work to `Ember.instrument` (see
+// `Ember.RunLoopProfiler`), naming it in the payload's `object`. Scheduled
+// callbacks are only instrumented for subscribers, not for
+// `Ember.STRUCTURED_PROFILE`. Unlike `Ember.instrument`, this lets the
+// exceptions of scheduled actions propagate.
+function instrumentRunLoop(name, payload, callback, binding) {
+  var error, failed = false, ret;
+
+  if (name === 'runloop.callback') {
+    if (!Ember.Instrumentation._hasListeners(name)) { return callback.call(binding); }
+    payload.object = labelFor(payload.target, payload.method);
+  } else {
+    payload.object = payload.queue || 'run loop';
+  }
+
+  ret = Ember.instrument(name, payload, function() {
+    try {
+      return callback.call(binding);
+    } catch (e) {
+      failed = true;
+      error = e;
+      throw e;
+    }
+  });
+
+  if (failed) { throw error; }
+
+  return ret;
+}
+
+// Instrumenting every queue and callback is costly, so the run loop is only
+// instrumented while `Ember.STRUCTURED_PROFILE` is on or something
+// subscribes to its events.
+function isRunLoopInstrumented() {
+  if (Ember.STRUCTURED_PROFILE) { return true; }
+
+  for (var i = 0, l = RUN_LOOP_EVENTS.length; i < l; i++) {
+    if (Ember.Instrumentation._hasListeners(RUN_LOOP_EVENTS[i])) { return true; }
+  }
+
+  return false;
+}
+
 var onBegin = function(current) {
   Ember.run.currentRunLoop = current;
+  backburner.options.instrument = isRunLoopInstrumented() ? instrumentRunLoop : null;
 };
 
 var onEnd = function(current, next) {
   Ember.run.currentRunLoop = next;
+
+  // The loop settled on its own while it was being recorded.
+  if (Ember._loopRecorder && Ember._loopRecorder.runLoop === current) {
+    Ember._loopRecorder = null;
+  }
 };
 
 var Backburner = requireModule('backburner').Backburner,
@@ -6164,7 +6479,9 @@ var Backburner = requireModule('backburner').Backburner,
       },
       defaultQueue: 'actions',
       onBegin: onBegin,
-      onEnd: onEnd
+      onEnd: onEnd,
+      flushLimit: Ember.ENV.RUN_LOOP_FLUSH_LIMIT === undefined ? 1000 : Ember.ENV.RUN_LOOP_FLUSH_LIMIT,
+      onFlushLimitExceeded: onFlushLimitExceeded
     }),
     slice = [].slice,
     concat = [].concat;
@@ -6419,6 +6736,11 @@ Ember.run.cancelTimers = function () {
   backburner.cancelTimers();
 };
 
+// Used by ember-testing to describe the timers a test is waiting on
+Ember.run.pendingTimers = function() {
+  return backburner.pendingTimers();
+};
+
 /**
   Immediately flushes any events scheduled in the 'sync' queue. Bindings
   use this queue so this method is a useful way to immediately force all
@@ -6648,7 +6970,9 @@ Ember.run.next = function() {
   @return {Boolean} true if cancelled or false/undefined if it wasn't found
 */
 Ember.run.cancel = function(timer) {
-  return backburner.cancel(timer);
+  return Ember.instrument('runloop.cancel', { timer: timer }, function() {
+    return backburner.cancel(timer);
+  });
 };
 
 /**
@@ -6766,6 +7090,175 @@ function checkAutoRun() {
 
 
 
+(function() {
+/**
+@module ember-metal
+*/
+
+/*
+  The run loop reports its work through `Ember.Instrumentation`:
+
+  * `runloop.flush`: a run loop flushing its queues. The payload contains
+    the `queueNames`.
+  * `runloop.queue`: one pass over a queue. The payload contains the
+    `queue` name, the number of scheduled actions (`size`) and the
+    `flushCount`; a `flushCount` above 1 means the queue was flushed again
+    because actions were rescheduled into it.
+  * `runloop.callback`: a scheduled action being invoked. The payload
+    contains the `queue`, `target`, `method` and `flushCount`.
+
+  Each payload's `object` names the queue or the scheduled action. These
+  events are only sent while something subscribes to them.
+  * `runloop.cancel`: `Ember.run.cancel` being called. The payload contains
+    the `timer`.
+*/
+
+/**
+  `Ember.RunLoopProfiler` subscribes to the run loop's instrumentation events
+  and records a timeline of every run loop, along with the time spent in each
+  queue and scheduled callback.
+
+  ```javascript
+  var profiler = new Ember.RunLoopProfiler();
+  profiler.start();
+
+  // ... interact with the application ...
+
+  profiler.stop();
+  profiler.slowest(5).forEach(function(callback) {
+    Ember.Logger.log(callback.label, callback.queue, callback.duration);
+  });
+  ```
+
+  Each run loop in the `timeline` has a `duration`, whether it was `nested`
+  inside another run loop's callback and the `queues` it flushed, in order. Each queue entry has its `queue` name, `flushCount`,
+  `duration` and the `callbacks` it invoked, each with its `queue`,
+  `target`, `method`, `label`, `flushCount` and `duration`. Durations are in
+  milliseconds.
+
+  @class RunLoopProfiler
+  @namespace Ember
+  @constructor
+*/
+var RunLoopProfiler = Ember.RunLoopProfiler = function() {
+  this.reset();
+};
+
+RunLoopProfiler.prototype = {
+  /**
+    Starts recording run loops.
+
+    @method start
+  */
+  start: function() {
+    if (this._subscriber) { return; }
+
+    var profiler = this;
+
+    this._subscriber = Ember.Instrumentation.subscribe('runloop', {
+      before: function(name, timestamp, payload) {
+        return profiler._before(name, timestamp, payload);
+      },
+
+      after: function(name, timestamp, payload, record) {
+        profiler._after(record, timestamp);
+      }
+    });
+  },
+
+  /**
+    Stops recording run loops. The recorded timeline is kept.
+
+    @method stop
+  */
+  stop: function() {
+    if (!this._subscriber) { return; }
+
+    Ember.Instrumentation.unsubscribe(this._subscriber);
+    this._subscriber = null;
+    this._stack = [];
+  },
+
+  /**
+    Discards the recorded timeline.
+
+    @method reset
+  */
+  reset: function() {
+    this.timeline = [];
+    this.callbacks = [];
+    this._stack = [];
+  },
+
+  /**
+    Returns the `count` slowest callbacks recorded, slowest first.
+
+    @method slowest
+    @param {Number} count the number of callbacks to return, defaults to 10
+    @return {Array} the callbacks
+  */
+  slowest: function(count) {
+    var callbacks = this.callbacks.slice();
+
+    callbacks.sort(function(a, b) { return b.duration - a.duration; });
+
+    return callbacks.slice(0, count || 10);
+  },
+
+  _before: function(name, timestamp, payload) {
+    var stack = this._stack,
+        parent = stack[stack.length - 1],
+        record;
+
+    if (name === 'runloop.flush') {
+      record = { start: timestamp, duration: null, nested: !!parent, queues: [] };
+      this.timeline.push(record);
+    } else if (name === 'runloop.queue') {
+      record = {
+        queue: payload.queue,
+        flushCount: payload.flushCount,
+        start: timestamp,
+        duration: null,
+        callbacks: []
+      };
+      if (parent && parent.queues) { parent.queues.push(record); }
+    } else if (name === 'runloop.callback') {
+      record = {
+        queue: payload.queue,
+        target: payload.target,
+        method: payload.method,
+        label: payload.object,
+        flushCount: payload.flushCount,
+        start: timestamp,
+        duration: null
+      };
+      if (parent && parent.callbacks) { parent.callbacks.push(record); }
+      this.callbacks.push(record);
+    } else {
+      // e.g. `runloop.cancel`
+      return null;
+    }
+
+    stack.push(record);
+
+    return record;
+  },
+
+  _after: function(record, timestamp) {
+    var stack = this._stack;
+
+    if (!record) { return; }
+
+    if (stack[stack.length - 1] === record) { stack.pop(); }
+
+    record.duration = timestamp - record.start;
+  }
+};
+
+})();
+
+
+
 (function() {
 // Ember.Logger
 // get
@@ -10423,6 +10916,19 @@ define("container",
       */
       injections: null,
 
+      /**
+        When set on a child container, it only creates the objects it
+        resolves itself, i.e. the ones registered on it or found by its own
+        `resolver`, and leaves every other lookup to its parent. The objects
+        the parent creates, like its singletons, are then shared instead of
+        being created once more for the child.
+
+        @property delegatesToParent
+        @type Boolean
+        @default false
+      */
+      delegatesToParent: false,
+
       /**
         @private
 
@@ -10593,6 +11099,21 @@ define("container",
         return fullName;
       },
 
+      /**
+        A hook the resolver can provide to list the fullNames of a type that
+        it would resolve without them being registered, as the keys of the
+        returned object. Used by `registrations` and `injectionGraph`. A child
+        container that shares its parent's resolver asks the parent.
+
+        @method knownForType
+        @param {String} type
+        @return {Object} fullNames as keys
+      */
+      knownForType: function(type) {
+        var parent = this.parent;
+        return parent && parent.resolver === this.resolver ? parent.knownForType(type) : {};
+      },
+
       /**
         A hook to enable custom fullName normalization behaviour
 
@@ -10930,6 +11451,187 @@ define("container",
         addInjection(this.factoryInjections, normalizedName, property, normalizedInjectionName);
       },
 
+      /**
+        Lists everything this container can look up: the registered factories,
+        including the ones inherited from parent containers, and the ones the
+        resolver reports through `knownForType`.
+
+        ```javascript
+        container.registrations('controller');
+        // => [{ fullName: 'controller:basic', source: 'registry', ... },
+        //     { fullName: 'controller:post', source: 'resolver', ... }]
+        ```
+
+        Each entry has the `fullName`, its `source` (`'registry'` or
+        `'resolver'`), the `factory`, the effective `options` and whether an
+        instance of it is cached (`isCached`).
+
+        Without a type, the resolver is asked about every type the container
+        has registrations, options or injection rules for.
+
+        @method registrations
+        @param {String} type (optional)
+        @return {Array}
+      */
+      registrations: function(type) {
+        var container = this,
+            registrations = [],
+            seen = {},
+            types = type ? [type] : knownTypes(this);
+
+        function add(fullName, factory, source) {
+          seen[fullName] = true;
+          registrations.push({
+            fullName: fullName,
+            source: source,
+            factory: factory,
+            options: optionsFor(container, fullName),
+            isCached: container.cache.has(fullName)
+          });
+        }
+
+        eachInherited(this.registry, function(fullName, factory) {
+          if (!type || typeOf(fullName) === type) {
+            add(fullName, factory, 'registry');
+          }
+        });
+
+        for (var i = 0, l = types.length; i < l; i++) {
+          var known = this.knownForType(types[i]) || {};
+
+          for (var fullName in known) {
+            var normalizedName = this.normalize(fullName);
+
+            if (known.hasOwnProperty(fullName) && !seen[normalizedName]) {
+              add(normalizedName, this.resolve(normalizedName), 'resolver');
+            }
+          }
+        }
+
+        return registrations.sort(function(a, b) {
+          return a.fullName < b.fullName ? -1 : (a.fullName > b.fullName ? 1 : 0);
+        });
+      },
+
+      /**
+        Lists the injection rules of this container as objects with the `kind`
+        of rule (`'typeInjection'`, `'injection'`, `'factoryTypeInjection'` or
+        `'factoryInjection'`), the `target` type or fullName, the injected
+        `property` and the `fullName` that is injected.
+
+        ```javascript
+        container.injection('controller', 'router', 'router:main');
+
+        container.injectionRules();
+        // => [{ kind: 'typeInjection', target: 'controller', property: 'router', fullName: 'router:main' }]
+        ```
+
+        @method injectionRules
+        @return {Array}
+      */
+      injectionRules: function() {
+        var rules = [];
+
+        function add(kind) {
+          return function(target, injections) {
+            for (var i = 0, l = injections.length; i < l; i++) {
+              rules.push({ kind: kind, target: target, property: injections[i].property, fullName: injections[i].fullName });
+            }
+          };
+        }
+
+        eachInherited(this.typeInjections, add('typeInjection'));
+        eachOwn(this.injections, add('injection'));
+        eachInherited(this.factoryTypeInjections, add('factoryTypeInjection'));
+        eachOwn(this.factoryInjections, add('factoryInjection'));
+
+        return rules;
+      },
+
+      /**
+        Lists the instances this container has cached, as objects with a
+        `fullName` and the `instance`.
+
+        @method singletons
+        @return {Array}
+      */
+      singletons: function() {
+        var singletons = [];
+
+        eachInherited(this.cache, function(fullName, instance) {
+          singletons.push({ fullName: fullName, instance: instance });
+        });
+
+        return singletons;
+      },
+
+      /**
+        Describes which factories get which objects injected. Type injection
+        rules are expanded to every fullName of that type `registrations`
+        knows about.
+
+        By default the graph is returned as an object with `nodes`, each with
+        an `id` (the fullName) and its `source`, and `edges`, each with the
+        injected fullName as `from`, the fullName it is injected into as `to`,
+        the `property` and the `kind` of rule. Passing `'dot'` returns the
+        same graph as Graphviz source instead, drawing factory injections as
+        dashed edges and the factories only the resolver knows about as dotted
+        nodes:
+
+        ```javascript
+        console.log(container.injectionGraph('dot'));
+        // digraph container {
+        //   "router:main" -> "controller:post" [label="target"];
+        //   ...
+        // }
+        ```
+
+        @method injectionGraph
+        @param {String} format `'json'` (default) or `'dot'`
+        @return {Object|String}
+      */
+      injectionGraph: function(format) {
+        var registrations = this.registrations(),
+            rules = this.injectionRules(),
+            nodes = [],
+            edges = [],
+            nodeIndex = {},
+            i, l;
+
+        function addNode(fullName, source) {
+          if (!nodeIndex.hasOwnProperty(fullName)) {
+            nodeIndex[fullName] = nodes.length;
+            nodes.push({ id: fullName, source: source });
+          }
+        }
+
+        for (i = 0, l = registrations.length; i < l; i++) {
+          addNode(registrations[i].fullName, registrations[i].source);
+        }
+
+        for (i = 0, l = rules.length; i < l; i++) {
+          var rule = rules[i];
+
+          addNode(rule.fullName, 'unknown');
+
+          if (rule.target.indexOf(':') !== -1) {
+            addNode(rule.target, 'unknown');
+            edges.push({ from: rule.fullName, to: rule.target, property: rule.property, kind: rule.kind });
+            continue;
+          }
+
+          for (var j = 0, k = registrations.length; j < k; j++) {
+            if (typeOf(registrations[j].fullName) === rule.target) {
+              edges.push({ from: rule.fullName, to: registrations[j].fullName, property: rule.property, kind: rule.kind });
+            }
+          }
+        }
+
+        var graph = { nodes: nodes, edges: edges };
+
+        return format === 'dot' ? graphToDOT(graph) : graph;
+      },
+
       /**
         A depth first traversal, destroying the container, its descendant containers and all
         their managed objects.
@@ -10937,16 +11639,29 @@ define("container",
         @method destroy
       */
       destroy: function() {
-        for (var i=0, l=this.children.length; i<l; i++) {
-          this.children[i].destroy();
-        }
+        var children = this.children, i, l;
 
         this.children = [];
 
+        for (i=0, l=children.length; i<l; i++) {
+          children[i].destroy();
+        }
+
         eachDestroyable(this, function(item) {
           item.destroy();
         });
 
+        if (this.parent) {
+          var siblings = this.parent.children;
+
+          for (i=0, l=siblings.length; i<l; i++) {
+            if (siblings[i] === this) {
+              siblings.splice(i, 1);
+              break;
+            }
+          }
+        }
+
         this.parent = undefined;
         this.isDestroyed = true;
       },
@@ -10963,6 +11678,10 @@ define("container",
     };
 
     function has(container, fullName){
+      if (isDelegated(container, fullName)) {
+        return has(container.parent, container.parent.normalize(fullName));
+      }
+
       if (container.cache.has(fullName)) {
         return true;
       }
@@ -10973,6 +11692,10 @@ define("container",
     function lookup(container, fullName, options) {
       options = options || {};
 
+      if (isDelegated(container, fullName)) {
+        return lookup(container.parent, container.parent.normalize(fullName), options);
+      }
+
       if (container.cache.has(fullName) && options.singleton !== false) {
         return container.cache.get(fullName);
       }
@@ -10988,6 +11711,15 @@ define("container",
       return value;
     }
 
+    // Whether a child container with `delegatesToParent` leaves fullName to
+    // its parent.
+    function isDelegated(container, fullName) {
+      return container.delegatesToParent && !!container.parent &&
+             !container.registry.dict.hasOwnProperty(fullName) &&
+             !container.cache.dict.hasOwnProperty(fullName) &&
+             !container.resolver(fullName);
+    }
+
     function illegalChildOperation(operation) {
       throw new Error(operation + " is not currently supported on child containers");
     }
@@ -10998,7 +11730,7 @@ define("container",
       return singleton !== false;
     }
 
-    function buildInjections(container, injections) {
+    function buildInjections(container, injections, fullName) {
       var hash = {};
 
       if (!injections) { return hash; }
@@ -11012,7 +11744,8 @@ define("container",
         if (injectable !== undefined) {
           hash[injection.property] = injectable;
         } else {
-          throw new Error('Attempting to inject an unknown injection: `' + injection.fullName + '`');
+          throw new Error('Attempting to inject an unknown injection: `' + injection.fullName + '` into `' +
+                          fullName + '` as `' + injection.property + '`');
         }
       }
 
@@ -11035,6 +11768,10 @@ define("container",
     }
 
     function factoryFor(container, fullName) {
+      if (isDelegated(container, fullName)) {
+        return factoryFor(container.parent, container.parent.normalize(fullName));
+      }
+
       var name = fullName;
       var factory = container.resolve(name);
       var injectedFactory;
@@ -11075,7 +11812,7 @@ define("container",
       injections = injections.concat(container.typeInjections.get(type) || []);
       injections = injections.concat(container.injections[fullName] || []);
 
-      injections = buildInjections(container, injections);
+      injections = buildInjections(container, injections, fullName);
       injections._debugContainerKey = fullName;
       injections.container = container;
 
@@ -11090,7 +11827,7 @@ define("container",
       factoryInjections = factoryInjections.concat(container.factoryTypeInjections.get(type) || []);
       factoryInjections = factoryInjections.concat(container.factoryInjections[fullName] || []);
 
-      factoryInjections = buildInjections(container, factoryInjections);
+      factoryInjections = buildInjections(container, factoryInjections, fullName);
       factoryInjections._debugContainerKey = fullName;
 
       return factoryInjections;
@@ -11145,6 +11882,87 @@ define("container",
       });
     }
 
+    function typeOf(fullName) {
+      return fullName.split(':')[0];
+    }
+
+    function optionsFor(container, fullName) {
+      var typeOptions = container._typeOptions.get(typeOf(fullName)) || {},
+          ownOptions = container._options.get(fullName) || {},
+          options = {}, key;
+
+      for (key in typeOptions) { options[key] = typeOptions[key]; }
+      for (key in ownOptions) { options[key] = ownOptions[key]; }
+
+      return options;
+    }
+
+    // Calls back with every key of an InheritingDict, including the inherited
+    // ones that are not overridden.
+    function eachInherited(dict, callback) {
+      var seen = {};
+
+      for (var current = dict; current; current = current.parent) {
+        current.eachLocal(function(key, value) {
+          if (!seen.hasOwnProperty(key)) {
+            seen[key] = true;
+            callback(key, value);
+          }
+        });
+      }
+    }
+
+    function eachOwn(hash, callback) {
+      for (var key in hash) {
+        if (hash.hasOwnProperty(key)) { callback(key, hash[key]); }
+      }
+    }
+
+    function knownTypes(container) {
+      var types = [], seen = {};
+
+      function add(type) {
+        if (!seen[type]) {
+          seen[type] = true;
+          types.push(type);
+        }
+      }
+
+      function addFullName(fullName) { add(typeOf(fullName)); }
+
+      eachInherited(container.registry, addFullName);
+      eachInherited(container._typeOptions, add);
+      eachInherited(container.typeInjections, add);
+      eachInherited(container.factoryTypeInjections, add);
+      eachOwn(container.injections, addFullName);
+      eachOwn(container.factoryInjections, addFullName);
+
+      return types;
+    }
+
+    function graphToDOT(graph) {
+      var lines = ['digraph container {'], i, l;
+
+      function quote(id) {
+        return '"' + id.replace(/"/g, '\\"') + '"';
+      }
+
+      for (i = 0, l = graph.nodes.length; i < l; i++) {
+        lines.push('  ' + quote(graph.nodes[i].id) + (graph.nodes[i].source === 'resolver' ? ' [style=dotted];' : ';'));
+      }
+
+      for (i = 0, l = graph.edges.length; i < l; i++) {
+        var edge = graph.edges[i],
+            style = edge.kind.indexOf('factory') === 0 ? ', style=dashed' : '';
+
+        lines.push('  ' + quote(edge.from) + ' -> ' + quote(edge.to) + ' [label=' + quote(edge.property) + style + '];');
+      }
+
+      lines.push('}');
+
+      return lines.join('\n');
+    }
+
     var VALID_FULL_NAME_REGEXP = /^[^:]+.+:[^:]+$/;
     function validateFullName(fullName) {
       if (!VALID_FULL_NAME_REGEXP.test(fullName)) {
@@ -16956,6 +17774,146 @@ if (Ember.EXTEND_PROTOTYPES === true || Ember.EXTEND_PROTOTYPES.Function) {
 
 
 
+(function() {
+/**
+@module ember
+@submodule ember-application
+*/
+
+var get = Ember.get;
+
+/**
+  An engine is a self-contained part of an application, with its own routes,
+  controllers, views, templates and services, that is mounted under a route
+  of the application with `mount` in its router map:
+
+  ```javascript
+  Blog = Ember.Engine.create();
+
+  Blog.map(function() {
+    this.route('post', { path: '/:post_id' });
+  });
+
+  Blog.PostRoute = Ember.Route.extend({
+    session: Ember.inject.service()
+  });
+
+  Blog.TEMPLATES.post = Ember.Handlebars.compile('<h1>{{title}}</h1>');
+
+  App.Router.map(function() {
+    this.mount('blog', { engine: Blog, path: '/news' });
+  });
+  ```
+
+  The routes of the engine are named after the mount point, `blog.post`
+  above, and are looked up from a child of the application's container:
+
+  * `route:blog.post`, `controller:blog.post` and `view:blog.post` are
+    `Blog.PostRoute`, `Blog.PostController` and `Blog.PostView`, and
+    `template:blog/post` is `Blog.TEMPLATES.post`.
+  * other names, e.g. `service:analytics`, are resolved on the engine first
+    (`Blog.AnalyticsService`).
+  * anything the engine does not define is looked up from the application's
+    container, so the engine shares the application's services and
+    `Ember.TEMPLATES['blog/post']` still works.
+
+  The child container is created when the engine's routes are first looked
+  up, and destroyed with everything it created when the route the engine is
+  mounted at is exited.
+
+  @class Engine
+  @namespace Ember
+  @extends Ember.Namespace
+*/
+Ember.Engine = Ember.Namespace.extend({
+  /**
+    The resolver class used to find the engine's objects on the engine.
+
+    @property Resolver
+    @default Ember.DefaultResolver
+  */
+  Resolver: null,
+
+  /**
+    The engine's templates, by name without the mount point.
+
+    @property TEMPLATES
+    @type Object
+  */
+  TEMPLATES: null,
+
+  /**
+    The engine's router map, set with `map`.
+
+    @property routerMap
+    @type Function
+  */
+  routerMap: null,
+
+  init: function() {
+    this._super();
+
+    if (!this.TEMPLATES) { this.TEMPLATES = {}; }
+  },
+
+  /**
+    Defines the routes of the engine. The callback is called with the same
+    DSL as `Ember.Router.map`, inside the resource the engine is mounted
+    as.
+
+    @method map
+    @param {Function} callback
+  */
+  map: function(callback) {
+    this.routerMap = callback;
+  },
+
+  /**
+    Creates the child of `parent` the engine's objects are looked up from
+    when it is mounted at `mountName`.
+
+    @method buildContainer
+    @param {Container} parent the application's container, or the container
+      of the engine it is mounted in
+    @param {String} mountName
+    @return {Container}
+  */
+  buildContainer: function(parent, mountName) {
+    var container = parent.child(),
+        ResolverClass = get(this, 'Resolver') || Ember.DefaultResolver,
+        resolver = ResolverClass.create({ namespace: this }),
+        templates = this.TEMPLATES;
+
+    container.delegatesToParent = true;
+    container.describe = parent.describe;
+    container.makeToString = parent.makeToString;
+
+    container.resolver = function(fullName) {
+      var split = fullName.split(':'),
+          type = split[0],
+          name = split[1];
+
+      if (name === mountName) { return; }
+
+      if (name.indexOf(mountName + '.') === 0 || name.indexOf(mountName + '/') === 0) {
+        name = name.slice(mountName.length + 1);
+      }
+
+      if (type === 'template') {
+        return templates[name.replace(/\./g, '/')];
+      }
+
+      return resolver.resolve(type + ':' + name);
+    };
+
+    return container;
+  }
+});
+
+})();
+
+
+
 (function() {
 
 })();
@@ -18895,6 +19853,178 @@ Ember.Container.set = Ember.set;
 
 
 
+(function() {
+/**
+@module ember
+@submodule ember-runtime
+*/
+
+var get = Ember.get,
+    o_create = Ember.create,
+    ComputedProperty = Ember.ComputedProperty;
+
+/**
+  A computed property that looks its value up from the object's container
+  the first time it is read. See `Ember.inject`.
+
+  @class InjectedProperty
+  @namespace Ember
+  @extends Ember.ComputedProperty
+  @constructor
+  @param {String} fullName the `type:name` to look up, or only the type to
+    use the property's name as the name
+*/
+function InjectedProperty(fullName) {
+  var property = this;
+
+  this.fullName = fullName;
+
+  ComputedProperty.call(this, function(keyName) {
+    return property.lookup(this, keyName);
+  });
+}
+
+Ember.InjectedProperty = InjectedProperty;
+InjectedProperty.prototype = o_create(ComputedProperty.prototype);
+
+/**
+  The `type:name` this property looks up when read as `keyName`.
+
+  @method fullNameFor
+  @param {String} keyName
+  @return {String}
+*/
+InjectedProperty.prototype.fullNameFor = function(keyName) {
+  return this.fullName.indexOf(':') === -1 ? this.fullName + ':' + keyName : this.fullName;
+};
+
+/**
+  Looks the injected object up from `obj`'s container.
+
+  @method lookup
+  @param {Object} obj
+  @param {String} keyName
+  @return {Object}
+*/
+InjectedProperty.prototype.lookup = function(obj, keyName) {
+  var fullName = this.fullNameFor(keyName),
+      container = get(obj, 'container'),
+      injection;
+
+  
+  injection = container.lookup(fullName);
+
+  
+  return injection;
+};
+
+/**
+  Defines a property that is looked up from the object's container the
+  first time it is read, then cached. Unlike injections set up with
+  `Container#injection` in an initializer, the dependency is declared where
+  it is used, and only looked up by the objects that need it. It works for
+  every object created by the container, like routes, controllers, views
+  and components.
+
+  ```javascript
+  App.PostController = Ember.ObjectController.extend({
+    session: Ember.inject('session:main'),
+
+    // with only a type, the property's name is the name: `service:analytics`
+    analytics: Ember.inject('service'),
+
+    actions: {
+      publish: function() {
+        this.get('analytics').track('publish', this.get('session.user'));
+      }
+    }
+  });
+  ```
+
+  The injected object can be replaced by setting the property, which is
+  handy in unit tests:
+
+  ```javascript
+  var controller = App.PostController.create({
+    session: Ember.Object.create({ user: 'tomster' })
+  });
+  ```
+
+  @method inject
+  @for Ember
+  @param {String} fullName the `type:name` to look up, or only the type to
+    use the property's name as the name
+  @return {Ember.InjectedProperty}
+*/
+Ember.inject = function(fullName) {
+  
+  return new InjectedProperty(fullName);
+};
+
+})();
+
+
+
+(function() {
+/**
+@module ember
+@submodule ember-runtime
+*/
+
+/**
+  A service is an object that lives as long as the application and is shared
+  by everything that uses it, like the current session, an analytics client
+  or a websocket connection.
+
+  Services are registered with the `service` type, and the default resolver
+  finds `service:session` as `App.SessionService`. Each is created the first
+  time it is looked up and destroyed when the application is destroyed or
+  reset:
+
+  ```javascript
+  App.SessionService = Ember.Service.extend({
+    user: null,
+
+    willDestroy: function() {
+      this.get('socket').close();
+    }
+  });
+
+  App.PostController = Ember.ObjectController.extend({
+    session: Ember.inject.service()
+  });
+  ```
+
+  @class Service
+  @namespace Ember
+  @extends Ember.Object
+*/
+Ember.Service = Ember.Object.extend();
+
+/**
+  Defines a property that looks up `service:name` the first time it is read,
+  see `Ember.inject`. Without a name, the property's name is used.
+
+  ```javascript
+  App.PostRoute = Ember.Route.extend({
+    session: Ember.inject.service(),
+    tracker: Ember.inject.service('analytics')
+  });
+  ```
+
+  @method service
+  @for Ember.inject
+  @param {String} name (optional)
+  @return {Ember.InjectedProperty}
+*/
+Ember.inject.service = function(name) {
+  return Ember.inject(name ? 'service:' + name : 'service');
+};
+
+})();
+
+
+
 (function() {
 Ember.Application = Ember.Namespace.extend();
 
@@ -21042,7 +22172,7 @@ function escapeAttribute(value) {
 // IE 6/7 have bugs arond setting names on inputs during creation.
 // From http://msdn.microsoft.com/en-us/library/ie/ms536389(v=vs.85).aspx:
 // "To include the NAME attribute at run time on objects created with the createElement method, use the eTag."
-var canSetNameOnInputs = (function() {
+var canSetNameOnInputs = typeof document === 'undefined' || (function() {
   var div = document.createElement('div'),
       el = document.createElement('input');
 
@@ -22081,6 +23211,44 @@ ViewCollection.prototype = {
 
 var EMPTY_ARRAY = [];
 
+// Collects the views shown by containers in `view`'s subtree through
+// `currentView` and detaches them from their containers.
+function detachCurrentViews(view, detached) {
+  var currentView = get(view, 'currentView');
+
+  if (currentView && !currentView.isDestroyed && currentView._parentView === view) {
+    Ember.EnumerableUtils.removeObject(view._childViews, currentView);
+    set(currentView, '_parentView', null);
+    detached.push(currentView);
+  }
+
+  var childViews = view._childViews || EMPTY_ARRAY;
+  for (var i = 0, l = childViews.length; i < l; i++) {
+    detachCurrentViews(childViews[i], detached);
+  }
+}
+
+// Like `clearRenderedChildren`, destroys the child views created while
+// rendering `view` and its descendants, but keeps the views that containers
+// show through `currentView`, such as the views the router connects to
+// outlets. They are not owned by the template that created the container,
+// and are shown again by the containers created by the next render.
+function releaseRenderedChildren(view) {
+  var childViews = view._childViews || EMPTY_ARRAY, detached = [], i, l;
+
+  for (i = view.lengthAfterRender - 1; i >= view.lengthBeforeRender; i--) {
+    if (childViews[i]) {
+      detachCurrentViews(childViews[i], detached);
+      childViews[i].destroy();
+    }
+  }
+
+  childViews = childViews.concat(detached);
+  for (i = 0, l = childViews.length; i < l; i++) {
+    releaseRenderedChildren(childViews[i]);
+  }
+}
+
 /**
   `Ember.View` is the class in Ember responsible for encapsulating templates of
   HTML content, combining templates with data to render as sections of a page's
@@ -23033,6 +24201,7 @@ Ember.View = Ember.CoreView.extend({
     @method rerender
   */
   rerender: function() {
+    if (Ember._loopRecorder) { Ember._loopRecorder.viewDidRerender(this); }
     return this.currentState.rerender(this);
   },
 
@@ -23302,6 +24471,42 @@ Ember.View = Ember.CoreView.extend({
     return this;
   },
 
+  /**
+    Adopts markup that was already rendered for this view, for example by
+    `renderToString` on a server, instead of creating new elements.
+
+    The view hierarchy is rendered as usual, but rather than inserting the
+    result, each view's element and each Metamorph region (the
+    `metamorph-N-start` and `metamorph-N-end` script tags) is matched by its
+    id with the existing markup inside `target`, so the markup has to be
+    rendered from the same view hierarchy with the same ids. Observers and
+    `Ember.EventDispatcher` use the matched nodes as they are, so the page
+    does not flash.
+
+    A view without a matching element or Metamorph region is rendered again
+    in its place, and the elements of views that do not exist on the client
+    are removed; the markup of the other views is kept.
+
+    Note that this method just schedules the view to be rehydrated; this
+    happens once all bindings have finished synchronizing.
+
+    @method rehydrateIn
+    @param {String|DOMElement|jQuery} target A selector, element, or jQuery
+      object containing the rendered markup
+    @return {Ember.View} receiver
+  */
+  rehydrateIn: function(target) {
+        
+    this._scheduledInsert = Ember.run.scheduleOnce('render', this, '_rehydrate', target);
+
+    return this;
+  },
+
+  _rehydrate: function(target) {
+    this._scheduledInsert = null;
+    this.currentState.rehydrate(this, target);
+  },
+
   /**
     Schedules a DOM operation to occur during the next render phase. This
     ensures that all bindings have finished synchronizing before the view is
@@ -23408,6 +24613,45 @@ Ember.View = Ember.CoreView.extend({
     return this;
   },
 
+  /**
+    Renders the view and all of its child views to an HTML string without
+    creating any DOM elements. This is the render path used when the
+    application is rendered on a server (see `Ember.Application#renderMode`).
+
+    The view must be in the `preRender` state. Once the HTML has been
+    generated, the view hierarchy is returned to the `preRender` state so
+    that it can be rendered again after the application's state changes.
+
+    ```javascript
+    var view = Ember.View.create({
+      template: Ember.Handlebars.compile('<h1>{{view.title}}</h1>'),
+      title: 'Hello'
+    });
+
+    view.renderToString(); // => '<div id="ember1" class="ember-view"><h1>...'
+    ```
+
+    @method renderToString
+    @return {String} The HTML representation of the view hierarchy
+  */
+  renderToString: function() {
+    
+    var buffer = Ember.RenderBuffer();
+    buffer._hasElement = false;
+
+    this.renderToBuffer(buffer);
+    var html = buffer.string();
+
+    // Tear down the observers set up while rendering and release the child
+    // views created by `render()`, so that the next render creates them anew.
+    this.triggerRecursively('willClearRender');
+    this.clearBuffer();
+    this.transitionTo('preRender');
+    releaseRenderedChildren(this);
+
+    return html;
+  },
+
   /**
     Called when a view is going to insert an element into the DOM.
 
@@ -24062,6 +25306,12 @@ Ember.View = Ember.CoreView.extend({
   * destroyed: once a view has been destroyed (using the destroy
     method), it is in this state. No further actions can be invoked
     on a destroyed view.
+
+  When rendering without a DOM (for example on a server, using
+  `renderToString`), only the preRender, inBuffer and destroyed states
+  are valid. A view only passes through inBuffer while its HTML is being
+  generated and is returned to preRender afterwards; hasElement and inDOM
+  require a live document.
 */
 
   // in the destroyed state, everything is illegal
@@ -24339,6 +25589,161 @@ Ember.View.states._default = {
 @submodule ember-views
 */
 
+var get = Ember.get, set = Ember.set;
+
+var METAMORPH_ID_REGEXP = /^(metamorph-\d+)-(start|end)$/;
+
+// Returns the node below `root` with the given id.
+function nodeById(id, root) {
+  return Ember.$('[id="' + id + '"]', root)[0] || null;
+}
+
+// Finds the node in the existing markup below `root` that corresponds to
+// `freshNode` in the client's rendering below `freshRoot`: by id, or else
+// by position below the corresponding parent.
+function findExistingNode(freshNode, freshRoot, root) {
+  if (freshNode === freshRoot) { return root; }
+
+  var id = freshNode.getAttribute('id');
+  if (id) { return nodeById(id, root); }
+
+  var parent = findExistingNode(freshNode.parentNode, freshRoot, root),
+      index = 0, node;
+
+  if (!parent) { return null; }
+
+  for (node = freshNode.previousSibling; node; node = node.previousSibling) {
+    if (node.nodeType === 1) { index++; }
+  }
+
+  for (node = parent.firstChild; node; node = node.nextSibling) {
+    if (node.nodeType === 1 && index-- === 0) {
+      return node.nodeName === freshNode.nodeName ? node : null;
+    }
+  }
+
+  return null;
+}
+
+// Puts copies of `freshNodes`, a run of siblings from the client's
+// rendering, into the existing markup: in place of `existingNodes` if
+// given, otherwise after the nearest preceding sibling that has a
+// counterpart (and the text that follows it). If the parent has no
+// counterpart either, the parent is put in place instead.
+function placeFreshNodes(freshNodes, existingNodes, freshRoot, root) {
+  var freshParent = freshNodes[0].parentNode,
+      parent = findExistingNode(freshParent, freshRoot, root),
+      before, node, text = 0, i, l;
+
+  if (!parent) {
+    placeFreshNodes([freshParent], null, freshRoot, root);
+    return;
+  }
+
+  if (existingNodes) {
+    before = existingNodes[existingNodes.length - 1].nextSibling;
+    for (i = 0, l = existingNodes.length; i < l; i++) {
+      parent.removeChild(existingNodes[i]);
+    }
+  } else {
+    for (node = freshNodes[0].previousSibling; node && node.nodeType !== 1; node = node.previousSibling) {
+      text++;
+    }
+
+    if (node) {
+      before = findExistingNode(node, freshRoot, root);
+      if (!before || before.parentNode !== parent) {
+        before = null;
+        text = 0;
+        for (node = node.previousSibling; node && !before; node = node.previousSibling) {
+          if (node.nodeType === 1) { before = findExistingNode(node, freshRoot, root); }
+        }
+        if (before && before.parentNode !== parent) { before = null; }
+      }
+    }
+
+    before = before ? before.nextSibling : parent.firstChild;
+    while (text-- > 0 && before && before.nodeType !== 1) { before = before.nextSibling; }
+  }
+
+  for (i = 0, l = freshNodes.length; i < l; i++) {
+    parent.insertBefore(freshNodes[i].cloneNode(true), before);
+  }
+}
+
+// Returns the siblings from `start` to `end`, inclusive.
+function nodesBetween(start, end) {
+  var nodes = [start], node = start;
+  while (node !== end) {
+    node = node.nextSibling;
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+// Matches `view` and its child views with the existing markup below `root`
+// by the ids of their elements and Metamorph markers. A view that has no
+// matching counterpart is put in place from the client's rendering below
+// `freshRoot`, together with its child views; the markup of the views that
+// match is kept.
+function adoptRenderedNodes(view, freshRoot, root) {
+  var fresh, existing, start, end, i, l;
+
+  if (view.morph) {
+    start = nodeById(view.morph.start, root);
+    end = nodeById(view.morph.end, root);
+
+    if (!start || !end || start.parentNode !== end.parentNode) {
+      Ember.$(Ember.A([start, end]).compact()).remove();
+      fresh = nodesBetween(nodeById(view.morph.start, freshRoot), nodeById(view.morph.end, freshRoot));
+      placeFreshNodes(fresh, null, freshRoot, root);
+      return;
+    }
+  } else if (!view.isVirtual && view.tagName !== '') {
+    existing = nodeById(get(view, 'elementId'), root);
+    fresh = nodeById(get(view, 'elementId'), freshRoot);
+
+    if (!existing || existing.nodeName !== fresh.nodeName) {
+      placeFreshNodes([fresh], existing && [existing], freshRoot, root);
+      return;
+    }
+  }
+
+  var childViews = view._childViews;
+  if (childViews) {
+    for (i = 0, l = childViews.length; i < l; i++) {
+      adoptRenderedNodes(childViews[i], freshRoot, root);
+    }
+  }
+}
+
+// Removes the elements of views and the Metamorph regions below `root`
+// whose ids are not in the client's rendering below `freshRoot`, unless
+// they contain nodes that are.
+function removeUnclaimedNodes(freshRoot, root) {
+  var ids = {};
+
+  function isClaimed() { return this.nodeType === 1 && ids[this.getAttribute('id')]; }
+
+  Ember.$('[id]', freshRoot).each(function() { ids[this.getAttribute('id')] = true; });
+
+  Ember.$('.ember-view, script[id^="metamorph-"]', root).each(function() {
+    var id = this.getAttribute('id'), match = id && METAMORPH_ID_REGEXP.exec(id),
+        nodes = [this], end;
+
+    if (!id || ids[id] || !Ember.$.contains(root, this)) { return; }
+
+    if (match) {
+      end = match[2] === 'start' && nodeById(match[1] + '-end', root);
+      if (!end || end.parentNode !== this.parentNode) { return; }
+      nodes = nodesBetween(this, end);
+    }
+
+    nodes = Ember.$(nodes);
+    if (!nodes.find('[id]').add(nodes).filter(isClaimed).length) { nodes.remove(); }
+  });
+}
+
 var preRender = Ember.View.states.preRender = Ember.create(Ember.View.states._default);
 
 Ember.merge(preRender, {
@@ -24363,6 +25768,29 @@ Ember.merge(preRender, {
 
   },
 
+  // a view can adopt existing markup instead of creating its element
+  // (rehydrateIn).
+  rehydrate: function(view, target) {
+    var element = Ember.$(target)[0],
+        buffer = Ember.RenderBuffer();
+
+    buffer._hasElement = false;
+    view.renderToBuffer(buffer);
+
+    var fresh = Ember.$('<div></div>').html(buffer.string())[0];
+
+    removeUnclaimedNodes(fresh, element);
+    adoptRenderedNodes(view, fresh, element);
+
+    var viewCollection = view.viewHierarchyCollection();
+
+    set(view, 'element', Ember.$('#' + get(view, 'elementId'), element)[0]);
+    viewCollection.trigger('willInsertElement');
+
+    viewCollection.transitionTo('inDOM', false);
+    viewCollection.trigger('didInsertElement');
+  },
+
   renderToBufferIfNeeded: function(view, buffer) {
     view.renderToBuffer(buffer);
     return true;
@@ -24449,6 +25877,10 @@ Ember.merge(inBuffer, {
     throw "You can't insert an element that has already been rendered";
   },
 
+  rehydrate: function() {
+    throw "You can't rehydrate a view that has already been rendered";
+  },
+
   setElement: function(view, value) {
     if (value === null) {
       view.transitionTo('preRender');
@@ -24503,6 +25935,10 @@ Ember.merge(hasElement, {
     return value;
   },
 
+  rehydrate: function() {
+    throw "You can't rehydrate a view that already has an element";
+  },
+
   // once the view has been inserted into the DOM, rerendering is
   // deferred to allow bindings to synchronize.
   rerender: function(view) {
@@ -24628,7 +26064,8 @@ Ember.merge(destroying, {
 
   // Since element insertion is scheduled, don't do anything if
   // the view has been destroyed between scheduling and execution
-  insertElement: Ember.K
+  insertElement: Ember.K,
+  rehydrate: Ember.K
 });
 
 
@@ -25954,7 +27391,7 @@ define("metamorph",
         // IE 8 (and likely earlier) likes to move whitespace preceeding
         // a script tag to appear after it. This means that we can
         // accidentally remove whitespace when updating a morph.
-        movesWhitespace = document && (function() {
+        movesWhitespace = typeof document !== 'undefined' && (function() {
           var testEl = document.createElement('div');
           testEl.innerHTML = "Test: <script type='text/x-placeholder'></script>Value";
           return testEl.childNodes[0].nodeValue === 'Test:' &&
@@ -27444,6 +28881,10 @@ SimpleHandlebarsView.prototype = {
 
   propertyDidChange: Ember.K,
 
+  toString: function() {
+    return '<Ember._SimpleHandlebarsView:{{' + this.path + '}}>';
+  },
+
   normalizedValue: function() {
     var path = this.path,
         pathRoot = this.pathRoot,
@@ -27490,6 +28931,8 @@ SimpleHandlebarsView.prototype = {
   },
 
   rerender: function() {
+    if (Ember._loopRecorder) { Ember._loopRecorder.viewDidRerender(this); }
+
     switch(this.state) {
       case 'preRender':
       case 'destroyed':
@@ -31415,7 +32858,11 @@ Ember.Handlebars.bootstrap = function(ctx) {
   });
 };
 
-function bootstrap() {
+function bootstrap(container, application) {
+  // Applications rendered to a string may not have a document to pick up
+  // inline templates from.
+  if (typeof document === 'undefined' || Ember.get(application, 'renderMode') === 'string') { return; }
+
   Ember.Handlebars.bootstrap( Ember.$(document) );
 }
 
@@ -31550,6 +32997,184 @@ define("route-recognizer",
       generate: function() { return ""; }
     };
 
+    // An OptionalSegment wraps the segments of a parenthesized group such
+    // as `(/:page)`. It is only used to generate URLs: when a route is added
+    // it is expanded into one path with and one without each group, so it
+    // never takes part in the NFA or the regex.
+    function OptionalSegment(segments, names) {
+      this.segments = segments;
+      this.names = names;
+    }
+    OptionalSegment.prototype = {
+      // The group is generated only if all of its own dynamic and star
+      // segments have a value.
+      generate: function(params) {
+        var names = this.names;
+
+        if (!names.length || !params) { return ""; }
+
+        for (var i=0, l=names.length; i<l; i++) {
+          if (params[names[i]] == null) { return ""; }
+        }
+
+        return generateSegments(this.segments, params);
+      }
+    };
+
+    function generateSegments(segments, params) {
+      var output = "";
+
+      for (var i=0, l=segments.length; i<l; i++) {
+        var segment = segments[i];
+
+        if (segment instanceof EpsilonSegment) { continue; }
+
+        if (segment instanceof OptionalSegment) {
+          output += segment.generate(params);
+          continue;
+        }
+
+        output += "/";
+        output += segment.generate(params);
+      }
+
+      return output;
+    }
+
+    // Splits a route description into its plain parts and its optional
+    // groups: "/posts(/:page)" becomes `["/posts", { optional: ["/:page"] }]`.
+    // Groups may nest, and must start at a segment boundary.
+    function tokenize(route) {
+      var tokens = [], stack = [tokens], chunk = "", ch;
+
+      function flush() {
+        if (chunk) { stack[stack.length - 1].push(chunk); }
+        chunk = "";
+      }
+
+      for (var i=0, l=route.length; i<l; i++) {
+        ch = route.charAt(i);
+
+        if (ch === "(") {
+          flush();
+
+          if (route.charAt(i + 1) !== "/") {
+            throw new Error("Optional segments must start with a `/` in " + route);
+          }
+
+          var group = [];
+          stack[stack.length - 1].push({ optional: group });
+          stack.push(group);
+        } else if (ch === ")") {
+          flush();
+
+          if (stack.length === 1) { throw new Error("Unbalanced parentheses in " + route); }
+          stack.pop();
+        } else {
+          chunk += ch;
+        }
+      }
+
+      flush();
+
+      if (stack.length !== 1) { throw new Error("Unbalanced parentheses in " + route); }
+
+      return tokens;
+    }
+
+    // Returns every path a list of tokens describes, e.g. "/posts" and
+    // "/posts/:page" for "/posts(/:page)".
+    function expand(tokens) {
+      var paths = [""];
+
+      for (var i=0, l=tokens.length; i<l; i++) {
+        var token = tokens[i], next = [], j, m;
+
+        if (typeof token === 'string') {
+          for (j=0, m=paths.length; j<m; j++) { next.push(paths[j] + token); }
+        } else {
+          var optionals = expand(token.optional);
+
+          for (j=0, m=paths.length; j<m; j++) {
+            next.push(paths[j]);
+
+            for (var k=0, n=optionals.length; k<n; k++) {
+              next.push(paths[j] + optionals[k]);
+            }
+          }
+        }
+
+        paths = next;
+      }
+
+      return paths;
+    }
+
+    // Builds the segments used to generate URLs for a list of tokens. The
+    // names of all dynamic and star segments, optional or not, are pushed
+    // onto `names`, and those of optional ones onto `optionalNames` as well.
+    function parseTokens(tokens, names, optionalNames) {
+      var results = [], types = { statics: 0, dynamics: 0, stars: 0 };
+
+      for (var i=0, l=tokens.length; i<l; i++) {
+        var token = tokens[i];
+
+        if (typeof token === 'string') {
+          results = results.concat(parse(token, names, types));
+        } else {
+          var groupNames = [];
+          var segments = parseTokens(token.optional, groupNames, []);
+
+          for (var j=0, m=groupNames.length; j<m; j++) {
+            names.push(groupNames[j]);
+            optionalNames.push(groupNames[j]);
+          }
+
+          results.push(new OptionalSegment(segments, directNames(segments)));
+        }
+      }
+
+      return results;
+    }
+
+    function directNames(segments) {
+      var names = [];
+
+      for (var i=0, l=segments.length; i<l; i++) {
+        if (segments[i] instanceof DynamicSegment || segments[i] instanceof StarSegment) {
+          names.push(segments[i].name);
+        }
+      }
+
+      return names;
+    }
+
+    // Constraints must match the whole value of a segment, so `/\d+/`
+    // rejects "12abc".
+    function anchorConstraints(constraints) {
+      var anchored = {};
+
+      for (var name in constraints) {
+        if (constraints.hasOwnProperty(name)) {
+          var constraint = constraints[name];
+          anchored[name] = new RegExp("^(?:" + constraint.source + ")$", constraint.ignoreCase ? "i" : "");
+        }
+      }
+
+      return anchored;
+    }
+
+    function satisfiesConstraints(constraints, params) {
+      for (var name in constraints) {
+        if (constraints.hasOwnProperty(name) && params[name] !== undefined &&
+            !constraints[name].test(params[name])) {
+          return false;
+        }
+      }
+
+      return true;
+    }
+
     function parse(route, names, types) {
       // normalize route as not starting with a "/". Recognition will
       // also normalize.
@@ -31582,13 +33207,15 @@ define("route-recognizer",
     // A State has a character specification and (`charSpec`) and a list of possible
     // subsequent states (`nextStates`).
     //
-    // If a State is an accepting state, it will also have several additional
-    // properties:
+    // If a State is an accepting state, it will also have a list of `routes`,
+    // one for each registered path that ends in it, in the order they were
+    // added. Each of them has:
     //
     // * `regex`: A regular expression that is used to extract parameters from paths
     //   that reached this accepting state.
     // * `handlers`: Information on how to convert the list of captures into calls
-    //   to registered handlers with the specified parameters
+    //   to registered handlers with the specified parameters, and the
+    //   `constraints` those parameters must satisfy
     // * `types`: How many static, dynamic or star segments in this route. Used to
     //   decide which route to use if multiple registered routes match a path.
     //
@@ -31695,13 +33322,15 @@ define("route-recognizer",
 
     // This is a somewhat naive strategy, but should work in a lot of cases
     // A better strategy would properly resolve /posts/:id/new and /posts/edit/:id
-    function sortSolutions(states) {
-      return states.sort(function(a, b) {
+    //
+    // Routes that tie are tried in the order they were added.
+    function sortSolutions(routes) {
+      return routes.sort(function(a, b) {
         if (a.types.stars !== b.types.stars) { return a.types.stars - b.types.stars; }
         if (a.types.dynamics !== b.types.dynamics) { return a.types.dynamics - b.types.dynamics; }
         if (a.types.statics !== b.types.statics) { return b.types.statics - a.types.statics; }
 
-        return 0;
+        return a.order - b.order;
       });
     }
 
@@ -31734,8 +33363,10 @@ define("route-recognizer",
       queryParams: null
     });
 
-    function findHandler(state, path, queryParams) {
-      var handlers = state.handlers, regex = state.regex;
+    // Returns nothing if a captured parameter does not satisfy the
+    // constraints of its handler.
+    function findHandler(route, path, queryParams) {
+      var handlers = route.handlers, regex = route.regex;
       var captures = path.match(regex), currentCapture = 1;
       var result = new RecognizeResults(queryParams);
 
@@ -31746,12 +33377,24 @@ define("route-recognizer",
           params[names[j]] = captures[currentCapture++];
         }
 
+        if (!satisfiesConstraints(handler.constraints, params)) { return; }
+
         result.push({ handler: handler.handler, params: params, isDynamic: !!names.length });
       }
 
       return result;
     }
 
+    function sameHandlers(a, b) {
+      if (a.length !== b.length) { return false; }
+
+      for (var i=0, l=a.length; i<l; i++) {
+        if (a[i].handler !== b[i].handler) { return false; }
+      }
+
+      return true;
+    }
+
     function addSegment(currentState, segment) {
       segment.eachChar(function(ch) {
         var state;
@@ -31767,14 +33410,55 @@ define("route-recognizer",
     var RouteRecognizer = function() {
       this.rootState = new State();
       this.names = {};
+      this.routeCount = 0;
     };
 
 
     RouteRecognizer.prototype = {
+      // Each route is a `{ path, handler, constraints }` object. A path may
+      // contain optional groups, e.g. "/posts(/:page)", and star segments
+      // anywhere, e.g. "/files/*path/edit". `constraints` maps the names of
+      // its dynamic and star segments to regular expressions the whole value
+      // must match; a path that breaks them is not recognized by this route,
+      // so that a route added later may match it instead.
       add: function(routes, options) {
+        var variants = [[]], allSegments = [], handlers = [], name, i, l;
+
+        for (i=0, l=routes.length; i<l; i++) {
+          var route = routes[i], names = [], optionalNames = [];
+          var tokens = tokenize(route.path);
+          var constraints = anchorConstraints(route.constraints);
+          var paths = expand(tokens), next = [];
+
+          for (var j=0, m=variants.length; j<m; j++) {
+            for (var k=0, n=paths.length; k<n; k++) {
+              next.push(variants[j].concat({ path: paths[k], handler: route.handler, constraints: constraints }));
+            }
+          }
+
+          variants = next;
+
+          allSegments = allSegments.concat(parseTokens(tokens, names, optionalNames));
+          handlers.push({ handler: route.handler, names: names, optionalNames: optionalNames });
+        }
+
+        for (i=0, l=variants.length; i<l; i++) {
+          this.addPath(variants[i]);
+        }
+
+        if (name = options && options.as) {
+          this.names[name] = {
+            segments: allSegments,
+            handlers: handlers
+          };
+        }
+      },
+
+      // Adds one path without optional groups to the NFA.
+      addPath: function(routes) {
         var currentState = this.rootState, regex = "^",
             types = { statics: 0, dynamics: 0, stars: 0 },
-            handlers = [], allSegments = [], name;
+            handlers = [];
 
         var isEmpty = true;
 
@@ -31783,8 +33467,6 @@ define("route-recognizer",
 
           var segments = parse(route.path, names, types);
 
-          allSegments = allSegments.concat(segments);
-
           for (var j=0, m=segments.length; j<m; j++) {
             var segment = segments[j];
 
@@ -31801,7 +33483,7 @@ define("route-recognizer",
             regex += segment.regex();
           }
 
-          var handler = { handler: route.handler, names: names };
+          var handler = { handler: route.handler, names: names, constraints: route.constraints };
           handlers.push(handler);
         }
 
@@ -31810,16 +33492,20 @@ define("route-recognizer",
           regex += "/";
         }
 
-        currentState.handlers = handlers;
-        currentState.regex = new RegExp(regex + "$");
-        currentState.types = types;
+        var accepted = currentState.routes || (currentState.routes = []);
+        var added = { handlers: handlers, regex: new RegExp(regex + "$"), types: types, order: this.routeCount++ };
 
-        if (name = options && options.as) {
-          this.names[name] = {
-            segments: allSegments,
-            handlers: handlers
-          };
+        // Adding the same handlers for the same path again, as happens when
+        // the router is mapped more than once, replaces the earlier route.
+        for (i=0, l=accepted.length; i<l; i++) {
+          if (accepted[i].regex.source === added.regex.source && sameHandlers(accepted[i].handlers, handlers)) {
+            added.order = accepted[i].order;
+            accepted[i] = added;
+            return;
+          }
         }
+
+        accepted.push(added);
       },
 
       handlersFor: function(name) {
@@ -31841,16 +33527,7 @@ define("route-recognizer",
         var route = this.names[name], output = "";
         if (!route) { throw new Error("There is no route named " + name); }
 
-        var segments = route.segments;
-
-        for (var i=0, l=segments.length; i<l; i++) {
-          var segment = segments[i];
-
-          if (segment instanceof EpsilonSegment) { continue; }
-
-          output += "/";
-          output += segment.generate(params);
-        }
+        output = generateSegments(route.segments, params);
 
         if (output.charAt(0) !== '/') { output = '/' + output; }
 
@@ -31950,15 +33627,14 @@ define("route-recognizer",
 
         var solutions = [];
         for (i=0, l=states.length; i<l; i++) {
-          if (states[i].handlers) { solutions.push(states[i]); }
+          if (states[i].routes) { solutions = solutions.concat(states[i].routes); }
         }
 
-        states = sortSolutions(solutions);
-
-        var state = solutions[0];
+        solutions = sortSolutions(solutions);
 
-        if (state && state.handlers) {
-          return findHandler(state, path, queryParams);
+        for (i=0, l=solutions.length; i<l; i++) {
+          var result = findHandler(solutions[i], path, queryParams);
+          if (result) { return result; }
         }
       }
     };
@@ -31986,12 +33662,20 @@ define("route-recognizer",
           this.matcher.addChild(this.path, target, callback, this.delegate);
         }
         return this;
+      },
+
+      // Restricts the values of the dynamic and star segments of this path,
+      // e.g. `match("/posts/:id").to("post").where({ id: /\d+/ })`.
+      where: function(constraints) {
+        this.matcher.constrain(this.path, constraints);
+        return this;
       }
     };
 
     function Matcher(target) {
       this.routes = {};
       this.children = {};
+      this.constraints = {};
       this.target = target;
     }
 
@@ -32000,6 +33684,10 @@ define("route-recognizer",
         this.routes[path] = handler;
       },
 
+      constrain: function(path, constraints) {
+        this.constraints[path] = constraints;
+      },
+
       addChild: function(path, target, callback, delegate) {
         var matcher = new Matcher(target);
         this.children[path] = matcher;
@@ -32026,14 +33714,14 @@ define("route-recognizer",
       };
     }
 
-    function addRoute(routeArray, path, handler) {
+    function addRoute(routeArray, path, handler, constraints) {
       var len = 0;
       for (var i=0, l=routeArray.length; i<l; i++) {
         len += routeArray[i].path.length;
       }
 
       path = path.substr(len);
-      var route = { path: path, handler: handler };
+      var route = { path: path, handler: handler, constraints: constraints };
       routeArray.push(route);
     }
 
@@ -32043,7 +33731,7 @@ define("route-recognizer",
       for (var path in routes) {
         if (routes.hasOwnProperty(path)) {
           var routeArray = baseRoute.slice();
-          addRoute(routeArray, path, routes[path]);
+          addRoute(routeArray, path, routes[path], matcher.constraints[path]);
 
           if (matcher.children[path]) {
             eachRoute(routeArray, matcher.children[path], callback, binding);
@@ -32411,7 +34099,15 @@ define("router/router",
           });
 
           if (!wasTransitioning) {
-            trigger(this, this.state.handlerInfos, true, ['willTransition', newTransition]);
+            // Give the router a chance to abort the transition
+            // before the handlers hear about it.
+            if (router.willTransition) {
+              router.willTransition(this.state.handlerInfos, newState.handlerInfos, newTransition);
+            }
+
+            if (!newTransition.isAborted) {
+              trigger(this, this.state.handlerInfos, true, ['willTransition', newTransition]);
+            }
           }
 
           return newTransition;
@@ -33075,9 +34771,9 @@ define("router/transition-intent/named-transition-intent",
 
         if (result.names.length > 0) {
           if (i >= invalidateIndex) {
-            newHandlerInfo = this.createParamHandlerInfo(name, handler, result.names, objects, oldHandlerInfo);
+            newHandlerInfo = this.createParamHandlerInfo(name, handler, result.names, objects, oldHandlerInfo, result.optionalNames);
           } else {
-            newHandlerInfo = this.getHandlerInfoForDynamicSegment(name, handler, result.names, objects, oldHandlerInfo, targetRouteName);
+            newHandlerInfo = this.getHandlerInfoForDynamicSegment(name, handler, result.names, objects, oldHandlerInfo, targetRouteName, result.optionalNames);
           }
         } else {
           // This route has no dynamic segment.
@@ -33143,7 +34839,7 @@ define("router/transition-intent/named-transition-intent",
       });
     };
 
-    NamedTransitionIntent.prototype.getHandlerInfoForDynamicSegment = function(name, handler, names, objects, oldHandlerInfo, targetRouteName) {
+    NamedTransitionIntent.prototype.getHandlerInfoForDynamicSegment = function(name, handler, names, objects, oldHandlerInfo, targetRouteName, optionalNames) {
 
       var numNames = names.length;
       var objectToUse;
@@ -33152,13 +34848,17 @@ define("router/transition-intent/named-transition-intent",
         // Use the objects provided for this transition.
         objectToUse = objects[objects.length - 1];
         if (isParam(objectToUse)) {
-          return this.createParamHandlerInfo(name, handler, names, objects, oldHandlerInfo);
+          return this.createParamHandlerInfo(name, handler, names, objects, oldHandlerInfo, optionalNames);
         } else {
           objects.pop();
         }
       } else if (oldHandlerInfo && oldHandlerInfo.name === name) {
         // Reuse the matching oldHandlerInfo
         return oldHandlerInfo;
+      } else if (optionalNames && optionalNames.length === numNames) {
+        // All of the dynamic segments are optional, so the
+        // route can be entered without a context.
+        return this.createParamHandlerInfo(name, handler, names, objects, oldHandlerInfo, optionalNames);
       } else {
         // Ideally we should throw this error to provide maximal
         // information to the user that not enough context objects
@@ -33178,7 +34878,7 @@ define("router/transition-intent/named-transition-intent",
       });
     };
 
-    NamedTransitionIntent.prototype.createParamHandlerInfo = function(name, handler, names, objects, oldHandlerInfo) {
+    NamedTransitionIntent.prototype.createParamHandlerInfo = function(name, handler, names, objects, oldHandlerInfo, optionalNames) {
       var params = {};
 
       // Soak up all the provided string/numbers
@@ -33198,7 +34898,7 @@ define("router/transition-intent/named-transition-intent",
           // value from a previous handler.
           if (oldParams.hasOwnProperty(paramName)) {
             params[paramName] = oldParams[paramName];
-          } else {
+          } else if (!isOptional(optionalNames, paramName)) {
             throw new Error("You didn't provide enough string/numeric parameters to satisfy all of the dynamic segments for route " + name);
           }
         }
@@ -33211,6 +34911,15 @@ define("router/transition-intent/named-transition-intent",
       });
     };
 
+    function isOptional(optionalNames, name) {
+      if (!optionalNames) { return false; }
+
+      for (var i = 0, l = optionalNames.length; i < l; i++) {
+        if (optionalNames[i] === name) { return true; }
+      }
+      return false;
+    }
+
     __exports__.NamedTransitionIntent = NamedTransitionIntent;
   });
 define("router/transition-intent/url-transition-intent", 
@@ -33854,9 +35563,63 @@ define("router",
 function DSL(name) {
   this.parent = name;
   this.matches = [];
+  this.mounts = {};
+  this.lazyResources = {};
 }
 
 DSL.prototype = {
+  /**
+    Adds a resource, optionally with nested routes and resources.
+
+    Besides static, `:dynamic` and `*star` segments, a `path` may contain
+    optional groups, which are left out of generated URLs when their
+    dynamic segments have no value, and star segments followed by more
+    segments:
+
+    ```javascript
+    App.Router.map(function() {
+      this.resource('posts', { path: '/posts(/:page)' });
+      this.resource('file', { path: '/files/*file_path/edit' });
+    });
+    ```
+
+    `constraints` maps dynamic and star segments to regular expressions
+    their whole value must match. A URL that does not satisfy them is not
+    recognized by this resource, and may be recognized by another one:
+
+    ```javascript
+    App.Router.map(function() {
+      this.resource('post', { path: '/posts/:post_id', constraints: { post_id: /\d+/ } });
+      this.resource('category', { path: '/posts/:category' });
+    });
+    ```
+
+    A resource can also be loaded the first time a transition enters it.
+    `load` returns a promise that resolves, once the routes, controllers
+    and templates of the resource are available, to the function that
+    defines its nested routes and resources. Meanwhile the `loading`
+    substate is entered, as with any other promise the router waits for:
+
+    ```javascript
+    App.Router.map(function() {
+      this.resource('admin', {
+        load: function() {
+          return Ember.$.getScript('/assets/admin.js').then(function() {
+            return App.AdminMap;
+          });
+        }
+      });
+    });
+    ```
+
+    Until the resource is loaded, links can only point to the resource
+    itself, not to the routes nested in it.
+
+    @method resource
+    @param {String} name
+    @param {Object} options `path`, `constraints` and `load`, all optional
+    @param {Function} callback defines the nested routes and resources
+  */
   resource: function(name, options, callback) {
     if (arguments.length === 2 && typeof options === 'function') {
       callback = options;
@@ -33871,14 +35634,37 @@ DSL.prototype = {
       options.path = "/" + name;
     }
 
+    // Resources of a mounted engine are namespaced by its mount point.
+    if (this.mountName) {
+      name = this.mountName + '.' + name;
+    }
+
+    var path = options.path;
+
+    if (options.load) {
+      var lazy = this.lazyResources[name] || (this.lazyResources[name] = { load: options.load });
+
+      if (lazy.map) {
+        callback = lazy.map;
+      } else {
+        // Until it is loaded, the resource is a single route that
+        // recognizes every URL under it.
+        path = path.replace(/\/$/, '') + '(/*lazy_path)';
+        callback = null;
+      }
+    }
+
     if (callback) {
       var dsl = new DSL(name);
+      dsl.mounts = this.mounts;
+      dsl.lazyResources = this.lazyResources;
+      dsl.mountName = this.mountName;
       route(dsl, 'loading');
       route(dsl, 'error', { path: "/_unused_dummy_error_path_route_" + name + "/:error" });
       callback.call(dsl);
-      this.push(options.path, name, dsl.generate(), options.queryParams);
+      this.push(path, name, dsl.generate(), options.queryParams, options.constraints);
     } else {
-      this.push(options.path, name, null, options.queryParams);
+      this.push(path, name, null, options.queryParams, options.constraints);
     }
 
 
@@ -33892,13 +35678,52 @@ DSL.prototype = {
     }
   },
 
-  push: function(url, name, callback, queryParams) {
+  /**
+    Mounts an `Ember.Engine` as a resource: the routes of the engine's map
+    become children of `name`, and are looked up, along with their
+    controllers, views and templates, from a container of their own.
+
+    ```javascript
+    App.Router.map(function() {
+      this.mount('blog', { engine: Blog, path: '/news' });
+    });
+    ```
+
+    @method mount
+    @param {String} name the name of the resource the engine is mounted at
+    @param {Object} options `engine` and, optionally, `path`
+  */
+  mount: function(name, options) {
+    var engine = options && options.engine;
+
+    
+    var mountName = this.mountName ? this.mountName + '.' + name : name;
+
+    this.resource(name, { path: options.path }, function() {
+      this.mountName = mountName;
+      this.mounts[mountName] = engine;
+
+      if (engine.routerMap) {
+        engine.routerMap.call(this);
+      }
+    });
+  },
+
+  push: function(url, name, callback, queryParams, constraints) {
     var parts = name.split('.');
     if (url === "" || url === "/" || parts[parts.length-1] === "index") { this.explicitIndex = true; }
 
-    this.matches.push([url, name, callback, queryParams]);
+    this.matches.push([url, name, callback, queryParams, constraints]);
   },
 
+  /**
+    Adds a route. It takes the same `path` and `constraints` options as
+    `resource`.
+
+    @method route
+    @param {String} name
+    @param {Object} options `path` and `constraints`, both optional
+  */
   route: function(name, options) {
     route(this, name, options);
     if (Ember.FEATURES.isEnabled("ember-routing-named-substates")) {
@@ -33918,6 +35743,8 @@ DSL.prototype = {
       for (var i=0, l=dslMatches.length; i<l; i++) {
         var dslMatch = dslMatches[i];
         var matchObj = match(dslMatch[0]).to(dslMatch[1], dslMatch[2]);
+
+        if (dslMatch[4]) { matchObj.where(dslMatch[4]); }
       }
     };
   }
@@ -33935,11 +35762,12 @@ function route(dsl, name, options) {
     name = dsl.parent + "." + name;
   }
 
-  dsl.push(options.path, name, null, options.queryParams);
+  dsl.push(options.path, name, null, options.queryParams, options.constraints);
 }
 
-DSL.map = function(callback) {
+DSL.map = function(callback, lazyResources) {
   var dsl = new DSL();
+  if (lazyResources) { dsl.lazyResources = lazyResources; }
   callback.call(dsl);
   return dsl;
 };
@@ -34048,6 +35876,7 @@ Ember.generateController = function(container, controllerName, context) {
 var routerJsModule = requireModule("router");
 var Router = routerJsModule.Router;
 var Transition = routerJsModule.Transition;
+var RouteRecognizer = requireModule("route-recognizer")["default"];
 var get = Ember.get, set = Ember.set, fmt = Ember.String.fmt;
 var defineProperty = Ember.defineProperty;
 var slice = Array.prototype.slice;
@@ -34071,6 +35900,7 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
 
     * `hash`
     * `history`
+    * `auto`: `history` where the browser supports it, `hash` otherwise
     * `none`
 
     @property location
@@ -34079,6 +35909,18 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
   */
   location: 'hash',
 
+  /**
+    Selectors of the scrollable elements whose scroll positions are
+    recorded with each history entry, along with the window's, and
+    restored when the user navigates back to it (see
+    `Ember.Route#scrollBehavior`).
+
+    @property scrollElements
+    @type Array
+    @default null
+  */
+  scrollElements: null,
+
   init: function() {
     this.router = this.constructor.router || this.constructor.map(Ember.K);
     this._activeViews = {};
@@ -34119,11 +35961,27 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     container.register('view:default', DefaultView);
     container.register('view:toplevel', Ember.View.extend());
 
+    // The location is reloading the page with a rewritten URL.
+    if (get(location, 'cancelRouterSetup')) { return; }
+
     location.onUpdateURL(function(url) {
+      // Before an exit guard that refuses puts the URL back in a new entry.
+      self._restoreScrollPositionLater();
       self.handleURL(url);
     });
 
+    if (typeof location.onBeforeUnload === 'function') {
+      location.onBeforeUnload(function() {
+        return self._exitMessage();
+      });
+    }
+
+    if (typeof location.saveScrollPosition === 'function') {
+      this._trackScrollPosition(location);
+    }
+
     this.handleURL(location.getURL());
+    this._restoreScrollPositionLater();
   },
 
   /**
@@ -34142,6 +36000,8 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
 
     this.notifyPropertyChange('url');
 
+    Ember.run.scheduleOnce('afterRender', this, this._updateScrollPosition, infos[infos.length - 1].handler);
+
     // Put this in the runloop so url will be accurate. Seems
     // less surprising than didTransition being out of sync.
     Ember.run.once(this, this.trigger, 'didTransition');
@@ -34151,6 +36011,26 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     }
   },
 
+  /**
+    Triggered whenever a transition is started through `handleURL`,
+    `transitionTo` or `replaceWith`, including the redirects started from
+    a route's `beforeModel`, `afterModel` or `redirect` hooks. Listeners
+    receive the transition and the name of the router method that
+    started it.
+
+    @event didStartTransition
+    @param {Transition} transition
+    @param {String} method
+  */
+
+  /**
+    Triggered after the router entered an intermediate substate, such as
+    a `loading` or `error` route, with the handler infos of that state.
+
+    @event didIntermediateTransition
+    @param {Array} infos
+  */
+
   handleURL: function(url) {
     return this._doTransition('handleURL', [url]);
   },
@@ -34165,6 +36045,8 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     updatePaths(this);
 
     var infos = this.router.currentHandlerInfos;
+    this.trigger('didIntermediateTransition', infos);
+
     if (get(this, 'namespace').LOG_TRANSITIONS) {
       Ember.Logger.log("Intermediate-transitioned into '" + Ember.Router._routePath(infos) + "'");
     }
@@ -34265,17 +36147,24 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
   },
 
   _getHandlerFunction: function() {
-    var seen = {}, container = this.container,
-        DefaultRoute = container.lookupFactory('route:basic'),
+    var seen = {},
+        DefaultRoute = this.container.lookupFactory('route:basic'),
         self = this;
 
     return function(name) {
+      var lazy = self.router.lazyResources[name];
+
+      if (lazy && !lazy.map) { return self._lazyRouteFor(name); }
+
       var routeName = 'route:' + name,
+          container = self._containerFor(name),
           handler = container.lookup(routeName);
 
-      if (seen[name]) { return handler; }
+      // A mounted engine's container is rebuilt when it is entered again,
+      // and its routes are set up again with it.
+      if (handler && seen[name] === container) { return handler; }
 
-      seen[name] = true;
+      seen[name] = container;
 
       if (!handler) {
         container.register(routeName, DefaultRoute.extend());
@@ -34290,12 +36179,129 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     };
   },
 
+  /**
+    Returns the container the route named `name` is looked up from: the
+    container of the engine it belongs to when it is part of a mounted
+    engine, the router's container otherwise. The container of an engine
+    mounted inside another engine is a child of the outer engine's.
+
+    @private
+    @method _containerFor
+    @param {String} name
+    @return {Container}
+  */
+  _containerFor: function(name) {
+    var mounts = this.router.mounts,
+        mountName, container, candidate;
+
+    for (candidate in mounts) {
+      if (mounts.hasOwnProperty(candidate) && name.indexOf(candidate + '.') === 0 &&
+          (!mountName || candidate.length > mountName.length)) {
+        mountName = candidate;
+      }
+    }
+
+    if (!mountName) { return this.container; }
+
+    this._mountContainers = this._mountContainers || {};
+    container = this._mountContainers[mountName];
+
+    if (!container || container.isDestroyed) {
+      container = this._mountContainers[mountName] = mounts[mountName].buildContainer(this._containerFor(mountName), mountName);
+    }
+
+    return container;
+  },
+
+  /**
+    Destroys the container of the engine mounted at `name`, along with the
+    routes, controllers and services it created. Called when the route the
+    engine is mounted at is exited.
+
+    @private
+    @method _unmount
+    @param {String} name
+  */
+  _unmount: function(name) {
+    var container = this._mountContainers && this._mountContainers[name];
+
+    if (container) {
+      delete this._mountContainers[name];
+      Ember.run.schedule('destroy', container, 'destroy');
+    }
+  },
+
+  /**
+    Returns the route that stands for the resource named `name` until it
+    is loaded. Its `beforeModel` hook loads the resource, then starts the
+    transition that entered it again, against the routes of the resource.
+    The promise of the first transition follows the retried one.
+
+    @private
+    @method _lazyRouteFor
+    @param {String} name
+    @return {Ember.Route}
+  */
+  _lazyRouteFor: function(name) {
+    var routes = this._lazyRoutes || (this._lazyRoutes = {}),
+        self = this;
+
+    if (routes[name]) { return routes[name]; }
+
+    return routes[name] = this.container.lookupFactory('route:basic').create({
+      routeName: name,
+
+      beforeModel: function(transition) {
+        return self._loadResource(name).then(function() {
+          // Another transition took over while the resource was loading.
+          if (transition.isAborted) { return; }
+
+          var lazyTransition = transition.data.lazyTransition || ['handleURL', [transition.intent.url]];
+
+          // Abort first, so that the new transition does not reuse this route.
+          transition.abort();
+          transition.data.retriedTransition = self._doTransition(lazyTransition[0], lazyTransition[1]).method(transition.urlMethod);
+        }, null, 'Ember: Retry transition into loaded resource');
+      }
+    });
+  },
+
+  /**
+    Loads the resource named `name` through its `load` hook, once, and
+    maps the routes it resolves to.
+
+    @private
+    @method _loadResource
+    @param {String} name
+    @return {Promise}
+  */
+  _loadResource: function(name) {
+    var router = this.router,
+        lazy = router.lazyResources[name];
+
+    if (!lazy.promise) {
+      lazy.promise = Ember.RSVP.resolve(lazy.load()).then(function(map) {
+        
+        lazy.map = map;
+        mapRoutes(router);
+      }, function(error) {
+        // Let the next transition into the resource try again.
+        lazy.promise = null;
+        throw error;
+      }, 'Ember: Load resource ' + name);
+    }
+
+    return lazy.promise;
+  },
+
   _setupRouter: function(router, location) {
     var lastURL, emberRouter = this;
 
     router.getHandler = this._getHandlerFunction();
 
     var doUpdateURL = function() {
+      // The page being left has not been rerendered yet.
+      emberRouter._saveScrollPosition();
       location.setURL(lastURL);
     };
 
@@ -34318,6 +36324,122 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     router.didTransition = function(infos) {
       emberRouter.didTransition(infos);
     };
+
+    router.willTransition = function(oldInfos, newInfos, transition) {
+      emberRouter._consultExitGuards(oldInfos, newInfos, transition);
+    };
+  },
+
+  /**
+    Asks the routes a transition exits, leaf first, whether they can be
+    exited (see `Ember.Route#canExit`). The transition is aborted if one of
+    them refuses, or returns a promise, in which case it is retried once
+    every route has agreed.
+
+    @private
+    @method _consultExitGuards
+    @param {Array} oldInfos the handler infos of the current routes
+    @param {Array} newInfos the handler infos of the destination routes
+    @param {Transition} transition
+  */
+  _consultExitGuards: function(oldInfos, newInfos, transition) {
+    if (this._skipExitGuards) { return; }
+
+    // Any other transition drops the one a guard is holding.
+    this._guardedTransition = null;
+
+    var canExit = consultExitGuards(exitingRoutes(oldInfos, newInfos), transition),
+        self = this;
+
+    if (canExit === true) { return; }
+
+    transition.abort();
+
+    if (canExit === false) {
+      this._refuseExit(transition);
+      return;
+    }
+
+    this._guardedTransition = transition;
+
+    canExit.then(function(canExit) {
+      // Another transition has been attempted in the meantime.
+      if (self._guardedTransition !== transition) { return; }
+      self._guardedTransition = null;
+
+      if (canExit) {
+        self._retryGuardedTransition(transition);
+      } else {
+        self._refuseExit(transition);
+      }
+    }, function(error) {
+      if (self._guardedTransition === transition) {
+        self._guardedTransition = null;
+        self._refuseExit(transition);
+      }
+      throw error;
+    }, 'Ember: Consult exit guards');
+  },
+
+  _retryGuardedTransition: function(transition) {
+    var retried;
+
+    this._skipExitGuards = true;
+
+    try {
+      retried = transition.retry();
+    } finally {
+      this._skipExitGuards = false;
+    }
+
+    retried.method(transition.urlMethod);
+    this.trigger('didStartTransition', retried, 'retry');
+  },
+
+  /**
+    Puts the URL of the current routes back when a transition the user
+    started by changing the URL, e.g. with the back button, is refused.
+
+    @private
+    @method _refuseExit
+    @param {Transition} transition
+  */
+  _refuseExit: function(transition) {
+    this._scrollPositionToRestore = null;
+
+    if (!transition.intent || !transition.intent.url) { return; }
+
+    var state = this.router.state,
+        infos = state.handlerInfos,
+        url = this.router.generate(infos[infos.length - 1].name, { queryParams: state.queryParams });
+
+    get(this, 'location').setURL(url);
+
+    // The page stays where it is, in the entry put back for it.
+    this._saveScrollPosition();
+  },
+
+  /**
+    Returns the message the browser shows before the page is unloaded when
+    one of the current routes refuses to be exited. Since unloading cannot
+    wait, a route whose `canExit` hook returns a promise refuses as well.
+
+    @private
+    @method _exitMessage
+    @return {String}
+  */
+  _exitMessage: function() {
+    var infos = this.router.state.handlerInfos || [],
+        route, canExit;
+
+    for (var i = infos.length - 1; i >= 0; i--) {
+      route = infos[i].handler;
+      canExit = route.canExit();
+
+      if (canExit === false || (canExit && typeof canExit.then === 'function')) {
+        return get(route, 'exitMessage');
+      }
+    }
   },
 
   _doTransition: function(method, args) {
@@ -34325,6 +36447,10 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     args = slice.call(args);
     args[0] = args[0] || '/';
 
+    // Only the URLs handled from the location bring back the scroll
+    // position recorded with them.
+    if (method !== 'handleURL') { this._scrollPositionToRestore = null; }
+
     var passedName = args[0], name, self = this,
       isQueryParamsOnly = false, queryParams;
 
@@ -34338,6 +36464,18 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     }
 
     if (!isQueryParamsOnly && passedName.charAt(0) !== '/') {
+      var unloaded = unloadedResourceFor(this.router, passedName);
+
+      if (unloaded) {
+        // Enter the route standing for the resource, which carries on
+        // with this transition once the resource is loaded.
+        var lazyTransition = this.router.transitionTo(unloaded);
+        lazyTransition.data.lazyTransition = [method, args];
+        followRetriedTransition(lazyTransition);
+        this.trigger('didStartTransition', lazyTransition, method);
+        return lazyTransition;
+      }
+
       if (!this.router.hasRoute(passedName)) {
         name = args[0] = passedName + '.index';
       } else {
@@ -34372,6 +36510,12 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
 
     var transitionPromise = this.router[method].apply(this.router, args);
 
+    if (entersUnloadedResource(this.router, transitionPromise)) {
+      followRetriedTransition(transitionPromise);
+    }
+
+    this.trigger('didStartTransition', transitionPromise, method);
+
     transitionPromise.then(null, function(error) {
       if (error.name === "UnrecognizedURLError") {
               }
@@ -34383,6 +36527,113 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     return transitionPromise;
   },
 
+  /**
+    Records the scroll position of the page with the current history
+    entry of the location a little after the user stopped scrolling.
+
+    @private
+    @method _trackScrollPosition
+    @param {Object} location
+  */
+  _trackScrollPosition: function(location) {
+    var self = this;
+
+    this._scrollListener = function() {
+      clearTimeout(self._scrollTimer);
+      self._scrollTimer = setTimeout(function() {
+        self._saveScrollPosition();
+      }, 100);
+    };
+
+    // Listen while capturing to hear about scrollable elements too.
+    window.addEventListener('scroll', this._scrollListener, true);
+  },
+
+  _saveScrollPosition: function(previousEntry) {
+    var location = get(this, 'location');
+
+    clearTimeout(this._scrollTimer);
+    this._scrollTimer = null;
+
+    if (typeof location.saveScrollPosition !== 'function') { return; }
+
+    location.saveScrollPosition(this._scrollPosition(), previousEntry);
+  },
+
+  /**
+    Remembers the scroll position recorded with the history entry the
+    location just moved to, so that `_updateScrollPosition` restores it
+    once the transition to its URL is rendered.
+
+    @private
+    @method _restoreScrollPositionLater
+  */
+  _restoreScrollPositionLater: function() {
+    var location = get(this, 'location');
+
+    if (typeof location.getSavedScrollPosition !== 'function') { return; }
+
+    // The page being left was scrolled a moment ago: record that with
+    // the entry it was shown for, not with the new one.
+    if (this._scrollTimer) { this._saveScrollPosition(true); }
+
+    this._scrollPositionToRestore = location.getSavedScrollPosition();
+  },
+
+  _updateScrollPosition: function(route) {
+    var behavior = get(route, 'scrollBehavior'),
+        position = this._scrollPositionToRestore;
+
+    this._scrollPositionToRestore = null;
+
+    // Only the locations kept in the address bar of a browser scroll it.
+    if (typeof window === 'undefined' || get(this, 'location.implementation') === 'none') { return; }
+
+    if (behavior === 'preserve') { return; }
+
+    if (position) {
+      this._scrollTo(position);
+    } else if (behavior === 'top') {
+      this._scrollTo({ x: 0, y: 0 });
+    }
+  },
+
+  _scrollPosition: function() {
+    var $ = Ember.$,
+        position = { x: $(window).scrollLeft(), y: $(window).scrollTop(), elements: {} };
+
+    forEach(get(this, 'scrollElements') || [], function(selector) {
+      var element = $(selector);
+
+      if (element.length) {
+        position.elements[selector] = { x: element.scrollLeft(), y: element.scrollTop() };
+      }
+    });
+
+    return position;
+  },
+
+  // Elements without a recorded position are scrolled to the top.
+  _scrollTo: function(position) {
+    var $ = Ember.$, elements = position.elements || {};
+
+    window.scrollTo(position.x, position.y);
+
+    forEach(get(this, 'scrollElements') || [], function(selector) {
+      var elementPosition = elements[selector] || { x: 0, y: 0 };
+      $(selector).scrollLeft(elementPosition.x).scrollTop(elementPosition.y);
+    });
+  },
+
+  willDestroy: function() {
+    if (this._scrollListener) {
+      window.removeEventListener('scroll', this._scrollListener, true);
+      clearTimeout(this._scrollTimer);
+    }
+
+    this._super();
+  },
+
   _scheduleLoadingEvent: function(transition, originRoute) {
     this._cancelLoadingEvent();
     this._loadingStateTimer = Ember.run.scheduleOnce('routerTransitions', this, '_fireLoadingEvent', transition, originRoute);
@@ -34643,6 +36894,87 @@ function triggerEvent(handlerInfos, ignoreFailure, args) {
   }
 }
 
+function mapRoutes(router) {
+  var dsl = Ember.RouterDSL.map(function() {
+    this.resource('application', { path: "/" }, function() {
+      for (var i=0; i < router.callbacks.length; i++) {
+        router.callbacks[i].call(this);
+      }
+    });
+  }, router.lazyResources);
+
+  // Start over, so that the routes standing for resources that have
+  // since been loaded are gone.
+  router.recognizer = new RouteRecognizer();
+  router.map(dsl.generate());
+  router.mounts = dsl.mounts;
+}
+
+// The routes a transition from `oldInfos` to `newInfos` exits, leaf first.
+function exitingRoutes(oldInfos, newInfos) {
+  var routes = [], i = 0, j;
+
+  while (i < oldInfos.length && newInfos[i] && oldInfos[i].name === newInfos[i].name) { i++; }
+
+  for (j = oldInfos.length - 1; j >= i; j--) {
+    routes.push(oldInfos[j].handler);
+  }
+
+  return routes;
+}
+
+// Returns `true` or `false` when all of the routes answered right away,
+// or a promise for the answer when one of them returned a promise. The
+// routes after it are asked once it resolves.
+function consultExitGuards(routes, transition) {
+  for (var i = 0, l = routes.length; i < l; i++) {
+    var canExit = routes[i].canExit(transition);
+
+    if (canExit === false) { return false; }
+
+    if (canExit && typeof canExit.then === 'function') {
+      return Ember.RSVP.resolve(canExit).then(function(canExit) {
+        return canExit !== false && consultExitGuards(routes.slice(i + 1), transition);
+      });
+    }
+  }
+
+  return true;
+}
+
+function entersUnloadedResource(router, transition) {
+  var handlerInfos = transition.state ? transition.state.handlerInfos : [],
+      lazyResources = router.lazyResources;
+
+  for (var i=0, l=handlerInfos.length; i<l; i++) {
+    var lazy = lazyResources[handlerInfos[i].name];
+    if (lazy && !lazy.map) { return true; }
+  }
+
+  return false;
+}
+
+// The transition is aborted once the resource it enters is loaded, and
+// started again; callers get the outcome of the retried transition.
+function followRetriedTransition(transition) {
+  transition.promise = transition.promise['catch'](function(reason) {
+    var retried = transition.data.retriedTransition;
+    if (retried) { return retried; }
+    throw reason;
+  }, 'Ember: Follow transition retried in loaded resource');
+}
+
+function unloadedResourceFor(router, name) {
+  var lazyResources = router.lazyResources;
+
+  for (var lazyName in lazyResources) {
+    if (lazyResources.hasOwnProperty(lazyName) && !lazyResources[lazyName].map &&
+        (name === lazyName || name.indexOf(lazyName + '.') === 0)) {
+      return lazyName;
+    }
+  }
+}
+
 function updatePaths(router) {
   var appController = router.container.lookup('controller:application');
 
@@ -34676,21 +37008,13 @@ Ember.Router.reopenClass({
     if (!router) {
       router = new Router();
       router.callbacks = [];
+      router.lazyResources = {};
       router.triggerEvent = triggerEvent;
       this.reopenClass({ router: router });
     }
 
-    var dsl = Ember.RouterDSL.map(function() {
-      this.resource('application', { path: "/" }, function() {
-        for (var i=0; i < router.callbacks.length; i++) {
-          router.callbacks[i].call(this);
-        }
-        callback.call(this);
-      });
-    });
-
     router.callbacks.push(callback);
-    router.map(dsl.generate());
+    mapRoutes(router);
     return router;
   },
 
@@ -34783,6 +37107,11 @@ Ember.Route = Ember.Object.extend(Ember.ActionHandler, {
     }
     this.deactivate();
     this.teardownViews();
+
+    var router = get(this, 'router');
+    if (router && router._unmount) {
+      router._unmount(this.routeName);
+    }
   },
 
   /**
@@ -35084,6 +37413,75 @@ Ember.Route = Ember.Object.extend(Ember.ActionHandler, {
   */
   activate: Ember.K,
 
+  /**
+    This hook is executed before the router exits the route, to guard it
+    against losing unsaved changes. Returning `false` aborts the
+    transition. Returning a promise aborts it too, and retries it when the
+    promise resolves to anything but `false`, so the user can be asked
+    first:
+
+    ```js
+    App.PostEditRoute = Ember.Route.extend({
+      canExit: function(transition) {
+        if (!this.controller.get('isDirty')) { return true; }
+
+        return window.confirm('Discard your changes?');
+      }
+    });
+    ```
+
+    When the transition was started by changing the URL, e.g. with the
+    back button, a refusal puts the URL of the current route back.
+
+    The hook is also executed, without a transition, when the page is about
+    to be unloaded. As there is no waiting then, returning either `false`
+    or a promise makes the browser ask the user whether to leave, with
+    `exitMessage`.
+
+    @method canExit
+    @param {Transition} transition the transition exiting the route, if any
+    @return {Boolean|Promise}
+  */
+  canExit: function(transition) {
+    return true;
+  },
+
+  /**
+    The message the browser shows when the page is about to be unloaded
+    and `canExit` refuses. Most browsers show a message of their own instead.
+
+    @property exitMessage
+    @type String
+  */
+  exitMessage: 'Changes you made may not be saved.',
+
+  /**
+    How the router scrolls the page once it has rendered a transition into
+    this route:
+
+    * `'restore'`: when the user comes back to a page with the back or
+      forward button, or reloads it, to the position it had when they left.
+      Otherwise the page is not scrolled.
+    * `'top'`: like `'restore'`, but to the top of the page after any other
+      transition.
+    * `'preserve'`: never.
+
+    ```js
+    App.SearchResultsRoute = Ember.Route.extend({
+      scrollBehavior: 'top'
+    });
+    ```
+
+    Scroll positions are recorded with the history entries of
+    `Ember.HistoryLocation`, for the window and for the elements listed in
+    the router's `scrollElements`.
+
+    @property scrollBehavior
+    @type String
+    @default 'restore'
+  */
+  scrollBehavior: 'restore',
+
   /**
     Transition into another route. Optionally supply model(s) for the
     route in question. If multiple models are supplied they will be applied
@@ -36144,7 +38542,20 @@ function appendView(route, view, options) {
     }
     route.router._connectActiveView(options.name, view);
     route.teardownTopLevelView = generateTopLevelTeardown(view);
-    view.appendTo(rootElement);
+
+    var renderMode = get(route, 'router.namespace.renderMode');
+
+    // When rendering to a string there is no element to append to; the
+    // application serializes the top-level view on demand instead.
+    if (renderMode === 'string') {
+      route.router._toplevelView = view;
+    } else if (renderMode === 'rehydrate' && !route.router._didRehydrate) {
+      // Only the first top-level view can adopt the server's markup.
+      route.router._didRehydrate = true;
+      view.rehydrateIn(rootElement);
+    } else {
+      view.appendTo(rootElement);
+    }
   }
 }
 
@@ -38087,6 +40498,21 @@ var get = Ember.get, set = Ember.set;
 
   This will result in a posts.new url of `/posts/new`.
 
+  ### AutoLocation
+
+  Using `AutoLocation` picks `HistoryLocation` when the browser supports the
+  `history` API and `HashLocation` otherwise, rewriting URLs of the other
+  form when the application boots.
+
+  ```javascript
+  App.Router.reopen({
+    location: 'auto'
+  });
+  ```
+
+  This will result in a posts.new url of `/posts/new` in modern browsers, and
+  `/#/posts/new` in browsers without `history.pushState`.
+
   ### NoneLocation
 
   Using `NoneLocation` causes Ember to not store the applications URL state
@@ -38102,7 +40528,15 @@ var get = Ember.get, set = Ember.set;
   * setURL(path): sets the current URL.
   * replaceURL(path): replace the current URL (optional).
   * onUpdateURL(callback): triggers the callback when the URL changes.
+  * onBeforeUnload(callback): triggers the callback before the page is
+    unloaded, and asks the user whether to leave when it returns a message
+    (optional).
   * formatURL(url): formats `url` to be placed into `href` attribute.
+  * saveScrollPosition(position, previousEntry): records the scroll position
+    of the page with the current history entry, or with the one the user
+    just left through the history (optional).
+  * getSavedScrollPosition: returns the scroll position recorded with the
+    current history entry (optional).
 
   Calling setURL or replaceURL will not trigger onUpdateURL callbacks.
 
@@ -38169,6 +40603,47 @@ Ember.Location = {
   implementations: {}
 };
 
+/**
+  `Ember.BeforeUnloadSupport` implements `onBeforeUnload` for the locations
+  that run in a browser, and removes the listener when the location is
+  destroyed.
+
+  @private
+  @class BeforeUnloadSupport
+  @namespace Ember
+*/
+Ember.BeforeUnloadSupport = Ember.Mixin.create({
+  /**
+    Register a callback to be invoked before the page is unloaded, such
+    as when the tab is closed. If it returns a message, the browser asks
+    the user to confirm leaving the page.
+
+    @private
+    @method onBeforeUnload
+    @param callback {Function}
+  */
+  onBeforeUnload: function(callback) {
+    var guid = Ember.guidFor(this);
+
+    Ember.$(window).on('beforeunload.ember-location-'+guid, function(e) {
+      var message = Ember.run(callback);
+
+      if (message) {
+        if (e.originalEvent) { e.originalEvent.returnValue = message; }
+        return message;
+      }
+    });
+  },
+
+  willDestroy: function() {
+    var guid = Ember.guidFor(this);
+
+    Ember.$(window).off('beforeunload.ember-location-'+guid);
+
+    this._super();
+  }
+});
+
 })();
 
 
@@ -38283,8 +40758,9 @@ var get = Ember.get, set = Ember.set;
   @class HashLocation
   @namespace Ember
   @extends Ember.Object
+  @uses Ember.BeforeUnloadSupport
 */
-Ember.HashLocation = Ember.Object.extend({
+Ember.HashLocation = Ember.Object.extend(Ember.BeforeUnloadSupport, {
   implementation: 'hash',
 
   init: function() {
@@ -38391,6 +40867,8 @@ Ember.HashLocation = Ember.Object.extend({
     var guid = Ember.guidFor(this);
 
     Ember.$(window).off('hashchange.ember-location-'+guid);
+
+    this._super();
   }
 });
 
@@ -38406,7 +40884,13 @@ Ember.HashLocation = Ember.Object.extend({
 
 var get = Ember.get, set = Ember.set;
 var popstateFired = false;
-var supportsHistoryState = window.history && 'state' in window.history;
+var supportsHistoryState = typeof window !== 'undefined' && window.history && 'state' in window.history;
+var stateIds = 0;
+
+// Identifies a history entry, including those from before a page reload.
+function nextStateId() {
+  return new Date().getTime() + '-' + (++stateIds);
+}
 
 /**
   Ember.HistoryLocation implements the location API using the browser's
@@ -38415,13 +40899,15 @@ var supportsHistoryState = window.history && 'state' in window.history;
   @class HistoryLocation
   @namespace Ember
   @extends Ember.Object
+  @uses Ember.BeforeUnloadSupport
 */
-Ember.HistoryLocation = Ember.Object.extend({
+Ember.HistoryLocation = Ember.Object.extend(Ember.BeforeUnloadSupport, {
   implementation: 'history',
 
   init: function() {
     set(this, 'location', get(this, 'location') || window.location);
     set(this, 'baseURL', Ember.$('base').attr('href') || '');
+    this._scrollPositions = {};
   },
 
   /**
@@ -38431,7 +40917,13 @@ Ember.HistoryLocation = Ember.Object.extend({
     @method initState
   */
   initState: function() {
-    set(this, 'history', get(this, 'history') || window.history);
+    var history = get(this, 'history') || window.history;
+
+    set(this, 'history', history);
+
+    // The router restores scroll positions itself.
+    if ('scrollRestoration' in history) { history.scrollRestoration = 'manual'; }
+
     this.replaceState(this.formatURL(this.getURL()));
   },
 
@@ -38511,7 +41003,64 @@ Ember.HistoryLocation = Ember.Object.extend({
    @return state {Object}
   */
   getState: function() {
-    return supportsHistoryState ? get(this, 'history').state : this._historyState;
+    if (!supportsHistoryState) { return this._historyState; }
+
+    // `history` is set by `initState`.
+    var history = get(this, 'history');
+    return history && history.state;
+  },
+
+  /**
+   Records a scroll position with the current state, so that it can be
+   restored when the user navigates back to it.
+
+   With `previousEntry`, the position is recorded with the entry the user
+   just left through the history instead. As only the current entry can be
+   changed, it is kept until the user comes back to that entry.
+
+   @private
+   @method saveScrollPosition
+   @param position {Object}
+   @param previousEntry {Boolean}
+  */
+  saveScrollPosition: function(position, previousEntry) {
+    var state = this.getState();
+
+    if (previousEntry) {
+      if (this._previousStateId) { this._scrollPositions[this._previousStateId] = position; }
+      return;
+    }
+
+    if (!state) { return; }
+
+    state = { path: state.path, id: state.id, scroll: position };
+
+    get(this, 'history').replaceState(state, null);
+
+    // store state if browser doesn't support `history.state`
+    if (!supportsHistoryState) {
+      this._historyState = state;
+    }
+  },
+
+  /**
+   Returns the scroll position recorded with the current state, if any.
+
+   @private
+   @method getSavedScrollPosition
+   @return position {Object}
+  */
+  getSavedScrollPosition: function() {
+    var state = this.getState(),
+        position = state && this._scrollPositions[state.id];
+
+    if (position) {
+      delete this._scrollPositions[state.id];
+      this.saveScrollPosition(position);
+      return position;
+    }
+
+    return state && state.scroll;
   },
 
   /**
@@ -38522,7 +41071,7 @@ Ember.HistoryLocation = Ember.Object.extend({
    @param path {String}
   */
   pushState: function(path) {
-    var state = { path: path };
+    var state = { path: path, id: nextStateId() };
 
     get(this, 'history').pushState(state, null, path);
 
@@ -38531,6 +41080,8 @@ Ember.HistoryLocation = Ember.Object.extend({
       this._historyState = state;
     }
 
+    this._stateId = state.id;
+
     // used for webkit workaround
     this._previousURL = this.getURL();
   },
@@ -38543,7 +41094,11 @@ Ember.HistoryLocation = Ember.Object.extend({
    @param path {String}
   */
   replaceState: function(path) {
-    var state = { path: path };
+    var current = this.getState(),
+        state = { path: path, id: current && current.id || nextStateId() };
+
+    // It is still the same entry, scrolled the same way.
+    if (current && current.scroll) { state.scroll = current.scroll; }
 
     get(this, 'history').replaceState(state, null, path);
 
@@ -38552,6 +41107,8 @@ Ember.HistoryLocation = Ember.Object.extend({
       this._historyState = state;
     }
 
+    this._stateId = state.id;
+
     // used for webkit workaround
     this._previousURL = this.getURL();
   },
@@ -38574,6 +41131,11 @@ Ember.HistoryLocation = Ember.Object.extend({
         popstateFired = true;
         if (self.getURL() === self._previousURL) { return; }
       }
+
+      var state = self.getState();
+      self._previousStateId = self._stateId;
+      self._stateId = state && state.id;
+
       callback(self.getURL());
     });
   },
@@ -38610,6 +41172,190 @@ Ember.HistoryLocation = Ember.Object.extend({
     var guid = Ember.guidFor(this);
 
     Ember.$(window).off('popstate.ember-location-'+guid);
+
+    this._super();
+  }
+});
+
+})();
+
+
+
+(function() {
+/**
+@module ember
+@submodule ember-routing
+*/
+
+var get = Ember.get, set = Ember.set;
+
+/**
+  `Ember.AutoLocation` uses `Ember.HistoryLocation` when the browser supports
+  `history.pushState`, and `Ember.HashLocation` otherwise, so the same
+  application works in old browsers and embedded webviews.
+
+  A URL in the other form is rewritten when the application boots, taking
+  `rootURL` into account: with history support `/app/#/posts/1` becomes
+  `/app/posts/1` without reloading the page. Without it `/app/posts/1` is
+  replaced by `/app/#/posts/1`, which reloads the page, so the router does
+  not handle the URL it booted with (see `cancelRouterSetup`).
+
+  ```javascript
+  App.Router.reopen({
+    location: 'auto',
+    rootURL: '/app/'
+  });
+  ```
+
+  The implementation is looked up from the container as `location:history`
+  or `location:hash` once the router has set `rootURL`, and the location
+  API is forwarded to it.
+
+  @class AutoLocation
+  @namespace Ember
+  @extends Ember.Object
+  @uses Ember.BeforeUnloadSupport
+*/
+Ember.AutoLocation = Ember.Object.extend(Ember.BeforeUnloadSupport, {
+  implementation: 'auto',
+
+  /**
+    Will be pre-pended to path upon state change.
+
+    @property rootURL
+    @default '/'
+  */
+  rootURL: '/',
+
+  /**
+    The location implementation that was chosen, created by `initState`.
+
+    @property concreteImplementation
+    @type Object
+  */
+  concreteImplementation: null,
+
+  /**
+    Set when the URL had to be rewritten with a page reload, in which case
+    the router does not start routing.
+
+    @property cancelRouterSetup
+    @type Boolean
+    @default false
+  */
+  cancelRouterSetup: false,
+
+  init: function() {
+    set(this, 'location', get(this, 'location') || window.location);
+    set(this, 'history', get(this, 'history') || window.history);
+  },
+
+  /**
+    Whether the browser supports `history.pushState`.
+
+    @property supportsHistory
+    @type Boolean
+  */
+  supportsHistory: Ember.computed(function() {
+    var history = get(this, 'history');
+    return !!(history && typeof history.pushState === 'function');
+  }),
+
+  /**
+    Chooses the location implementation and moves the current URL over to
+    its form if needed. Called by the router once `rootURL` is set.
+
+    @private
+    @method initState
+  */
+  initState: function() {
+    var useHistory = get(this, 'supportsHistory'),
+        rootURL = get(this, 'rootURL'),
+        location = get(this, 'location'),
+        root = rootURL.replace(/\/$/, ''),
+        atRoot = location.pathname.replace(/\/$/, '') === root,
+        hashPath = location.hash.substr(1),
+        routePath, concrete;
+
+    if (useHistory && atRoot && hashPath.charAt(0) === '/') {
+      get(this, 'history').replaceState(null, null, root + hashPath + location.search);
+    } else if (!useHistory && !atRoot && location.pathname.indexOf(root + '/') === 0) {
+      routePath = location.pathname.substr(root.length) + location.search;
+      set(this, 'cancelRouterSetup', true);
+      location.replace(rootURL + '#' + routePath);
+    }
+
+    concrete = this.createImplementation(useHistory ? 'history' : 'hash', {
+      rootURL: rootURL,
+      location: location,
+      history: get(this, 'history')
+    });
+
+    set(this, 'concreteImplementation', concrete);
+
+    if (typeof concrete.initState === 'function') { concrete.initState(); }
+  },
+
+  /**
+    Creates the location implementation registered as `location:name`.
+
+    @private
+    @method createImplementation
+    @param {String} name
+    @param {Object} options
+    @return {Object}
+  */
+  createImplementation: function(name, options) {
+    var Implementation = this.container && this.container.lookupFactory('location:' + name);
+
+    if (!Implementation) {
+      Implementation = name === 'history' ? Ember.HistoryLocation : Ember.HashLocation;
+    }
+
+    return Implementation.create(options);
+  },
+
+  getURL: function() {
+    return get(this, 'concreteImplementation').getURL();
+  },
+
+  setURL: function(path) {
+    return get(this, 'concreteImplementation').setURL(path);
+  },
+
+  replaceURL: function(path) {
+    return get(this, 'concreteImplementation').replaceURL(path);
+  },
+
+  onUpdateURL: function(callback) {
+    return get(this, 'concreteImplementation').onUpdateURL(callback);
+  },
+
+  saveScrollPosition: function(position, previousEntry) {
+    var concrete = get(this, 'concreteImplementation');
+    if (concrete.saveScrollPosition) { concrete.saveScrollPosition(position, previousEntry); }
+  },
+
+  getSavedScrollPosition: function() {
+    var concrete = get(this, 'concreteImplementation');
+    return concrete.getSavedScrollPosition && concrete.getSavedScrollPosition();
+  },
+
+  formatURL: function(url) {
+    return get(this, 'concreteImplementation').formatURL(url);
+  },
+
+  /**
+    Destroys the chosen location implementation.
+
+    @private
+    @method willDestroy
+  */
+  willDestroy: function() {
+    var concrete = get(this, 'concreteImplementation');
+    if (concrete) { concrete.destroy(); }
+
+    this._super();
   }
 });
 
@@ -38816,6 +41562,7 @@ var get = Ember.get,
   'view:posts.index' //=> App.PostsIndexView
   'view:blog/post' //=> Blog.PostView
   'view:basic' //=> Ember.View
+  'service:session' //=> App.SessionService
   'foo:post' //=> App.PostFoo
   'model:post' //=> App.Post
   ```
@@ -39043,6 +41790,45 @@ Ember.DefaultResolver = Ember.Object.extend({
 
   makeToString: function(factory, fullName) {
     return factory.toString();
+  },
+
+  /**
+    Lists the fullNames of a type this resolver can resolve, for debugging
+    the container: the templates on `Ember.TEMPLATES`, or the classes on the
+    application namespace whose name ends with the classified type, e.g.
+    `App.PostsIndexController` for `controller:postsIndex`. Models have no
+    suffix to recognize them by and are not listed.
+
+    @method knownForType
+    @param {String} type
+    @return {Object} the fullNames as keys
+  */
+  knownForType: function(type) {
+    var known = {},
+        namespace = get(this, 'namespace'),
+        suffix = classify(type),
+        key, name;
+
+    if (type === 'template') {
+      for (key in Ember.TEMPLATES) {
+        if (Ember.TEMPLATES.hasOwnProperty(key)) { known['template:' + key] = true; }
+      }
+      return known;
+    }
+
+    if (type === 'model') { return known; }
+
+    for (key in namespace) {
+      if (!namespace.hasOwnProperty(key) || key.length <= suffix.length ||
+          key.slice(-suffix.length) !== suffix || !/^[A-Z]/.test(key)) {
+        continue;
+      }
+
+      name = key.slice(0, -suffix.length);
+      known[type + ':' + name.charAt(0).toLowerCase() + name.slice(1)] = true;
+    }
+
+    return known;
   }
 });
 
@@ -39274,6 +42060,38 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
   */
   customEvents: null,
 
+  /**
+    How the application's views are rendered.
+
+    * `dom`: views are inserted into the application's `rootElement`
+      (the default).
+    * `string`: views are never inserted into a document. The event
+      dispatcher is not set up and the application's view hierarchy can be
+      serialized with `renderToString`. Use this, together with the `none`
+      location, to render pages on a server:
+
+    ```javascript
+    App = Ember.Application.create({ renderMode: 'string' });
+    App.Router.reopen({ location: 'none' });
+
+    App.then(function() {
+      return App.handleURL('/posts/1');
+    }).then(function() {
+      var html = App.renderToString();
+    });
+    ```
+
+    * `rehydrate`: the first top-level view adopts the markup already
+      present in the `rootElement` (typically produced by `renderToString`
+      on a server) instead of rendering it again. See
+      `Ember.View#rehydrateIn`.
+
+    @property renderMode
+    @type String
+    @default 'dom'
+  */
+  renderMode: 'dom',
+
   // Start off the number of deferrals at 1. This will be
   // decremented by the Application's own `initialize` method.
   _readinessDeferrals: 1,
@@ -39368,7 +42186,7 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
   scheduleInitialize: function() {
     var self = this;
 
-    if (!this.$ || this.$.isReady) {
+    if (!this.$ || this.$.isReady || get(this, 'renderMode') === 'string') {
       Ember.run.schedule('actions', self, '_initialize');
     } else {
       this.$().ready(function runInitialize() {
@@ -39633,7 +42451,9 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
     @method didBecomeReady
   */
   didBecomeReady: function() {
-    this.setupEventDispatcher();
+    if (get(this, 'renderMode') !== 'string') {
+      this.setupEventDispatcher();
+    }
     this.ready(); // user hook
     this.startRouting();
 
@@ -39678,10 +42498,37 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
     router.startRouting();
   },
 
+  /**
+    Transition the application to the given URL.
+
+    @method handleURL
+    @param {String} url
+    @return {Transition} the transition, which resolves once the
+      destination's models have been resolved
+  */
   handleURL: function(url) {
     var router = this.__container__.lookup('router:main');
 
-    router.handleURL(url);
+    return router.handleURL(url);
+  },
+
+  /**
+    Serialize the application's current view hierarchy (including the
+    contents of its `{{outlet}}`s) to an HTML string. Only available when
+    the application's `renderMode` is `string`.
+
+    @method renderToString
+    @return {String} the HTML of the top-level view, or an empty string if
+      nothing has been rendered yet
+  */
+  renderToString: function() {
+    
+    var router = this.__container__.lookup('router:main'),
+        view = router && router._toplevelView;
+
+    if (!view || view.isDestroyed) { return ''; }
+
+    return Ember.run(view, 'renderToString');
   },
 
   /**
@@ -39745,6 +42592,8 @@ Ember.Application.reopenClass({
       not singletons)
     * registered templates are not factories; the registered value is
       returned directly.
+    * services are singletons, destroyed with the container when the
+      application is destroyed or reset
     * the router receives the application as its `namespace` property
     * all controllers receive the router as their `target` and `controllers`
       properties
@@ -39771,11 +42620,13 @@ Ember.Application.reopenClass({
     container.normalize = container.resolver.normalize;
     container.describe  = container.resolver.describe;
     container.makeToString = container.resolver.makeToString;
+    container.knownForType = container.resolver.knownForType;
 
     container.optionsForType('component', { singleton: false });
     container.optionsForType('view', { singleton: false });
     container.optionsForType('template', { instantiate: false });
     container.optionsForType('helper', { instantiate: false });
+    container.optionsForType('service', { singleton: true });
 
     container.register('application:main', namespace, { instantiate: false });
 
@@ -39791,6 +42642,7 @@ Ember.Application.reopenClass({
     container.register('location:hash', Ember.HashLocation);
     container.register('location:history', Ember.HistoryLocation);
     container.register('location:none', Ember.NoneLocation);
+    container.register('location:auto', Ember.AutoLocation);
 
     container.injection('controller', 'target', 'router:main');
     container.injection('controller', 'namespace', 'application:main');
@@ -39838,6 +42690,10 @@ function resolverFor(namespace) {
     return resolver.makeToString(factory, fullName);
   };
 
+  resolve.knownForType = function(type) {
+    return resolver.knownForType ? resolver.knownForType(type) : {};
+  };
+
   resolve.normalize = function(fullName) {
     if (resolver.normalize) {
       return resolver.normalize(fullName);
@@ -40244,6 +43100,33 @@ Ember.DataAdapter = Ember.Object.extend({
     });
   },
 
+  /**
+    Lists the application's services: the ones registered as `service:name`
+    and the ones the resolver finds, like `App.SessionService`.
+
+    @public
+    @method getServices
+    @return {Array} Objects with the service's `name`, `fullName`,
+      `className`, whether it `isInstantiated` and, if so, the `object`.
+  */
+  getServices: function() {
+    var container = this.get('container');
+
+    if (!container) { return Ember.A(); }
+
+    return Ember.A(container.registrations('service')).map(function(registration) {
+      var fullName = registration.fullName;
+
+      return {
+        name: fullName.split(':')[1],
+        fullName: fullName,
+        className: registration.factory ? container.makeToString(registration.factory, fullName) : container.describe(fullName),
+        isInstantiated: registration.isCached,
+        object: registration.isCached ? container.lookup(fullName) : null
+      };
+    });
+  },
+
   /**
     Detect whether a class is a model.
 
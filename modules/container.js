@@ -197,6 +197,19 @@ define("container",
       */
       injections: null,
 
+      /**
+        When set on a child container, it only creates the objects it
+        resolves itself, i.e. the ones registered on it or found by its own
+        `resolver`, and leaves every other lookup to its parent. The objects
+        the parent creates, like its singletons, are then shared instead of
+        being created once more for the child.
+
+        @property delegatesToParent
+        @type Boolean
+        @default false
+      */
+      delegatesToParent: false,
+
       /**
         @private
 
@@ -367,6 +380,21 @@ define("container",
         return fullName;
       },
 
+      /**
+        A hook the resolver can provide to list the fullNames of a type that
+        it would resolve without them being registered, as the keys of the
+        returned object. Used by `registrations` and `injectionGraph`. A child
+        container that shares its parent's resolver asks the parent.
+
+        @method knownForType
+        @param {String} type
+        @return {Object} fullNames as keys
+      */
+      knownForType: function(type) {
+        var parent = this.parent;
+        return parent && parent.resolver === this.resolver ? parent.knownForType(type) : {};
+      },
+
       /**
         A hook to enable custom fullName normalization behaviour
 
@@ -704,6 +732,187 @@ define("container",
         addInjection(this.factoryInjections, normalizedName, property, normalizedInjectionName);
       },
 
+      /**
+        Lists everything this container can look up: the registered factories,
+        including the ones inherited from parent containers, and the ones the
+        resolver reports through `knownForType`.
+
+        ```javascript
+        container.registrations('controller');
+        // => [{ fullName: 'controller:basic', source: 'registry', ... },
+        //     { fullName: 'controller:post', source: 'resolver', ... }]
+        ```
+
+        Each entry has the `fullName`, its `source` (`'registry'` or
+        `'resolver'`), the `factory`, the effective `options` and whether an
+        instance of it is cached (`isCached`).
+
+        Without a type, the resolver is asked about every type the container
+        has registrations, options or injection rules for.
+
+        @method registrations
+        @param {String} type (optional)
+        @return {Array}
+      */
+      registrations: function(type) {
+        var container = this,
+            registrations = [],
+            seen = {},
+            types = type ? [type] : knownTypes(this);
+
+        function add(fullName, factory, source) {
+          seen[fullName] = true;
+          registrations.push({
+            fullName: fullName,
+            source: source,
+            factory: factory,
+            options: optionsFor(container, fullName),
+            isCached: container.cache.has(fullName)
+          });
+        }
+
+        eachInherited(this.registry, function(fullName, factory) {
+          if (!type || typeOf(fullName) === type) {
+            add(fullName, factory, 'registry');
+          }
+        });
+
+        for (var i = 0, l = types.length; i < l; i++) {
+          var known = this.knownForType(types[i]) || {};
+
+          for (var fullName in known) {
+            var normalizedName = this.normalize(fullName);
+
+            if (known.hasOwnProperty(fullName) && !seen[normalizedName]) {
+              add(normalizedName, this.resolve(normalizedName), 'resolver');
+            }
+          }
+        }
+
+        return registrations.sort(function(a, b) {
+          return a.fullName < b.fullName ? -1 : (a.fullName > b.fullName ? 1 : 0);
+        });
+      },
+
+      /**
+        Lists the injection rules of this container as objects with the `kind`
+        of rule (`'typeInjection'`, `'injection'`, `'factoryTypeInjection'` or
+        `'factoryInjection'`), the `target` type or fullName, the injected
+        `property` and the `fullName` that is injected.
+
+        ```javascript
+        container.injection('controller', 'router', 'router:main');
+
+        container.injectionRules();
+        // => [{ kind: 'typeInjection', target: 'controller', property: 'router', fullName: 'router:main' }]
+        ```
+
+        @method injectionRules
+        @return {Array}
+      */
+      injectionRules: function() {
+        var rules = [];
+
+        function add(kind) {
+          return function(target, injections) {
+            for (var i = 0, l = injections.length; i < l; i++) {
+              rules.push({ kind: kind, target: target, property: injections[i].property, fullName: injections[i].fullName });
+            }
+          };
+        }
+
+        eachInherited(this.typeInjections, add('typeInjection'));
+        eachOwn(this.injections, add('injection'));
+        eachInherited(this.factoryTypeInjections, add('factoryTypeInjection'));
+        eachOwn(this.factoryInjections, add('factoryInjection'));
+
+        return rules;
+      },
+
+      /**
+        Lists the instances this container has cached, as objects with a
+        `fullName` and the `instance`.
+
+        @method singletons
+        @return {Array}
+      */
+      singletons: function() {
+        var singletons = [];
+
+        eachInherited(this.cache, function(fullName, instance) {
+          singletons.push({ fullName: fullName, instance: instance });
+        });
+
+        return singletons;
+      },
+
+      /**
+        Describes which factories get which objects injected. Type injection
+        rules are expanded to every fullName of that type `registrations`
+        knows about.
+
+        By default the graph is returned as an object with `nodes`, each with
+        an `id` (the fullName) and its `source`, and `edges`, each with the
+        injected fullName as `from`, the fullName it is injected into as `to`,
+        the `property` and the `kind` of rule. Passing `'dot'` returns the
+        same graph as Graphviz source instead, drawing factory injections as
+        dashed edges and the factories only the resolver knows about as dotted
+        nodes:
+
+        ```javascript
+        console.log(container.injectionGraph('dot'));
+        // digraph container {
+        //   "router:main" -> "controller:post" [label="target"];
+        //   ...
+        // }
+        ```
+
+        @method injectionGraph
+        @param {String} format `'json'` (default) or `'dot'`
+        @return {Object|String}
+      */
+      injectionGraph: function(format) {
+        var registrations = this.registrations(),
+            rules = this.injectionRules(),
+            nodes = [],
+            edges = [],
+            nodeIndex = {},
+            i, l;
+
+        function addNode(fullName, source) {
+          if (!nodeIndex.hasOwnProperty(fullName)) {
+            nodeIndex[fullName] = nodes.length;
+            nodes.push({ id: fullName, source: source });
+          }
+        }
+
+        for (i = 0, l = registrations.length; i < l; i++) {
+          addNode(registrations[i].fullName, registrations[i].source);
+        }
+
+        for (i = 0, l = rules.length; i < l; i++) {
+          var rule = rules[i];
+
+          addNode(rule.fullName, 'unknown');
+
+          if (rule.target.indexOf(':') !== -1) {
+            addNode(rule.target, 'unknown');
+            edges.push({ from: rule.fullName, to: rule.target, property: rule.property, kind: rule.kind });
+            continue;
+          }
+
+          for (var j = 0, k = registrations.length; j < k; j++) {
+            if (typeOf(registrations[j].fullName) === rule.target) {
+              edges.push({ from: rule.fullName, to: registrations[j].fullName, property: rule.property, kind: rule.kind });
+            }
+          }
+        }
+
+        var graph = { nodes: nodes, edges: edges };
+
+        return format === 'dot' ? graphToDOT(graph) : graph;
+      },
+
       /**
         A depth first traversal, destroying the container, its descendant containers and all
         their managed objects.
@@ -711,16 +920,29 @@ define("container",
         @method destroy
       */
       destroy: function() {
-        for (var i=0, l=this.children.length; i<l; i++) {
-          this.children[i].destroy();
-        }
+        var children = this.children, i, l;
 
         this.children = [];
 
+        for (i=0, l=children.length; i<l; i++) {
+          children[i].destroy();
+        }
+
         eachDestroyable(this, function(item) {
           item.destroy();
         });
 
+        if (this.parent) {
+          var siblings = this.parent.children;
+
+          for (i=0, l=siblings.length; i<l; i++) {
+            if (siblings[i] === this) {
+              siblings.splice(i, 1);
+              break;
+            }
+          }
+        }
+
         this.parent = undefined;
         this.isDestroyed = true;
       },
@@ -737,6 +959,10 @@ define("container",
     };
 
     function has(container, fullName){
+      if (isDelegated(container, fullName)) {
+        return has(container.parent, container.parent.normalize(fullName));
+      }
+
       if (container.cache.has(fullName)) {
         return true;
       }
@@ -747,6 +973,10 @@ define("container",
     function lookup(container, fullName, options) {
       options = options || {};
 
+      if (isDelegated(container, fullName)) {
+        return lookup(container.parent, container.parent.normalize(fullName), options);
+      }
+
       if (container.cache.has(fullName) && options.singleton !== false) {
         return container.cache.get(fullName);
       }
@@ -762,6 +992,15 @@ define("container",
       return value;
     }
 
+    // Whether a child container with `delegatesToParent` leaves fullName to
+    // its parent.
+    function isDelegated(container, fullName) {
+      return container.delegatesToParent && !!container.parent &&
+             !container.registry.dict.hasOwnProperty(fullName) &&
+             !container.cache.dict.hasOwnProperty(fullName) &&
+             !container.resolver(fullName);
+    }
+
     function illegalChildOperation(operation) {
       throw new Error(operation + " is not currently supported on child containers");
     }
@@ -772,7 +1011,7 @@ define("container",
       return singleton !== false;
     }
 
-    function buildInjections(container, injections) {
+    function buildInjections(container, injections, fullName) {
       var hash = {};
 
       if (!injections) { return hash; }
@@ -786,7 +1025,8 @@ define("container",
         if (injectable !== undefined) {
           hash[injection.property] = injectable;
         } else {
-          throw new Error('Attempting to inject an unknown injection: `' + injection.fullName + '`');
+          throw new Error('Attempting to inject an unknown injection: `' + injection.fullName + '` into `' +
+                          fullName + '` as `' + injection.property + '`');
         }
       }
 
@@ -809,6 +1049,10 @@ define("container",
     }
 
     function factoryFor(container, fullName) {
+      if (isDelegated(container, fullName)) {
+        return factoryFor(container.parent, container.parent.normalize(fullName));
+      }
+
       var name = fullName;
       var factory = container.resolve(name);
       var injectedFactory;
@@ -849,7 +1093,7 @@ define("container",
       injections = injections.concat(container.typeInjections.get(type) || []);
       injections = injections.concat(container.injections[fullName] || []);
 
-      injections = buildInjections(container, injections);
+      injections = buildInjections(container, injections, fullName);
       injections._debugContainerKey = fullName;
       injections.container = container;
 
@@ -864,7 +1108,7 @@ define("container",
       factoryInjections = factoryInjections.concat(container.factoryTypeInjections.get(type) || []);
       factoryInjections = factoryInjections.concat(container.factoryInjections[fullName] || []);
 
-      factoryInjections = buildInjections(container, factoryInjections);
+      factoryInjections = buildInjections(container, factoryInjections, fullName);
       factoryInjections._debugContainerKey = fullName;
 
       return factoryInjections;
@@ -919,6 +1163,87 @@ define("container",
       });
     }
 
+    function typeOf(fullName) {
+      return fullName.split(':')[0];
+    }
+
+    function optionsFor(container, fullName) {
+      var typeOptions = container._typeOptions.get(typeOf(fullName)) || {},
+          ownOptions = container._options.get(fullName) || {},
+          options = {}, key;
+
+      for (key in typeOptions) { options[key] = typeOptions[key]; }
+      for (key in ownOptions) { options[key] = ownOptions[key]; }
+
+      return options;
+    }
+
+    // Calls back with every key of an InheritingDict, including the inherited
+    // ones that are not overridden.
+    function eachInherited(dict, callback) {
+      var seen = {};
+
+      for (var current = dict; current; current = current.parent) {
+        current.eachLocal(function(key, value) {
+          if (!seen.hasOwnProperty(key)) {
+            seen[key] = true;
+            callback(key, value);
+          }
+        });
+      }
+    }
+
+    function eachOwn(hash, callback) {
+      for (var key in hash) {
+        if (hash.hasOwnProperty(key)) { callback(key, hash[key]); }
+      }
+    }
+
+    function knownTypes(container) {
+      var types = [], seen = {};
+
+      function add(type) {
+        if (!seen[type]) {
+          seen[type] = true;
+          types.push(type);
+        }
+      }
+
+      function addFullName(fullName) { add(typeOf(fullName)); }
+
+      eachInherited(container.registry, addFullName);
+      eachInherited(container._typeOptions, add);
+      eachInherited(container.typeInjections, add);
+      eachInherited(container.factoryTypeInjections, add);
+      eachOwn(container.injections, addFullName);
+      eachOwn(container.factoryInjections, addFullName);
+
+      return types;
+    }
+
+    function graphToDOT(graph) {
+      var lines = ['digraph container {'], i, l;
+
+      function quote(id) {
+        return '"' + id.replace(/"/g, '\\"') + '"';
+      }
+
+      for (i = 0, l = graph.nodes.length; i < l; i++) {
+        lines.push('  ' + quote(graph.nodes[i].id) + (graph.nodes[i].source === 'resolver' ? ' [style=dotted];' : ';'));
+      }
+
+      for (i = 0, l = graph.edges.length; i < l; i++) {
+        var edge = graph.edges[i],
+            style = edge.kind.indexOf('factory') === 0 ? ', style=dashed' : '';
+
+        lines.push('  ' + quote(edge.from) + ' -> ' + quote(edge.to) + ' [label=' + quote(edge.property) + style + '];');
+      }
+
+      lines.push('}');
+
+      return lines.join('\n');
+    }
+
     var VALID_FULL_NAME_REGEXP = /^[^:]+.+:[^:]+$/;
     function validateFullName(fullName) {
       if (!VALID_FULL_NAME_REGEXP.test(fullName)) {
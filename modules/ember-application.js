@@ -180,6 +180,7 @@ var get = Ember.get,
   'view:posts.index' //=> App.PostsIndexView
   'view:blog/post' //=> Blog.PostView
   'view:basic' //=> Ember.View
+  'service:session' //=> App.SessionService
   'foo:post' //=> App.PostFoo
   'model:post' //=> App.Post
   ```
@@ -412,6 +413,45 @@ Ember.DefaultResolver = Ember.Object.extend({
 
   makeToString: function(factory, fullName) {
     return factory.toString();
+  },
+
+  /**
+    Lists the fullNames of a type this resolver can resolve, for debugging
+    the container: the templates on `Ember.TEMPLATES`, or the classes on the
+    application namespace whose name ends with the classified type, e.g.
+    `App.PostsIndexController` for `controller:postsIndex`. Models have no
+    suffix to recognize them by and are not listed.
+
+    @method knownForType
+    @param {String} type
+    @return {Object} the fullNames as keys
+  */
+  knownForType: function(type) {
+    var known = {},
+        namespace = get(this, 'namespace'),
+        suffix = classify(type),
+        key, name;
+
+    if (type === 'template') {
+      for (key in Ember.TEMPLATES) {
+        if (Ember.TEMPLATES.hasOwnProperty(key)) { known['template:' + key] = true; }
+      }
+      return known;
+    }
+
+    if (type === 'model') { return known; }
+
+    for (key in namespace) {
+      if (!namespace.hasOwnProperty(key) || key.length <= suffix.length ||
+          key.slice(-suffix.length) !== suffix || !/^[A-Z]/.test(key)) {
+        continue;
+      }
+
+      name = key.slice(0, -suffix.length);
+      known[type + ':' + name.charAt(0).toLowerCase() + name.slice(1)] = true;
+    }
+
+    return known;
   }
 });
 
@@ -435,7 +475,7 @@ DeprecatedContainer.deprecate = function(method) {
   return function() {
     var container = this._container;
 
-    Ember.deprecate('Using the defaultContainer is no longer supported. [defaultContainer#' + method + '] see: http://git.io/EKPpnA', false);
+    Ember.deprecate('Using the defaultContainer is no longer supported. [defaultContainer#' + method + '] see: http://git.io/EKPpnA', false, { id: 'ember-application.default-container', until: '2.0.0' });
     return container[method].apply(container, arguments);
   };
 };
@@ -644,6 +684,38 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
   */
   customEvents: null,
 
+  /**
+    How the application's views are rendered.
+
+    * `dom`: views are inserted into the application's `rootElement`
+      (the default).
+    * `string`: views are never inserted into a document. The event
+      dispatcher is not set up and the application's view hierarchy can be
+      serialized with `renderToString`. Use this, together with the `none`
+      location, to render pages on a server:
+
+    ```javascript
+    App = Ember.Application.create({ renderMode: 'string' });
+    App.Router.reopen({ location: 'none' });
+
+    App.then(function() {
+      return App.handleURL('/posts/1');
+    }).then(function() {
+      var html = App.renderToString();
+    });
+    ```
+
+    * `rehydrate`: the first top-level view adopts the markup already
+      present in the `rootElement` (typically produced by `renderToString`
+      on a server) instead of rendering it again. See
+      `Ember.View#rehydrateIn`.
+
+    @property renderMode
+    @type String
+    @default 'dom'
+  */
+  renderMode: 'dom',
+
   // Start off the number of deferrals at 1. This will be
   // decremented by the Application's own `initialize` method.
   _readinessDeferrals: 1,
@@ -741,7 +813,7 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
   scheduleInitialize: function() {
     var self = this;
 
-    if (!this.$ || this.$.isReady) {
+    if (!this.$ || this.$.isReady || get(this, 'renderMode') === 'string') {
       Ember.run.schedule('actions', self, '_initialize');
     } else {
       this.$().ready(function runInitialize() {
@@ -862,7 +934,7 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
     @method initialize
    **/
   initialize: function() {
-    Ember.deprecate('Calling initialize manually is not supported. Please see Ember.Application#advanceReadiness and Ember.Application#deferReadiness');
+    Ember.deprecate('Calling initialize manually is not supported. Please see Ember.Application#advanceReadiness and Ember.Application#deferReadiness', false, { id: 'ember-application.initialize', until: '2.0.0' });
   },
   /**
     Initialize the application. This happens automatically.
@@ -1011,7 +1083,9 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
     @method didBecomeReady
   */
   didBecomeReady: function() {
-    this.setupEventDispatcher();
+    if (get(this, 'renderMode') !== 'string') {
+      this.setupEventDispatcher();
+    }
     this.ready(); // user hook
     this.startRouting();
 
@@ -1056,10 +1130,38 @@ var Application = Ember.Application = Ember.Namespace.extend(Ember.DeferredMixin
     router.startRouting();
   },
 
+  /**
+    Transition the application to the given URL.
+
+    @method handleURL
+    @param {String} url
+    @return {Transition} the transition, which resolves once the
+      destination's models have been resolved
+  */
   handleURL: function(url) {
     var router = this.__container__.lookup('router:main');
 
-    router.handleURL(url);
+    return router.handleURL(url);
+  },
+
+  /**
+    Serialize the application's current view hierarchy (including the
+    contents of its `{{outlet}}`s) to an HTML string. Only available when
+    the application's `renderMode` is `string`.
+
+    @method renderToString
+    @return {String} the HTML of the top-level view, or an empty string if
+      nothing has been rendered yet
+  */
+  renderToString: function() {
+    Ember.assert("You can only call renderToString on an application whose renderMode is 'string'", get(this, 'renderMode') === 'string');
+
+    var router = this.__container__.lookup('router:main'),
+        view = router && router._toplevelView;
+
+    if (!view || view.isDestroyed) { return ''; }
+
+    return Ember.run(view, 'renderToString');
   },
 
   /**
@@ -1126,6 +1228,8 @@ Ember.Application.reopenClass({
       not singletons)
     * registered templates are not factories; the registered value is
       returned directly.
+    * services are singletons, destroyed with the container when the
+      application is destroyed or reset
     * the router receives the application as its `namespace` property
     * all controllers receive the router as their `target` and `controllers`
       properties
@@ -1152,11 +1256,13 @@ Ember.Application.reopenClass({
     container.normalize = container.resolver.normalize;
     container.describe  = container.resolver.describe;
     container.makeToString = container.resolver.makeToString;
+    container.knownForType = container.resolver.knownForType;
 
     container.optionsForType('component', { singleton: false });
     container.optionsForType('view', { singleton: false });
     container.optionsForType('template', { instantiate: false });
     container.optionsForType('helper', { instantiate: false });
+    container.optionsForType('service', { singleton: true });
 
     container.register('application:main', namespace, { instantiate: false });
 
@@ -1172,6 +1278,7 @@ Ember.Application.reopenClass({
     container.register('location:hash', Ember.HashLocation);
     container.register('location:history', Ember.HistoryLocation);
     container.register('location:none', Ember.NoneLocation);
+    container.register('location:auto', Ember.AutoLocation);
 
     container.injection('controller', 'target', 'router:main');
     container.injection('controller', 'namespace', 'application:main');
@@ -1200,7 +1307,7 @@ Ember.Application.reopenClass({
 */
 function resolverFor(namespace) {
   if (namespace.get('resolver')) {
-    Ember.deprecate('Application.resolver is deprecated in favor of Application.Resolver', false);
+    Ember.deprecate('Application.resolver is deprecated in favor of Application.Resolver', false, { id: 'ember-application.resolver', until: '2.0.0' });
   }
 
   var ResolverClass = namespace.get('resolver') || namespace.get('Resolver') || Ember.DefaultResolver;
@@ -1220,11 +1327,15 @@ function resolverFor(namespace) {
     return resolver.makeToString(factory, fullName);
   };
 
+  resolve.knownForType = function(type) {
+    return resolver.knownForType ? resolver.knownForType(type) : {};
+  };
+
   resolve.normalize = function(fullName) {
     if (resolver.normalize) {
       return resolver.normalize(fullName);
     } else {
-      Ember.deprecate('The Resolver should now provide a \'normalize\' function', false);
+      Ember.deprecate('The Resolver should now provide a \'normalize\' function', false, { id: 'ember-application.resolver-normalize', until: '2.0.0' });
       return fullName;
     }
   };
@@ -1238,6 +1349,146 @@ Ember.runLoadHooks('Ember.Application', Ember.Application);
 
 
 
+(function() {
+/**
+@module ember
+@submodule ember-application
+*/
+
+var get = Ember.get;
+
+/**
+  An engine is a self-contained part of an application, with its own routes,
+  controllers, views, templates and services, that is mounted under a route
+  of the application with `mount` in its router map:
+
+  ```javascript
+  Blog = Ember.Engine.create();
+
+  Blog.map(function() {
+    this.route('post', { path: '/:post_id' });
+  });
+
+  Blog.PostRoute = Ember.Route.extend({
+    session: Ember.inject.service()
+  });
+
+  Blog.TEMPLATES.post = Ember.Handlebars.compile('<h1>{{title}}</h1>');
+
+  App.Router.map(function() {
+    this.mount('blog', { engine: Blog, path: '/news' });
+  });
+  ```
+
+  The routes of the engine are named after the mount point, `blog.post`
+  above, and are looked up from a child of the application's container:
+
+  * `route:blog.post`, `controller:blog.post` and `view:blog.post` are
+    `Blog.PostRoute`, `Blog.PostController` and `Blog.PostView`, and
+    `template:blog/post` is `Blog.TEMPLATES.post`.
+  * other names, e.g. `service:analytics`, are resolved on the engine first
+    (`Blog.AnalyticsService`).
+  * anything the engine does not define is looked up from the application's
+    container, so the engine shares the application's services and
+    `Ember.TEMPLATES['blog/post']` still works.
+
+  The child container is created when the engine's routes are first looked
+  up, and destroyed with everything it created when the route the engine is
+  mounted at is exited.
+
+  @class Engine
+  @namespace Ember
+  @extends Ember.Namespace
+*/
+Ember.Engine = Ember.Namespace.extend({
+  /**
+    The resolver class used to find the engine's objects on the engine.
+
+    @property Resolver
+    @default Ember.DefaultResolver
+  */
+  Resolver: null,
+
+  /**
+    The engine's templates, by name without the mount point.
+
+    @property TEMPLATES
+    @type Object
+  */
+  TEMPLATES: null,
+
+  /**
+    The engine's router map, set with `map`.
+
+    @property routerMap
+    @type Function
+  */
+  routerMap: null,
+
+  init: function() {
+    this._super();
+
+    if (!this.TEMPLATES) { this.TEMPLATES = {}; }
+  },
+
+  /**
+    Defines the routes of the engine. The callback is called with the same
+    DSL as `Ember.Router.map`, inside the resource the engine is mounted
+    as.
+
+    @method map
+    @param {Function} callback
+  */
+  map: function(callback) {
+    this.routerMap = callback;
+  },
+
+  /**
+    Creates the child of `parent` the engine's objects are looked up from
+    when it is mounted at `mountName`.
+
+    @method buildContainer
+    @param {Container} parent the application's container, or the container
+      of the engine it is mounted in
+    @param {String} mountName
+    @return {Container}
+  */
+  buildContainer: function(parent, mountName) {
+    var container = parent.child(),
+        ResolverClass = get(this, 'Resolver') || Ember.DefaultResolver,
+        resolver = ResolverClass.create({ namespace: this }),
+        templates = this.TEMPLATES;
+
+    container.delegatesToParent = true;
+    container.describe = parent.describe;
+    container.makeToString = parent.makeToString;
+
+    container.resolver = function(fullName) {
+      var split = fullName.split(':'),
+          type = split[0],
+          name = split[1];
+
+      if (name === mountName) { return; }
+
+      if (name.indexOf(mountName + '.') === 0 || name.indexOf(mountName + '/') === 0) {
+        name = name.slice(mountName.length + 1);
+      }
+
+      if (type === 'template') {
+        return templates[name.replace(/\./g, '/')];
+      }
+
+      return resolver.resolve(type + ':' + name);
+    };
+
+    return container;
+  }
+});
+
+})();
+
+
+
 (function() {
 
 })();
@@ -1382,7 +1633,7 @@ Ember.ControllerMixin.reopen({
     @deprecated Use `needs` instead
   */
   controllerFor: function(controllerName) {
-    Ember.deprecate("Controller#controllerFor is deprecated, please use Controller#needs instead");
+    Ember.deprecate("Controller#controllerFor is deprecated, please use Controller#needs instead", false, { id: 'ember-application.controller-for', until: '2.0.0' });
     return Ember.controllerFor(get(this, 'container'), controllerName);
   },
 
@@ -202,6 +202,33 @@ Ember.DataAdapter = Ember.Object.extend({
     });
   },
 
+  /**
+    Lists the application's services: the ones registered as `service:name`
+    and the ones the resolver finds, like `App.SessionService`.
+
+    @public
+    @method getServices
+    @return {Array} Objects with the service's `name`, `fullName`,
+      `className`, whether it `isInstantiated` and, if so, the `object`.
+  */
+  getServices: function() {
+    var container = this.get('container');
+
+    if (!container) { return Ember.A(); }
+
+    return Ember.A(container.registrations('service')).map(function(registration) {
+      var fullName = registration.fullName;
+
+      return {
+        name: fullName.split(':')[1],
+        fullName: fullName,
+        className: registration.factory ? container.makeToString(registration.factory, fullName) : container.describe(fullName),
+        isInstantiated: registration.isCached,
+        object: registration.isCached ? container.lookup(fullName) : null
+      };
+    });
+  },
+
   /**
     Detect whether a class is a model.
 
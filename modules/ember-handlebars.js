@@ -660,7 +660,7 @@ Ember._Metamorph = Ember.Mixin.create({
   init: function() {
     this._super();
     this.morph = Metamorph();
-    Ember.deprecate('Supplying a tagName to Metamorph views is unreliable and is deprecated. You may be setting the tagName on a Handlebars helper that creates a Metamorph.', !this.tagName);
+    Ember.deprecate('Supplying a tagName to Metamorph views is unreliable and is deprecated. You may be setting the tagName on a Handlebars helper that creates a Metamorph.', !this.tagName, { id: 'ember-handlebars.metamorph-tag-name', until: '2.0.0' });
   },
 
   beforeRender: function(buffer) {
@@ -750,6 +750,10 @@ SimpleHandlebarsView.prototype = {
 
   propertyDidChange: Ember.K,
 
+  toString: function() {
+    return '<Ember._SimpleHandlebarsView:{{' + this.path + '}}>';
+  },
+
   normalizedValue: function() {
     var path = this.path,
         pathRoot = this.pathRoot,
@@ -796,6 +800,8 @@ SimpleHandlebarsView.prototype = {
   },
 
   rerender: function() {
+    if (Ember._loopRecorder) { Ember._loopRecorder.viewDidRerender(this); }
+
     switch(this.state) {
       case 'preRender':
       case 'destroyed':
@@ -1715,7 +1721,7 @@ EmberHandlebars.registerHelper('bind-attr', function bindAttrHelper(options) {
   @return {String} HTML string
 */
 EmberHandlebars.registerHelper('bindAttr', function bindAttrHelper() {
-  Ember.warn("The 'bindAttr' view helper is deprecated in favor of 'bind-attr'");
+  Ember.deprecate("The 'bindAttr' view helper is deprecated in favor of 'bind-attr'", false, { id: 'ember-handlebars.bind-attr', until: '2.0.0' });
   return EmberHandlebars.helpers['bind-attr'].apply(this, arguments);
 });
 
@@ -2347,7 +2353,7 @@ var get = Ember.get, handlebarsGet = Ember.Handlebars.get, fmt = Ember.String.fm
   @deprecated Use `{{each}}` helper instead.
 */
 Ember.Handlebars.registerHelper('collection', function collectionHelper(path, options) {
-  Ember.deprecate("Using the {{collection}} helper without specifying a class has been deprecated as the {{each}} helper now supports the same functionality.", path !== 'collection');
+  Ember.deprecate("Using the {{collection}} helper without specifying a class has been deprecated as the {{each}} helper now supports the same functionality.", path !== 'collection', { id: 'ember-handlebars.collection-without-class', until: '2.0.0' });
 
   // If no path is provided, treat path param as options.
   if (path && path.data && path.data.isRenderData) {
@@ -3048,7 +3054,7 @@ Ember.Handlebars.registerHelper('each', function eachHelper(path, options) {
 */
 
 Ember.Handlebars.registerHelper('template', function(name, options) {
-  Ember.deprecate("The `template` helper has been deprecated in favor of the `partial` helper. Please use `partial` instead, which will work the same way.");
+  Ember.deprecate("The `template` helper has been deprecated in favor of the `partial` helper. Please use `partial` instead, which will work the same way.", false, { id: 'ember-handlebars.template-helper', until: '2.0.0' });
   return Ember.Handlebars.helpers.partial.apply(this, arguments);
 });
 
@@ -4721,7 +4727,11 @@ Ember.Handlebars.bootstrap = function(ctx) {
   });
 };
 
-function bootstrap() {
+function bootstrap(container, application) {
+  // Applications rendered to a string may not have a document to pick up
+  // inline templates from.
+  if (typeof document === 'undefined' || Ember.get(application, 'renderMode') === 'string') { return; }
+
   Ember.Handlebars.bootstrap( Ember.$(document) );
 }
 
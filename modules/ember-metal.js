@@ -198,7 +198,7 @@ if ('undefined' === typeof Ember.warn) { Ember.warn = Ember.K; }
 if ('undefined' === typeof Ember.debug) { Ember.debug = Ember.K; }
 if ('undefined' === typeof Ember.deprecate) { Ember.deprecate = Ember.K; }
 if ('undefined' === typeof Ember.deprecateFunc) {
-  Ember.deprecateFunc = function(_, func) { return func; };
+  Ember.deprecateFunc = function() { return arguments[arguments.length - 1]; };
 }
 
 /**
@@ -256,7 +256,7 @@ Ember.merge = function(original, updates) {
 Ember.isNone = function(obj) {
   return obj === null || obj === undefined;
 };
-Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isNone instead.", Ember.isNone);
+Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isNone instead.", { id: 'ember-metal.none', until: '2.0.0' }, Ember.isNone);
 
 /**
   Verifies that a value is `null` or an empty string, empty array,
@@ -283,7 +283,7 @@ Ember.none = Ember.deprecateFunc("Ember.none is deprecated. Please use Ember.isN
 Ember.isEmpty = function(obj) {
   return Ember.isNone(obj) || (obj.length === 0 && typeof obj !== 'function') || (typeof obj === 'object' && Ember.get(obj, 'length') === 0);
 };
-Ember.empty = Ember.deprecateFunc("Ember.empty is deprecated. Please use Ember.isEmpty instead.", Ember.isEmpty) ;
+Ember.empty = Ember.deprecateFunc("Ember.empty is deprecated. Please use Ember.isEmpty instead.", { id: 'ember-metal.empty', until: '2.0.0' }, Ember.isEmpty) ;
 
 
 })();
@@ -957,7 +957,7 @@ Ember.setMeta = function setMeta(obj, property, value) {
     shared with its constructor
 */
 Ember.metaPath = function metaPath(obj, path, writable) {
-  Ember.deprecate("Ember.metaPath is deprecated and will be removed from future releases.");
+  Ember.deprecate("Ember.metaPath is deprecated and will be removed from future releases.", false, { id: 'ember-metal.meta-path', until: '2.0.0' });
   var meta = Ember.meta(obj, writable), keyName, value;
 
   for (var i=0, l=path.length; i<l; i++) {
@@ -1518,6 +1518,12 @@ Ember.Instrumentation.instrument = function(name, payload, callback, binding) {
   return Ember.tryCatchFinally(tryable, catchable, finalizer);
 };
 
+// Returns whether anything subscribes to the event with the given name.
+Ember.Instrumentation._hasListeners = function(name) {
+  var listeners = cache[name] || populateListeners(name);
+  return listeners.length > 0;
+};
+
 /**
   Subscribes to a particular event or instrumented block of code.
 
@@ -2387,6 +2393,8 @@ function propertyDidChange(obj, keyName) {
   if (desc && desc.didChange) { desc.didChange(obj, keyName); }
   if (!watching && keyName !== 'length') { return; }
 
+  if (Ember._loopRecorder) { Ember._loopRecorder.propertyDidChange(obj, keyName); }
+
   dependentKeysDidChange(obj, keyName, m);
   chainsDidChange(obj, keyName, m, false);
   notifyObservers(obj, keyName);
@@ -5384,8 +5392,11 @@ Ember.computed.readOnly = function(dependentKey) {
   @param {String} defaultPath
   @return {Ember.ComputedProperty} computed property which acts like
   a standard getter and setter, but defaults to the value from `defaultPath`.
+  @deprecated Use `Ember.computed.oneWay` instead
 */
 Ember.computed.defaultTo = function(defaultPath) {
+  Ember.deprecate("Ember.computed.defaultTo is deprecated. Please use Ember.computed.oneWay instead.", false, { id: 'ember-metal.computed-default-to', until: '2.0.0' });
+
   return Ember.computed(function(key, newValue, cachedValue) {
     if (arguments.length === 1) {
       return cachedValue != null ? cachedValue : get(this, defaultPath);
@@ -5551,38 +5562,67 @@ define("backburner/queue",
       },
 
       // TODO: remove me, only being used for Ember.run.sync
-      flush: function() {
+      flush: function(flushCount) {
         var queue = this._queue,
             options = this.options,
+            instrument = this.daq.options.instrument,
             before = options && options.before,
             after = options && options.after,
-            target, method, args, stack, i, l = queue.length;
-
-        if (l && before) { before(); }
-        for (i = 0; i < l; i += 4) {
-          target = queue[i];
-          method = queue[i+1];
-          args   = queue[i+2];
-          stack  = queue[i+3]; // Debugging assistance
-
-          // TODO: error handling
-          if (args && args.length > 0) {
-            method.apply(target, args);
-          } else {
-            method.call(target);
+            self = this,
+            l = queue.length;
+
+        flushCount = flushCount || 1;
+
+        function flushItems() {
+          var target, method, args, stack, i;
+
+          if (l && before) { before(); }
+          for (i = 0; i < l; i += 4) {
+            target = queue[i];
+            method = queue[i+1];
+            args   = queue[i+2];
+            stack  = queue[i+3]; // Debugging assistance
+
+            // TODO: error handling
+            self.invoke(target, method, args, flushCount);
           }
+          if (l && after) { after(); }
+        }
+
+        if (l && instrument) {
+          instrument('runloop.queue', { queue: this.name, flushCount: flushCount, size: l / 4 }, flushItems);
+        } else {
+          flushItems();
         }
-        if (l && after) { after(); }
 
         // check if new items have been added
         if (queue.length > l) {
           this._queue = queue.slice(l);
-          this.flush();
+          this.flush(flushCount + 1);
         } else {
           this._queue.length = 0;
         }
       },
 
+      // Invokes a scheduled method, reporting it to the `instrument` option
+      // (if any) as a `runloop.callback` event.
+      invoke: function(target, method, args, flushCount) {
+        var instrument = this.daq.options.instrument;
+
+        if (instrument) {
+          instrument('runloop.callback', {
+            queue: this.name,
+            target: target,
+            method: method,
+            flushCount: flushCount
+          }, function() {
+            invoke(target, method, args);
+          });
+        } else {
+          invoke(target, method, args);
+        }
+      },
+
       cancel: function(actionToCancel) {
         var queue = this._queue, currentTarget, currentMethod, i, l;
 
@@ -5617,6 +5657,15 @@ define("backburner/queue",
     };
 
 
+    function invoke(target, method, args) {
+      if (args && args.length > 0) {
+        method.apply(target, args);
+      } else {
+        method.call(target);
+      }
+    }
+
+
     __exports__.Queue = Queue;
   });
 
@@ -5629,6 +5678,7 @@ define("backburner/deferred_action_queues",
     function DeferredActionQueues(queueNames, options) {
       var queues = this.queues = {};
       this.queueNames = queueNames = queueNames || [];
+      this.options = options;
 
       var queueName;
       for (var i = 0, l = queueNames.length; i < l; i++) {
@@ -5655,57 +5705,96 @@ define("backburner/deferred_action_queues",
       },
 
       flush: function() {
-        var queues = this.queues,
-            queueNames = this.queueNames,
-            queueName, queue, queueItems, priorQueueNameIndex,
-            queueNameIndex = 0, numberOfQueues = queueNames.length;
-
-        outerloop:
-        while (queueNameIndex < numberOfQueues) {
-          queueName = queueNames[queueNameIndex];
-          queue = queues[queueName];
-          queueItems = queue._queueBeingFlushed = queue._queue.slice();
-          queue._queue = [];
-
-          var options = queue.options,
-              before = options && options.before,
-              after = options && options.after,
-              target, method, args, stack,
-              queueIndex = 0, numberOfQueueItems = queueItems.length;
-
-          if (numberOfQueueItems && before) { before(); }
-          while (queueIndex < numberOfQueueItems) {
-            target = queueItems[queueIndex];
-            method = queueItems[queueIndex+1];
-            args   = queueItems[queueIndex+2];
-            stack  = queueItems[queueIndex+3]; // Debugging assistance
-
-            if (typeof method === 'string') { method = target[method]; }
-
-            // method could have been nullified / canceled during flush
-            if (method) {
-              // TODO: error handling
-              if (args && args.length > 0) {
-                method.apply(target, args);
-              } else {
-                method.call(target);
-              }
-            }
+        var instrument = this.options.instrument;
 
-            queueIndex += 4;
-          }
-          queue._queueBeingFlushed = null;
-          if (numberOfQueueItems && after) { after(); }
+        if (instrument) {
+          instrument('runloop.flush', { queueNames: this.queueNames }, flushQueues, this);
+        } else {
+          flushQueues.call(this);
+        }
+      }
+    };
 
-          if ((priorQueueNameIndex = indexOfPriorQueueWithActions(this, queueNameIndex)) !== -1) {
-            queueNameIndex = priorQueueNameIndex;
-            continue outerloop;
+    function flushQueues() {
+      var queues = this.queues,
+          queueNames = this.queueNames,
+          options = this.options,
+          instrument = options.instrument,
+          flushLimit = options.flushLimit,
+          flushCounts = {},
+          queueName, queue, queueItems, priorQueueNameIndex, flushCount,
+          queueNameIndex = 0, numberOfQueues = queueNames.length;
+
+      while (queueNameIndex < numberOfQueues) {
+        queueName = queueNames[queueNameIndex];
+        queue = queues[queueName];
+
+        // The number of times this queue has been flushed in this run loop;
+        // anything above 1 means actions were rescheduled into it.
+        flushCount = flushCounts[queueName] = (flushCounts[queueName] || 0) + 1;
+
+        // A queue that keeps being refilled by the queues after it will never
+        // drain, so give up rather than hang.
+        if (flushLimit && flushCount > flushLimit) {
+          if (options.onFlushLimitExceeded) {
+            options.onFlushLimitExceeded(queueName, flushCount, flushLimit);
+          } else {
+            throw new Error("The " + queueName + " queue was flushed more than " + flushLimit + " times in a single run loop");
           }
+        }
+
+        queueItems = queue._queueBeingFlushed = queue._queue.slice();
+        queue._queue = [];
 
-          queueNameIndex++;
+        if (instrument && queueItems.length) {
+          instrument('runloop.queue', {
+            queue: queueName,
+            flushCount: flushCount,
+            size: queueItems.length / 4
+          }, flushQueueItems(queue, queueItems, flushCount));
+        } else {
+          flushQueueItems(queue, queueItems, flushCount)();
+        }
+
+        queue._queueBeingFlushed = null;
+
+        if ((priorQueueNameIndex = indexOfPriorQueueWithActions(this, queueNameIndex)) !== -1) {
+          queueNameIndex = priorQueueNameIndex;
+          continue;
         }
+
+        queueNameIndex++;
       }
-    };
+    }
+
+    function flushQueueItems(queue, queueItems, flushCount) {
+      return function() {
+        var options = queue.options,
+            before = options && options.before,
+            after = options && options.after,
+            target, method, args, stack,
+            queueIndex = 0, numberOfQueueItems = queueItems.length;
+
+        if (numberOfQueueItems && before) { before(); }
+        while (queueIndex < numberOfQueueItems) {
+          target = queueItems[queueIndex];
+          method = queueItems[queueIndex+1];
+          args   = queueItems[queueIndex+2];
+          stack  = queueItems[queueIndex+3]; // Debugging assistance
+
+          if (typeof method === 'string') { method = target[method]; }
+
+          // method could have been nullified / canceled during flush
+          if (method) {
+            // TODO: error handling
+            queue.invoke(target, method, args, flushCount);
+          }
+
+          queueIndex += 4;
+        }
+        if (numberOfQueueItems && after) { after(); }
+      };
+    }
 
     function indexOfPriorQueueWithActions(daq, currentQueueIndex) {
       var queueName, queue;
@@ -5738,6 +5827,22 @@ define("backburner",
         global = this,
         NUMBER = /\d+/;
 
+    // The clock used for timers unless `options.clock` provides another
+    // one, e.g. a fake clock in tests.
+    var defaultClock = {
+      now: function() {
+        return +new Date();
+      },
+
+      setTimeout: function(fn, wait) {
+        return global.setTimeout(fn, wait);
+      },
+
+      clearTimeout: function(timer) {
+        clearTimeout(timer);
+      }
+    };
+
     function isCoercableNumber(number) {
       return typeof number === 'number' || NUMBER.test(number);
     }
@@ -5749,6 +5854,7 @@ define("backburner",
         this.options.defaultQueue = queueNames[0];
       }
       this.instanceStack = [];
+      this.clock = this.options.clock || defaultClock;
     }
 
     Backburner.prototype = {
@@ -5756,6 +5862,7 @@ define("backburner",
       options: null,
       currentInstance: null,
       instanceStack: null,
+      clock: null,
 
       begin: function() {
         var onBegin = this.options && this.options.onBegin,
@@ -5901,7 +6008,7 @@ define("backburner",
           }
         }
 
-        var executeAt = (+new Date()) + parseInt(wait, 10);
+        var executeAt = self.clock.now() + parseInt(wait, 10);
 
         if (typeof method === 'string') {
           method = target[method];
@@ -5911,6 +6018,9 @@ define("backburner",
           method.apply(target, args);
         }
 
+        fn.target = target;
+        fn.method = method;
+
         // find position to insert - TODO: binary search
         var i, l;
         for (i = 0, l = timers.length; i < l; i += 2) {
@@ -5935,14 +6045,14 @@ define("backburner",
         index = findThrottler(target, method);
         if (index > -1) { return throttlers[index]; } // throttled
 
-        timer = global.setTimeout(function() {
+        timer = self.clock.setTimeout(function() {
           self.run.apply(self, args);
 
           var index = findThrottler(target, method);
           if (index > -1) { throttlers.splice(index, 1); }
         }, wait);
 
-        throttler = [target, method, timer];
+        throttler = [target, method, timer, self.clock.now() + wait];
 
         throttlers.push(throttler);
 
@@ -5972,10 +6082,10 @@ define("backburner",
         if (index > -1) {
           debouncee = debouncees[index];
           debouncees.splice(index, 1);
-          clearTimeout(debouncee[2]);
+          self.clock.clearTimeout(debouncee[2]);
         }
 
-        timer = global.setTimeout(function() {
+        timer = self.clock.setTimeout(function() {
           if (!immediate) {
             self.run.apply(self, args);
           }
@@ -5989,7 +6099,7 @@ define("backburner",
           self.run.apply(self, args);
         }
 
-        debouncee = [target, method, timer];
+        debouncee = [target, method, timer, self.clock.now() + wait];
 
         debouncees.push(debouncee);
 
@@ -6000,31 +6110,55 @@ define("backburner",
         var i, len;
 
         for (i = 0, len = throttlers.length; i < len; i++) {
-          clearTimeout(throttlers[i][2]);
+          this.clock.clearTimeout(throttlers[i][2]);
         }
         throttlers = [];
 
         for (i = 0, len = debouncees.length; i < len; i++) {
-          clearTimeout(debouncees[i][2]);
+          this.clock.clearTimeout(debouncees[i][2]);
         }
         debouncees = [];
 
         if (laterTimer) {
-          clearTimeout(laterTimer);
+          this.clock.clearTimeout(laterTimer);
           laterTimer = null;
         }
         timers = [];
 
         if (autorun) {
-          clearTimeout(autorun);
+          this.clock.clearTimeout(autorun);
           autorun = null;
         }
       },
 
       hasTimers: function() {
+        // A clock that controls time itself knows best which timers are
+        // still going to fire without being advanced.
+        if (this.clock.hasDueTimers) {
+          return this.clock.hasDueTimers();
+        }
+
         return !!timers.length || autorun;
       },
 
+      pendingTimers: function() {
+        var pending = [], i, l;
+
+        for (i = 0, l = timers.length; i < l; i += 2) {
+          pending.push({ type: 'later', target: timers[i + 1].target, method: timers[i + 1].method, executeAt: timers[i] });
+        }
+
+        for (i = 0, l = throttlers.length; i < l; i++) {
+          pending.push({ type: 'throttle', target: throttlers[i][0], method: throttlers[i][1], executeAt: throttlers[i][3] });
+        }
+
+        for (i = 0, l = debouncees.length; i < l; i++) {
+          pending.push({ type: 'debounce', target: debouncees[i][0], method: debouncees[i][1], executeAt: debouncees[i][3] });
+        }
+
+        return pending.sort(function(a, b) { return a.executeAt - b.executeAt; });
+      },
+
       cancel: function(timer) {
         var timerType = typeof timer;
 
@@ -6059,7 +6193,7 @@ define("backburner",
 
           if(item[2] === timer[2]){
             array.splice(index, 1);
-            clearTimeout(timer[2]);
+            this.clock.clearTimeout(timer[2]);
             return true;
           }
         }
@@ -6075,7 +6209,7 @@ define("backburner",
 
     function createAutorun(backburner) {
       backburner.begin();
-      autorun = global.setTimeout(function() {
+      autorun = backburner.clock.setTimeout(function() {
         autorun = null;
         backburner.end();
       });
@@ -6084,9 +6218,9 @@ define("backburner",
     function updateLaterTimer(self, executeAt, wait) {
       if (!laterTimer || executeAt < laterTimerExpiresAt) {
         if (laterTimer) {
-          clearTimeout(laterTimer);
+          self.clock.clearTimeout(laterTimer);
         }
-        laterTimer = global.setTimeout(function() {
+        laterTimer = self.clock.setTimeout(function() {
           laterTimer = null;
           laterTimerExpiresAt = null;
           executeTimers(self);
@@ -6096,7 +6230,7 @@ define("backburner",
     }
 
     function executeTimers(self) {
-      var now = +new Date(),
+      var now = self.clock.now(),
           time, fns, i, l;
 
       self.run(function() {
@@ -6156,12 +6290,194 @@ define("backburner",
 
 
 (function() {
+var guidFor = Ember.guidFor;
+
+// The number of extra queue flushes spent recording what a runaway run loop
+// is doing before giving up on it.
+var DIAGNOSTIC_FLUSHES = 10;
+
+/*
+  A run loop whose queues keep refilling each other, typically an observer
+  setting a property that rerenders a view whose rendering sets the property
+  again, would flush forever. Once a queue has been flushed more than
+  `Ember.ENV.RUN_LOOP_FLUSH_LIMIT` times (1000 by default, `0` turns the check
+  off) in a single run loop, Ember records the property changes and view
+  rerenders for a few more flushes and then throws an `Ember.Error` describing
+  them. The same report is available as the error's `loopReport`.
+
+  While recording, `Ember._loopRecorder` is set and is told about every
+  `Ember.propertyDidChange` on a watched key and every view `rerender`.
+*/
+Ember._loopRecorder = null;
+
+function LoopRecorder(runLoop, queueName, flushLimit) {
+  this.runLoop = runLoop;
+  this.queueName = queueName;
+  this.flushLimit = flushLimit;
+  this.changes = [];
+  this.rerenders = [];
+  this.seen = {};
+}
+
+LoopRecorder.prototype = {
+  propertyDidChange: function(obj, keyName) {
+    var key = guidFor(obj) + ':' + keyName,
+        change = this.seen[key];
+
+    if (!change) {
+      change = this.seen[key] = {
+        object: obj,
+        key: keyName,
+        count: 0,
+        observers: observerLabels(obj, keyName)
+      };
+      this.changes.push(change);
+    }
+
+    change.count++;
+  },
+
+  viewDidRerender: function(view) {
+    var key = guidFor(view),
+        rerender = this.seen[key];
+
+    if (!rerender) {
+      rerender = this.seen[key] = { view: view, count: 0 };
+      this.rerenders.push(rerender);
+    }
+
+    rerender.count++;
+  },
+
+  report: function() {
+    return {
+      queue: this.queueName,
+      flushLimit: this.flushLimit,
+      changes: this.changes,
+      rerenders: this.rerenders
+    };
+  },
+
+  toString: function() {
+    var message = "Infinite rendering loop detected: the " + this.queueName + " queue was flushed more than " + this.flushLimit + " times in a single run loop.",
+        changes = this.changes, rerenders = this.rerenders, i, l;
+
+    if (changes.length) {
+      message += "\n\nProperties changed while looping:";
+      for (i = 0, l = changes.length; i < l; i++) {
+        message += "\n  " + changes[i].object + "." + changes[i].key + " (" + changes[i].count + " times)";
+        if (changes[i].observers.length) {
+          message += ", observed by " + changes[i].observers.join(', ');
+        }
+      }
+    }
+
+    if (rerenders.length) {
+      message += "\n\nViews rerendered while looping:";
+      for (i = 0, l = rerenders.length; i < l; i++) {
+        message += "\n  " + rerenders[i].view + " (" + rerenders[i].count + " times)";
+      }
+    }
+
+    return message;
+  }
+};
+
+function observerLabels(obj, keyName) {
+  var observers = Ember.observersFor(obj, keyName),
+      labels = [], target, method;
+
+  for (var i = 0, l = observers.length; i < l; i++) {
+    target = observers[i][0] || obj;
+    method = observers[i][1];
+    if (typeof method === 'function') {
+      method = method.displayName || method.name || '(anonymous function)';
+    }
+    labels.push(target + '#' + method);
+  }
+
+  return labels;
+}
+
+function onFlushLimitExceeded(queueName, flushCount, flushLimit) {
+  var recorder = Ember._loopRecorder;
+
+  if (!recorder || recorder.runLoop !== Ember.run.currentRunLoop) {
+    Ember._loopRecorder = new LoopRecorder(Ember.run.currentRunLoop, queueName, flushLimit);
+    return;
+  }
+
+  if (flushCount <= flushLimit + DIAGNOSTIC_FLUSHES) { return; }
+
+  Ember._loopRecorder = null;
+
+  var error = new Ember.Error(recorder.toString());
+  error.loopReport = recorder.report();
+  throw error;
+}
+
+var RUN_LOOP_EVENTS = ['runloop.flush', 'runloop.queue', 'runloop.callback'];
+
+function labelFor(target, method) {
+  var name = method && (method.displayName || method.name) || '(anonymous function)';
+  return target ? target.toString() + '#' + name : name;
+}
+
+// Passes the run loop's work to `Ember.instrument` (see
+// `Ember.RunLoopProfiler`), naming it in the payload's `object`. Scheduled
+// callbacks are only instrumented for subscribers, not for
+// `Ember.STRUCTURED_PROFILE`. Unlike `Ember.instrument`, this lets the
+// exceptions of scheduled actions propagate.
+function instrumentRunLoop(name, payload, callback, binding) {
+  var error, failed = false, ret;
+
+  if (name === 'runloop.callback') {
+    if (!Ember.Instrumentation._hasListeners(name)) { return callback.call(binding); }
+    payload.object = labelFor(payload.target, payload.method);
+  } else {
+    payload.object = payload.queue || 'run loop';
+  }
+
+  ret = Ember.instrument(name, payload, function() {
+    try {
+      return callback.call(binding);
+    } catch (e) {
+      failed = true;
+      error = e;
+      throw e;
+    }
+  });
+
+  if (failed) { throw error; }
+
+  return ret;
+}
+
+// Instrumenting every queue and callback is costly, so the run loop is only
+// instrumented while `Ember.STRUCTURED_PROFILE` is on or something
+// subscribes to its events.
+function isRunLoopInstrumented() {
+  if (Ember.STRUCTURED_PROFILE) { return true; }
+
+  for (var i = 0, l = RUN_LOOP_EVENTS.length; i < l; i++) {
+    if (Ember.Instrumentation._hasListeners(RUN_LOOP_EVENTS[i])) { return true; }
+  }
+
+  return false;
+}
+
 var onBegin = function(current) {
   Ember.run.currentRunLoop = current;
+  backburner.options.instrument = isRunLoopInstrumented() ? instrumentRunLoop : null;
 };
 
 var onEnd = function(current, next) {
   Ember.run.currentRunLoop = next;
+
+  // The loop settled on its own while it was being recorded.
+  if (Ember._loopRecorder && Ember._loopRecorder.runLoop === current) {
+    Ember._loopRecorder = null;
+  }
 };
 
 var Backburner = requireModule('backburner').Backburner,
@@ -6172,7 +6488,9 @@ var Backburner = requireModule('backburner').Backburner,
       },
       defaultQueue: 'actions',
       onBegin: onBegin,
-      onEnd: onEnd
+      onEnd: onEnd,
+      flushLimit: Ember.ENV.RUN_LOOP_FLUSH_LIMIT === undefined ? 1000 : Ember.ENV.RUN_LOOP_FLUSH_LIMIT,
+      onFlushLimitExceeded: onFlushLimitExceeded
     }),
     slice = [].slice,
     concat = [].concat;
@@ -6427,6 +6745,11 @@ Ember.run.cancelTimers = function () {
   backburner.cancelTimers();
 };
 
+// Used by ember-testing to describe the timers a test is waiting on
+Ember.run.pendingTimers = function() {
+  return backburner.pendingTimers();
+};
+
 /**
   Immediately flushes any events scheduled in the 'sync' queue. Bindings
   use this queue so this method is a useful way to immediately force all
@@ -6656,7 +6979,9 @@ Ember.run.next = function() {
   @return {Boolean} true if cancelled or false/undefined if it wasn't found
 */
 Ember.run.cancel = function(timer) {
-  return backburner.cancel(timer);
+  return Ember.instrument('runloop.cancel', { timer: timer }, function() {
+    return backburner.cancel(timer);
+  });
 };
 
 /**
@@ -6775,6 +7100,175 @@ function checkAutoRun() {
 
 
 
+(function() {
+/**
+@module ember-metal
+*/
+
+/*
+  The run loop reports its work through `Ember.Instrumentation`:
+
+  * `runloop.flush`: a run loop flushing its queues. The payload contains
+    the `queueNames`.
+  * `runloop.queue`: one pass over a queue. The payload contains the
+    `queue` name, the number of scheduled actions (`size`) and the
+    `flushCount`; a `flushCount` above 1 means the queue was flushed again
+    because actions were rescheduled into it.
+  * `runloop.callback`: a scheduled action being invoked. The payload
+    contains the `queue`, `target`, `method` and `flushCount`.
+
+  Each payload's `object` names the queue or the scheduled action. These
+  events are only sent while something subscribes to them.
+  * `runloop.cancel`: `Ember.run.cancel` being called. The payload contains
+    the `timer`.
+*/
+
+/**
+  `Ember.RunLoopProfiler` subscribes to the run loop's instrumentation events
+  and records a timeline of every run loop, along with the time spent in each
+  queue and scheduled callback.
+
+  ```javascript
+  var profiler = new Ember.RunLoopProfiler();
+  profiler.start();
+
+  // ... interact with the application ...
+
+  profiler.stop();
+  profiler.slowest(5).forEach(function(callback) {
+    Ember.Logger.log(callback.label, callback.queue, callback.duration);
+  });
+  ```
+
+  Each run loop in the `timeline` has a `duration`, whether it was `nested`
+  inside another run loop's callback and the `queues` it flushed, in order. Each queue entry has its `queue` name, `flushCount`,
+  `duration` and the `callbacks` it invoked, each with its `queue`,
+  `target`, `method`, `label`, `flushCount` and `duration`. Durations are in
+  milliseconds.
+
+  @class RunLoopProfiler
+  @namespace Ember
+  @constructor
+*/
+var RunLoopProfiler = Ember.RunLoopProfiler = function() {
+  this.reset();
+};
+
+RunLoopProfiler.prototype = {
+  /**
+    Starts recording run loops.
+
+    @method start
+  */
+  start: function() {
+    if (this._subscriber) { return; }
+
+    var profiler = this;
+
+    this._subscriber = Ember.Instrumentation.subscribe('runloop', {
+      before: function(name, timestamp, payload) {
+        return profiler._before(name, timestamp, payload);
+      },
+
+      after: function(name, timestamp, payload, record) {
+        profiler._after(record, timestamp);
+      }
+    });
+  },
+
+  /**
+    Stops recording run loops. The recorded timeline is kept.
+
+    @method stop
+  */
+  stop: function() {
+    if (!this._subscriber) { return; }
+
+    Ember.Instrumentation.unsubscribe(this._subscriber);
+    this._subscriber = null;
+    this._stack = [];
+  },
+
+  /**
+    Discards the recorded timeline.
+
+    @method reset
+  */
+  reset: function() {
+    this.timeline = [];
+    this.callbacks = [];
+    this._stack = [];
+  },
+
+  /**
+    Returns the `count` slowest callbacks recorded, slowest first.
+
+    @method slowest
+    @param {Number} count the number of callbacks to return, defaults to 10
+    @return {Array} the callbacks
+  */
+  slowest: function(count) {
+    var callbacks = this.callbacks.slice();
+
+    callbacks.sort(function(a, b) { return b.duration - a.duration; });
+
+    return callbacks.slice(0, count || 10);
+  },
+
+  _before: function(name, timestamp, payload) {
+    var stack = this._stack,
+        parent = stack[stack.length - 1],
+        record;
+
+    if (name === 'runloop.flush') {
+      record = { start: timestamp, duration: null, nested: !!parent, queues: [] };
+      this.timeline.push(record);
+    } else if (name === 'runloop.queue') {
+      record = {
+        queue: payload.queue,
+        flushCount: payload.flushCount,
+        start: timestamp,
+        duration: null,
+        callbacks: []
+      };
+      if (parent && parent.queues) { parent.queues.push(record); }
+    } else if (name === 'runloop.callback') {
+      record = {
+        queue: payload.queue,
+        target: payload.target,
+        method: payload.method,
+        label: payload.object,
+        flushCount: payload.flushCount,
+        start: timestamp,
+        duration: null
+      };
+      if (parent && parent.callbacks) { parent.callbacks.push(record); }
+      this.callbacks.push(record);
+    } else {
+      // e.g. `runloop.cancel`
+      return null;
+    }
+
+    stack.push(record);
+
+    return record;
+  },
+
+  _after: function(record, timestamp) {
+    var stack = this._stack;
+
+    if (!record) { return; }
+
+    if (stack[stack.length - 1] === record) { stack.pop(); }
+
+    record.duration = timestamp - record.start;
+  }
+};
+
+})();
+
+
+
 (function() {
 // Ember.Logger
 // get
@@ -84,6 +84,184 @@ define("route-recognizer",
       generate: function() { return ""; }
     };
 
+    // An OptionalSegment wraps the segments of a parenthesized group such
+    // as `(/:page)`. It is only used to generate URLs: when a route is added
+    // it is expanded into one path with and one without each group, so it
+    // never takes part in the NFA or the regex.
+    function OptionalSegment(segments, names) {
+      this.segments = segments;
+      this.names = names;
+    }
+    OptionalSegment.prototype = {
+      // The group is generated only if all of its own dynamic and star
+      // segments have a value.
+      generate: function(params) {
+        var names = this.names;
+
+        if (!names.length || !params) { return ""; }
+
+        for (var i=0, l=names.length; i<l; i++) {
+          if (params[names[i]] == null) { return ""; }
+        }
+
+        return generateSegments(this.segments, params);
+      }
+    };
+
+    function generateSegments(segments, params) {
+      var output = "";
+
+      for (var i=0, l=segments.length; i<l; i++) {
+        var segment = segments[i];
+
+        if (segment instanceof EpsilonSegment) { continue; }
+
+        if (segment instanceof OptionalSegment) {
+          output += segment.generate(params);
+          continue;
+        }
+
+        output += "/";
+        output += segment.generate(params);
+      }
+
+      return output;
+    }
+
+    // Splits a route description into its plain parts and its optional
+    // groups: "/posts(/:page)" becomes `["/posts", { optional: ["/:page"] }]`.
+    // Groups may nest, and must start at a segment boundary.
+    function tokenize(route) {
+      var tokens = [], stack = [tokens], chunk = "", ch;
+
+      function flush() {
+        if (chunk) { stack[stack.length - 1].push(chunk); }
+        chunk = "";
+      }
+
+      for (var i=0, l=route.length; i<l; i++) {
+        ch = route.charAt(i);
+
+        if (ch === "(") {
+          flush();
+
+          if (route.charAt(i + 1) !== "/") {
+            throw new Error("Optional segments must start with a `/` in " + route);
+          }
+
+          var group = [];
+          stack[stack.length - 1].push({ optional: group });
+          stack.push(group);
+        } else if (ch === ")") {
+          flush();
+
+          if (stack.length === 1) { throw new Error("Unbalanced parentheses in " + route); }
+          stack.pop();
+        } else {
+          chunk += ch;
+        }
+      }
+
+      flush();
+
+      if (stack.length !== 1) { throw new Error("Unbalanced parentheses in " + route); }
+
+      return tokens;
+    }
+
+    // Returns every path a list of tokens describes, e.g. "/posts" and
+    // "/posts/:page" for "/posts(/:page)".
+    function expand(tokens) {
+      var paths = [""];
+
+      for (var i=0, l=tokens.length; i<l; i++) {
+        var token = tokens[i], next = [], j, m;
+
+        if (typeof token === 'string') {
+          for (j=0, m=paths.length; j<m; j++) { next.push(paths[j] + token); }
+        } else {
+          var optionals = expand(token.optional);
+
+          for (j=0, m=paths.length; j<m; j++) {
+            next.push(paths[j]);
+
+            for (var k=0, n=optionals.length; k<n; k++) {
+              next.push(paths[j] + optionals[k]);
+            }
+          }
+        }
+
+        paths = next;
+      }
+
+      return paths;
+    }
+
+    // Builds the segments used to generate URLs for a list of tokens. The
+    // names of all dynamic and star segments, optional or not, are pushed
+    // onto `names`, and those of optional ones onto `optionalNames` as well.
+    function parseTokens(tokens, names, optionalNames) {
+      var results = [], types = { statics: 0, dynamics: 0, stars: 0 };
+
+      for (var i=0, l=tokens.length; i<l; i++) {
+        var token = tokens[i];
+
+        if (typeof token === 'string') {
+          results = results.concat(parse(token, names, types));
+        } else {
+          var groupNames = [];
+          var segments = parseTokens(token.optional, groupNames, []);
+
+          for (var j=0, m=groupNames.length; j<m; j++) {
+            names.push(groupNames[j]);
+            optionalNames.push(groupNames[j]);
+          }
+
+          results.push(new OptionalSegment(segments, directNames(segments)));
+        }
+      }
+
+      return results;
+    }
+
+    function directNames(segments) {
+      var names = [];
+
+      for (var i=0, l=segments.length; i<l; i++) {
+        if (segments[i] instanceof DynamicSegment || segments[i] instanceof StarSegment) {
+          names.push(segments[i].name);
+        }
+      }
+
+      return names;
+    }
+
+    // Constraints must match the whole value of a segment, so `/\d+/`
+    // rejects "12abc".
+    function anchorConstraints(constraints) {
+      var anchored = {};
+
+      for (var name in constraints) {
+        if (constraints.hasOwnProperty(name)) {
+          var constraint = constraints[name];
+          anchored[name] = new RegExp("^(?:" + constraint.source + ")$", constraint.ignoreCase ? "i" : "");
+        }
+      }
+
+      return anchored;
+    }
+
+    function satisfiesConstraints(constraints, params) {
+      for (var name in constraints) {
+        if (constraints.hasOwnProperty(name) && params[name] !== undefined &&
+            !constraints[name].test(params[name])) {
+          return false;
+        }
+      }
+
+      return true;
+    }
+
     function parse(route, names, types) {
       // normalize route as not starting with a "/". Recognition will
       // also normalize.
@@ -116,13 +294,15 @@ define("route-recognizer",
     // A State has a character specification and (`charSpec`) and a list of possible
     // subsequent states (`nextStates`).
     //
-    // If a State is an accepting state, it will also have several additional
-    // properties:
+    // If a State is an accepting state, it will also have a list of `routes`,
+    // one for each registered path that ends in it, in the order they were
+    // added. Each of them has:
     //
     // * `regex`: A regular expression that is used to extract parameters from paths
     //   that reached this accepting state.
     // * `handlers`: Information on how to convert the list of captures into calls
-    //   to registered handlers with the specified parameters
+    //   to registered handlers with the specified parameters, and the
+    //   `constraints` those parameters must satisfy
     // * `types`: How many static, dynamic or star segments in this route. Used to
     //   decide which route to use if multiple registered routes match a path.
     //
@@ -229,13 +409,15 @@ define("route-recognizer",
 
     // This is a somewhat naive strategy, but should work in a lot of cases
     // A better strategy would properly resolve /posts/:id/new and /posts/edit/:id
-    function sortSolutions(states) {
-      return states.sort(function(a, b) {
+    //
+    // Routes that tie are tried in the order they were added.
+    function sortSolutions(routes) {
+      return routes.sort(function(a, b) {
         if (a.types.stars !== b.types.stars) { return a.types.stars - b.types.stars; }
         if (a.types.dynamics !== b.types.dynamics) { return a.types.dynamics - b.types.dynamics; }
         if (a.types.statics !== b.types.statics) { return b.types.statics - a.types.statics; }
 
-        return 0;
+        return a.order - b.order;
       });
     }
 
@@ -268,8 +450,10 @@ define("route-recognizer",
       queryParams: null
     });
 
-    function findHandler(state, path, queryParams) {
-      var handlers = state.handlers, regex = state.regex;
+    // Returns nothing if a captured parameter does not satisfy the
+    // constraints of its handler.
+    function findHandler(route, path, queryParams) {
+      var handlers = route.handlers, regex = route.regex;
       var captures = path.match(regex), currentCapture = 1;
       var result = new RecognizeResults(queryParams);
 
@@ -280,12 +464,24 @@ define("route-recognizer",
           params[names[j]] = captures[currentCapture++];
         }
 
+        if (!satisfiesConstraints(handler.constraints, params)) { return; }
+
         result.push({ handler: handler.handler, params: params, isDynamic: !!names.length });
       }
 
       return result;
     }
 
+    function sameHandlers(a, b) {
+      if (a.length !== b.length) { return false; }
+
+      for (var i=0, l=a.length; i<l; i++) {
+        if (a[i].handler !== b[i].handler) { return false; }
+      }
+
+      return true;
+    }
+
     function addSegment(currentState, segment) {
       segment.eachChar(function(ch) {
         var state;
@@ -301,14 +497,55 @@ define("route-recognizer",
     var RouteRecognizer = function() {
       this.rootState = new State();
       this.names = {};
+      this.routeCount = 0;
     };
 
 
     RouteRecognizer.prototype = {
+      // Each route is a `{ path, handler, constraints }` object. A path may
+      // contain optional groups, e.g. "/posts(/:page)", and star segments
+      // anywhere, e.g. "/files/*path/edit". `constraints` maps the names of
+      // its dynamic and star segments to regular expressions the whole value
+      // must match; a path that breaks them is not recognized by this route,
+      // so that a route added later may match it instead.
       add: function(routes, options) {
+        var variants = [[]], allSegments = [], handlers = [], name, i, l;
+
+        for (i=0, l=routes.length; i<l; i++) {
+          var route = routes[i], names = [], optionalNames = [];
+          var tokens = tokenize(route.path);
+          var constraints = anchorConstraints(route.constraints);
+          var paths = expand(tokens), next = [];
+
+          for (var j=0, m=variants.length; j<m; j++) {
+            for (var k=0, n=paths.length; k<n; k++) {
+              next.push(variants[j].concat({ path: paths[k], handler: route.handler, constraints: constraints }));
+            }
+          }
+
+          variants = next;
+
+          allSegments = allSegments.concat(parseTokens(tokens, names, optionalNames));
+          handlers.push({ handler: route.handler, names: names, optionalNames: optionalNames });
+        }
+
+        for (i=0, l=variants.length; i<l; i++) {
+          this.addPath(variants[i]);
+        }
+
+        if (name = options && options.as) {
+          this.names[name] = {
+            segments: allSegments,
+            handlers: handlers
+          };
+        }
+      },
+
+      // Adds one path without optional groups to the NFA.
+      addPath: function(routes) {
         var currentState = this.rootState, regex = "^",
             types = { statics: 0, dynamics: 0, stars: 0 },
-            handlers = [], allSegments = [], name;
+            handlers = [];
 
         var isEmpty = true;
 
@@ -317,8 +554,6 @@ define("route-recognizer",
 
           var segments = parse(route.path, names, types);
 
-          allSegments = allSegments.concat(segments);
-
           for (var j=0, m=segments.length; j<m; j++) {
             var segment = segments[j];
 
@@ -335,7 +570,7 @@ define("route-recognizer",
             regex += segment.regex();
           }
 
-          var handler = { handler: route.handler, names: names };
+          var handler = { handler: route.handler, names: names, constraints: route.constraints };
           handlers.push(handler);
         }
 
@@ -344,16 +579,20 @@ define("route-recognizer",
           regex += "/";
         }
 
-        currentState.handlers = handlers;
-        currentState.regex = new RegExp(regex + "$");
-        currentState.types = types;
+        var accepted = currentState.routes || (currentState.routes = []);
+        var added = { handlers: handlers, regex: new RegExp(regex + "$"), types: types, order: this.routeCount++ };
 
-        if (name = options && options.as) {
-          this.names[name] = {
-            segments: allSegments,
-            handlers: handlers
-          };
+        // Adding the same handlers for the same path again, as happens when
+        // the router is mapped more than once, replaces the earlier route.
+        for (i=0, l=accepted.length; i<l; i++) {
+          if (accepted[i].regex.source === added.regex.source && sameHandlers(accepted[i].handlers, handlers)) {
+            added.order = accepted[i].order;
+            accepted[i] = added;
+            return;
+          }
         }
+
+        accepted.push(added);
       },
 
       handlersFor: function(name) {
@@ -375,16 +614,7 @@ define("route-recognizer",
         var route = this.names[name], output = "";
         if (!route) { throw new Error("There is no route named " + name); }
 
-        var segments = route.segments;
-
-        for (var i=0, l=segments.length; i<l; i++) {
-          var segment = segments[i];
-
-          if (segment instanceof EpsilonSegment) { continue; }
-
-          output += "/";
-          output += segment.generate(params);
-        }
+        output = generateSegments(route.segments, params);
 
         if (output.charAt(0) !== '/') { output = '/' + output; }
 
@@ -484,15 +714,14 @@ define("route-recognizer",
 
         var solutions = [];
         for (i=0, l=states.length; i<l; i++) {
-          if (states[i].handlers) { solutions.push(states[i]); }
+          if (states[i].routes) { solutions = solutions.concat(states[i].routes); }
         }
 
-        states = sortSolutions(solutions);
-
-        var state = solutions[0];
+        solutions = sortSolutions(solutions);
 
-        if (state && state.handlers) {
-          return findHandler(state, path, queryParams);
+        for (i=0, l=solutions.length; i<l; i++) {
+          var result = findHandler(solutions[i], path, queryParams);
+          if (result) { return result; }
         }
       }
     };
@@ -520,12 +749,20 @@ define("route-recognizer",
           this.matcher.addChild(this.path, target, callback, this.delegate);
         }
         return this;
+      },
+
+      // Restricts the values of the dynamic and star segments of this path,
+      // e.g. `match("/posts/:id").to("post").where({ id: /\d+/ })`.
+      where: function(constraints) {
+        this.matcher.constrain(this.path, constraints);
+        return this;
       }
     };
 
     function Matcher(target) {
       this.routes = {};
       this.children = {};
+      this.constraints = {};
       this.target = target;
     }
 
@@ -534,6 +771,10 @@ define("route-recognizer",
         this.routes[path] = handler;
       },
 
+      constrain: function(path, constraints) {
+        this.constraints[path] = constraints;
+      },
+
       addChild: function(path, target, callback, delegate) {
         var matcher = new Matcher(target);
         this.children[path] = matcher;
@@ -560,14 +801,14 @@ define("route-recognizer",
       };
     }
 
-    function addRoute(routeArray, path, handler) {
+    function addRoute(routeArray, path, handler, constraints) {
       var len = 0;
       for (var i=0, l=routeArray.length; i<l; i++) {
         len += routeArray[i].path.length;
       }
 
       path = path.substr(len);
-      var route = { path: path, handler: handler };
+      var route = { path: path, handler: handler, constraints: constraints };
       routeArray.push(route);
     }
 
@@ -577,7 +818,7 @@ define("route-recognizer",
       for (var path in routes) {
         if (routes.hasOwnProperty(path)) {
           var routeArray = baseRoute.slice();
-          addRoute(routeArray, path, routes[path]);
+          addRoute(routeArray, path, routes[path], matcher.constraints[path]);
 
           if (matcher.children[path]) {
             eachRoute(routeArray, matcher.children[path], callback, binding);
@@ -945,7 +1186,15 @@ define("router/router",
           });
 
           if (!wasTransitioning) {
-            trigger(this, this.state.handlerInfos, true, ['willTransition', newTransition]);
+            // Give the router a chance to abort the transition
+            // before the handlers hear about it.
+            if (router.willTransition) {
+              router.willTransition(this.state.handlerInfos, newState.handlerInfos, newTransition);
+            }
+
+            if (!newTransition.isAborted) {
+              trigger(this, this.state.handlerInfos, true, ['willTransition', newTransition]);
+            }
           }
 
           return newTransition;
@@ -1609,9 +1858,9 @@ define("router/transition-intent/named-transition-intent",
 
         if (result.names.length > 0) {
           if (i >= invalidateIndex) {
-            newHandlerInfo = this.createParamHandlerInfo(name, handler, result.names, objects, oldHandlerInfo);
+            newHandlerInfo = this.createParamHandlerInfo(name, handler, result.names, objects, oldHandlerInfo, result.optionalNames);
           } else {
-            newHandlerInfo = this.getHandlerInfoForDynamicSegment(name, handler, result.names, objects, oldHandlerInfo, targetRouteName);
+            newHandlerInfo = this.getHandlerInfoForDynamicSegment(name, handler, result.names, objects, oldHandlerInfo, targetRouteName, result.optionalNames);
           }
         } else {
           // This route has no dynamic segment.
@@ -1677,7 +1926,7 @@ define("router/transition-intent/named-transition-intent",
       });
     };
 
-    NamedTransitionIntent.prototype.getHandlerInfoForDynamicSegment = function(name, handler, names, objects, oldHandlerInfo, targetRouteName) {
+    NamedTransitionIntent.prototype.getHandlerInfoForDynamicSegment = function(name, handler, names, objects, oldHandlerInfo, targetRouteName, optionalNames) {
 
       var numNames = names.length;
       var objectToUse;
@@ -1686,13 +1935,17 @@ define("router/transition-intent/named-transition-intent",
         // Use the objects provided for this transition.
         objectToUse = objects[objects.length - 1];
         if (isParam(objectToUse)) {
-          return this.createParamHandlerInfo(name, handler, names, objects, oldHandlerInfo);
+          return this.createParamHandlerInfo(name, handler, names, objects, oldHandlerInfo, optionalNames);
         } else {
           objects.pop();
         }
       } else if (oldHandlerInfo && oldHandlerInfo.name === name) {
         // Reuse the matching oldHandlerInfo
         return oldHandlerInfo;
+      } else if (optionalNames && optionalNames.length === numNames) {
+        // All of the dynamic segments are optional, so the
+        // route can be entered without a context.
+        return this.createParamHandlerInfo(name, handler, names, objects, oldHandlerInfo, optionalNames);
       } else {
         // Ideally we should throw this error to provide maximal
         // information to the user that not enough context objects
@@ -1712,7 +1965,7 @@ define("router/transition-intent/named-transition-intent",
       });
     };
 
-    NamedTransitionIntent.prototype.createParamHandlerInfo = function(name, handler, names, objects, oldHandlerInfo) {
+    NamedTransitionIntent.prototype.createParamHandlerInfo = function(name, handler, names, objects, oldHandlerInfo, optionalNames) {
       var params = {};
 
       // Soak up all the provided string/numbers
@@ -1732,7 +1985,7 @@ define("router/transition-intent/named-transition-intent",
           // value from a previous handler.
           if (oldParams.hasOwnProperty(paramName)) {
             params[paramName] = oldParams[paramName];
-          } else {
+          } else if (!isOptional(optionalNames, paramName)) {
             throw new Error("You didn't provide enough string/numeric parameters to satisfy all of the dynamic segments for route " + name);
           }
         }
@@ -1745,6 +1998,15 @@ define("router/transition-intent/named-transition-intent",
       });
     };
 
+    function isOptional(optionalNames, name) {
+      if (!optionalNames) { return false; }
+
+      for (var i = 0, l = optionalNames.length; i < l; i++) {
+        if (optionalNames[i] === name) { return true; }
+      }
+      return false;
+    }
+
     __exports__.NamedTransitionIntent = NamedTransitionIntent;
   });
 define("router/transition-intent/url-transition-intent", 
@@ -2388,9 +2650,63 @@ define("router",
 function DSL(name) {
   this.parent = name;
   this.matches = [];
+  this.mounts = {};
+  this.lazyResources = {};
 }
 
 DSL.prototype = {
+  /**
+    Adds a resource, optionally with nested routes and resources.
+
+    Besides static, `:dynamic` and `*star` segments, a `path` may contain
+    optional groups, which are left out of generated URLs when their
+    dynamic segments have no value, and star segments followed by more
+    segments:
+
+    ```javascript
+    App.Router.map(function() {
+      this.resource('posts', { path: '/posts(/:page)' });
+      this.resource('file', { path: '/files/*file_path/edit' });
+    });
+    ```
+
+    `constraints` maps dynamic and star segments to regular expressions
+    their whole value must match. A URL that does not satisfy them is not
+    recognized by this resource, and may be recognized by another one:
+
+    ```javascript
+    App.Router.map(function() {
+      this.resource('post', { path: '/posts/:post_id', constraints: { post_id: /\d+/ } });
+      this.resource('category', { path: '/posts/:category' });
+    });
+    ```
+
+    A resource can also be loaded the first time a transition enters it.
+    `load` returns a promise that resolves, once the routes, controllers
+    and templates of the resource are available, to the function that
+    defines its nested routes and resources. Meanwhile the `loading`
+    substate is entered, as with any other promise the router waits for:
+
+    ```javascript
+    App.Router.map(function() {
+      this.resource('admin', {
+        load: function() {
+          return Ember.$.getScript('/assets/admin.js').then(function() {
+            return App.AdminMap;
+          });
+        }
+      });
+    });
+    ```
+
+    Until the resource is loaded, links can only point to the resource
+    itself, not to the routes nested in it.
+
+    @method resource
+    @param {String} name
+    @param {Object} options `path`, `constraints` and `load`, all optional
+    @param {Function} callback defines the nested routes and resources
+  */
   resource: function(name, options, callback) {
     if (arguments.length === 2 && typeof options === 'function') {
       callback = options;
@@ -2405,14 +2721,37 @@ DSL.prototype = {
       options.path = "/" + name;
     }
 
+    // Resources of a mounted engine are namespaced by its mount point.
+    if (this.mountName) {
+      name = this.mountName + '.' + name;
+    }
+
+    var path = options.path;
+
+    if (options.load) {
+      var lazy = this.lazyResources[name] || (this.lazyResources[name] = { load: options.load });
+
+      if (lazy.map) {
+        callback = lazy.map;
+      } else {
+        // Until it is loaded, the resource is a single route that
+        // recognizes every URL under it.
+        path = path.replace(/\/$/, '') + '(/*lazy_path)';
+        callback = null;
+      }
+    }
+
     if (callback) {
       var dsl = new DSL(name);
+      dsl.mounts = this.mounts;
+      dsl.lazyResources = this.lazyResources;
+      dsl.mountName = this.mountName;
       route(dsl, 'loading');
       route(dsl, 'error', { path: "/_unused_dummy_error_path_route_" + name + "/:error" });
       callback.call(dsl);
-      this.push(options.path, name, dsl.generate(), options.queryParams);
+      this.push(path, name, dsl.generate(), options.queryParams, options.constraints);
     } else {
-      this.push(options.path, name, null, options.queryParams);
+      this.push(path, name, null, options.queryParams, options.constraints);
     }
 
 
@@ -2426,13 +2765,54 @@ DSL.prototype = {
     }
   },
 
-  push: function(url, name, callback, queryParams) {
+  /**
+    Mounts an `Ember.Engine` as a resource: the routes of the engine's map
+    become children of `name`, and are looked up, along with their
+    controllers, views and templates, from a container of their own.
+
+    ```javascript
+    App.Router.map(function() {
+      this.mount('blog', { engine: Blog, path: '/news' });
+    });
+    ```
+
+    @method mount
+    @param {String} name the name of the resource the engine is mounted at
+    @param {Object} options `engine` and, optionally, `path`
+  */
+  mount: function(name, options) {
+    var engine = options && options.engine;
+
+    Ember.assert("You must pass the engine to mount at '" + name + "' as the `engine` option",
+                 engine && typeof engine.buildContainer === 'function');
+
+    var mountName = this.mountName ? this.mountName + '.' + name : name;
+
+    this.resource(name, { path: options.path }, function() {
+      this.mountName = mountName;
+      this.mounts[mountName] = engine;
+
+      if (engine.routerMap) {
+        engine.routerMap.call(this);
+      }
+    });
+  },
+
+  push: function(url, name, callback, queryParams, constraints) {
     var parts = name.split('.');
     if (url === "" || url === "/" || parts[parts.length-1] === "index") { this.explicitIndex = true; }
 
-    this.matches.push([url, name, callback, queryParams]);
+    this.matches.push([url, name, callback, queryParams, constraints]);
   },
 
+  /**
+    Adds a route. It takes the same `path` and `constraints` options as
+    `resource`.
+
+    @method route
+    @param {String} name
+    @param {Object} options `path` and `constraints`, both optional
+  */
   route: function(name, options) {
     route(this, name, options);
     if (Ember.FEATURES.isEnabled("ember-routing-named-substates")) {
@@ -2452,6 +2832,8 @@ DSL.prototype = {
       for (var i=0, l=dslMatches.length; i<l; i++) {
         var dslMatch = dslMatches[i];
         var matchObj = match(dslMatch[0]).to(dslMatch[1], dslMatch[2]);
+
+        if (dslMatch[4]) { matchObj.where(dslMatch[4]); }
       }
     };
   }
@@ -2470,11 +2852,12 @@ function route(dsl, name, options) {
     name = dsl.parent + "." + name;
   }
 
-  dsl.push(options.path, name, null, options.queryParams);
+  dsl.push(options.path, name, null, options.queryParams, options.constraints);
 }
 
-DSL.map = function(callback) {
+DSL.map = function(callback, lazyResources) {
   var dsl = new DSL();
+  if (lazyResources) { dsl.lazyResources = lazyResources; }
   callback.call(dsl);
   return dsl;
 };
@@ -2584,6 +2967,7 @@ Ember.generateController = function(container, controllerName, context) {
 var routerJsModule = requireModule("router");
 var Router = routerJsModule.Router;
 var Transition = routerJsModule.Transition;
+var RouteRecognizer = requireModule("route-recognizer")["default"];
 var get = Ember.get, set = Ember.set, fmt = Ember.String.fmt;
 var defineProperty = Ember.defineProperty;
 var slice = Array.prototype.slice;
@@ -2607,6 +2991,7 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
 
     * `hash`
     * `history`
+    * `auto`: `history` where the browser supports it, `hash` otherwise
     * `none`
 
     @property location
@@ -2615,6 +3000,18 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
   */
   location: 'hash',
 
+  /**
+    Selectors of the scrollable elements whose scroll positions are
+    recorded with each history entry, along with the window's, and
+    restored when the user navigates back to it (see
+    `Ember.Route#scrollBehavior`).
+
+    @property scrollElements
+    @type Array
+    @default null
+  */
+  scrollElements: null,
+
   init: function() {
     this.router = this.constructor.router || this.constructor.map(Ember.K);
     this._activeViews = {};
@@ -2655,11 +3052,27 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     container.register('view:default', DefaultView);
     container.register('view:toplevel', Ember.View.extend());
 
+    // The location is reloading the page with a rewritten URL.
+    if (get(location, 'cancelRouterSetup')) { return; }
+
     location.onUpdateURL(function(url) {
+      // Before an exit guard that refuses puts the URL back in a new entry.
+      self._restoreScrollPositionLater();
       self.handleURL(url);
     });
 
+    if (typeof location.onBeforeUnload === 'function') {
+      location.onBeforeUnload(function() {
+        return self._exitMessage();
+      });
+    }
+
+    if (typeof location.saveScrollPosition === 'function') {
+      this._trackScrollPosition(location);
+    }
+
     this.handleURL(location.getURL());
+    this._restoreScrollPositionLater();
   },
 
   /**
@@ -2678,6 +3091,8 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
 
     this.notifyPropertyChange('url');
 
+    Ember.run.scheduleOnce('afterRender', this, this._updateScrollPosition, infos[infos.length - 1].handler);
+
     // Put this in the runloop so url will be accurate. Seems
     // less surprising than didTransition being out of sync.
     Ember.run.once(this, this.trigger, 'didTransition');
@@ -2687,6 +3102,26 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     }
   },
 
+  /**
+    Triggered whenever a transition is started through `handleURL`,
+    `transitionTo` or `replaceWith`, including the redirects started from
+    a route's `beforeModel`, `afterModel` or `redirect` hooks. Listeners
+    receive the transition and the name of the router method that
+    started it.
+
+    @event didStartTransition
+    @param {Transition} transition
+    @param {String} method
+  */
+
+  /**
+    Triggered after the router entered an intermediate substate, such as
+    a `loading` or `error` route, with the handler infos of that state.
+
+    @event didIntermediateTransition
+    @param {Array} infos
+  */
+
   handleURL: function(url) {
     return this._doTransition('handleURL', [url]);
   },
@@ -2701,6 +3136,8 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     updatePaths(this);
 
     var infos = this.router.currentHandlerInfos;
+    this.trigger('didIntermediateTransition', infos);
+
     if (get(this, 'namespace').LOG_TRANSITIONS) {
       Ember.Logger.log("Intermediate-transitioned into '" + Ember.Router._routePath(infos) + "'");
     }
@@ -2801,17 +3238,24 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
   },
 
   _getHandlerFunction: function() {
-    var seen = {}, container = this.container,
-        DefaultRoute = container.lookupFactory('route:basic'),
+    var seen = {},
+        DefaultRoute = this.container.lookupFactory('route:basic'),
         self = this;
 
     return function(name) {
+      var lazy = self.router.lazyResources[name];
+
+      if (lazy && !lazy.map) { return self._lazyRouteFor(name); }
+
       var routeName = 'route:' + name,
+          container = self._containerFor(name),
           handler = container.lookup(routeName);
 
-      if (seen[name]) { return handler; }
+      // A mounted engine's container is rebuilt when it is entered again,
+      // and its routes are set up again with it.
+      if (handler && seen[name] === container) { return handler; }
 
-      seen[name] = true;
+      seen[name] = container;
 
       if (!handler) {
         container.register(routeName, DefaultRoute.extend());
@@ -2827,12 +3271,130 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     };
   },
 
+  /**
+    Returns the container the route named `name` is looked up from: the
+    container of the engine it belongs to when it is part of a mounted
+    engine, the router's container otherwise. The container of an engine
+    mounted inside another engine is a child of the outer engine's.
+
+    @private
+    @method _containerFor
+    @param {String} name
+    @return {Container}
+  */
+  _containerFor: function(name) {
+    var mounts = this.router.mounts,
+        mountName, container, candidate;
+
+    for (candidate in mounts) {
+      if (mounts.hasOwnProperty(candidate) && name.indexOf(candidate + '.') === 0 &&
+          (!mountName || candidate.length > mountName.length)) {
+        mountName = candidate;
+      }
+    }
+
+    if (!mountName) { return this.container; }
+
+    this._mountContainers = this._mountContainers || {};
+    container = this._mountContainers[mountName];
+
+    if (!container || container.isDestroyed) {
+      container = this._mountContainers[mountName] = mounts[mountName].buildContainer(this._containerFor(mountName), mountName);
+    }
+
+    return container;
+  },
+
+  /**
+    Destroys the container of the engine mounted at `name`, along with the
+    routes, controllers and services it created. Called when the route the
+    engine is mounted at is exited.
+
+    @private
+    @method _unmount
+    @param {String} name
+  */
+  _unmount: function(name) {
+    var container = this._mountContainers && this._mountContainers[name];
+
+    if (container) {
+      delete this._mountContainers[name];
+      Ember.run.schedule('destroy', container, 'destroy');
+    }
+  },
+
+  /**
+    Returns the route that stands for the resource named `name` until it
+    is loaded. Its `beforeModel` hook loads the resource, then starts the
+    transition that entered it again, against the routes of the resource.
+    The promise of the first transition follows the retried one.
+
+    @private
+    @method _lazyRouteFor
+    @param {String} name
+    @return {Ember.Route}
+  */
+  _lazyRouteFor: function(name) {
+    var routes = this._lazyRoutes || (this._lazyRoutes = {}),
+        self = this;
+
+    if (routes[name]) { return routes[name]; }
+
+    return routes[name] = this.container.lookupFactory('route:basic').create({
+      routeName: name,
+
+      beforeModel: function(transition) {
+        return self._loadResource(name).then(function() {
+          // Another transition took over while the resource was loading.
+          if (transition.isAborted) { return; }
+
+          var lazyTransition = transition.data.lazyTransition || ['handleURL', [transition.intent.url]];
+
+          // Abort first, so that the new transition does not reuse this route.
+          transition.abort();
+          transition.data.retriedTransition = self._doTransition(lazyTransition[0], lazyTransition[1]).method(transition.urlMethod);
+        }, null, 'Ember: Retry transition into loaded resource');
+      }
+    });
+  },
+
+  /**
+    Loads the resource named `name` through its `load` hook, once, and
+    maps the routes it resolves to.
+
+    @private
+    @method _loadResource
+    @param {String} name
+    @return {Promise}
+  */
+  _loadResource: function(name) {
+    var router = this.router,
+        lazy = router.lazyResources[name];
+
+    if (!lazy.promise) {
+      lazy.promise = Ember.RSVP.resolve(lazy.load()).then(function(map) {
+        Ember.assert("The `load` hook of the resource '" + name + "' must resolve to the function that maps its routes", typeof map === 'function');
+
+        lazy.map = map;
+        mapRoutes(router);
+      }, function(error) {
+        // Let the next transition into the resource try again.
+        lazy.promise = null;
+        throw error;
+      }, 'Ember: Load resource ' + name);
+    }
+
+    return lazy.promise;
+  },
+
   _setupRouter: function(router, location) {
     var lastURL, emberRouter = this;
 
     router.getHandler = this._getHandlerFunction();
 
     var doUpdateURL = function() {
+      // The page being left has not been rerendered yet.
+      emberRouter._saveScrollPosition();
       location.setURL(lastURL);
     };
 
@@ -2855,6 +3417,122 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     router.didTransition = function(infos) {
       emberRouter.didTransition(infos);
     };
+
+    router.willTransition = function(oldInfos, newInfos, transition) {
+      emberRouter._consultExitGuards(oldInfos, newInfos, transition);
+    };
+  },
+
+  /**
+    Asks the routes a transition exits, leaf first, whether they can be
+    exited (see `Ember.Route#canExit`). The transition is aborted if one of
+    them refuses, or returns a promise, in which case it is retried once
+    every route has agreed.
+
+    @private
+    @method _consultExitGuards
+    @param {Array} oldInfos the handler infos of the current routes
+    @param {Array} newInfos the handler infos of the destination routes
+    @param {Transition} transition
+  */
+  _consultExitGuards: function(oldInfos, newInfos, transition) {
+    if (this._skipExitGuards) { return; }
+
+    // Any other transition drops the one a guard is holding.
+    this._guardedTransition = null;
+
+    var canExit = consultExitGuards(exitingRoutes(oldInfos, newInfos), transition),
+        self = this;
+
+    if (canExit === true) { return; }
+
+    transition.abort();
+
+    if (canExit === false) {
+      this._refuseExit(transition);
+      return;
+    }
+
+    this._guardedTransition = transition;
+
+    canExit.then(function(canExit) {
+      // Another transition has been attempted in the meantime.
+      if (self._guardedTransition !== transition) { return; }
+      self._guardedTransition = null;
+
+      if (canExit) {
+        self._retryGuardedTransition(transition);
+      } else {
+        self._refuseExit(transition);
+      }
+    }, function(error) {
+      if (self._guardedTransition === transition) {
+        self._guardedTransition = null;
+        self._refuseExit(transition);
+      }
+      throw error;
+    }, 'Ember: Consult exit guards');
+  },
+
+  _retryGuardedTransition: function(transition) {
+    var retried;
+
+    this._skipExitGuards = true;
+
+    try {
+      retried = transition.retry();
+    } finally {
+      this._skipExitGuards = false;
+    }
+
+    retried.method(transition.urlMethod);
+    this.trigger('didStartTransition', retried, 'retry');
+  },
+
+  /**
+    Puts the URL of the current routes back when a transition the user
+    started by changing the URL, e.g. with the back button, is refused.
+
+    @private
+    @method _refuseExit
+    @param {Transition} transition
+  */
+  _refuseExit: function(transition) {
+    this._scrollPositionToRestore = null;
+
+    if (!transition.intent || !transition.intent.url) { return; }
+
+    var state = this.router.state,
+        infos = state.handlerInfos,
+        url = this.router.generate(infos[infos.length - 1].name, { queryParams: state.queryParams });
+
+    get(this, 'location').setURL(url);
+
+    // The page stays where it is, in the entry put back for it.
+    this._saveScrollPosition();
+  },
+
+  /**
+    Returns the message the browser shows before the page is unloaded when
+    one of the current routes refuses to be exited. Since unloading cannot
+    wait, a route whose `canExit` hook returns a promise refuses as well.
+
+    @private
+    @method _exitMessage
+    @return {String}
+  */
+  _exitMessage: function() {
+    var infos = this.router.state.handlerInfos || [],
+        route, canExit;
+
+    for (var i = infos.length - 1; i >= 0; i--) {
+      route = infos[i].handler;
+      canExit = route.canExit();
+
+      if (canExit === false || (canExit && typeof canExit.then === 'function')) {
+        return get(route, 'exitMessage');
+      }
+    }
   },
 
   _doTransition: function(method, args) {
@@ -2862,6 +3540,10 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     args = slice.call(args);
     args[0] = args[0] || '/';
 
+    // Only the URLs handled from the location bring back the scroll
+    // position recorded with them.
+    if (method !== 'handleURL') { this._scrollPositionToRestore = null; }
+
     var passedName = args[0], name, self = this,
       isQueryParamsOnly = false, queryParams;
 
@@ -2875,6 +3557,18 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
     }
 
     if (!isQueryParamsOnly && passedName.charAt(0) !== '/') {
+      var unloaded = unloadedResourceFor(this.router, passedName);
+
+      if (unloaded) {
+        // Enter the route standing for the resource, which carries on
+        // with this transition once the resource is loaded.
+        var lazyTransition = this.router.transitionTo(unloaded);
+        lazyTransition.data.lazyTransition = [method, args];
+        followRetriedTransition(lazyTransition);
+        this.trigger('didStartTransition', lazyTransition, method);
+        return lazyTransition;
+      }
+
       if (!this.router.hasRoute(passedName)) {
         name = args[0] = passedName + '.index';
       } else {
@@ -2910,16 +3604,129 @@ Ember.Router = Ember.Object.extend(Ember.Evented, {
 
     var transitionPromise = this.router[method].apply(this.router, args);
 
+    if (entersUnloadedResource(this.router, transitionPromise)) {
+      followRetriedTransition(transitionPromise);
+    }
+
+    this.trigger('didStartTransition', transitionPromise, method);
+
     transitionPromise.then(null, function(error) {
       if (error.name === "UnrecognizedURLError") {
         Ember.assert("The URL '" + error.message + "' did not match any routes in your application");
       }
     }, 'Ember: Check for Router unrecognized URL error');
 
-    // We want to return the configurable promise object
-    // so that callers of this function can use `.method()` on it,
-    // which obviously doesn't exist for normal RSVP promises.
-    return transitionPromise;
+    // We want to return the configurable promise object
+    // so that callers of this function can use `.method()` on it,
+    // which obviously doesn't exist for normal RSVP promises.
+    return transitionPromise;
+  },
+
+  /**
+    Records the scroll position of the page with the current history
+    entry of the location a little after the user stopped scrolling.
+
+    @private
+    @method _trackScrollPosition
+    @param {Object} location
+  */
+  _trackScrollPosition: function(location) {
+    var self = this;
+
+    this._scrollListener = function() {
+      clearTimeout(self._scrollTimer);
+      self._scrollTimer = setTimeout(function() {
+        self._saveScrollPosition();
+      }, 100);
+    };
+
+    // Listen while capturing to hear about scrollable elements too.
+    window.addEventListener('scroll', this._scrollListener, true);
+  },
+
+  _saveScrollPosition: function(previousEntry) {
+    var location = get(this, 'location');
+
+    clearTimeout(this._scrollTimer);
+    this._scrollTimer = null;
+
+    if (typeof location.saveScrollPosition !== 'function') { return; }
+
+    location.saveScrollPosition(this._scrollPosition(), previousEntry);
+  },
+
+  /**
+    Remembers the scroll position recorded with the history entry the
+    location just moved to, so that `_updateScrollPosition` restores it
+    once the transition to its URL is rendered.
+
+    @private
+    @method _restoreScrollPositionLater
+  */
+  _restoreScrollPositionLater: function() {
+    var location = get(this, 'location');
+
+    if (typeof location.getSavedScrollPosition !== 'function') { return; }
+
+    // The page being left was scrolled a moment ago: record that with
+    // the entry it was shown for, not with the new one.
+    if (this._scrollTimer) { this._saveScrollPosition(true); }
+
+    this._scrollPositionToRestore = location.getSavedScrollPosition();
+  },
+
+  _updateScrollPosition: function(route) {
+    var behavior = get(route, 'scrollBehavior'),
+        position = this._scrollPositionToRestore;
+
+    this._scrollPositionToRestore = null;
+
+    // Only the locations kept in the address bar of a browser scroll it.
+    if (typeof window === 'undefined' || get(this, 'location.implementation') === 'none') { return; }
+
+    if (behavior === 'preserve') { return; }
+
+    if (position) {
+      this._scrollTo(position);
+    } else if (behavior === 'top') {
+      this._scrollTo({ x: 0, y: 0 });
+    }
+  },
+
+  _scrollPosition: function() {
+    var $ = Ember.$,
+        position = { x: $(window).scrollLeft(), y: $(window).scrollTop(), elements: {} };
+
+    forEach(get(this, 'scrollElements') || [], function(selector) {
+      var element = $(selector);
+
+      if (element.length) {
+        position.elements[selector] = { x: element.scrollLeft(), y: element.scrollTop() };
+      }
+    });
+
+    return position;
+  },
+
+  // Elements without a recorded position are scrolled to the top.
+  _scrollTo: function(position) {
+    var $ = Ember.$, elements = position.elements || {};
+
+    window.scrollTo(position.x, position.y);
+
+    forEach(get(this, 'scrollElements') || [], function(selector) {
+      var elementPosition = elements[selector] || { x: 0, y: 0 };
+      $(selector).scrollLeft(elementPosition.x).scrollTop(elementPosition.y);
+    });
+  },
+
+  willDestroy: function() {
+    if (this._scrollListener) {
+      window.removeEventListener('scroll', this._scrollListener, true);
+      clearTimeout(this._scrollTimer);
+    }
+
+    this._super();
   },
 
   _scheduleLoadingEvent: function(transition, originRoute) {
@@ -3183,6 +3990,87 @@ function triggerEvent(handlerInfos, ignoreFailure, args) {
   }
 }
 
+function mapRoutes(router) {
+  var dsl = Ember.RouterDSL.map(function() {
+    this.resource('application', { path: "/" }, function() {
+      for (var i=0; i < router.callbacks.length; i++) {
+        router.callbacks[i].call(this);
+      }
+    });
+  }, router.lazyResources);
+
+  // Start over, so that the routes standing for resources that have
+  // since been loaded are gone.
+  router.recognizer = new RouteRecognizer();
+  router.map(dsl.generate());
+  router.mounts = dsl.mounts;
+}
+
+// The routes a transition from `oldInfos` to `newInfos` exits, leaf first.
+function exitingRoutes(oldInfos, newInfos) {
+  var routes = [], i = 0, j;
+
+  while (i < oldInfos.length && newInfos[i] && oldInfos[i].name === newInfos[i].name) { i++; }
+
+  for (j = oldInfos.length - 1; j >= i; j--) {
+    routes.push(oldInfos[j].handler);
+  }
+
+  return routes;
+}
+
+// Returns `true` or `false` when all of the routes answered right away,
+// or a promise for the answer when one of them returned a promise. The
+// routes after it are asked once it resolves.
+function consultExitGuards(routes, transition) {
+  for (var i = 0, l = routes.length; i < l; i++) {
+    var canExit = routes[i].canExit(transition);
+
+    if (canExit === false) { return false; }
+
+    if (canExit && typeof canExit.then === 'function') {
+      return Ember.RSVP.resolve(canExit).then(function(canExit) {
+        return canExit !== false && consultExitGuards(routes.slice(i + 1), transition);
+      });
+    }
+  }
+
+  return true;
+}
+
+function entersUnloadedResource(router, transition) {
+  var handlerInfos = transition.state ? transition.state.handlerInfos : [],
+      lazyResources = router.lazyResources;
+
+  for (var i=0, l=handlerInfos.length; i<l; i++) {
+    var lazy = lazyResources[handlerInfos[i].name];
+    if (lazy && !lazy.map) { return true; }
+  }
+
+  return false;
+}
+
+// The transition is aborted once the resource it enters is loaded, and
+// started again; callers get the outcome of the retried transition.
+function followRetriedTransition(transition) {
+  transition.promise = transition.promise['catch'](function(reason) {
+    var retried = transition.data.retriedTransition;
+    if (retried) { return retried; }
+    throw reason;
+  }, 'Ember: Follow transition retried in loaded resource');
+}
+
+function unloadedResourceFor(router, name) {
+  var lazyResources = router.lazyResources;
+
+  for (var lazyName in lazyResources) {
+    if (lazyResources.hasOwnProperty(lazyName) && !lazyResources[lazyName].map &&
+        (name === lazyName || name.indexOf(lazyName + '.') === 0)) {
+      return lazyName;
+    }
+  }
+}
+
 function updatePaths(router) {
   var appController = router.container.lookup('controller:application');
 
@@ -3216,21 +4104,13 @@ Ember.Router.reopenClass({
     if (!router) {
       router = new Router();
       router.callbacks = [];
+      router.lazyResources = {};
       router.triggerEvent = triggerEvent;
       this.reopenClass({ router: router });
     }
 
-    var dsl = Ember.RouterDSL.map(function() {
-      this.resource('application', { path: "/" }, function() {
-        for (var i=0; i < router.callbacks.length; i++) {
-          router.callbacks[i].call(this);
-        }
-        callback.call(this);
-      });
-    });
-
     router.callbacks.push(callback);
-    router.map(dsl.generate());
+    mapRoutes(router);
     return router;
   },
 
@@ -3324,6 +4204,11 @@ Ember.Route = Ember.Object.extend(Ember.ActionHandler, {
     }
     this.deactivate();
     this.teardownViews();
+
+    var router = get(this, 'router');
+    if (router && router._unmount) {
+      router._unmount(this.routeName);
+    }
   },
 
   /**
@@ -3625,6 +4510,75 @@ Ember.Route = Ember.Object.extend(Ember.ActionHandler, {
   */
   activate: Ember.K,
 
+  /**
+    This hook is executed before the router exits the route, to guard it
+    against losing unsaved changes. Returning `false` aborts the
+    transition. Returning a promise aborts it too, and retries it when the
+    promise resolves to anything but `false`, so the user can be asked
+    first:
+
+    ```js
+    App.PostEditRoute = Ember.Route.extend({
+      canExit: function(transition) {
+        if (!this.controller.get('isDirty')) { return true; }
+
+        return window.confirm('Discard your changes?');
+      }
+    });
+    ```
+
+    When the transition was started by changing the URL, e.g. with the
+    back button, a refusal puts the URL of the current route back.
+
+    The hook is also executed, without a transition, when the page is about
+    to be unloaded. As there is no waiting then, returning either `false`
+    or a promise makes the browser ask the user whether to leave, with
+    `exitMessage`.
+
+    @method canExit
+    @param {Transition} transition the transition exiting the route, if any
+    @return {Boolean|Promise}
+  */
+  canExit: function(transition) {
+    return true;
+  },
+
+  /**
+    The message the browser shows when the page is about to be unloaded
+    and `canExit` refuses. Most browsers show a message of their own instead.
+
+    @property exitMessage
+    @type String
+  */
+  exitMessage: 'Changes you made may not be saved.',
+
+  /**
+    How the router scrolls the page once it has rendered a transition into
+    this route:
+
+    * `'restore'`: when the user comes back to a page with the back or
+      forward button, or reloads it, to the position it had when they left.
+      Otherwise the page is not scrolled.
+    * `'top'`: like `'restore'`, but to the top of the page after any other
+      transition.
+    * `'preserve'`: never.
+
+    ```js
+    App.SearchResultsRoute = Ember.Route.extend({
+      scrollBehavior: 'top'
+    });
+    ```
+
+    Scroll positions are recorded with the history entries of
+    `Ember.HistoryLocation`, for the window and for the elements listed in
+    the router's `scrollElements`.
+
+    @property scrollBehavior
+    @type String
+    @default 'restore'
+  */
+  scrollBehavior: 'restore',
+
   /**
     Transition into another route. Optionally supply model(s) for the
     route in question. If multiple models are supplied they will be applied
@@ -3847,7 +4801,7 @@ Ember.Route = Ember.Object.extend(Ember.ActionHandler, {
     }
 
     if (this.setupControllers) {
-      Ember.deprecate("Ember.Route.setupControllers is deprecated. Please use Ember.Route.setupController(controller, model) instead.");
+      Ember.deprecate("Ember.Route.setupControllers is deprecated. Please use Ember.Route.setupController(controller, model) instead.", false, { id: 'ember-routing.setup-controllers', until: '2.0.0' });
       this.setupControllers(controller, context);
     } else {
 
@@ -3866,7 +4820,7 @@ Ember.Route = Ember.Object.extend(Ember.ActionHandler, {
     }
 
     if (this.renderTemplates) {
-      Ember.deprecate("Ember.Route.renderTemplates is deprecated. Please use Ember.Route.renderTemplate(controller, model) instead.");
+      Ember.deprecate("Ember.Route.renderTemplates is deprecated. Please use Ember.Route.renderTemplate(controller, model) instead.", false, { id: 'ember-routing.render-templates', until: '2.0.0' });
       this.renderTemplates(context);
     } else {
       this.renderTemplate(controller, context);
@@ -4702,7 +5656,20 @@ function appendView(route, view, options) {
     }
     route.router._connectActiveView(options.name, view);
     route.teardownTopLevelView = generateTopLevelTeardown(view);
-    view.appendTo(rootElement);
+
+    var renderMode = get(route, 'router.namespace.renderMode');
+
+    // When rendering to a string there is no element to append to; the
+    // application serializes the top-level view on demand instead.
+    if (renderMode === 'string') {
+      route.router._toplevelView = view;
+    } else if (renderMode === 'rehydrate' && !route.router._didRehydrate) {
+      // Only the first top-level view can adopt the server's markup.
+      route.router._didRehydrate = true;
+      view.rehydrateIn(rootElement);
+    } else {
+      view.appendTo(rootElement);
+    }
   }
 }
 
@@ -5601,7 +6568,7 @@ Ember.onLoad('Ember.Handlebars', function(Handlebars) {
     @return {String} HTML string
   */
   Ember.Handlebars.registerHelper('linkTo', function linkToHelper() {
-    Ember.warn("The 'linkTo' view helper is deprecated in favor of 'link-to'");
+    Ember.deprecate("The 'linkTo' view helper is deprecated in favor of 'link-to'", false, { id: 'ember-routing.link-to', until: '2.0.0' });
     return Ember.Handlebars.helpers['link-to'].apply(this, arguments);
   });
 });
@@ -5832,7 +6799,7 @@ Ember.onLoad('Ember.Handlebars', function(Handlebars) {
       throw Ember.Error("You must pass a templateName to render");
     }
 
-    Ember.deprecate("Using a quoteless parameter with {{render}} is deprecated. Please update to quoted usage '{{render \"" + name + "\"}}.", options.types[0] !== 'ID');
+    Ember.deprecate("Using a quoteless parameter with {{render}} is deprecated. Please update to quoted usage '{{render \"" + name + "\"}}.", options.types[0] !== 'ID', { id: 'ember-routing.render-quoteless', until: '2.0.0' });
 
     // # legacy namespace
     name = name.replace(/\//g, '.');
@@ -6279,7 +7246,7 @@ Ember.ControllerMixin.reopen({
     @method transitionTo
   */
   transitionTo: function() {
-    Ember.deprecate("transitionTo is deprecated. Please use transitionToRoute.");
+    Ember.deprecate("transitionTo is deprecated. Please use transitionToRoute.", false, { id: 'ember-routing.controller-transition-to', until: '2.0.0' });
     return this.transitionToRoute.apply(this, arguments);
   },
 
@@ -6331,7 +7298,7 @@ Ember.ControllerMixin.reopen({
     @method replaceWith
   */
   replaceWith: function() {
-    Ember.deprecate("replaceWith is deprecated. Please use replaceRoute.");
+    Ember.deprecate("replaceWith is deprecated. Please use replaceRoute.", false, { id: 'ember-routing.controller-replace-with', until: '2.0.0' });
     return this.replaceRoute.apply(this, arguments);
   }
 });
@@ -6660,6 +7627,21 @@ var get = Ember.get, set = Ember.set;
 
   This will result in a posts.new url of `/posts/new`.
 
+  ### AutoLocation
+
+  Using `AutoLocation` picks `HistoryLocation` when the browser supports the
+  `history` API and `HashLocation` otherwise, rewriting URLs of the other
+  form when the application boots.
+
+  ```javascript
+  App.Router.reopen({
+    location: 'auto'
+  });
+  ```
+
+  This will result in a posts.new url of `/posts/new` in modern browsers, and
+  `/#/posts/new` in browsers without `history.pushState`.
+
   ### NoneLocation
 
   Using `NoneLocation` causes Ember to not store the applications URL state
@@ -6675,7 +7657,15 @@ var get = Ember.get, set = Ember.set;
   * setURL(path): sets the current URL.
   * replaceURL(path): replace the current URL (optional).
   * onUpdateURL(callback): triggers the callback when the URL changes.
+  * onBeforeUnload(callback): triggers the callback before the page is
+    unloaded, and asks the user whether to leave when it returns a message
+    (optional).
   * formatURL(url): formats `url` to be placed into `href` attribute.
+  * saveScrollPosition(position, previousEntry): records the scroll position
+    of the page with the current history entry, or with the one the user
+    just left through the history (optional).
+  * getSavedScrollPosition: returns the scroll position recorded with the
+    current history entry (optional).
 
   Calling setURL or replaceURL will not trigger onUpdateURL callbacks.
 
@@ -6737,7 +7727,7 @@ Ember.Location = {
    container directly.
   */
   registerImplementation: function(name, implementation) {
-    Ember.deprecate('Using the Ember.Location.registerImplementation is no longer supported. Register your custom location implementation with the container instead.', false);
+    Ember.deprecate('Using the Ember.Location.registerImplementation is no longer supported. Register your custom location implementation with the container instead.', false, { id: 'ember-routing.location-register-implementation', until: '2.0.0' });
 
     this.implementations[name] = implementation;
   },
@@ -6745,6 +7735,47 @@ Ember.Location = {
   implementations: {}
 };
 
+/**
+  `Ember.BeforeUnloadSupport` implements `onBeforeUnload` for the locations
+  that run in a browser, and removes the listener when the location is
+  destroyed.
+
+  @private
+  @class BeforeUnloadSupport
+  @namespace Ember
+*/
+Ember.BeforeUnloadSupport = Ember.Mixin.create({
+  /**
+    Register a callback to be invoked before the page is unloaded, such
+    as when the tab is closed. If it returns a message, the browser asks
+    the user to confirm leaving the page.
+
+    @private
+    @method onBeforeUnload
+    @param callback {Function}
+  */
+  onBeforeUnload: function(callback) {
+    var guid = Ember.guidFor(this);
+
+    Ember.$(window).on('beforeunload.ember-location-'+guid, function(e) {
+      var message = Ember.run(callback);
+
+      if (message) {
+        if (e.originalEvent) { e.originalEvent.returnValue = message; }
+        return message;
+      }
+    });
+  },
+
+  willDestroy: function() {
+    var guid = Ember.guidFor(this);
+
+    Ember.$(window).off('beforeunload.ember-location-'+guid);
+
+    this._super();
+  }
+});
+
 })();
 
 
@@ -6859,8 +7890,9 @@ var get = Ember.get, set = Ember.set;
   @class HashLocation
   @namespace Ember
   @extends Ember.Object
+  @uses Ember.BeforeUnloadSupport
 */
-Ember.HashLocation = Ember.Object.extend({
+Ember.HashLocation = Ember.Object.extend(Ember.BeforeUnloadSupport, {
   implementation: 'hash',
 
   init: function() {
@@ -6967,6 +7999,8 @@ Ember.HashLocation = Ember.Object.extend({
     var guid = Ember.guidFor(this);
 
     Ember.$(window).off('hashchange.ember-location-'+guid);
+
+    this._super();
   }
 });
 
@@ -6982,7 +8016,13 @@ Ember.HashLocation = Ember.Object.extend({
 
 var get = Ember.get, set = Ember.set;
 var popstateFired = false;
-var supportsHistoryState = window.history && 'state' in window.history;
+var supportsHistoryState = typeof window !== 'undefined' && window.history && 'state' in window.history;
+var stateIds = 0;
+
+// Identifies a history entry, including those from before a page reload.
+function nextStateId() {
+  return new Date().getTime() + '-' + (++stateIds);
+}
 
 /**
   Ember.HistoryLocation implements the location API using the browser's
@@ -6991,13 +8031,15 @@ var supportsHistoryState = window.history && 'state' in window.history;
   @class HistoryLocation
   @namespace Ember
   @extends Ember.Object
+  @uses Ember.BeforeUnloadSupport
 */
-Ember.HistoryLocation = Ember.Object.extend({
+Ember.HistoryLocation = Ember.Object.extend(Ember.BeforeUnloadSupport, {
   implementation: 'history',
 
   init: function() {
     set(this, 'location', get(this, 'location') || window.location);
     set(this, 'baseURL', Ember.$('base').attr('href') || '');
+    this._scrollPositions = {};
   },
 
   /**
@@ -7007,7 +8049,13 @@ Ember.HistoryLocation = Ember.Object.extend({
     @method initState
   */
   initState: function() {
-    set(this, 'history', get(this, 'history') || window.history);
+    var history = get(this, 'history') || window.history;
+
+    set(this, 'history', history);
+
+    // The router restores scroll positions itself.
+    if ('scrollRestoration' in history) { history.scrollRestoration = 'manual'; }
+
     this.replaceState(this.formatURL(this.getURL()));
   },
 
@@ -7087,7 +8135,64 @@ Ember.HistoryLocation = Ember.Object.extend({
    @return state {Object}
   */
   getState: function() {
-    return supportsHistoryState ? get(this, 'history').state : this._historyState;
+    if (!supportsHistoryState) { return this._historyState; }
+
+    // `history` is set by `initState`.
+    var history = get(this, 'history');
+    return history && history.state;
+  },
+
+  /**
+   Records a scroll position with the current state, so that it can be
+   restored when the user navigates back to it.
+
+   With `previousEntry`, the position is recorded with the entry the user
+   just left through the history instead. As only the current entry can be
+   changed, it is kept until the user comes back to that entry.
+
+   @private
+   @method saveScrollPosition
+   @param position {Object}
+   @param previousEntry {Boolean}
+  */
+  saveScrollPosition: function(position, previousEntry) {
+    var state = this.getState();
+
+    if (previousEntry) {
+      if (this._previousStateId) { this._scrollPositions[this._previousStateId] = position; }
+      return;
+    }
+
+    if (!state) { return; }
+
+    state = { path: state.path, id: state.id, scroll: position };
+
+    get(this, 'history').replaceState(state, null);
+
+    // store state if browser doesn't support `history.state`
+    if (!supportsHistoryState) {
+      this._historyState = state;
+    }
+  },
+
+  /**
+   Returns the scroll position recorded with the current state, if any.
+
+   @private
+   @method getSavedScrollPosition
+   @return position {Object}
+  */
+  getSavedScrollPosition: function() {
+    var state = this.getState(),
+        position = state && this._scrollPositions[state.id];
+
+    if (position) {
+      delete this._scrollPositions[state.id];
+      this.saveScrollPosition(position);
+      return position;
+    }
+
+    return state && state.scroll;
   },
 
   /**
@@ -7098,7 +8203,7 @@ Ember.HistoryLocation = Ember.Object.extend({
    @param path {String}
   */
   pushState: function(path) {
-    var state = { path: path };
+    var state = { path: path, id: nextStateId() };
 
     get(this, 'history').pushState(state, null, path);
 
@@ -7107,6 +8212,8 @@ Ember.HistoryLocation = Ember.Object.extend({
       this._historyState = state;
     }
 
+    this._stateId = state.id;
+
     // used for webkit workaround
     this._previousURL = this.getURL();
   },
@@ -7119,7 +8226,11 @@ Ember.HistoryLocation = Ember.Object.extend({
    @param path {String}
   */
   replaceState: function(path) {
-    var state = { path: path };
+    var current = this.getState(),
+        state = { path: path, id: current && current.id || nextStateId() };
+
+    // It is still the same entry, scrolled the same way.
+    if (current && current.scroll) { state.scroll = current.scroll; }
 
     get(this, 'history').replaceState(state, null, path);
 
@@ -7128,6 +8239,8 @@ Ember.HistoryLocation = Ember.Object.extend({
       this._historyState = state;
     }
 
+    this._stateId = state.id;
+
     // used for webkit workaround
     this._previousURL = this.getURL();
   },
@@ -7150,6 +8263,11 @@ Ember.HistoryLocation = Ember.Object.extend({
         popstateFired = true;
         if (self.getURL() === self._previousURL) { return; }
       }
+
+      var state = self.getState();
+      self._previousStateId = self._stateId;
+      self._stateId = state && state.id;
+
       callback(self.getURL());
     });
   },
@@ -7186,6 +8304,190 @@ Ember.HistoryLocation = Ember.Object.extend({
     var guid = Ember.guidFor(this);
 
     Ember.$(window).off('popstate.ember-location-'+guid);
+
+    this._super();
+  }
+});
+
+})();
+
+
+
+(function() {
+/**
+@module ember
+@submodule ember-routing
+*/
+
+var get = Ember.get, set = Ember.set;
+
+/**
+  `Ember.AutoLocation` uses `Ember.HistoryLocation` when the browser supports
+  `history.pushState`, and `Ember.HashLocation` otherwise, so the same
+  application works in old browsers and embedded webviews.
+
+  A URL in the other form is rewritten when the application boots, taking
+  `rootURL` into account: with history support `/app/#/posts/1` becomes
+  `/app/posts/1` without reloading the page. Without it `/app/posts/1` is
+  replaced by `/app/#/posts/1`, which reloads the page, so the router does
+  not handle the URL it booted with (see `cancelRouterSetup`).
+
+  ```javascript
+  App.Router.reopen({
+    location: 'auto',
+    rootURL: '/app/'
+  });
+  ```
+
+  The implementation is looked up from the container as `location:history`
+  or `location:hash` once the router has set `rootURL`, and the location
+  API is forwarded to it.
+
+  @class AutoLocation
+  @namespace Ember
+  @extends Ember.Object
+  @uses Ember.BeforeUnloadSupport
+*/
+Ember.AutoLocation = Ember.Object.extend(Ember.BeforeUnloadSupport, {
+  implementation: 'auto',
+
+  /**
+    Will be pre-pended to path upon state change.
+
+    @property rootURL
+    @default '/'
+  */
+  rootURL: '/',
+
+  /**
+    The location implementation that was chosen, created by `initState`.
+
+    @property concreteImplementation
+    @type Object
+  */
+  concreteImplementation: null,
+
+  /**
+    Set when the URL had to be rewritten with a page reload, in which case
+    the router does not start routing.
+
+    @property cancelRouterSetup
+    @type Boolean
+    @default false
+  */
+  cancelRouterSetup: false,
+
+  init: function() {
+    set(this, 'location', get(this, 'location') || window.location);
+    set(this, 'history', get(this, 'history') || window.history);
+  },
+
+  /**
+    Whether the browser supports `history.pushState`.
+
+    @property supportsHistory
+    @type Boolean
+  */
+  supportsHistory: Ember.computed(function() {
+    var history = get(this, 'history');
+    return !!(history && typeof history.pushState === 'function');
+  }),
+
+  /**
+    Chooses the location implementation and moves the current URL over to
+    its form if needed. Called by the router once `rootURL` is set.
+
+    @private
+    @method initState
+  */
+  initState: function() {
+    var useHistory = get(this, 'supportsHistory'),
+        rootURL = get(this, 'rootURL'),
+        location = get(this, 'location'),
+        root = rootURL.replace(/\/$/, ''),
+        atRoot = location.pathname.replace(/\/$/, '') === root,
+        hashPath = location.hash.substr(1),
+        routePath, concrete;
+
+    if (useHistory && atRoot && hashPath.charAt(0) === '/') {
+      get(this, 'history').replaceState(null, null, root + hashPath + location.search);
+    } else if (!useHistory && !atRoot && location.pathname.indexOf(root + '/') === 0) {
+      routePath = location.pathname.substr(root.length) + location.search;
+      set(this, 'cancelRouterSetup', true);
+      location.replace(rootURL + '#' + routePath);
+    }
+
+    concrete = this.createImplementation(useHistory ? 'history' : 'hash', {
+      rootURL: rootURL,
+      location: location,
+      history: get(this, 'history')
+    });
+
+    set(this, 'concreteImplementation', concrete);
+
+    if (typeof concrete.initState === 'function') { concrete.initState(); }
+  },
+
+  /**
+    Creates the location implementation registered as `location:name`.
+
+    @private
+    @method createImplementation
+    @param {String} name
+    @param {Object} options
+    @return {Object}
+  */
+  createImplementation: function(name, options) {
+    var Implementation = this.container && this.container.lookupFactory('location:' + name);
+
+    if (!Implementation) {
+      Implementation = name === 'history' ? Ember.HistoryLocation : Ember.HashLocation;
+    }
+
+    return Implementation.create(options);
+  },
+
+  getURL: function() {
+    return get(this, 'concreteImplementation').getURL();
+  },
+
+  setURL: function(path) {
+    return get(this, 'concreteImplementation').setURL(path);
+  },
+
+  replaceURL: function(path) {
+    return get(this, 'concreteImplementation').replaceURL(path);
+  },
+
+  onUpdateURL: function(callback) {
+    return get(this, 'concreteImplementation').onUpdateURL(callback);
+  },
+
+  saveScrollPosition: function(position, previousEntry) {
+    var concrete = get(this, 'concreteImplementation');
+    if (concrete.saveScrollPosition) { concrete.saveScrollPosition(position, previousEntry); }
+  },
+
+  getSavedScrollPosition: function() {
+    var concrete = get(this, 'concreteImplementation');
+    return concrete.getSavedScrollPosition && concrete.getSavedScrollPosition();
+  },
+
+  formatURL: function(url) {
+    return get(this, 'concreteImplementation').formatURL(url);
+  },
+
+  /**
+    Destroys the chosen location implementation.
+
+    @private
+    @method willDestroy
+  */
+  willDestroy: function() {
+    var concrete = get(this, 'concreteImplementation');
+    if (concrete) { concrete.destroy(); }
+
+    this._super();
   }
 });
 
@@ -2139,7 +2139,7 @@ function findNamespaces() {
     }
 
     if (isNamespace) {
-      Ember.deprecate("Namespaces should not begin with lowercase.", /^[A-Z]/.test(prop));
+      Ember.deprecate("Namespaces should not begin with lowercase.", /^[A-Z]/.test(prop), { id: 'ember-runtime.lowercase-namespace', until: '2.0.0' });
       obj[NAME_KEY] = prop;
     }
   }
@@ -6756,7 +6756,7 @@ RSVP.configure('async', function(callback, promise) {
 });
 
 RSVP.Promise.prototype.fail = function(callback, label){
-  Ember.deprecate('RSVP.Promise.fail has been renamed as RSVP.Promise.catch');
+  Ember.deprecate('RSVP.Promise.fail has been renamed as RSVP.Promise.catch', false, { id: 'ember-runtime.promise-fail', until: '2.0.0' });
   return this['catch'](callback, label);
 };
 
@@ -6993,7 +6993,7 @@ Ember.ActionHandler = Ember.Mixin.create({
       if (typeOf(props.actions) === 'object') {
         hashName = 'actions';
       } else if (typeOf(props.events) === 'object') {
-        Ember.deprecate('Action handlers contained in an `events` object are deprecated in favor of putting them in an `actions` object', false);
+        Ember.deprecate('Action handlers contained in an `events` object are deprecated in favor of putting them in an `actions` object', false, { id: 'ember-runtime.events-action-handlers', until: '2.0.0' });
         hashName = 'events';
       }
 
@@ -7767,6 +7767,185 @@ Ember.Container.set = Ember.set;
 
 
 
+(function() {
+/**
+@module ember
+@submodule ember-runtime
+*/
+
+var get = Ember.get,
+    o_create = Ember.create,
+    ComputedProperty = Ember.ComputedProperty;
+
+/**
+  A computed property that looks its value up from the object's container
+  the first time it is read. See `Ember.inject`.
+
+  @class InjectedProperty
+  @namespace Ember
+  @extends Ember.ComputedProperty
+  @constructor
+  @param {String} fullName the `type:name` to look up, or only the type to
+    use the property's name as the name
+*/
+function InjectedProperty(fullName) {
+  var property = this;
+
+  this.fullName = fullName;
+
+  ComputedProperty.call(this, function(keyName) {
+    return property.lookup(this, keyName);
+  });
+}
+
+Ember.InjectedProperty = InjectedProperty;
+InjectedProperty.prototype = o_create(ComputedProperty.prototype);
+
+/**
+  The `type:name` this property looks up when read as `keyName`.
+
+  @method fullNameFor
+  @param {String} keyName
+  @return {String}
+*/
+InjectedProperty.prototype.fullNameFor = function(keyName) {
+  return this.fullName.indexOf(':') === -1 ? this.fullName + ':' + keyName : this.fullName;
+};
+
+/**
+  Looks the injected object up from `obj`'s container.
+
+  @method lookup
+  @param {Object} obj
+  @param {String} keyName
+  @return {Object}
+*/
+InjectedProperty.prototype.lookup = function(obj, keyName) {
+  var fullName = this.fullNameFor(keyName),
+      container = get(obj, 'container'),
+      injection;
+
+  Ember.assert("Attempting to inject `" + fullName + "` as `" + keyName + "` on " + obj + ", but it " +
+               "has no container. Objects only get one when they are looked up from the container or " +
+               "created by an object that was, otherwise pass it as `container` to `create`.", container);
+
+  injection = container.lookup(fullName);
+
+  Ember.assert("Attempting to inject `" + fullName + "` as `" + keyName + "` on " + obj + ", but " +
+               container.describe(fullName) + " could not be found.", injection !== undefined);
+
+  return injection;
+};
+
+/**
+  Defines a property that is looked up from the object's container the
+  first time it is read, then cached. Unlike injections set up with
+  `Container#injection` in an initializer, the dependency is declared where
+  it is used, and only looked up by the objects that need it. It works for
+  every object created by the container, like routes, controllers, views
+  and components.
+
+  ```javascript
+  App.PostController = Ember.ObjectController.extend({
+    session: Ember.inject('session:main'),
+
+    // with only a type, the property's name is the name: `service:analytics`
+    analytics: Ember.inject('service'),
+
+    actions: {
+      publish: function() {
+        this.get('analytics').track('publish', this.get('session.user'));
+      }
+    }
+  });
+  ```
+
+  The injected object can be replaced by setting the property, which is
+  handy in unit tests:
+
+  ```javascript
+  var controller = App.PostController.create({
+    session: Ember.Object.create({ user: 'tomster' })
+  });
+  ```
+
+  @method inject
+  @for Ember
+  @param {String} fullName the `type:name` to look up, or only the type to
+    use the property's name as the name
+  @return {Ember.InjectedProperty}
+*/
+Ember.inject = function(fullName) {
+  Ember.assert("Ember.inject expects a `type:name` or a type, but got " + fullName,
+               typeof fullName === 'string' && fullName.length > 0);
+
+  return new InjectedProperty(fullName);
+};
+
+})();
+
+
+
+(function() {
+/**
+@module ember
+@submodule ember-runtime
+*/
+
+/**
+  A service is an object that lives as long as the application and is shared
+  by everything that uses it, like the current session, an analytics client
+  or a websocket connection.
+
+  Services are registered with the `service` type, and the default resolver
+  finds `service:session` as `App.SessionService`. Each is created the first
+  time it is looked up and destroyed when the application is destroyed or
+  reset:
+
+  ```javascript
+  App.SessionService = Ember.Service.extend({
+    user: null,
+
+    willDestroy: function() {
+      this.get('socket').close();
+    }
+  });
+
+  App.PostController = Ember.ObjectController.extend({
+    session: Ember.inject.service()
+  });
+  ```
+
+  @class Service
+  @namespace Ember
+  @extends Ember.Object
+*/
+Ember.Service = Ember.Object.extend();
+
+/**
+  Defines a property that looks up `service:name` the first time it is read,
+  see `Ember.inject`. Without a name, the property's name is used.
+
+  ```javascript
+  App.PostRoute = Ember.Route.extend({
+    session: Ember.inject.service(),
+    tracker: Ember.inject.service('analytics')
+  });
+  ```
+
+  @method service
+  @for Ember.inject
+  @param {String} name (optional)
+  @return {Ember.InjectedProperty}
+*/
+Ember.inject.service = function(name) {
+  return Ember.inject(name ? 'service:' + name : 'service');
+};
+
+})();
+
+
+
 (function() {
 Ember.Application = Ember.Namespace.extend();
 
@@ -9094,7 +9273,7 @@ Ember.ControllerMixin = Ember.Mixin.create(Ember.ActionHandler, {
   deprecatedSend: function(actionName) {
     var args = [].slice.call(arguments, 1);
     Ember.assert('' + this + " has the action " + actionName + " but it is not a function", typeof this[actionName] === 'function');
-    Ember.deprecate('Action handlers implemented directly on controllers are deprecated in favor of action handlers on an `actions` object (' + actionName + ' on ' + this + ')', false);
+    Ember.deprecate('Action handlers implemented directly on controllers are deprecated in favor of action handlers on an `actions` object (' + actionName + ' on ' + this + ')', false, { id: 'ember-runtime.controller-action-handlers', until: '2.0.0' });
     this[actionName].apply(this, args);
     return;
   }
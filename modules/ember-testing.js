@@ -217,6 +217,12 @@ Ember.Test = {
      ```javascript
      Ember.Test.registerWaiter(MyDB, MyDB.hasPendingTransactions);
      ```
+
+     Waiters are asked again whenever a run loop finishes, a timer is
+     cancelled or a request completes, and every 100ms otherwise. A waiter
+     that becomes ready outside of a run loop can call
+     `Ember.Test.checkSettled` to be noticed right away.
+
      @public
      @method registerWaiter
      @param {Object} context (optional)
@@ -231,6 +237,7 @@ Ember.Test = {
       this.waiters = Ember.A();
     }
     this.waiters.push([context, callback]);
+    Ember.Test.checkSettled();
   },
   /**
      `unregisterWaiter` is used to unregister a callback that was
@@ -252,6 +259,7 @@ Ember.Test = {
     this.waiters = Ember.A(this.waiters.filter(function(elt) {
       return Ember.compare(elt, pair)!==0;
     }));
+    Ember.Test.checkSettled();
   }
 };
 
@@ -378,7 +386,7 @@ Ember.Application.reopen({
    @type {Object} The object to be used for test helpers.
    @default window
   */
-  helperContainer: window,
+  helperContainer: typeof window !== 'undefined' ? window : null,
 
   /**
     This injects the test helpers into the `helperContainer` object. If an object is provided
@@ -668,226 +676,2311 @@ Test.QUnitAdapter = Test.Adapter.extend({
   }
 });
 
-})();
+/*
+  Test frameworks whose asynchronous tests finish by calling a `done`
+  callback or by settling a returned promise need to know when the last
+  async helper has finished. `asyncEnd` fires whenever no helper is waiting,
+  which also happens for a moment between two chained helpers, so the test
+  only ends if nothing started waiting again by the next tick.
+*/
+var AsyncTestAdapter = Test.Adapter.extend({
+  currentTest: null,
+  isWaiting: false,
 
+  asyncStart: function() {
+    this.isWaiting = true;
+  },
 
+  asyncEnd: function() {
+    this.isWaiting = false;
+    this.scheduleTestEnd();
+  },
 
-(function() {
-/**
-* @module ember
-* @submodule ember-testing
-*/
+  exception: function(error) {
+    var test = this.currentTest;
 
-var get = Ember.get,
-    Test = Ember.Test,
-    helper = Test.registerHelper,
-    asyncHelper = Test.registerAsyncHelper,
-    countAsync = 0;
+    if (!test) { throw error; }
 
-Test.pendingAjaxRequests = 0;
+    // The rest of the helper chain was skipped; don't let the next test
+    // wait on it.
+    Test.lastPromise = null;
+    this.currentTest = null;
+    test.reject(error);
+  },
 
-Test.onInjectHelpers(function() {
-  Ember.$(document).ajaxStart(function() {
-    Test.pendingAjaxRequests++;
-  });
+  /**
+    Wraps a test function for frameworks that pass a `done` callback. The
+    test ends once the last async helper it started has finished, or fails
+    with the first exception thrown by the test or its `andThen` callbacks.
 
-  Ember.$(document).ajaxStop(function() {
-    Ember.assert("An ajaxStop event which would cause the number of pending AJAX " +
-                 "requests to be negative has been triggered. This is most likely " +
-                 "caused by AJAX events that were started before calling " +
-                 "`injectTestHelpers()`.", Test.pendingAjaxRequests !== 0);
-    Test.pendingAjaxRequests--;
-  });
+    @method async
+    @param {Function} fn The test function
+    @return {Function} A test function that accepts `done`
+  */
+  async: function(fn) {
+    var adapter = this;
+
+    return function(done) {
+      adapter.runTest(fn, this, function() {
+        done();
+      }, function(error) {
+        adapter.failTest(done, error);
+      });
+    };
+  },
+
+  /**
+    Wraps a test function for frameworks that wait on a returned promise.
+    The promise resolves once the last async helper the test started has
+    finished, or rejects with the first exception thrown by the test or its
+    `andThen` callbacks.
+
+    @method promise
+    @param {Function} fn The test function
+    @return {Function} A test function that returns a promise
+  */
+  promise: function(fn) {
+    var adapter = this;
+
+    return function() {
+      var context = this;
+
+      return new Ember.RSVP.Promise(function(resolve, reject) {
+        adapter.runTest(fn, context, function() {
+          Ember.run(null, resolve);
+        }, function(error) {
+          Ember.run(null, reject, error);
+        });
+      });
+    };
+  },
+
+  runTest: function(fn, context, resolve, reject) {
+    this.currentTest = { resolve: resolve, reject: reject };
+    Test.lastPromise = null;
+
+    try {
+      fn.call(context);
+    } catch (error) {
+      this.currentTest = null;
+      setTimeout(function() { reject(error); }, 0);
+      return;
+    }
+
+    this.scheduleTestEnd();
+  },
+
+  scheduleTestEnd: function() {
+    var adapter = this,
+        test = this.currentTest;
+
+    if (!test) { return; }
+
+    setTimeout(function() {
+      if (adapter.currentTest !== test || adapter.isWaiting) { return; }
+
+      adapter.currentTest = null;
+      test.resolve();
+    }, 0);
+  },
+
+  failTest: function(done, error) {
+    done(error);
+  }
 });
 
-function currentRouteName(app){
-  var appController = app.__container__.lookup('controller:application');
+/**
+  This class implements the methods defined by Ember.Test.Adapter for the
+  Mocha testing framework. Wrap each test with `async` to use Mocha's `done`
+  callback, or with `promise` to return a promise to Mocha.
 
-  return get(appController, 'currentRouteName');
-}
+  ```javascript
+  var adapter = Ember.Test.adapter = Ember.Test.MochaAdapter.create();
 
-function currentPath(app){
-  var appController = app.__container__.lookup('controller:application');
+  it('shows the post', adapter.async(function() {
+    visit('/posts/1');
+    andThen(function() {
+      expect(find('h1').text()).to.equal('Hello');
+    });
+  }));
 
-  return get(appController, 'currentPath');
-}
+  it('deletes the post', adapter.promise(function() {
+    visit('/posts/1');
+    click('.delete');
+  }));
+  ```
 
-function currentURL(app){
-  var router = app.__container__.lookup('router:main');
+  An exception thrown by the test or inside an `andThen` callback fails the
+  test that is running.
 
-  return get(router, 'location').getURL();
-}
+  @class MochaAdapter
+  @namespace Ember.Test
+  @extends Ember.Test.Adapter
+*/
+Test.MochaAdapter = AsyncTestAdapter.extend();
 
-function visit(app, url) {
-  Ember.run(app, 'advanceReadiness');
+/**
+  This class implements the methods defined by Ember.Test.Adapter for the
+  Jasmine testing framework. Wrap each test with `async` to use Jasmine's
+  `done` callback, or with `promise` on versions of Jasmine that wait on
+  returned promises.
 
-  app.__container__.lookup('router:main').location.setURL(url);
-  Ember.run(app, app.handleURL, url);
-  return wait(app);
-}
+  ```javascript
+  var adapter = Ember.Test.adapter = Ember.Test.JasmineAdapter.create();
 
-function click(app, selector, context) {
-  var $el = findWithAssert(app, selector, context);
-  Ember.run($el, 'mousedown');
+  it('shows the post', adapter.async(function() {
+    visit('/posts/1');
+    andThen(function() {
+      expect(find('h1').text()).toEqual('Hello');
+    });
+  }));
+  ```
 
-  if ($el.is(':input')) {
-    var type = $el.prop('type');
-    if (type !== 'checkbox' && type !== 'radio' && type !== 'hidden') {
-      Ember.run($el, function(){
-        // Firefox does not trigger the `focusin` event if the window
-        // does not have focus. If the document doesn't have focus just
-        // use trigger('focusin') instead.
-        if (!document.hasFocus || document.hasFocus()) {
-          this.focus();
-        } else {
-          this.trigger('focusin');
-        }
-      });
+  An exception thrown by the test or inside an `andThen` callback fails the
+  test that is running, through `done.fail` or, on versions of Jasmine
+  without it, a failed expectation.
+
+  @class JasmineAdapter
+  @namespace Ember.Test
+  @extends Ember.Test.Adapter
+*/
+Test.JasmineAdapter = AsyncTestAdapter.extend({
+  failTest: function(done, error) {
+    if (done.fail) {
+      done.fail(error);
+    } else {
+      // Jasmine 2.0's `done` can't fail the spec, so fail an expectation.
+      expect(function() { throw error; }).not.toThrow();
+      done();
     }
   }
+});
 
-  Ember.run($el, 'mouseup');
-  Ember.run($el, 'click');
+})();
 
-  return wait(app);
-}
 
-function triggerEvent(app, selector, context, event){
-  if (typeof method === 'undefined') {
-    event = context;
-    context = null;
-  }
 
-  var $el = findWithAssert(app, selector, context);
+(function() {
+/**
+ @module ember
+ @submodule ember-testing
+*/
 
-  Ember.run($el, 'trigger', event);
+var Test = Ember.Test,
+    trackers = [];
 
-  return wait(app);
-}
+/**
+  A request tracker reports the network requests an application makes so
+  that `wait` and the async helpers don't resume the test while a request is
+  still in flight.
 
-function keyEvent(app, selector, context, type, keyCode) {
-  var $el;
-  if (typeof keyCode === 'undefined') {
-    keyCode = type;
-    type = context;
-    context = null;
-  }
-  $el = findWithAssert(app, selector, context);
-  var event = Ember.$.Event(type, { keyCode: keyCode });
-  Ember.run($el, 'trigger', event);
-  return wait(app);
-}
+  ember-testing ships trackers for jQuery AJAX (`Ember.Test.JQueryRequestTracker`,
+  registered by `injectTestHelpers`), raw `XMLHttpRequest`
+  (`Ember.Test.XHRRequestTracker`) and `fetch` (`Ember.Test.FetchRequestTracker`).
+  A custom tracker implements `install` and `uninstall` and calls
+  `requestDidStart` and `requestDidEnd` around every request:
 
-function fillIn(app, selector, context, text) {
-  var $el;
-  if (typeof text === 'undefined') {
-    text = context;
-    context = null;
-  }
-  $el = findWithAssert(app, selector, context);
-  Ember.run(function() {
-    $el.val(text).change();
+  ```javascript
+  var SocketTracker = Ember.Test.RequestTracker.extend({
+    name: 'socket',
+
+    install: function() {
+      var tracker = this;
+      MySocket.on('send', function(message) {
+        tracker.requestDidStart('SEND', message.channel, message);
+      });
+      MySocket.on('reply', function(message) {
+        tracker.requestDidEnd(message.request);
+      });
+    }
   });
-  return wait(app);
-}
 
-function findWithAssert(app, selector, context) {
-  var $el = find(app, selector, context);
-  if ($el.length === 0) {
-    throw new Ember.Error("Element " + selector + " not found.");
-  }
-  return $el;
-}
+  Ember.Test.registerRequestTracker(SocketTracker.create());
+  ```
 
-function find(app, selector, context) {
-  var $el;
-  context = context || get(app, 'rootElement');
-  $el = app.$(selector, context);
+  Pending requests count towards `Ember.Test.pendingAjaxRequests`.
 
-  return $el;
-}
+  @class RequestTracker
+  @namespace Ember.Test
+*/
+Test.RequestTracker = Ember.Object.extend({
+  /**
+    The name reported with each of this tracker's pending requests.
 
-function andThen(app, callback) {
-  return wait(app, callback(app));
-}
+    @property name
+    @type String
+  */
+  name: null,
 
-function wait(app, value) {
-  return Test.promise(function(resolve) {
-    // If this is the first async promise, kick off the async test
-    if (++countAsync === 1) {
-      Test.adapter.asyncStart();
+  /**
+    The requests this tracker has seen start but not end, as objects with
+    a `method`, `url` and the `handle` passed to `requestDidStart`.
+
+    @property pending
+    @type Array
+  */
+  pending: null,
+
+  init: function() {
+    this._super();
+    this.pending = [];
+  },
+
+  /**
+    Called by `Ember.Test.registerRequestTracker`. Override this to start
+    listening for requests.
+
+    @method install
+  */
+  install: Ember.K,
+
+  /**
+    Called by `Ember.Test.unregisterRequestTracker`. Override this to stop
+    listening for requests.
+
+    @method uninstall
+  */
+  uninstall: Ember.K,
+
+  /**
+    Records the start of a request.
+
+    @method requestDidStart
+    @param {String} method The HTTP method
+    @param {String} url
+    @param {Object} handle An object identifying the request, passed to
+      `requestDidEnd` when it completes
+  */
+  requestDidStart: function(method, url, handle) {
+    this._addPending(method, url, handle);
+    Test.pendingAjaxRequests++;
+  },
+
+  /**
+    Records the end of a request, whether it succeeded, failed or was
+    aborted. Requests that were not seen starting are ignored.
+
+    @method requestDidEnd
+    @param {Object} handle The object passed to `requestDidStart`
+  */
+  requestDidEnd: function(handle) {
+    if (this._removePending(handle)) {
+      Test.pendingAjaxRequests--;
+      Test.checkSettled();
     }
+  },
 
-    // Every 10ms, poll for the async thing to have finished
-    var watcher = setInterval(function() {
-      // 1. If the router is loading, keep polling
-      var routerIsLoading = app.__container__.lookup('router:main').router.isLoading;
-      if (routerIsLoading) { return; }
-
-      // 2. If there are pending Ajax requests, keep polling
-      if (Test.pendingAjaxRequests) { return; }
-
-      // 3. If there are scheduled timers or we are inside of a run loop, keep polling
-      if (Ember.run.hasScheduledTimers() || Ember.run.currentRunLoop) { return; }
-      if (Test.waiters && Test.waiters.any(function(waiter) {
-        var context = waiter[0];
-        var callback = waiter[1];
-        return !callback.call(context);
-      })) { return; }
-      // Stop polling
-      clearInterval(watcher);
+  /**
+    Forgets every pending request, as when the tracker is unregistered.
 
-      // If this is the last async promise, end the async test
-      if (--countAsync === 0) {
-        Test.adapter.asyncEnd();
-      }
+    @method reset
+  */
+  reset: function() {
+    Test.pendingAjaxRequests -= this.pending.length;
+    this.pending.length = 0;
+  },
 
-      // Synchronously resolve the promise
-      Ember.run(null, resolve, value);
-    }, 10);
-  });
+  _addPending: function(method, url, handle) {
+    this.pending.push({ method: method, url: url, handle: handle });
+  },
 
-}
+  _removePending: function(handle) {
+    var pending = this.pending;
 
+    for (var i = 0, l = pending.length; i < l; i++) {
+      if (pending[i].handle === handle) {
+        pending.splice(i, 1);
+        return true;
+      }
+    }
 
-/**
-* Loads a route, sets up any controllers, and renders any templates associated
-* with the route as though a real user had triggered the route change while
-* using your app.
-*
-* Example:
-*
-* ```javascript
-* visit('posts/index').then(function() {
-*   // assert something
-* });
-* ```
-*
-* @method visit
-* @param {String} url the name of the route
-* @return {RSVP.Promise}
-*/
-asyncHelper('visit', visit);
+    return false;
+  }
+});
 
 /**
-* Clicks an element and triggers any actions triggered by the element's `click`
-* event.
-*
-* Example:
-*
-* ```javascript
-* click('.some-jQuery-selector').then(function() {
-*  // assert something
-* });
-* ```
-*
-* @method click
-* @param {String} selector jQuery selector for finding element on the DOM
-* @return {RSVP.Promise}
+  Tracks requests made through jQuery's AJAX methods. jQuery's global
+  `ajaxStart` and `ajaxStop` events count towards
+  `Ember.Test.pendingAjaxRequests`, while `ajaxSend` and `ajaxComplete` keep
+  the list of pending requests.
+
+  Installing the tracker again rebinds its handlers, in case they were
+  removed from the document.
+
+  @class JQueryRequestTracker
+  @namespace Ember.Test
+  @extends Ember.Test.RequestTracker
 */
-asyncHelper('click', click);
+Test.JQueryRequestTracker = Test.RequestTracker.extend({
+  name: 'jquery',
 
-/**
+  init: function() {
+    var tracker = this;
+
+    this._super();
+    this._batches = 0;
+
+    this._start = function() {
+      tracker._batches++;
+      Test.pendingAjaxRequests++;
+    };
+
+    this._stop = function() {
+      Ember.assert("An ajaxStop event which would cause the number of pending AJAX " +
+                   "requests to be negative has been triggered. This is most likely " +
+                   "caused by AJAX events that were started before calling " +
+                   "`injectTestHelpers()`.", Test.pendingAjaxRequests !== 0);
+
+      if (tracker._batches > 0) { tracker._batches--; }
+      Test.pendingAjaxRequests--;
+      Test.checkSettled();
+    };
+
+    this._send = function(event, xhr, settings) {
+      tracker._addPending(settings.type, settings.url, xhr);
+    };
+
+    this._complete = function(event, xhr) {
+      tracker._removePending(xhr);
+    };
+  },
+
+  install: function() {
+    this.uninstall();
+
+    Ember.$(document).on('ajaxStart', this._start).on('ajaxStop', this._stop)
+                     .on('ajaxSend', this._send).on('ajaxComplete', this._complete);
+  },
+
+  uninstall: function() {
+    Ember.$(document).off('ajaxStart', this._start).off('ajaxStop', this._stop)
+                     .off('ajaxSend', this._send).off('ajaxComplete', this._complete);
+  },
+
+  reset: function() {
+    Test.pendingAjaxRequests -= this._batches;
+    this._batches = 0;
+    this.pending.length = 0;
+  }
+});
+
+function isTrackingJQuery() {
+  for (var i = 0, l = trackers.length; i < l; i++) {
+    if (trackers[i] instanceof Test.JQueryRequestTracker) { return true; }
+  }
+
+  return false;
+}
+
+/**
+  Tracks every `XMLHttpRequest` by wrapping its `open` and `send` methods.
+  Requests made through jQuery are skipped while a
+  `Ember.Test.JQueryRequestTracker` is registered, so that they are not
+  counted twice, unless they were made with `global: false`.
+
+  @class XHRRequestTracker
+  @namespace Ember.Test
+  @extends Ember.Test.RequestTracker
+*/
+Test.XHRRequestTracker = Test.RequestTracker.extend({
+  name: 'xhr',
+
+  install: function() {
+    var tracker = this,
+        proto = window.XMLHttpRequest.prototype,
+        open = this._open = proto.open,
+        send = this._send = proto.send,
+        createXHR = this._createXHR = Ember.$.ajaxSettings.xhr;
+
+    // Mark the requests jQuery reports through its global AJAX events.
+    Ember.$.ajaxSettings.xhr = function() {
+      var xhr = createXHR.apply(this, arguments);
+      if (xhr && this.global) { xhr._emberTestJQuery = true; }
+      return xhr;
+    };
+
+    proto.open = function(method, url) {
+      // Opening a request again aborts the one in flight without firing
+      // `readystatechange`.
+      tracker.requestDidEnd(this);
+      this._emberTestRequest = { method: method, url: url };
+      return open.apply(this, arguments);
+    };
+
+    proto.send = function() {
+      var xhr = this, request = xhr._emberTestRequest;
+
+      if (request && !(xhr._emberTestJQuery && isTrackingJQuery())) {
+        tracker.requestDidStart(request.method, request.url, xhr);
+
+        if (xhr._emberTestTracker !== tracker) {
+          xhr._emberTestTracker = tracker;
+          xhr.addEventListener('readystatechange', function() {
+            if (xhr.readyState === 4) { tracker.requestDidEnd(xhr); }
+          }, false);
+        }
+      }
+
+      try {
+        return send.apply(xhr, arguments);
+      } catch (e) {
+        tracker.requestDidEnd(xhr);
+        throw e;
+      }
+    };
+  },
+
+  uninstall: function() {
+    var proto = window.XMLHttpRequest.prototype;
+
+    proto.open = this._open;
+    proto.send = this._send;
+    Ember.$.ajaxSettings.xhr = this._createXHR;
+  }
+});
+
+/**
+  Tracks requests made with `window.fetch`, whether native or a polyfill,
+  by wrapping it.
+
+  @class FetchRequestTracker
+  @namespace Ember.Test
+  @extends Ember.Test.RequestTracker
+*/
+Test.FetchRequestTracker = Test.RequestTracker.extend({
+  name: 'fetch',
+
+  install: function() {
+    var tracker = this,
+        fetch = this._fetch = window.fetch;
+
+    Ember.assert("Ember.Test.FetchRequestTracker needs `window.fetch` or a polyfill to be loaded", typeof fetch === 'function');
+
+    window.fetch = function(input, options) {
+      var handle = {},
+          url = typeof input === 'string' ? input : input.url,
+          method = (options && options.method) || (typeof input === 'string' ? 'GET' : input.method),
+          promise;
+
+      tracker.requestDidStart(method, url, handle);
+
+      try {
+        promise = fetch.apply(this, arguments);
+      } catch (e) {
+        tracker.requestDidEnd(handle);
+        throw e;
+      }
+
+      promise.then(function() {
+        tracker.requestDidEnd(handle);
+      }, function() {
+        tracker.requestDidEnd(handle);
+      });
+
+      return promise;
+    };
+  },
+
+  uninstall: function() {
+    window.fetch = this._fetch;
+  }
+});
+
+/**
+  Installs a request tracker so that `wait` waits for the requests it
+  reports. Registering the same tracker twice has no effect.
+
+  ```javascript
+  Ember.Test.registerRequestTracker(Ember.Test.FetchRequestTracker.create());
+  ```
+
+  @public
+  @method registerRequestTracker
+  @for Ember.Test
+  @param {Ember.Test.RequestTracker} tracker
+*/
+Test.registerRequestTracker = function(tracker) {
+  if (Ember.EnumerableUtils.indexOf(trackers, tracker) !== -1) { return; }
+
+  trackers.push(tracker);
+  tracker.install();
+};
+
+/**
+  Uninstalls a request tracker registered with `registerRequestTracker`. Any
+  requests it still considers pending are forgotten.
+
+  @public
+  @method unregisterRequestTracker
+  @for Ember.Test
+  @param {Ember.Test.RequestTracker} tracker
+*/
+Test.unregisterRequestTracker = function(tracker) {
+  var index = Ember.EnumerableUtils.indexOf(trackers, tracker);
+  if (index === -1) { return; }
+
+  trackers.splice(index, 1);
+  tracker.uninstall();
+  tracker.reset();
+  Test.checkSettled();
+};
+
+/**
+  Lists the requests the registered trackers are waiting on, which helps
+  when a test hangs in `wait`.
+
+  ```javascript
+  Ember.Test.pendingRequests();
+  // => [{ method: 'GET', url: '/posts/1', tracker: 'jquery' }]
+  ```
+
+  @public
+  @method pendingRequests
+  @for Ember.Test
+  @return {Array} Objects with the `method`, `url` and `tracker` name of each
+    pending request
+*/
+Test.pendingRequests = function() {
+  var requests = [], pending;
+
+  for (var i = 0, l = trackers.length; i < l; i++) {
+    pending = trackers[i].pending;
+    for (var j = 0, k = pending.length; j < k; j++) {
+      requests.push({ method: pending[j].method, url: pending[j].url, tracker: trackers[i].name });
+    }
+  }
+
+  return requests;
+};
+
+})();
+
+
+
+(function() {
+/**
+ @module ember
+ @submodule ember-testing
+*/
+
+var Test = Ember.Test,
+    RouteRecognizer = requireModule('route-recognizer')['default'],
+    forEach = Ember.ArrayPolyfills.forEach;
+
+var STATUS_TEXTS = {
+  200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No Content',
+  301: 'Moved Permanently', 302: 'Found', 304: 'Not Modified',
+  400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found',
+  409: 'Conflict', 422: 'Unprocessable Entity', 500: 'Internal Server Error',
+  503: 'Service Unavailable'
+};
+
+/**
+  `Ember.Test.FakeServer` answers the application's AJAX requests from a route
+  table instead of a real backend, so acceptance tests can run against
+  predictable data.
+
+  ```javascript
+  var server = Ember.Test.FakeServer.create();
+
+  server.map(function() {
+    this.get('/posts/:post_id', function(request) {
+      return { body: { post: { id: request.params.post_id, title: 'Hello' } } };
+    });
+
+    this.post('/posts', { status: 201, body: { post: { id: 2 } }, delay: 50 });
+    this['delete']('/posts/:post_id', { status: 204 });
+  });
+
+  server.start();
+
+  visit('/posts/1');
+  click('.delete');
+  andThen(function() {
+    equal(server.handledRequests[1].method, 'DELETE');
+    server.stop();
+  });
+  ```
+
+  A response is an object with a `status` (200 by default), `headers`, a
+  `body` (anything but a string is sent as JSON) and a `delay` in
+  milliseconds, or a function that receives the request and returns one. The
+  request has the `method`, `url`, the dynamic segment `params`, the
+  `queryParams`, the `requestBody` and the `requestHeaders`.
+
+  While it is started the server replaces `window.XMLHttpRequest`, which also
+  covers requests made through jQuery. Requests count towards
+  `Ember.Test.pendingAjaxRequests` until their response is delivered, so
+  `wait` honors each route's `delay`. Responses are delivered inside a run
+  loop, so the application's callbacks may schedule work without wrapping
+  it in `Ember.run`. A request that matches no route is answered with a 404,
+  recorded in `unhandledRequests` and fails the test.
+
+  @class FakeServer
+  @namespace Ember.Test
+  @extends Ember.Test.RequestTracker
+*/
+Test.FakeServer = Test.RequestTracker.extend({
+  name: 'fake-server',
+
+  /**
+    The requests the server answered from its routes, in the order they were
+    made. Each has the `status` it was answered with.
+
+    @property handledRequests
+    @type Array
+  */
+  handledRequests: null,
+
+  /**
+    The requests that matched no route.
+
+    @property unhandledRequests
+    @type Array
+  */
+  unhandledRequests: null,
+
+  init: function() {
+    this._super();
+    this.recognizers = {};
+    this.handledRequests = [];
+    this.unhandledRequests = [];
+  },
+
+  /**
+    Defines routes. The callback is invoked with `get`, `post`, `put`,
+    `patch` and `delete` methods that take a URL pattern and a response.
+
+    @method map
+    @param {Function} callback
+  */
+  map: function(callback) {
+    callback.call(new FakeServerDSL(this));
+  },
+
+  /**
+    Answers requests made with `method` to URLs matching `path`, which may
+    contain `:dynamic` segments and a trailing `*splat`.
+
+    @method route
+    @param {String} method
+    @param {String} path
+    @param {Object|Function} response
+  */
+  route: function(method, path, response) {
+    method = method.toUpperCase();
+
+    var recognizer = this.recognizers[method];
+    if (!recognizer) { recognizer = this.recognizers[method] = new RouteRecognizer(); }
+
+    recognizer.add([{ path: path, handler: response }]);
+  },
+
+  /**
+    Starts answering requests.
+
+    @method start
+  */
+  start: function() {
+    Test.registerRequestTracker(this);
+  },
+
+  /**
+    Stops answering requests and restores `window.XMLHttpRequest`.
+
+    @method stop
+  */
+  stop: function() {
+    Test.unregisterRequestTracker(this);
+  },
+
+  install: function() {
+    var server = this;
+
+    this._XMLHttpRequest = window.XMLHttpRequest;
+    window.XMLHttpRequest = function() {
+      return new FakeXMLHttpRequest(server);
+    };
+  },
+
+  uninstall: function() {
+    window.XMLHttpRequest = this._XMLHttpRequest;
+  },
+
+  /**
+    Called with every request that matches no route, after it has been
+    recorded in `unhandledRequests`. Fails the test through the test adapter
+    by default.
+
+    @method unhandledRequest
+    @param {Object} request
+  */
+  unhandledRequest: function(request) {
+    var error = new Ember.Error("The fake server has no route for " + request.method + " " + request.url);
+
+    if (Test.adapter) {
+      Test.adapter.exception(error);
+    } else {
+      throw error;
+    }
+  },
+
+  handleRequest: function(xhr) {
+    var recognizer = this.recognizers[xhr.method],
+        results = recognizer && recognizer.recognize(pathFor(xhr.url)),
+        request, response, status, body, headers;
+
+    request = {
+      method: xhr.method,
+      url: xhr.url,
+      params: results ? results[0].params : {},
+      queryParams: results ? results.queryParams : {},
+      requestBody: xhr.requestBody,
+      requestHeaders: xhr.requestHeaders
+    };
+
+    if (results) {
+      response = results[0].handler;
+      if (typeof response === 'function') { response = response.call(this, request); }
+      response = response || {};
+
+      status = response.status || 200;
+      body = response.body;
+      headers = Ember.merge({}, response.headers || {});
+
+      if (body === undefined || body === null) {
+        body = '';
+      } else if (typeof body !== 'string') {
+        body = JSON.stringify(body);
+        if (!headers['Content-Type']) { headers['Content-Type'] = 'application/json'; }
+      }
+
+      request.status = status;
+      this.handledRequests.push(request);
+    } else {
+      status = 404;
+      body = '';
+      headers = {};
+
+      request.status = status;
+      this.unhandledRequests.push(request);
+    }
+
+    this.respond(xhr, status, headers, body, (response && response.delay) || 0);
+
+    if (!results) { this.unhandledRequest(request); }
+  },
+
+  respond: function(xhr, status, headers, body, delay) {
+    var server = this;
+
+    if (!xhr.async) {
+      xhr.respond(status, headers, body);
+      return;
+    }
+
+    this.requestDidStart(xhr.method, xhr.url, xhr);
+
+    setTimeout(function() {
+      Ember.run(xhr, 'respond', status, headers, body);
+      server.requestDidEnd(xhr);
+    }, delay);
+  }
+});
+
+function pathFor(url) {
+  return url.replace(/^[a-z][a-z0-9+.\-]*:\/\/[^\/]+/i, '');
+}
+
+function FakeServerDSL(server) {
+  this.server = server;
+}
+
+forEach.call(['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], function(method) {
+  FakeServerDSL.prototype[method.toLowerCase()] = function(path, response) {
+    this.server.route(method, path, response);
+  };
+});
+
+// Just enough of XMLHttpRequest for jQuery and hand-written AJAX code.
+function FakeXMLHttpRequest(server) {
+  this.server = server;
+  this.readyState = 0;
+  this.status = 0;
+  this.statusText = '';
+  this.responseText = '';
+  this.requestHeaders = {};
+  this.responseHeaders = {};
+  this.listeners = {};
+}
+
+FakeXMLHttpRequest.prototype = {
+  open: function(method, url, async) {
+    this.method = method.toUpperCase();
+    this.url = url;
+    this.async = async !== false;
+    this.aborted = false;
+    this.readyState = 1;
+    this.dispatch('readystatechange');
+  },
+
+  setRequestHeader: function(name, value) {
+    this.requestHeaders[name] = value;
+  },
+
+  send: function(body) {
+    Ember.assert("You must call `open` on an XMLHttpRequest before sending it", this.readyState === 1);
+
+    this.requestBody = body === undefined ? null : body;
+    this.server.handleRequest(this);
+  },
+
+  abort: function() {
+    if (this.readyState === 0 || this.readyState === 4) { return; }
+
+    this.aborted = true;
+    this.readyState = 4;
+    this.dispatch('readystatechange');
+    this.dispatch('abort');
+    this.dispatch('loadend');
+    this.readyState = 0;
+  },
+
+  respond: function(status, headers, body) {
+    if (this.aborted) { return; }
+
+    this.status = status;
+    this.statusText = STATUS_TEXTS[status] || '';
+    this.responseHeaders = headers;
+    this.responseText = body;
+    this.readyState = 4;
+    this.dispatch('readystatechange');
+    this.dispatch('load');
+    this.dispatch('loadend');
+  },
+
+  getResponseHeader: function(name) {
+    name = name.toLowerCase();
+
+    for (var header in this.responseHeaders) {
+      if (header.toLowerCase() === name) { return this.responseHeaders[header]; }
+    }
+
+    return null;
+  },
+
+  getAllResponseHeaders: function() {
+    var headers = '';
+
+    for (var header in this.responseHeaders) {
+      headers += header + ': ' + this.responseHeaders[header] + '\r\n';
+    }
+
+    return headers;
+  },
+
+  addEventListener: function(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  },
+
+  removeEventListener: function(type, listener) {
+    var listeners = this.listeners[type], index;
+    if (!listeners) { return; }
+
+    index = Ember.EnumerableUtils.indexOf(listeners, listener);
+    if (index !== -1) { listeners.splice(index, 1); }
+  },
+
+  dispatch: function(type) {
+    var event = { type: type, target: this },
+        listeners = (this.listeners[type] || []).slice();
+
+    if (this['on' + type]) { this['on' + type](event); }
+
+    for (var i = 0, l = listeners.length; i < l; i++) {
+      listeners[i].call(this, event);
+    }
+  }
+};
+
+})();
+
+
+
+(function() {
+/**
+ @module ember
+ @submodule ember-testing
+*/
+
+var Test = Ember.Test,
+    backburner = Ember.run.backburner,
+    realClock = null;
+
+Test.clock = null;
+
+/**
+  A virtual clock for the timers scheduled through `Ember.run.later`,
+  `Ember.run.next`, `Ember.run.debounce` and `Ember.run.throttle`. Once
+  installed, time only moves forward when the test advances it:
+
+  ```javascript
+  var clock = Ember.Test.FakeClock.create();
+  clock.install();
+
+  Ember.run.later(MyApp.flash, 'hide', 3000);
+
+  clock.advance(2999);
+  ok(MyApp.flash.get('isVisible'));
+
+  clock.advance(1);
+  ok(!MyApp.flash.get('isVisible'));
+
+  clock.uninstall();
+  ```
+
+  Timers that are due without advancing the clock, like those scheduled by
+  `Ember.run.later` without a wait, still run asynchronously.
+  `Ember.run.next` waits a millisecond, so it needs `advance(1)`.
+  `Ember.run.hasScheduledTimers()`, and so `wait` and the async helpers,
+  only consider the timers that are due: a test is not held up by a timer
+  until it advances the clock past it.
+
+  @class FakeClock
+  @namespace Ember.Test
+*/
+Test.FakeClock = Ember.Object.extend({
+  /**
+    The current virtual time in milliseconds. It starts at the real time the
+    clock was created.
+
+    @property currentTime
+    @type Number
+  */
+  currentTime: null,
+
+  /**
+    The number of timers `runAll` runs before giving up, which catches
+    timers that keep scheduling new ones.
+
+    @property loopLimit
+    @type Number
+    @default 1000
+  */
+  loopLimit: 1000,
+
+  init: function() {
+    this._super();
+    this.currentTime = +new Date();
+    this._timers = [];
+    this._nextId = 1;
+    this._dueTimeout = null;
+  },
+
+  /**
+    Makes Backburner schedule its timers on this clock, and sets
+    `Ember.Test.clock`. The clock can only be swapped while no timer is
+    pending.
+
+    @method install
+  */
+  install: function() {
+    Ember.assert("Another fake clock is already installed", !Test.clock || Test.clock === this);
+    Ember.assert("A fake clock can only be installed while no timers are pending",
+                 !Ember.run.hasScheduledTimers() && !Ember.run.pendingTimers().length);
+
+    if (!realClock) { realClock = backburner.clock; }
+    backburner.clock = this;
+    Test.clock = this;
+  },
+
+  /**
+    Gives Backburner its real clock back. Timers still pending on this clock
+    would never run and are cancelled.
+
+    @method uninstall
+  */
+  uninstall: function() {
+    if (Test.clock !== this) { return; }
+
+    Ember.run.cancelTimers();
+    this._timers = [];
+    if (this._dueTimeout) {
+      realClock.clearTimeout(this._dueTimeout);
+      this._dueTimeout = null;
+    }
+
+    backburner.clock = realClock;
+    Test.clock = null;
+  },
+
+  /**
+    Moves time forward, running every timer that becomes due on the way in
+    order.
+
+    @method advance
+    @param {Number} ms
+  */
+  advance: function(ms) {
+    var until = this.currentTime + ms,
+        timer;
+
+    while ((timer = this._timers[0]) && timer.at <= until) {
+      this._timers.shift();
+      this.currentTime = Math.max(this.currentTime, timer.at);
+      timer.fn();
+    }
+
+    this.currentTime = until;
+  },
+
+  /**
+    Advances the clock until no timer is pending, including the timers
+    scheduled by the ones that ran.
+
+    @method runAll
+  */
+  runAll: function() {
+    var count = 0;
+
+    while (this._timers.length) {
+      if (++count > this.loopLimit) {
+        throw new Ember.Error("Timers were still pending after running " + this.loopLimit +
+                              " of them, they probably keep scheduling each other");
+      }
+
+      this.advance(this._timers[0].at - this.currentTime);
+    }
+  },
+
+  /**
+    Describes the pending `later`, `debounce` and `throttle` timers in the
+    order they will run, with their `target`, `method`, `executeAt` time and
+    the `wait` in milliseconds until they are due.
+
+    @method pendingTimers
+    @return {Array}
+  */
+  pendingTimers: function() {
+    var now = this.currentTime;
+
+    return Ember.run.pendingTimers().map(function(timer) {
+      timer.wait = Math.max(timer.executeAt - now, 0);
+      return timer;
+    });
+  },
+
+  /**
+    Part of the clock interface Backburner uses.
+
+    @method now
+    @return {Number}
+  */
+  now: function() {
+    return this.currentTime;
+  },
+
+  /**
+    Part of the clock interface Backburner uses.
+
+    @method setTimeout
+    @param {Function} fn
+    @param {Number} wait
+    @return {Number} an id for `clearTimeout`
+  */
+  setTimeout: function(fn, wait) {
+    var timer = { id: this._nextId++, at: this.currentTime + (wait || 0), fn: fn },
+        timers = this._timers, i, l;
+
+    for (i = 0, l = timers.length; i < l; i++) {
+      if (timer.at < timers[i].at) { break; }
+    }
+    timers.splice(i, 0, timer);
+
+    if (!(wait > 0)) { this._scheduleDueTimers(); }
+
+    return timer.id;
+  },
+
+  /**
+    Part of the clock interface Backburner uses.
+
+    @method clearTimeout
+    @param {Number} id
+  */
+  clearTimeout: function(id) {
+    var timers = this._timers;
+
+    for (var i = 0, l = timers.length; i < l; i++) {
+      if (timers[i].id === id) {
+        timers.splice(i, 1);
+        return;
+      }
+    }
+  },
+
+  /**
+    Whether a timer is due without advancing the clock. Backburner reports
+    this from `hasTimers`.
+
+    @method hasDueTimers
+    @return {Boolean}
+  */
+  hasDueTimers: function() {
+    var timer = this._timers[0];
+    return !!timer && timer.at <= this.currentTime;
+  },
+
+  _scheduleDueTimers: function() {
+    var clock = this;
+    if (this._dueTimeout) { return; }
+
+    this._dueTimeout = realClock.setTimeout(function() {
+      clock._dueTimeout = null;
+      clock.advance(0);
+    }, 0);
+  }
+});
+
+})();
+
+
+
+(function() {
+/**
+ @module ember
+ @submodule ember-testing
+*/
+
+var Test = Ember.Test,
+    testResolver = null;
+
+/**
+  Sets the resolver used by `isolatedContainer` and the unit test modules to
+  find the classes under test, typically a `Ember.DefaultResolver` for the
+  application's namespace. The application itself is never booted.
+
+  ```javascript
+  Ember.Test.setResolver(Ember.DefaultResolver.create({ namespace: App }));
+  ```
+
+  @public
+  @method setResolver
+  @for Ember.Test
+  @param {Ember.DefaultResolver} resolver
+*/
+Test.setResolver = function(resolver) {
+  testResolver = resolver;
+};
+
+/**
+  Builds a container that only knows about the given `fullNames`, resolved
+  through the resolver given to `setResolver`, plus what is needed to render
+  views and components. Components also bring in their template, when they
+  have one. Anything else a test needs has to be listed or registered by
+  hand, which keeps unit tests honest about their dependencies.
+
+  ```javascript
+  var container = Ember.Test.isolatedContainer(['controller:post', 'controller:application']);
+  var controller = container.lookup('controller:post');
+  ```
+
+  @public
+  @method isolatedContainer
+  @for Ember.Test
+  @param {Array} fullNames
+  @return {Ember.Container}
+*/
+Test.isolatedContainer = function(fullNames) {
+  Ember.assert("You must call `Ember.Test.setResolver` before creating an isolated container", testResolver);
+
+  var container = new Ember.Container(),
+      fullName, factory;
+
+  container.set = Ember.set;
+  container.normalize = function(fullName) {
+    return testResolver.normalize ? testResolver.normalize(fullName) : fullName;
+  };
+
+  container.optionsForType('component', { singleton: false });
+  container.optionsForType('view', { singleton: false });
+  container.optionsForType('template', { instantiate: false });
+  container.optionsForType('helper', { instantiate: false });
+
+  container.register('component-lookup:main', Ember.ComponentLookup);
+  container.register('view:default', Ember._MetamorphView);
+  container.register('view:toplevel', Ember.View.extend());
+
+  for (var i = 0, l = fullNames.length; i < l; i++) {
+    fullName = container.normalize(fullNames[i]);
+    if (container.has(fullName)) { continue; }
+
+    factory = testResolver.resolve(fullName);
+
+    Ember.assert("Could not resolve `" + fullName + "` for the isolated container", factory);
+    container.register(fullName, factory);
+
+    if (fullName.split(':')[0] === 'component') {
+      registerLayout(container, fullName);
+    }
+  }
+
+  return container;
+};
+
+function registerLayout(container, fullName) {
+  var layoutName = 'template:components/' + fullName.split(':')[1],
+      layout;
+
+  if (!container.has(layoutName)) {
+    layout = testResolver.resolve(layoutName);
+    if (!layout) { return; }
+
+    container.register(layoutName, layout);
+  }
+
+  container.injection(fullName, 'layout', layoutName);
+}
+
+/**
+  `Ember.Test.TestModule` sets up and tears down a unit test for a single
+  controller, route, view or component, or an integration test rendering a
+  template, without booting an application or its router.
+
+  Call `setup` before each test and `teardown` after it, passing the object
+  the test runs against. `setup` adds the following to it:
+
+  * `container`: an isolated container holding the object under test and the
+    names listed in `needs`.
+  * `subject(options)`: creates the object under test the first time it is
+    called and returns it afterwards.
+  * `factory()`: the class of the object under test.
+  * `append()`: renders the view or component under test into a fixture
+    element and returns its jQuery element.
+  * `render(template)`: renders a template, given as a string or compiled,
+    against the test's own context object and the isolated container, and
+    returns its jQuery element. Rendering again replaces the previous
+    template.
+  * `set(key, value)`, `setProperties(hash)` and `get(key)`: read and
+    change the properties of the context the template is rendered against.
+    Changes are made in a run loop, so the DOM is up to date when they
+    return.
+  * `$(selector)`: queries the rendered template, or else the rendered view
+    or component under test.
+
+  ```javascript
+  var testModule = new Ember.Test.TestModule('controller:post', 'PostController', {
+    needs: ['controller:application']
+  });
+
+  beforeEach(function() { testModule.setup(this); });
+  afterEach(function() { testModule.teardown(); });
+
+  it('is published by default', function() {
+    expect(this.subject().get('isPublished')).to.be.ok;
+  });
+  ```
+
+  An integration test has no object under test and lists the components and
+  helpers its templates use in `needs`:
+
+  ```javascript
+  var testModule = new Ember.Test.TestModule(null, 'post list', {
+    needs: ['component:post-item', 'helper:format-date']
+  });
+
+  it('lists the posts', function() {
+    this.set('posts', [{ title: 'Hello' }]);
+    this.render('{{#each posts}}{{post-item post=this}}{{/each}}');
+    expect(this.$('.post-item').length).to.equal(1);
+
+    this.set('posts', []);
+    expect(this.$('.post-item').length).to.equal(0);
+  });
+  ```
+
+  The `callbacks` may contain `needs`, `setup` and `teardown` functions
+  invoked with the test's context, a `subject(options, factory, container)`
+  function to create the subject differently, and any other function, which
+  is added to the context.
+
+  With QUnit, use `Ember.Test.moduleFor` and `Ember.Test.moduleForComponent`.
+
+  @class TestModule
+  @namespace Ember.Test
+  @constructor
+  @param {String} fullName The object under test, e.g. `controller:post`, or
+    `null` for an integration test
+  @param {String} description (optional)
+  @param {Object} callbacks (optional)
+*/
+var TestModule = Test.TestModule = function(fullName, description, callbacks) {
+  if (typeof description !== 'string') {
+    callbacks = description;
+    description = fullName;
+  }
+
+  this.fullName = fullName;
+  this.description = description;
+  this.callbacks = callbacks || {};
+};
+
+TestModule.prototype = {
+  fullName: null,
+  description: null,
+  callbacks: null,
+  context: null,
+  subject: null,
+  view: null,
+  fixture: null,
+
+  /**
+    Builds the isolated container and adds the test helpers to `context`.
+
+    @method setup
+    @param {Object} context (optional) The object the test runs against
+    @return {Object} the context
+  */
+  setup: function(context) {
+    var testModule = this,
+        callbacks = this.callbacks,
+        fullName = this.fullName,
+        container = Test.isolatedContainer((fullName ? [fullName] : []).concat(callbacks.needs || [])),
+        renderContext = Ember.Object.create();
+
+    context = this.context = context || {};
+    context.container = container;
+
+    context.factory = function() {
+      return container.lookupFactory(fullName);
+    };
+
+    context.subject = function(options) {
+      Ember.assert("An integration test has no subject", fullName);
+
+      if (!testModule.subject) {
+        testModule.subject = callbacks.subject ?
+          callbacks.subject.call(context, options, context.factory(), container) :
+          context.factory().create(options);
+      }
+
+      return testModule.subject;
+    };
+
+    context.append = function() {
+      var subject = context.subject();
+
+      Ember.assert("You can only `append` a view or a component", subject instanceof Ember.View);
+
+      testModule.appendToFixture(subject);
+      return subject.$();
+    };
+
+    context.render = function(template) {
+      if (typeof template === 'string') { template = Ember.Handlebars.compile(template); }
+      if (testModule.view) { Ember.run(testModule.view, 'destroy'); }
+
+      testModule.view = Ember.View.create({
+        container: container,
+        context: renderContext,
+        template: template
+      });
+
+      testModule.appendToFixture(testModule.view);
+      return testModule.view.$();
+    };
+
+    context.get = function(key) {
+      return Ember.get(renderContext, key);
+    };
+
+    context.set = function(key, value) {
+      Ember.run(function() {
+        Ember.set(renderContext, key, value);
+      });
+    };
+
+    context.setProperties = function(hash) {
+      Ember.run(function() {
+        Ember.setProperties(renderContext, hash);
+      });
+    };
+
+    context.$ = function() {
+      var view = testModule.view || context.subject();
+      return view.$.apply(view, arguments);
+    };
+
+    for (var key in callbacks) {
+      if (typeof callbacks[key] === 'function' && key !== 'setup' && key !== 'teardown' && key !== 'subject') {
+        context[key] = callbacks[key];
+      }
+    }
+
+    if (callbacks.setup) { callbacks.setup.call(context, container); }
+
+    return context;
+  },
+
+  /**
+    Destroys the object under test and the isolated container and removes
+    any rendered fixture.
+
+    @method teardown
+  */
+  teardown: function() {
+    var context = this.context,
+        subject = this.subject,
+        view = this.view,
+        container = context && context.container;
+
+    if (this.callbacks.teardown) { this.callbacks.teardown.call(context, container); }
+
+    Ember.run(function() {
+      if (view) { view.destroy(); }
+      if (subject) { subject.destroy(); }
+      if (container) { container.destroy(); }
+    });
+
+    if (this.fixture) { this.fixture.remove(); }
+
+    this.subject = this.view = this.fixture = this.context = null;
+  },
+
+  appendToFixture: function(view) {
+    if (!this.fixture) {
+      this.fixture = Ember.$('<div class="ember-test-fixture"></div>').appendTo(document.body);
+    }
+
+    Ember.run(view, 'appendTo', this.fixture);
+  }
+};
+
+/**
+  Declares a QUnit module that unit tests the object named `fullName`. See
+  `Ember.Test.TestModule` for what is available inside the tests.
+
+  ```javascript
+  Ember.Test.moduleFor('route:post', 'PostRoute', {
+    needs: ['controller:post']
+  });
+
+  test('it has a default model', function() {
+    ok(this.subject().model({}));
+  });
+  ```
+
+  @public
+  @method moduleFor
+  @for Ember.Test
+  @param {String} fullName
+  @param {String} description (optional)
+  @param {Object} callbacks (optional)
+*/
+Test.moduleFor = function(fullName, description, callbacks) {
+  var testModule = new TestModule(fullName, description, callbacks);
+
+  module(testModule.description, {
+    setup: function() {
+      testModule.setup(this);
+    },
+
+    teardown: function() {
+      testModule.teardown();
+    }
+  });
+};
+
+/**
+  Declares a QUnit module that unit tests the component `name`, whose
+  template is registered as its layout when it exists.
+
+  ```javascript
+  Ember.Test.moduleForComponent('pretty-color');
+
+  test('it renders the color', function() {
+    this.subject({ name: 'red' });
+    equal(this.append().text(), 'Pretty red');
+  });
+  ```
+
+  @public
+  @method moduleForComponent
+  @for Ember.Test
+  @param {String} name
+  @param {String} description (optional)
+  @param {Object} callbacks (optional)
+*/
+Test.moduleForComponent = function(name, description, callbacks) {
+  Test.moduleFor('component:' + name, description, callbacks);
+};
+
+/**
+  Declares a QUnit module for integration tests that render templates using
+  the components and helpers listed in `needs`.
+
+  ```javascript
+  Ember.Test.moduleForIntegration('pretty-color', {
+    needs: ['component:pretty-color']
+  });
+
+  test('it updates the color', function() {
+    this.set('color', 'red');
+    this.render('{{pretty-color name=color}}');
+    equal(this.$().text(), 'Pretty red');
+
+    this.set('color', 'blue');
+    equal(this.$().text(), 'Pretty blue');
+  });
+  ```
+
+  @public
+  @method moduleForIntegration
+  @for Ember.Test
+  @param {String} description
+  @param {Object} callbacks (optional)
+*/
+Test.moduleForIntegration = function(description, callbacks) {
+  Test.moduleFor(null, description, callbacks);
+};
+
+})();
+
+
+
+(function() {
+/**
+* @module ember
+* @submodule ember-testing
+*/
+
+var get = Ember.get,
+    Test = Ember.Test,
+    helper = Test.registerHelper,
+    asyncHelper = Test.registerAsyncHelper,
+    countAsync = 0,
+    jQueryRequestTracker = null;
+
+Test.pendingAjaxRequests = 0;
+
+Test.onInjectHelpers(function() {
+  if (!jQueryRequestTracker) {
+    jQueryRequestTracker = Test.JQueryRequestTracker.create();
+  }
+
+  Test.registerRequestTracker(jQueryRequestTracker);
+  // Rebind its handlers in case they were removed from the document.
+  jQueryRequestTracker.install();
+});
+
+// Callbacks waiting for the application to settle, as `[app, callback]`
+// pairs, and the subscriptions to run loop flushes and timer cancellations
+// that re-check them. Waiters can't tell when they become ready, so they are
+// also asked every `WAITER_POLL_INTERVAL` ms while a callback is waiting.
+var settledCallbacks = [],
+    settledCheckScheduled = false,
+    runLoopSubscribers = null,
+    waiterPollTimer = null,
+    WAITER_POLL_INTERVAL = 100;
+
+/**
+  Describes the asynchronous work that keeps the test from settling. This is
+  what `wait` and the async helpers wait on, which makes it a good place to
+  start when a test hangs.
+
+  ```javascript
+  var state = Ember.Test.getSettledState(App);
+
+  state.isSettled;             // false
+  state.hasPendingTransitions; // true
+  state.pendingWaiters;        // ['<MyApp.DB:ember123>#hasPendingTransactions']
+  ```
+
+  The returned object has the following properties:
+
+  * `hasRunLoop`: a run loop is currently open.
+  * `hasPendingTimers`: `Ember.run.later`, `Ember.run.next` or an autorun is
+    scheduled. With an `Ember.Test.FakeClock` installed, only timers that
+    are due without advancing it count.
+  * `pendingTimers`: the pending `later`, `debounce` and `throttle` timers,
+    see `Ember.run.pendingTimers`.
+  * `hasPendingTransitions`: the application's router is in the middle of a
+    transition. Only checked when an application is passed.
+  * `pendingRequestCount`: the number of unfinished AJAX requests.
+  * `hasPendingRequests`: `pendingRequestCount` is not zero.
+  * `pendingRequests`: the requests reported by the registered request
+    trackers, see `Ember.Test.pendingRequests`.
+  * `pendingWaiters`: a description of each waiter registered with
+    `registerWaiter` that is not ready yet.
+  * `hasPendingWaiters`: `pendingWaiters` is not empty.
+  * `isSettled`: none of the above is pending.
+
+  It is also injected as the `getSettledState` helper.
+
+  @public
+  @method getSettledState
+  @for Ember.Test
+  @param {Ember.Application} app (optional)
+  @return {Object}
+*/
+Test.getSettledState = function(app) {
+  var router = app && app.__container__.lookup('router:main'),
+      pendingWaiters = [],
+      waiters = Test.waiters,
+      state;
+
+  if (waiters) {
+    for (var i = 0, l = waiters.length; i < l; i++) {
+      if (!waiters[i][1].call(waiters[i][0])) {
+        pendingWaiters.push(waiterLabel(waiters[i][0], waiters[i][1]));
+      }
+    }
+  }
+
+  state = {
+    hasRunLoop: !!Ember.run.currentRunLoop,
+    hasPendingTimers: !!Ember.run.hasScheduledTimers(),
+    pendingTimers: Ember.run.pendingTimers(),
+    hasPendingTransitions: !!(router && router.router.activeTransition),
+    pendingRequestCount: Test.pendingAjaxRequests,
+    hasPendingRequests: Test.pendingAjaxRequests !== 0,
+    pendingRequests: Test.pendingRequests(),
+    pendingWaiters: pendingWaiters,
+    hasPendingWaiters: pendingWaiters.length !== 0
+  };
+
+  state.isSettled = !(state.hasRunLoop || state.hasPendingTimers ||
+                      state.hasPendingTransitions || state.hasPendingRequests ||
+                      state.hasPendingWaiters);
+
+  return state;
+};
+
+/**
+  Returns a promise that resolves once the application has settled, as
+  described by `getSettledState`.
+
+  Run loops, timers, transitions and AJAX requests report when they finish,
+  so the promise resolves as soon as the last of them is done. Waiters
+  registered with `registerWaiter` are asked again at the same time, and
+  every 100ms in case they become ready outside of a run loop.
+
+  ```javascript
+  Ember.Test.settled(App).then(function() {
+    // every pending request, timer and transition has finished
+  });
+  ```
+
+  @public
+  @method settled
+  @for Ember.Test
+  @param {Ember.Application} app (optional)
+  @return {RSVP.Promise}
+*/
+Test.settled = function(app) {
+  return Test.promise(function(resolve) {
+    onSettled(app, function() {
+      Ember.run(null, resolve);
+    });
+  });
+};
+
+/**
+  Tells ember-testing that something `getSettledState` looks at may have
+  finished, so that anything waiting for the application to settle is
+  checked again.
+
+  ```javascript
+  Ember.Test.registerWaiter(MyDB, MyDB.hasPendingTransactions);
+
+  MyDB.on('transactionsComplete', function() {
+    Ember.Test.checkSettled();
+  });
+  ```
+
+  @public
+  @method checkSettled
+  @for Ember.Test
+*/
+Test.checkSettled = function() {
+  if (settledCallbacks.length) { scheduleSettledCheck(); }
+};
+
+function waiterLabel(context, callback) {
+  var name = callback.displayName || callback.name || '(anonymous function)';
+  return context ? context + '#' + name : name;
+}
+
+function onSettled(app, callback) {
+  settledCallbacks.push([app, callback]);
+
+  if (!runLoopSubscribers) {
+    runLoopSubscribers = [
+      Ember.subscribe('runloop.flush', { before: Ember.K, after: Test.checkSettled }),
+      Ember.subscribe('runloop.cancel', { before: Ember.K, after: Test.checkSettled })
+    ];
+  }
+
+  // Always settle asynchronously, even when nothing is pending.
+  scheduleSettledCheck();
+}
+
+function scheduleSettledCheck() {
+  if (settledCheckScheduled) { return; }
+  settledCheckScheduled = true;
+  setTimeout(runSettledCheck, 0);
+}
+
+function runSettledCheck() {
+  var callbacks = settledCallbacks;
+
+  settledCheckScheduled = false;
+  settledCallbacks = [];
+
+  for (var i = 0, l = callbacks.length; i < l; i++) {
+    if (Test.getSettledState(callbacks[i][0]).isSettled) {
+      callbacks[i][1]();
+    } else {
+      settledCallbacks.push(callbacks[i]);
+    }
+  }
+
+  if (!settledCallbacks.length && runLoopSubscribers) {
+    Ember.Instrumentation.unsubscribe(runLoopSubscribers[0]);
+    Ember.Instrumentation.unsubscribe(runLoopSubscribers[1]);
+    runLoopSubscribers = null;
+  }
+
+  if (settledCallbacks.length && Test.waiters && Test.waiters.length) {
+    scheduleWaiterPoll();
+  }
+}
+
+function scheduleWaiterPoll() {
+  if (waiterPollTimer) { return; }
+
+  waiterPollTimer = setTimeout(function() {
+    waiterPollTimer = null;
+    Test.checkSettled();
+  }, WAITER_POLL_INTERVAL);
+}
+
+/**
+  Returns every transition the application's router performed since the
+  application was booted or last reset, oldest first. Each entry describes
+  one transition:
+
+  * `from`: the route the application was in when the transition started,
+    or `null` for the initial transition.
+  * `to`: the target route.
+  * `url`: the URL that was handled, when the transition came from a URL.
+  * `method`: the router method that started it, i.e. `handleURL`,
+    `transitionTo`, `replaceWith` or `intermediateTransitionTo`.
+  * `params`: the dynamic segments of the target route and its parents,
+    keyed by route name.
+  * `queryParams`: the query params of the transition.
+  * `isIntermediate`: the application entered a `loading` or `error`
+    substate instead of running a full transition.
+  * `isCompleted`: the transition finished.
+  * `isAborted`: the transition was aborted, e.g. from `Route#beforeModel`,
+    or superseded by another transition.
+  * `redirectedTo` and `redirectedFrom`: the target routes of the
+    transitions that replaced, or were replaced by, this one.
+  * `error`: the error a model hook failed with, if any.
+
+  ```javascript
+  visit('/admin');
+
+  andThen(function() {
+    var history = Ember.Test.transitionHistory(App);
+
+    equal(history[1].to, 'admin.index');
+    ok(history[1].isAborted);
+    equal(history[1].redirectedTo, 'login');
+  });
+  ```
+
+  Transitions are recorded from the first `visit`; it is also injected as
+  the `transitionHistory` helper.
+
+  @public
+  @method transitionHistory
+  @for Ember.Test
+  @param {Ember.Application} app
+  @return {Array}
+*/
+Test.transitionHistory = function(app) {
+  var router = app.__container__.lookup('router:main');
+  return router._transitionHistory ? router._transitionHistory.slice() : [];
+};
+
+function recordTransitions(app) {
+  var router = app.__container__.lookup('router:main');
+  if (router._transitionHistory) { return; }
+
+  var history = router._transitionHistory = [],
+      pending = [],
+      currentName = leafRouteName(router.router.state);
+
+  function record(props) {
+    var entry = {
+      from: currentName,
+      to: null,
+      url: null,
+      method: null,
+      params: {},
+      queryParams: {},
+      isIntermediate: false,
+      isCompleted: false,
+      isAborted: false,
+      redirectedTo: null,
+      redirectedFrom: null,
+      error: null
+    };
+
+    history.push(Ember.merge(entry, props));
+    return entry;
+  }
+
+  router.on('didStartTransition', function(transition, method) {
+    var entry = record({
+      to: transition.targetName || currentName,
+      url: (transition.intent && transition.intent.url) || null,
+      method: method
+    });
+
+    // Starting a transition aborts the active one, which makes the new
+    // transition a redirect of anything still pending.
+    for (var i = pending.length - 1; i >= 0; i--) {
+      if (pending[i][1].isAborted) {
+        pending[i][0].isAborted = true;
+        pending[i][0].redirectedTo = entry.to;
+        entry.redirectedFrom = entry.redirectedFrom || pending[i][0].to;
+        pending.splice(i, 1);
+      }
+    }
+
+    pending.push([entry, transition]);
+
+    transition.promise.then(function() {
+      entry.isCompleted = true;
+      currentName = entry.to;
+    }, function(error) {
+      if (error && error.name === 'TransitionAborted') {
+        entry.isAborted = true;
+      } else {
+        entry.error = error;
+      }
+    })['finally'](function() {
+      entry.params = transition.params || entry.params;
+      entry.queryParams = transition.queryParams || entry.queryParams;
+
+      for (var i = 0, l = pending.length; i < l; i++) {
+        if (pending[i][0] === entry) {
+          pending.splice(i, 1);
+          break;
+        }
+      }
+    }, 'Ember.Test: record transition');
+  });
+
+  router.on('didIntermediateTransition', function(infos) {
+    var entry = record({
+      to: infos[infos.length - 1].name,
+      method: 'intermediateTransitionTo',
+      isIntermediate: true,
+      isCompleted: true
+    });
+
+    currentName = entry.to;
+  });
+}
+
+function leafRouteName(state) {
+  var infos = state && state.handlerInfos;
+  return infos && infos.length ? infos[infos.length - 1].name : null;
+}
+
+function advanceClock(app, ms) {
+  Ember.assert("advanceClock needs an installed Ember.Test.FakeClock", Test.clock);
+
+  Ember.run(Test.clock, 'advance', ms);
+  return wait(app);
+}
+
+function lastTransition(app) {
+  var history = Test.transitionHistory(app);
+  return history.length ? history[history.length - 1] : null;
+}
+
+function currentRouteName(app){
+  var appController = app.__container__.lookup('controller:application');
+
+  return get(appController, 'currentRouteName');
+}
+
+function currentPath(app){
+  var appController = app.__container__.lookup('controller:application');
+
+  return get(appController, 'currentPath');
+}
+
+function currentURL(app){
+  var router = app.__container__.lookup('router:main');
+
+  return get(router, 'location').getURL();
+}
+
+function visit(app, url) {
+  recordTransitions(app);
+  Ember.run(app, 'advanceReadiness');
+
+  app.__container__.lookup('router:main').location.setURL(url);
+  Ember.run(app, app.handleURL, url);
+  return wait(app);
+}
+
+function click(app, selector, context) {
+  var $el = findWithAssert(app, selector, context);
+  Ember.run($el, 'mousedown');
+
+  if ($el.is(':input')) {
+    var type = $el.prop('type');
+    if (type !== 'checkbox' && type !== 'radio' && type !== 'hidden') {
+      Ember.run($el, function(){
+        // Firefox does not trigger the `focusin` event if the window
+        // does not have focus. If the document doesn't have focus just
+        // use trigger('focusin') instead.
+        if (!document.hasFocus || document.hasFocus()) {
+          this.focus();
+        } else {
+          this.trigger('focusin');
+        }
+      });
+    }
+  }
+
+  Ember.run($el, 'mouseup');
+  Ember.run($el, 'click');
+
+  return wait(app);
+}
+
+function triggerEvent(app, selector, context, event){
+  if (typeof method === 'undefined') {
+    event = context;
+    context = null;
+  }
+
+  var $el = findWithAssert(app, selector, context);
+
+  Ember.run($el, 'trigger', event);
+
+  return wait(app);
+}
+
+function keyEvent(app, selector, context, type, keyCode) {
+  var $el;
+  if (typeof keyCode === 'undefined') {
+    keyCode = type;
+    type = context;
+    context = null;
+  }
+  $el = findWithAssert(app, selector, context);
+  var event = Ember.$.Event(type, { keyCode: keyCode });
+  Ember.run($el, 'trigger', event);
+  return wait(app);
+}
+
+function fillIn(app, selector, context, text) {
+  var $el;
+  if (typeof text === 'undefined') {
+    text = context;
+    context = null;
+  }
+  $el = findWithAssert(app, selector, context);
+  Ember.run(function() {
+    $el.val(text).change();
+  });
+  return wait(app);
+}
+
+function selectOption(app, selector, context, options) {
+  var $el, $options, isMultiple;
+
+  if (typeof options === 'undefined') {
+    options = context;
+    context = null;
+  }
+
+  $el = findWithAssert(app, selector, context);
+  options = Ember.isArray(options) ? options : [options];
+  isMultiple = $el.prop('multiple');
+
+  Ember.assert("You can only select several options of a `<select multiple>`, but " + selector + " is not one", isMultiple || options.length === 1);
+
+  $options = $el.find('option');
+
+  Ember.EnumerableUtils.forEach(options, function(valueOrLabel) {
+    Ember.assert("Option " + valueOrLabel + " not found in " + selector, $options.filter(function() {
+      return optionMatches(this, valueOrLabel);
+    }).length);
+  });
+
+  Ember.run(function() {
+    $options.each(function() {
+      var isMatch = false;
+
+      for (var i = 0, l = options.length; i < l; i++) {
+        if (optionMatches(this, options[i])) { isMatch = true; }
+      }
+
+      // Selecting an option of a single select deselects the others
+      if (isMatch || isMultiple) { this.selected = isMatch; }
+    });
+
+    $el.change();
+  });
+
+  return wait(app);
+}
+
+function optionMatches(option, valueOrLabel) {
+  valueOrLabel = String(valueOrLabel);
+  return option.value === valueOrLabel || Ember.$.trim(Ember.$(option).text()) === valueOrLabel;
+}
+
+function check(app, selector, context) {
+  return setChecked(app, selector, context, true);
+}
+
+function uncheck(app, selector, context) {
+  return setChecked(app, selector, context, false);
+}
+
+function setChecked(app, selector, context, checked) {
+  var $el = findWithAssert(app, selector, context);
+
+  Ember.assert(selector + " is not a checkbox or radio button", $el.is(':checkbox, :radio'));
+  Ember.assert("A radio button can't be unchecked", checked || !$el.is(':radio'));
+
+  if ($el.prop('checked') !== checked) {
+    Ember.run($el, 'click');
+
+    // Without the checkbox fix for older versions of jQuery a triggered
+    // click doesn't toggle the checkbox.
+    if ($el.prop('checked') !== checked) {
+      Ember.run(function() {
+        $el.prop('checked', checked).change();
+      });
+    }
+  }
+
+  return wait(app);
+}
+
+function focusIn(app, selector, context) {
+  var $el = findWithAssert(app, selector, context);
+
+  Ember.run($el, function() {
+    // As in `click`, fall back to `focusin` when the document doesn't have
+    // focus, since the browser won't fire focus events then.
+    if (!document.hasFocus || document.hasFocus()) {
+      this.focus();
+    } else {
+      this.trigger('focusin');
+    }
+  });
+
+  return wait(app);
+}
+
+function focusOut(app, selector, context) {
+  var $el = findWithAssert(app, selector, context);
+
+  Ember.run($el, function() {
+    if (!document.hasFocus || document.hasFocus()) {
+      this.blur();
+    } else {
+      this.trigger('focusout');
+    }
+  });
+
+  return wait(app);
+}
+
+function typeIn(app, selector, context, text) {
+  var $el;
+
+  if (typeof text === 'undefined') {
+    text = context;
+    context = null;
+  }
+
+  $el = findWithAssert(app, selector, context);
+
+  for (var i = 0, l = text.length; i < l; i++) {
+    typeCharacter($el, text.charAt(i));
+  }
+
+  return wait(app);
+}
+
+// Fires the events a browser fires for a single key stroke, honoring
+// `preventDefault` on `keydown` and `keypress` as a browser would.
+function typeCharacter($el, character) {
+  var charCode = character.charCodeAt(0),
+      keyCode = character.toUpperCase().charCodeAt(0),
+      keydown = Ember.$.Event('keydown', { keyCode: keyCode, which: keyCode }),
+      keypress = Ember.$.Event('keypress', { keyCode: charCode, which: charCode, charCode: charCode });
+
+  Ember.run($el, 'trigger', keydown);
+
+  if (!keydown.isDefaultPrevented()) {
+    Ember.run($el, 'trigger', keypress);
+
+    if (!keypress.isDefaultPrevented()) {
+      Ember.run(function() {
+        $el.val($el.val() + character).trigger('input');
+      });
+    }
+  }
+
+  Ember.run($el, 'trigger', Ember.$.Event('keyup', { keyCode: keyCode, which: keyCode }));
+}
+
+function dragAndDrop(app, sourceSelector, targetSelector, dataTransfer) {
+  var $source = findWithAssert(app, sourceSelector),
+      $target = findWithAssert(app, targetSelector);
+
+  dataTransfer = dataTransfer || new DataTransfer();
+
+  function trigger($el, type) {
+    Ember.run($el, 'trigger', Ember.$.Event(type, { dataTransfer: dataTransfer }));
+  }
+
+  trigger($source, 'dragstart');
+  trigger($source, 'drag');
+  trigger($target, 'dragenter');
+  trigger($target, 'dragover');
+  trigger($target, 'drop');
+  trigger($source, 'dragend');
+
+  return wait(app);
+}
+
+// A stand-in for the browser's `DataTransfer`, shared by all the events of
+// a `dragAndDrop`.
+function DataTransfer() {
+  this.data = {};
+  this.types = [];
+  this.dropEffect = 'none';
+  this.effectAllowed = 'all';
+}
+
+DataTransfer.prototype = {
+  setData: function(type, data) {
+    if (!this.data.hasOwnProperty(type)) { this.types.push(type); }
+    this.data[type] = data;
+  },
+
+  getData: function(type) {
+    return this.data.hasOwnProperty(type) ? this.data[type] : '';
+  },
+
+  clearData: function(type) {
+    var index;
+
+    if (type) {
+      delete this.data[type];
+      index = Ember.EnumerableUtils.indexOf(this.types, type);
+      if (index !== -1) { this.types.splice(index, 1); }
+    } else {
+      this.data = {};
+      this.types = [];
+    }
+  }
+};
+
+function findWithAssert(app, selector, context) {
+  var $el = find(app, selector, context);
+  if ($el.length === 0) {
+    throw new Ember.Error("Element " + selector + " not found.");
+  }
+  return $el;
+}
+
+function find(app, selector, context) {
+  var $el;
+  context = context || get(app, 'rootElement');
+  $el = app.$(selector, context);
+
+  return $el;
+}
+
+function andThen(app, callback) {
+  return wait(app, callback(app));
+}
+
+function wait(app, value) {
+  return Test.promise(function(resolve) {
+    // If this is the first async promise, kick off the async test
+    if (++countAsync === 1) {
+      Test.adapter.asyncStart();
+    }
+
+    onSettled(app, function() {
+      // If this is the last async promise, end the async test
+      if (--countAsync === 0) {
+        Test.adapter.asyncEnd();
+      }
+
+      // Synchronously resolve the promise
+      Ember.run(null, resolve, value);
+    });
+  });
+
+}
+
+
+/**
+* Loads a route, sets up any controllers, and renders any templates associated
+* with the route as though a real user had triggered the route change while
+* using your app.
+*
+* Example:
+*
+* ```javascript
+* visit('posts/index').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method visit
+* @param {String} url the name of the route
+* @return {RSVP.Promise}
+*/
+asyncHelper('visit', visit);
+
+/**
+* Clicks an element and triggers any actions triggered by the element's `click`
+* event.
+*
+* Example:
+*
+* ```javascript
+* click('.some-jQuery-selector').then(function() {
+*  // assert something
+* });
+* ```
+*
+* @method click
+* @param {String} selector jQuery selector for finding element on the DOM
+* @return {RSVP.Promise}
+*/
+asyncHelper('click', click);
+
+/**
 * Simulates a key event, e.g. `keypress`, `keydown`, `keyup` with the desired keyCode
 *
 * Example:
@@ -925,6 +3018,160 @@ asyncHelper('keyEvent', keyEvent);
 */
 asyncHelper('fillIn', fillIn);
 
+/**
+* Selects options of a `<select>` by value or by label and triggers its
+* `change` event. Pass an array to select several options of a
+* `<select multiple>`; the options that are not listed are deselected.
+*
+* Example:
+*
+* ```javascript
+* selectOption('.country', 'Canada');
+* selectOption('.toppings', ['cheese', 'Olives']).then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method selectOption
+* @param {String} selector jQuery selector finding a select element on the DOM
+* @param {String|Array} options the value or label of the options to select
+* @return {RSVP.Promise}
+*/
+asyncHelper('selectOption', selectOption);
+
+/**
+* Checks a checkbox or radio button by clicking it, unless it is already
+* checked.
+*
+* Example:
+*
+* ```javascript
+* check('.remember-me').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method check
+* @param {String} selector jQuery selector finding a checkbox or radio button
+* @return {RSVP.Promise}
+*/
+asyncHelper('check', check);
+
+/**
+* Unchecks a checkbox by clicking it, unless it is already unchecked.
+*
+* Example:
+*
+* ```javascript
+* uncheck('.remember-me').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method uncheck
+* @param {String} selector jQuery selector finding a checkbox
+* @return {RSVP.Promise}
+*/
+asyncHelper('uncheck', uncheck);
+
+/**
+* Focuses an element, which triggers the `focusIn` event of its view.
+*
+* Example:
+*
+* ```javascript
+* focusIn('#email').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method focusIn
+* @param {String} selector jQuery selector for finding element on the DOM
+* @return {RSVP.Promise}
+*/
+asyncHelper('focusIn', focusIn);
+
+/**
+* Blurs an element, which triggers the `focusOut` event of its view.
+*
+* Example:
+*
+* ```javascript
+* focusOut('#email').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method focusOut
+* @param {String} selector jQuery selector for finding element on the DOM
+* @return {RSVP.Promise}
+*/
+asyncHelper('focusOut', focusOut);
+
+/**
+* Types text into an input element one character at a time, triggering
+* `keydown`, `keypress`, `input` and `keyup` for each character. A character
+* is not inserted when its `keydown` or `keypress` event is prevented. Unlike
+* `fillIn` it does not trigger `change`.
+*
+* Example:
+*
+* ```javascript
+* typeIn('#search', 'ember').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method typeIn
+* @param {String} selector jQuery selector finding an input element on the DOM
+* @param {String} text the text to type
+* @return {RSVP.Promise}
+*/
+asyncHelper('typeIn', typeIn);
+
+/**
+* Drags an element onto another, triggering `dragStart` and `drag` on the
+* source's view, `dragEnter`, `dragOver` and `drop` on the target's view and
+* finally `dragEnd` on the source's view. The events share a `dataTransfer`
+* object supporting `setData`, `getData` and `clearData`, or the one given.
+*
+* Example:
+*
+* ```javascript
+* dragAndDrop('.card:first', '.done-column').then(function() {
+*   // assert something
+* });
+* ```
+*
+* @method dragAndDrop
+* @param {String} sourceSelector jQuery selector for the element to drag
+* @param {String} targetSelector jQuery selector for the element to drop onto
+* @param {Object} dataTransfer (optional) the `dataTransfer` of the events
+* @return {RSVP.Promise}
+*/
+asyncHelper('dragAndDrop', dragAndDrop);
+
+/**
+* Moves the installed `Ember.Test.FakeClock` forward, running the
+* `Ember.run.later`, `debounce` and `throttle` timers that become due, and
+* waits for the application to settle.
+*
+* Example:
+*
+* ```javascript
+* click('.show-flash');
+* advanceClock(3000);
+* andThen(function() {
+*   equal(find('.flash').length, 0, 'the flash message is hidden after 3s');
+* });
+* ```
+*
+* @method advanceClock
+* @param {Number} ms The number of milliseconds to advance the clock by
+* @return {RSVP.Promise}
+*/
+asyncHelper('advanceClock', advanceClock);
+
 /**
 * Finds an element in the context of the app's container element. A simple alias
 * for `app.$(selector)`.
@@ -984,6 +3231,67 @@ helper('findWithAssert', findWithAssert);
 asyncHelper('wait', wait);
 asyncHelper('andThen', andThen);
 
+/**
+  Describes what the application is still waiting on. See
+  `Ember.Test.getSettledState`.
+
+  Example:
+
+  ```javascript
+  click('.save');
+  andThen(function() {
+    ok(getSettledState().isSettled);
+  });
+  ```
+
+  @method getSettledState
+  @return {Object}
+*/
+helper('getSettledState', Test.getSettledState);
+
+/**
+  Returns the transitions the router performed so far, as described in
+  `Ember.Test.transitionHistory`.
+
+  Example:
+
+  ```javascript
+  visit('/admin');
+
+  andThen(function() {
+    var redirects = transitionHistory().filter(function(transition) {
+      return transition.redirectedTo;
+    });
+
+    equal(redirects.length, 1);
+  });
+  ```
+
+  @method transitionHistory
+  @return {Array}
+*/
+helper('transitionHistory', Test.transitionHistory);
+
+/**
+  Returns the most recent entry of `transitionHistory`, or `null` when the
+  router has not transitioned yet.
+
+  Example:
+
+  ```javascript
+  click('.delete');
+
+  andThen(function() {
+    equal(lastTransition().to, 'posts.index');
+    ok(lastTransition().isCompleted);
+  });
+  ```
+
+  @method lastTransition
+  @return {Object}
+*/
+helper('lastTransition', lastTransition);
+
 
 if (Ember.FEATURES.isEnabled('ember-testing-routing-helpers')){
   /**
@@ -1066,6 +3374,234 @@ if (Ember.FEATURES.isEnabled('ember-testing-triggerEvent-helper')) {
 
 
 
+(function() {
+/**
+ @module ember
+ @submodule ember-testing
+*/
+
+var Test = Ember.Test,
+    pageApp = null;
+
+Test.onInjectHelpers(function(app) {
+  pageApp = app;
+});
+
+/**
+  Declares a page object: a description of a page, or a part of one, in
+  terms of what a test does with it. Page objects keep selectors out of the
+  tests, and their failures name the property that failed instead of the
+  selector.
+
+  ```javascript
+  var page = Ember.Test.page;
+
+  var postPage = page({
+    scope: '.post',
+
+    title: page.text('h1'),
+    isPublished: page.visible('.published-badge'),
+    commentCount: page.count('.comment'),
+    fillComment: page.fillable('textarea.new-comment'),
+    submitComment: page.clickable('button.submit'),
+
+    comments: page.collection({
+      itemScope: '.comment',
+      item: {
+        author: page.text('.author'),
+        remove: page.clickable('.remove')
+      }
+    })
+  });
+
+  visit('/posts/1');
+  postPage.fillComment('Nice post');
+  postPage.submitComment();
+  postPage.comments(0).remove();
+
+  andThen(function() {
+    equal(postPage.title(), 'Hello');
+    equal(postPage.commentCount(), 1);
+    equal(postPage.comments(0).author(), 'tomster');
+  });
+  ```
+
+  `clickable` and `fillable` properties are async helpers built on `click`
+  and `fillIn`, so they chain with the other helpers and `andThen`. The other
+  properties read the page when called, typically inside `andThen`.
+
+  Selectors are scoped to the page's `scope`, if any. Page objects use the
+  application whose helpers were injected last.
+
+  @public
+  @method page
+  @for Ember.Test
+  @param {Object} definition
+  @return {Object} the page object
+*/
+var page = Test.page = function(definition) {
+  return buildPage(definition, definition.scope || '', 'page');
+};
+
+function buildPage(definition, scope, path) {
+  var result = {}, value;
+
+  for (var key in definition) {
+    value = definition[key];
+
+    if (key === 'scope') {
+      continue;
+    } else if (value && value.isPageProperty) {
+      result[key] = value.build(scope, path + '.' + key);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+function pageProperty(build) {
+  return { isPageProperty: true, build: build };
+}
+
+function scoped(scope, selector) {
+  return scope ? scope + ' ' + selector : selector;
+}
+
+function helpers() {
+  Ember.assert("Page objects can only be used once test helpers have been injected", pageApp);
+  return pageApp.testHelpers;
+}
+
+function findProperty(path, selector) {
+  var $el = helpers().find(selector);
+
+  if (!$el.length) {
+    throw new Ember.Error("Could not find " + path + " (" + selector + ")");
+  }
+
+  return $el;
+}
+
+/**
+  The trimmed text of the elements matching `selector`.
+
+  @method text
+  @for Ember.Test.page
+  @param {String} selector
+*/
+page.text = function(selector) {
+  return pageProperty(function(scope, path) {
+    return function() {
+      return Ember.$.trim(findProperty(path, scoped(scope, selector)).text());
+    };
+  });
+};
+
+/**
+  Whether an element matching `selector` is visible. Returns `false` when
+  there is no such element.
+
+  @method visible
+  @for Ember.Test.page
+  @param {String} selector
+*/
+page.visible = function(selector) {
+  return pageProperty(function(scope) {
+    return function() {
+      return helpers().find(scoped(scope, selector)).is(':visible');
+    };
+  });
+};
+
+/**
+  The number of elements matching `selector`.
+
+  @method count
+  @for Ember.Test.page
+  @param {String} selector
+*/
+page.count = function(selector) {
+  return pageProperty(function(scope) {
+    return function() {
+      return helpers().find(scoped(scope, selector)).length;
+    };
+  });
+};
+
+/**
+  An async helper that clicks the element matching `selector`.
+
+  @method clickable
+  @for Ember.Test.page
+  @param {String} selector
+*/
+page.clickable = function(selector) {
+  return pageProperty(function(scope, path) {
+    return function() {
+      var fullSelector = scoped(scope, selector);
+
+      return helpers().andThen(function() {
+        findProperty(path, fullSelector);
+        return helpers().click(fullSelector);
+      });
+    };
+  });
+};
+
+/**
+  An async helper that fills in the input element matching `selector` with
+  the text it is given.
+
+  @method fillable
+  @for Ember.Test.page
+  @param {String} selector
+*/
+page.fillable = function(selector) {
+  return pageProperty(function(scope, path) {
+    return function(text) {
+      var fullSelector = scoped(scope, selector);
+
+      return helpers().andThen(function() {
+        findProperty(path, fullSelector);
+        return helpers().fillIn(fullSelector, text);
+      });
+    };
+  });
+};
+
+/**
+  A list of repeated elements. `itemScope` selects the items and `item`
+  describes each of them like a page. The property is a function taking the
+  zero-based index of an item and returning it, with a `count` function
+  returning the number of items.
+
+  @method collection
+  @for Ember.Test.page
+  @param {Object} options `itemScope` and `item`
+*/
+page.collection = function(options) {
+  return pageProperty(function(scope, path) {
+    var itemScope = scoped(scope, options.itemScope),
+        collection;
+
+    collection = function(index) {
+      return buildPage(options.item || {}, itemScope + ':eq(' + index + ')', path + '[' + index + ']');
+    };
+
+    collection.count = function() {
+      return helpers().find(itemScope).length;
+    };
+
+    return collection;
+  });
+};
+
+})();
+
+
+
 (function() {
 /**
   Ember Testing
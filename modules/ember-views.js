@@ -253,7 +253,7 @@ function escapeAttribute(value) {
 // IE 6/7 have bugs arond setting names on inputs during creation.
 // From http://msdn.microsoft.com/en-us/library/ie/ms536389(v=vs.85).aspx:
 // "To include the NAME attribute at run time on objects created with the createElement method, use the eTag."
-var canSetNameOnInputs = (function() {
+var canSetNameOnInputs = typeof document === 'undefined' || (function() {
   var div = document.createElement('div'),
       el = document.createElement('input');
 
@@ -1045,7 +1045,7 @@ var childViewsProperty = Ember.computed(function() {
 
   ret.replace = function (idx, removedCount, addedViews) {
     if (view instanceof Ember.ContainerView) {
-      Ember.deprecate("Manipulating an Ember.ContainerView through its childViews property is deprecated. Please use the ContainerView instance itself as an Ember.MutableArray.");
+      Ember.deprecate("Manipulating an Ember.ContainerView through its childViews property is deprecated. Please use the ContainerView instance itself as an Ember.MutableArray.", false, { id: 'ember-views.container-child-views', until: '2.0.0' });
       return view.replace(idx, removedCount, addedViews);
     }
     throw new Ember.Error("childViews is immutable");
@@ -1203,7 +1203,7 @@ Ember.CoreView = Ember.Object.extend(Ember.Evented, Ember.ActionHandler, {
   deprecatedSend: function(actionName) {
     var args = [].slice.call(arguments, 1);
     Ember.assert('' + this + " has the action " + actionName + " but it is not a function", typeof this[actionName] === 'function');
-    Ember.deprecate('Action handlers implemented directly on views are deprecated in favor of action handlers on an `actions` object (' + actionName + ' on ' + this + ')', false);
+    Ember.deprecate('Action handlers implemented directly on views are deprecated in favor of action handlers on an `actions` object (' + actionName + ' on ' + this + ')', false, { id: 'ember-views.view-action-handlers', until: '2.0.0' });
     this[actionName].apply(this, args);
     return;
   },
@@ -1300,6 +1300,44 @@ ViewCollection.prototype = {
 
 var EMPTY_ARRAY = [];
 
+// Collects the views shown by containers in `view`'s subtree through
+// `currentView` and detaches them from their containers.
+function detachCurrentViews(view, detached) {
+  var currentView = get(view, 'currentView');
+
+  if (currentView && !currentView.isDestroyed && currentView._parentView === view) {
+    Ember.EnumerableUtils.removeObject(view._childViews, currentView);
+    set(currentView, '_parentView', null);
+    detached.push(currentView);
+  }
+
+  var childViews = view._childViews || EMPTY_ARRAY;
+  for (var i = 0, l = childViews.length; i < l; i++) {
+    detachCurrentViews(childViews[i], detached);
+  }
+}
+
+// Like `clearRenderedChildren`, destroys the child views created while
+// rendering `view` and its descendants, but keeps the views that containers
+// show through `currentView`, such as the views the router connects to
+// outlets. They are not owned by the template that created the container,
+// and are shown again by the containers created by the next render.
+function releaseRenderedChildren(view) {
+  var childViews = view._childViews || EMPTY_ARRAY, detached = [], i, l;
+
+  for (i = view.lengthAfterRender - 1; i >= view.lengthBeforeRender; i--) {
+    if (childViews[i]) {
+      detachCurrentViews(childViews[i], detached);
+      childViews[i].destroy();
+    }
+  }
+
+  childViews = childViews.concat(detached);
+  for (i = 0, l = childViews.length; i < l; i++) {
+    releaseRenderedChildren(childViews[i]);
+  }
+}
+
 /**
   `Ember.View` is the class in Ember responsible for encapsulating templates of
   HTML content, combining templates with data to render as sections of a page's
@@ -2094,7 +2132,7 @@ Ember.View = Ember.CoreView.extend({
     @deprecated
   */
   nearestInstanceOf: function(klass) {
-    Ember.deprecate("nearestInstanceOf is deprecated and will be removed from future releases. Use nearestOfType.");
+    Ember.deprecate("nearestInstanceOf is deprecated and will be removed from future releases. Use nearestOfType.", false, { id: 'ember-views.nearest-instance-of', until: '2.0.0' });
     var view = get(this, 'parentView');
 
     while (view) {
@@ -2257,6 +2295,7 @@ Ember.View = Ember.CoreView.extend({
     @method rerender
   */
   rerender: function() {
+    if (Ember._loopRecorder) { Ember._loopRecorder.viewDidRerender(this); }
     return this.currentState.rerender(this);
   },
 
@@ -2530,6 +2569,44 @@ Ember.View = Ember.CoreView.extend({
     return this;
   },
 
+  /**
+    Adopts markup that was already rendered for this view, for example by
+    `renderToString` on a server, instead of creating new elements.
+
+    The view hierarchy is rendered as usual, but rather than inserting the
+    result, each view's element and each Metamorph region (the
+    `metamorph-N-start` and `metamorph-N-end` script tags) is matched by its
+    id with the existing markup inside `target`, so the markup has to be
+    rendered from the same view hierarchy with the same ids. Observers and
+    `Ember.EventDispatcher` use the matched nodes as they are, so the page
+    does not flash.
+
+    A view without a matching element or Metamorph region is rendered again
+    in its place, and the elements of views that do not exist on the client
+    are removed; the markup of the other views is kept.
+
+    Note that this method just schedules the view to be rehydrated; this
+    happens once all bindings have finished synchronizing.
+
+    @method rehydrateIn
+    @param {String|DOMElement|jQuery} target A selector, element, or jQuery
+      object containing the rendered markup
+    @return {Ember.View} receiver
+  */
+  rehydrateIn: function(target) {
+    Ember.assert("You tried to rehydrate in (" + target + ") but that isn't in the DOM", Ember.$(target).length > 0);
+    Ember.assert("You can only rehydrate a view that has an element", !this.isVirtual && this.tagName !== '');
+
+    this._scheduledInsert = Ember.run.scheduleOnce('render', this, '_rehydrate', target);
+
+    return this;
+  },
+
+  _rehydrate: function(target) {
+    this._scheduledInsert = null;
+    this.currentState.rehydrate(this, target);
+  },
+
   /**
     Schedules a DOM operation to occur during the next render phase. This
     ensures that all bindings have finished synchronizing before the view is
@@ -2636,6 +2713,46 @@ Ember.View = Ember.CoreView.extend({
     return this;
   },
 
+  /**
+    Renders the view and all of its child views to an HTML string without
+    creating any DOM elements. This is the render path used when the
+    application is rendered on a server (see `Ember.Application#renderMode`).
+
+    The view must be in the `preRender` state. Once the HTML has been
+    generated, the view hierarchy is returned to the `preRender` state so
+    that it can be rendered again after the application's state changes.
+
+    ```javascript
+    var view = Ember.View.create({
+      template: Ember.Handlebars.compile('<h1>{{view.title}}</h1>'),
+      title: 'Hello'
+    });
+
+    view.renderToString(); // => '<div id="ember1" class="ember-view"><h1>...'
+    ```
+
+    @method renderToString
+    @return {String} The HTML representation of the view hierarchy
+  */
+  renderToString: function() {
+    Ember.assert("You can only render a view to a string while it is in the preRender state", this.currentState === this.states.preRender);
+
+    var buffer = Ember.RenderBuffer();
+    buffer._hasElement = false;
+
+    this.renderToBuffer(buffer);
+    var html = buffer.string();
+
+    // Tear down the observers set up while rendering and release the child
+    // views created by `render()`, so that the next render creates them anew.
+    this.triggerRecursively('willClearRender');
+    this.clearBuffer();
+    this.transitionTo('preRender');
+    releaseRenderedChildren(this);
+
+    return html;
+  },
+
   /**
     Called when a view is going to insert an element into the DOM.
 
@@ -3294,6 +3411,12 @@ Ember.View = Ember.CoreView.extend({
   * destroyed: once a view has been destroyed (using the destroy
     method), it is in this state. No further actions can be invoked
     on a destroyed view.
+
+  When rendering without a DOM (for example on a server, using
+  `renderToString`), only the preRender, inBuffer and destroyed states
+  are valid. A view only passes through inBuffer while its HTML is being
+  generated and is returned to preRender afterwards; hasElement and inDOM
+  require a live document.
 */
 
   // in the destroyed state, everything is illegal
@@ -3571,6 +3694,161 @@ Ember.View.states._default = {
 @submodule ember-views
 */
 
+var get = Ember.get, set = Ember.set;
+
+var METAMORPH_ID_REGEXP = /^(metamorph-\d+)-(start|end)$/;
+
+// Returns the node below `root` with the given id.
+function nodeById(id, root) {
+  return Ember.$('[id="' + id + '"]', root)[0] || null;
+}
+
+// Finds the node in the existing markup below `root` that corresponds to
+// `freshNode` in the client's rendering below `freshRoot`: by id, or else
+// by position below the corresponding parent.
+function findExistingNode(freshNode, freshRoot, root) {
+  if (freshNode === freshRoot) { return root; }
+
+  var id = freshNode.getAttribute('id');
+  if (id) { return nodeById(id, root); }
+
+  var parent = findExistingNode(freshNode.parentNode, freshRoot, root),
+      index = 0, node;
+
+  if (!parent) { return null; }
+
+  for (node = freshNode.previousSibling; node; node = node.previousSibling) {
+    if (node.nodeType === 1) { index++; }
+  }
+
+  for (node = parent.firstChild; node; node = node.nextSibling) {
+    if (node.nodeType === 1 && index-- === 0) {
+      return node.nodeName === freshNode.nodeName ? node : null;
+    }
+  }
+
+  return null;
+}
+
+// Puts copies of `freshNodes`, a run of siblings from the client's
+// rendering, into the existing markup: in place of `existingNodes` if
+// given, otherwise after the nearest preceding sibling that has a
+// counterpart (and the text that follows it). If the parent has no
+// counterpart either, the parent is put in place instead.
+function placeFreshNodes(freshNodes, existingNodes, freshRoot, root) {
+  var freshParent = freshNodes[0].parentNode,
+      parent = findExistingNode(freshParent, freshRoot, root),
+      before, node, text = 0, i, l;
+
+  if (!parent) {
+    placeFreshNodes([freshParent], null, freshRoot, root);
+    return;
+  }
+
+  if (existingNodes) {
+    before = existingNodes[existingNodes.length - 1].nextSibling;
+    for (i = 0, l = existingNodes.length; i < l; i++) {
+      parent.removeChild(existingNodes[i]);
+    }
+  } else {
+    for (node = freshNodes[0].previousSibling; node && node.nodeType !== 1; node = node.previousSibling) {
+      text++;
+    }
+
+    if (node) {
+      before = findExistingNode(node, freshRoot, root);
+      if (!before || before.parentNode !== parent) {
+        before = null;
+        text = 0;
+        for (node = node.previousSibling; node && !before; node = node.previousSibling) {
+          if (node.nodeType === 1) { before = findExistingNode(node, freshRoot, root); }
+        }
+        if (before && before.parentNode !== parent) { before = null; }
+      }
+    }
+
+    before = before ? before.nextSibling : parent.firstChild;
+    while (text-- > 0 && before && before.nodeType !== 1) { before = before.nextSibling; }
+  }
+
+  for (i = 0, l = freshNodes.length; i < l; i++) {
+    parent.insertBefore(freshNodes[i].cloneNode(true), before);
+  }
+}
+
+// Returns the siblings from `start` to `end`, inclusive.
+function nodesBetween(start, end) {
+  var nodes = [start], node = start;
+  while (node !== end) {
+    node = node.nextSibling;
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+// Matches `view` and its child views with the existing markup below `root`
+// by the ids of their elements and Metamorph markers. A view that has no
+// matching counterpart is put in place from the client's rendering below
+// `freshRoot`, together with its child views; the markup of the views that
+// match is kept.
+function adoptRenderedNodes(view, freshRoot, root) {
+  var fresh, existing, start, end, i, l;
+
+  if (view.morph) {
+    start = nodeById(view.morph.start, root);
+    end = nodeById(view.morph.end, root);
+
+    if (!start || !end || start.parentNode !== end.parentNode) {
+      Ember.$(Ember.A([start, end]).compact()).remove();
+      fresh = nodesBetween(nodeById(view.morph.start, freshRoot), nodeById(view.morph.end, freshRoot));
+      placeFreshNodes(fresh, null, freshRoot, root);
+      return;
+    }
+  } else if (!view.isVirtual && view.tagName !== '') {
+    existing = nodeById(get(view, 'elementId'), root);
+    fresh = nodeById(get(view, 'elementId'), freshRoot);
+
+    if (!existing || existing.nodeName !== fresh.nodeName) {
+      placeFreshNodes([fresh], existing && [existing], freshRoot, root);
+      return;
+    }
+  }
+
+  var childViews = view._childViews;
+  if (childViews) {
+    for (i = 0, l = childViews.length; i < l; i++) {
+      adoptRenderedNodes(childViews[i], freshRoot, root);
+    }
+  }
+}
+
+// Removes the elements of views and the Metamorph regions below `root`
+// whose ids are not in the client's rendering below `freshRoot`, unless
+// they contain nodes that are.
+function removeUnclaimedNodes(freshRoot, root) {
+  var ids = {};
+
+  function isClaimed() { return this.nodeType === 1 && ids[this.getAttribute('id')]; }
+
+  Ember.$('[id]', freshRoot).each(function() { ids[this.getAttribute('id')] = true; });
+
+  Ember.$('.ember-view, script[id^="metamorph-"]', root).each(function() {
+    var id = this.getAttribute('id'), match = id && METAMORPH_ID_REGEXP.exec(id),
+        nodes = [this], end;
+
+    if (!id || ids[id] || !Ember.$.contains(root, this)) { return; }
+
+    if (match) {
+      end = match[2] === 'start' && nodeById(match[1] + '-end', root);
+      if (!end || end.parentNode !== this.parentNode) { return; }
+      nodes = nodesBetween(this, end);
+    }
+
+    nodes = Ember.$(nodes);
+    if (!nodes.find('[id]').add(nodes).filter(isClaimed).length) { nodes.remove(); }
+  });
+}
+
 var preRender = Ember.View.states.preRender = Ember.create(Ember.View.states._default);
 
 Ember.merge(preRender, {
@@ -3595,6 +3873,29 @@ Ember.merge(preRender, {
 
   },
 
+  // a view can adopt existing markup instead of creating its element
+  // (rehydrateIn).
+  rehydrate: function(view, target) {
+    var element = Ember.$(target)[0],
+        buffer = Ember.RenderBuffer();
+
+    buffer._hasElement = false;
+    view.renderToBuffer(buffer);
+
+    var fresh = Ember.$('<div></div>').html(buffer.string())[0];
+
+    removeUnclaimedNodes(fresh, element);
+    adoptRenderedNodes(view, fresh, element);
+
+    var viewCollection = view.viewHierarchyCollection();
+
+    set(view, 'element', Ember.$('#' + get(view, 'elementId'), element)[0]);
+    viewCollection.trigger('willInsertElement');
+
+    viewCollection.transitionTo('inDOM', false);
+    viewCollection.trigger('didInsertElement');
+  },
+
   renderToBufferIfNeeded: function(view, buffer) {
     view.renderToBuffer(buffer);
     return true;
@@ -3685,6 +3986,10 @@ Ember.merge(inBuffer, {
     throw "You can't insert an element that has already been rendered";
   },
 
+  rehydrate: function() {
+    throw "You can't rehydrate a view that has already been rendered";
+  },
+
   setElement: function(view, value) {
     if (value === null) {
       view.transitionTo('preRender');
@@ -3739,6 +4044,10 @@ Ember.merge(hasElement, {
     return value;
   },
 
+  rehydrate: function() {
+    throw "You can't rehydrate a view that already has an element";
+  },
+
   // once the view has been inserted into the DOM, rerendering is
   // deferred to allow bindings to synchronize.
   rerender: function(view) {
@@ -3865,7 +4174,8 @@ Ember.merge(destroying, {
 
   // Since element insertion is scheduled, don't do anything if
   // the view has been destroyed between scheduling and execution
-  insertElement: Ember.K
+  insertElement: Ember.K,
+  rehydrate: Ember.K
 });
 
 
@@ -4776,7 +5086,7 @@ Ember.ComponentTemplateDeprecation = Ember.Mixin.create({
     }
 
     if (deprecatedProperty) {
-      Ember.deprecate('Do not specify ' + deprecatedProperty + ' on a Component, use ' + replacementProperty + ' instead.', false);
+      Ember.deprecate('Do not specify ' + deprecatedProperty + ' on a Component, use ' + replacementProperty + ' instead.', false, { id: 'ember-views.component-deprecated-property', until: '2.0.0' });
     }
   }
 });